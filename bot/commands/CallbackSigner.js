@@ -0,0 +1,67 @@
+import crypto from 'crypto';
+
+/**
+ * Signs inline keyboard callback_data so a button press can only act on
+ * the chat and session it was issued for.
+ *
+ * Format: `<prefix>:<part>:...:<signature>`, where the signature is a
+ * truncated HMAC-SHA256 over the chat ID, prefix and parts. Telegram caps
+ * callback_data at 64 bytes, so keep parts short and free of ':'.
+ */
+class CallbackSigner {
+  constructor(secret) {
+    if (!secret) {
+      throw new Error('CallbackSigner requires a secret');
+    }
+    this.secret = secret;
+  }
+
+  /**
+   * Build signed callback_data
+   * @param {string} prefix - Routes the press to a callback handler
+   * @param {Array<string>} parts - Payload, e.g. ['y', sessionId]
+   * @param {number|string} chatId - Chat the button is sent to
+   * @returns {string} callback_data
+   */
+  sign(prefix, parts, chatId) {
+    const data = `${prefix}:${parts.join(':')}:${this.signature(prefix, parts, chatId)}`;
+
+    if (Buffer.byteLength(data) > 64) {
+      throw new Error(`callback_data too long (${Buffer.byteLength(data)} bytes): ${prefix}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Verify callback_data from a button press
+   * @param {string} data - callback_data
+   * @param {number|string} chatId - Chat the press came from
+   * @returns {Object|null} { prefix, parts } or null if forged or malformed
+   */
+  verify(data, chatId) {
+    const segments = String(data || '').split(':');
+    if (segments.length < 3) return null;
+
+    const prefix = segments[0];
+    const parts = segments.slice(1, -1);
+    const received = Buffer.from(segments[segments.length - 1]);
+    const expected = Buffer.from(this.signature(prefix, parts, chatId));
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      return null;
+    }
+
+    return { prefix, parts };
+  }
+
+  signature(prefix, parts, chatId) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${chatId}:${prefix}:${parts.join(':')}`)
+      .digest('base64url')
+      .slice(0, 16);
+  }
+}
+
+export default CallbackSigner;
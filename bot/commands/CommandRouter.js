@@ -0,0 +1,233 @@
+import { MIDDLEWARE } from './middleware.js';
+import { languageOf, translate } from '../services/LanguageService.js';
+
+/**
+ * Routes Telegram messages and inline keyboard presses to handler modules.
+ *
+ * A handler is a plain object:
+ *
+ *   export default {
+ *     name: 'help',
+ *     type: 'command',            // 'command' | 'photo' | 'document' | 'text' | 'callback'
+ *     command: 'help',            // for commands: /help, /help@bot, /help args
+ *     prefix: 'c',                // for callbacks: callback_data before the first ':'
+ *     description: 'Show help',   // listed by /help
+ *     middleware: ['rateLimit'],  // names from middleware.js or functions
+ *     errorMessage: 'limits.error', // reply if handle() throws: a message key or text
+ *     async handle(ctx) { ... }
+ *   };
+ *
+ * `ctx` carries the message, `chatId`, `args`, `reply()`, `user` (after
+ * requireUser) and every dependency passed to the router, so handlers can
+ * be exercised with a fake bot and fake services. Callback handlers also
+ * get `callbackQuery` and `answer()`; `msg` is the message the button is on.
+ * A press with no matching handler is still answered so the button stops
+ * spinning.
+ */
+class CommandRouter {
+  constructor(bot, dependencies = {}) {
+    this.bot = bot;
+    this.dependencies = dependencies;
+    this.commands = [];
+    this.photoHandler = null;
+    this.documentHandler = null;
+    this.textHandler = null;
+    this.callbacks = [];
+  }
+
+  /**
+   * Register a handler module
+   * @param {Object} handler - Handler definition
+   * @returns {CommandRouter} this, for chaining
+   */
+  register(handler) {
+    if (typeof handler.handle !== 'function') {
+      throw new Error(`Handler ${handler.name} has no handle() function`);
+    }
+
+    const middleware = (handler.middleware || []).map(entry => {
+      const fn = typeof entry === 'function' ? entry : MIDDLEWARE[entry];
+      if (!fn) {
+        throw new Error(`Handler ${handler.name} uses unknown middleware: ${entry}`);
+      }
+      return fn;
+    });
+
+    const route = { ...handler, middlewareFns: middleware };
+
+    switch (handler.type) {
+      case 'command':
+        if (this.commands.some(existing => existing.command === handler.command)) {
+          throw new Error(`Command /${handler.command} is already registered`);
+        }
+        route.pattern = new RegExp(`^/${handler.command}(?:@\\w+)?(?:\\s+([\\s\\S]*))?$`, 'i');
+        this.commands.push(route);
+        break;
+
+      case 'photo':
+        this.photoHandler = route;
+        break;
+
+      case 'document':
+        this.documentHandler = route;
+        break;
+
+      case 'text':
+        this.textHandler = route;
+        break;
+
+      case 'callback':
+        if (this.callbacks.some(existing => existing.prefix === handler.prefix)) {
+          throw new Error(`Callback prefix ${handler.prefix} is already registered`);
+        }
+        this.callbacks.push(route);
+        break;
+
+      default:
+        throw new Error(`Handler ${handler.name} has unknown type: ${handler.type}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * Register several handler modules
+   * @param {Array<Object>} handlers - Handler definitions
+   * @returns {CommandRouter} this, for chaining
+   */
+  registerAll(handlers) {
+    handlers.forEach(handler => this.register(handler));
+    return this;
+  }
+
+  /**
+   * Registered commands with descriptions (for /help)
+   * @returns {Array<Object>} { command, description }
+   */
+  listCommands() {
+    return this.commands
+      .filter(route => route.description)
+      .map(route => ({ command: route.command, description: route.description }));
+  }
+
+  /**
+   * Subscribe to the bot's message and callback query events
+   */
+  attach() {
+    this.bot.on('message', msg => this.dispatch(msg));
+    this.bot.on('callback_query', query => this.dispatchCallback(query));
+  }
+
+  /**
+   * Route one message to its handler
+   * @param {Object} msg - Telegram message
+   * @returns {Promise<boolean>} true if a handler ran
+   */
+  async dispatch(msg) {
+    const text = msg.text;
+    let route = null;
+    let args = '';
+
+    if (text?.startsWith('/')) {
+      for (const command of this.commands) {
+        const match = text.trim().match(command.pattern);
+        if (match) {
+          route = command;
+          args = (match[1] || '').trim();
+          break;
+        }
+      }
+    } else if (msg.photo) {
+      route = this.photoHandler;
+    } else if (msg.document) {
+      route = this.documentHandler;
+    } else if (typeof text === 'string') {
+      route = this.textHandler;
+      args = text;
+    }
+
+    if (!route) return false;
+
+    const ctx = this.createContext(msg, args);
+    await this.run(route, ctx);
+    return true;
+  }
+
+  /**
+   * Route one inline keyboard press to its handler
+   * @param {Object} query - Telegram callback query
+   * @returns {Promise<boolean>} true if a handler ran
+   */
+  async dispatchCallback(query) {
+    const data = query.data || '';
+    const prefix = data.split(':')[0];
+    const route = query.message && this.callbacks.find(callback => callback.prefix === prefix);
+
+    if (!route) {
+      await this.answerCallback(query.id);
+      return false;
+    }
+
+    const ctx = this.createContext(query.message, data);
+    let answered = false;
+    ctx.callbackQuery = query;
+    ctx.answer = (text, options = {}) => {
+      answered = true;
+      return this.answerCallback(query.id, { text, ...options });
+    };
+
+    await this.run(route, ctx);
+
+    // Middleware that stopped the chain replied in chat but left the button spinning
+    if (!answered) {
+      await this.answerCallback(query.id);
+    }
+    return true;
+  }
+
+  async answerCallback(queryId, options = {}) {
+    try {
+      await this.bot.answerCallbackQuery(queryId, options);
+    } catch (error) {
+      // Expires after ~15s; the handler's own reply still gets through
+      console.error('❌ [COMMAND] answerCallbackQuery failed:', error.message);
+    }
+  }
+
+  createContext(msg, args) {
+    const chatId = msg.chat.id;
+
+    return {
+      ...this.dependencies,
+      bot: this.bot,
+      router: this,
+      msg,
+      chatId,
+      args,
+      user: null,
+      reply: (message, options) => this.bot.sendMessage(chatId, message, options)
+    };
+  }
+
+  async run(route, ctx) {
+    const chain = [...route.middlewareFns, context => route.handle(context)];
+
+    const next = async (index) => {
+      if (index >= chain.length) return;
+      await chain[index](ctx, () => next(index + 1));
+    };
+
+    try {
+      await next(0);
+    } catch (error) {
+      console.error(`❌ [COMMAND] ${route.name} failed:`, error);
+      try {
+        await ctx.reply(translate(languageOf(ctx.user), route.errorMessage || 'common.unexpected'));
+      } catch (replyError) {
+        console.error(`❌ [COMMAND] ${route.name} error reply failed:`, replyError.message);
+      }
+    }
+  }
+}
+
+export default CommandRouter;
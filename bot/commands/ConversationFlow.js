@@ -0,0 +1,501 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import IdempotencyService from '../services/IdempotencyService.js';
+import { DEFAULT_LANGUAGE, languageOf, translate } from '../services/LanguageService.js';
+
+// Workflow actions answered with the ✅ Confirm / ❌ Cancel keyboard
+const CONFIRMATION_TYPES = {
+  CONFIRM_TRANSFER_TO_BENEFICIARY: 'CONFIRM_TRANSFER',
+  CONFIRM_NEW_TRANSFER: 'CONFIRM_TRANSFER',
+  CONFIRM_TRANSFER_FROM_IMAGE: 'CONFIRM_TRANSFER',
+  CONFIRM_WALLET_TRANSFER: 'CONFIRM_TRANSFER',
+  CONFIRM_SCHEDULE_TRANSFER: 'CONFIRM_TRANSFER',
+  CONFIRM_BULK_TRANSFER: 'CONFIRM_TRANSFER',
+  CONFIRM_SPLIT_TRANSFER: 'CONFIRM_TRANSFER',
+  CONFIRM_ADD_BENEFICIARY: 'CONFIRM_BENEFICIARY',
+  CONFIRM_PAYMENT_REQUEST: 'CONFIRM_PAYMENT_REQUEST'
+};
+
+export const CONFIRM_CALLBACK_PREFIX = 'c';
+
+/**
+ * Multi-step conversation: acts on WalletWorkflowService results and walks
+ * a transfer through confirmation → PIN → TransferService.
+ * Shared by the free-text, photo and document handlers.
+ */
+class ConversationFlow {
+  constructor({ bot, supabase, security, workflowService, transferService, walletTransferService, paymentRequestService, scheduledTransferService, bulkTransferService, idempotencyService, limitService, feeService, callbackSigner, pinService, webAppUrl }) {
+    this.bot = bot;
+    this.supabase = supabase;
+    this.security = security;
+    this.workflow = workflowService;
+    this.transfers = transferService;
+    this.walletTransfers = walletTransferService;
+    this.paymentRequests = paymentRequestService;
+    this.schedules = scheduledTransferService;
+    this.bulkTransfers = bulkTransferService;
+    this.idempotency = idempotencyService;
+    this.limits = limitService;
+    this.fees = feeService;
+    this.callbackSigner = callbackSigner;
+    this.pins = pinService;
+    this.webAppUrl = webAppUrl;
+  }
+
+  /**
+   * Reply with a workflow result and set up whatever step comes next
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object} user - User row
+   * @param {Object} result - WalletWorkflowService result
+   */
+  async handleWorkflowResult(chatId, user, result) {
+    try {
+      if (!result.success) {
+        await this.bot.sendMessage(chatId, result.message);
+        return;
+      }
+
+      if (CONFIRMATION_TYPES[result.action]) {
+        await this.requestConfirmation(chatId, user, result, CONFIRMATION_TYPES[result.action]);
+        return;
+      }
+
+      await this.bot.sendMessage(chatId, result.message);
+
+      switch (result.action) {
+        case 'SHOW_FUNDING_OPTIONS':
+          await this.showFundingOptions(chatId, user, result.data);
+          break;
+
+        case 'CHECK_BALANCE':
+          await this.showBalance(chatId, user);
+          break;
+
+        case 'SHOW_TRANSACTION_HISTORY':
+          await this.showTransactionHistory(chatId, user);
+          break;
+
+        case 'REQUEST_TRANSFER_DETAILS':
+        case 'REQUEST_AMOUNT':
+        case 'REQUEST_BENEFICIARY_DETAILS':
+        case 'ADD_BENEFICIARY_FROM_IMAGE':
+        case 'CLARIFY_INTENT':
+          await this.setupConversationContext(chatId, result);
+          break;
+      }
+
+    } catch (error) {
+      console.error('Workflow result handling error:', error);
+      await this.bot.sendMessage(chatId, translate(languageOf(user), 'common.error'));
+    }
+  }
+
+  async setupConversationContext(chatId, result) {
+    await this.security.setConversationContext(chatId, {
+      lastAction: result.action,
+      pendingData: result.data,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Send a confirmation prompt with ✅ Confirm / ❌ Cancel buttons. The
+   * buttons carry a signed reference to this session, so a press from an
+   * older prompt, or after the session moved on, is rejected. Transfers
+   * to a bank are priced here and the quoted fee is the one charged;
+   * a split is priced per leg, wallet-to-wallet transfers are free,
+   * schedules are priced per run and bulk payouts per row when the file
+   * is checked.
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object} user - User row
+   * @param {Object} result - WalletWorkflowService result
+   * @param {string} type - CONFIRM_TRANSFER | CONFIRM_BENEFICIARY | CONFIRM_PAYMENT_REQUEST
+   */
+  async requestConfirmation(chatId, user, result, type) {
+    // Identifies this confirmation; repeated presses and PIN messages reuse it
+    const confirmationId = crypto.randomBytes(12).toString('base64url');
+
+    let message = result.message;
+    let feeQuote = null;
+    if (type === 'CONFIRM_TRANSFER' && result.data.legs) {
+      const amounts = result.data.legs.map(leg => leg.amount);
+      feeQuote = await this.fees.quoteBatch(user, amounts);
+      message += `\n\n${this.fees.describeBatch(feeQuote, amounts, languageOf(user))}`;
+    } else if (type === 'CONFIRM_TRANSFER' && !result.data.walletRecipient && !result.data.schedule && !result.data.batch) {
+      const amount = parseFloat(result.data.amount);
+      feeQuote = await this.fees.quote(user, amount);
+      message += `\n\n${this.fees.describe(feeQuote, amount, languageOf(user))}`;
+    }
+
+    const language = languageOf(user);
+    const sent = await this.bot.sendMessage(chatId, message, {
+      reply_markup: {
+        inline_keyboard: [[
+          { text: translate(language, 'confirm.confirm'), callback_data: this.callbackSigner.sign(CONFIRM_CALLBACK_PREFIX, ['y', confirmationId], chatId) },
+          { text: translate(language, 'confirm.cancel'), callback_data: this.callbackSigner.sign(CONFIRM_CALLBACK_PREFIX, ['n', confirmationId], chatId) }
+        ]]
+      }
+    });
+
+    await this.security.setSession(chatId, {
+      type,
+      action: result.action,
+      data: result.data,
+      feeQuote,
+      confirmationId,
+      messageId: sent?.message_id,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Act on a Confirm / Cancel press for a pending confirmation
+   */
+  async handleConfirmation(chatId, user, isConfirmed, session) {
+    try {
+      if (session.type === 'CONFIRM_TRANSFER') {
+        if (isConfirmed) {
+          await this.beginTransfer(chatId, user, session.data, session.feeQuote, session.confirmationId);
+        } else {
+          await this.bot.sendMessage(chatId, translate(languageOf(user), 'confirm.transfer_cancelled'));
+          await this.security.clearSession(chatId);
+        }
+      } else if (session.type === 'CONFIRM_PAYMENT_REQUEST') {
+        await this.security.clearSession(chatId);
+        if (isConfirmed) {
+          const { payer, amount, note } = session.data;
+          const result = await this.paymentRequests.create(user, payer, amount, note);
+          await this.bot.sendMessage(chatId, result.message);
+        } else {
+          await this.bot.sendMessage(chatId, translate(languageOf(user), 'confirm.request_cancelled'));
+        }
+      } else if (session.type === 'CONFIRM_BENEFICIARY') {
+        const result = await this.workflow.processConfirmation(user.id, isConfirmed, session);
+        await this.bot.sendMessage(chatId, result.message);
+        await this.security.clearSession(chatId);
+      }
+    } catch (error) {
+      console.error('Confirmation handling error:', error);
+      await this.bot.sendMessage(chatId, translate(languageOf(user), 'common.error'));
+      await this.security.clearSession(chatId);
+    }
+  }
+
+  /**
+   * Check the transfer can go ahead and ask for the PIN. Shared by the
+   * confirmation buttons and the Pay button on payment requests.
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object} user - User row
+   * @param {Object} data - Transfer data (amount and destination)
+   * @param {Object|Array|null} feeQuote - FeeService quote (one per leg for a split); null for wallet transfers
+   * @param {string} confirmationId - Identifies this transfer for idempotency
+   */
+  async beginTransfer(chatId, user, data, feeQuote, confirmationId) {
+    if (await this.isInResetCooldown(chatId, user)) return;
+
+    const limitCheck = await this.checkLimits(user, data);
+    if (!limitCheck.allowed) {
+      await this.bot.sendMessage(chatId, `❌ ${limitCheck.reason}`);
+      await this.security.clearSession(chatId);
+      return;
+    }
+
+    await this.security.setSession(chatId, {
+      type: 'TRANSFER_PIN',
+      data,
+      feeQuote,
+      confirmationId,
+      timestamp: Date.now()
+    });
+
+    await this.requestPin(chatId, confirmationId, languageOf(user));
+  }
+
+  /**
+   * Check a transfer against the user's limits. Schedules are checked
+   * against the limits each time they run.
+   * @param {Object} user - User row
+   * @param {Object} data - Transfer data (amount, batch or legs)
+   * @returns {Promise<Object>} { allowed, reason }
+   */
+  async checkLimits(user, data) {
+    if (data.batch || data.legs) {
+      const amounts = data.batch ? data.batch.items.map(item => item.amount) : data.legs.map(leg => leg.amount);
+      return this.limits.checkBatchLimits(user, amounts);
+    }
+
+    if (data.schedule) {
+      return { allowed: true };
+    }
+
+    return this.limits.checkTransactionLimits(user, data.amount);
+  }
+
+  /**
+   * Start paying a payment request from its Pay button
+   * @param {number} chatId - Payer's chat ID
+   * @param {Object} user - Payer's user row
+   * @param {Object} request - PaymentRequestService.get() result
+   */
+  async payRequest(chatId, user, request) {
+    const data = {
+      amount: parseFloat(request.amount),
+      walletRecipient: this.walletTransfers.describeRecipient(request.requester),
+      paymentRequestId: request.id,
+      note: request.note
+    };
+
+    await this.beginTransfer(chatId, user, data, null, crypto.randomBytes(12).toString('base64url'));
+  }
+
+  /**
+   * Block transfers for a while after a forgotten-PIN reset; tells the
+   * user and clears the pending transfer if blocked
+   * @returns {Promise<boolean>} true if transfers are paused
+   */
+  async isInResetCooldown(chatId, user) {
+    const remaining = this.pins.getTransferCooldown(user);
+    if (remaining === 0) return false;
+
+    const hours = Math.ceil(remaining / (60 * 60 * 1000));
+    await this.bot.sendMessage(chatId, translate(languageOf(user), 'transfer.reset_cooldown', { count: hours }));
+    await this.security.clearSession(chatId);
+    return true;
+  }
+
+  /**
+   * Ask for the transaction PIN. With TELEGRAM_WEBAPP_URL set the prompt
+   * carries a button that opens the PIN pad Web App, so the PIN stays out
+   * of the chat; typing it still works (the message is deleted at once).
+   */
+  async requestPin(chatId, confirmationId, language = DEFAULT_LANGUAGE) {
+    if (!this.webAppUrl) {
+      await this.bot.sendMessage(chatId, translate(language, 'pin.enter'));
+      return;
+    }
+
+    const url = new URL(this.webAppUrl);
+    url.searchParams.set('view', 'pin');
+    url.searchParams.set('cid', confirmationId);
+
+    const button = translate(language, 'pin.button');
+    await this.bot.sendMessage(chatId,
+      translate(language, 'pin.tap', { button }),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [[{ text: `🔐 ${button}`, web_app: { url: url.toString() } }]]
+        }
+      });
+  }
+
+  /**
+   * Verify the transaction PIN and execute the pending transfer. Outcomes
+   * are reported in the chat; the result lets the PIN pad show them too.
+   * @returns {Promise<Object>} { success, message }
+   */
+  async handlePinVerification(chatId, user, pin, session) {
+    const language = languageOf(user);
+
+    try {
+      if (session.type !== 'TRANSFER_PIN') {
+        return { success: false, message: translate(language, 'pin.not_awaiting') };
+      }
+
+      const pinValid = await bcrypt.compare(pin, user.transaction_pin);
+
+      if (!pinValid) {
+        const attempts = await this.security.recordFailedAttempt(user.id);
+        const remaining = this.security.config.MAX_FAILED_ATTEMPTS - attempts.count;
+
+        const message = remaining > 0
+          ? translate(language, 'pin.invalid', { count: remaining })
+          : translate(language, 'pin.locked');
+
+        await this.bot.sendMessage(chatId, message);
+        await this.security.clearSession(chatId);
+        return { success: false, message };
+      }
+
+      await this.security.clearFailedAttempts(user.id);
+
+      if (await this.isInResetCooldown(chatId, user)) {
+        return { success: false, message: translate(language, 'transfer.paused_after_reset') };
+      }
+
+      // Clear first so a PIN typed while the pad is submitting finds no session
+      await this.security.clearSession(chatId);
+
+      // A PIN-confirmed schedule is saved; its transfers run later
+      if (session.data.schedule) {
+        const result = await this.schedules.create(user, session.data);
+        await this.bot.sendMessage(chatId, result.message);
+        return result;
+      }
+
+      return await this.processSecureTransfer(chatId, user, session.data, session.feeQuote, session.confirmationId);
+
+    } catch (error) {
+      console.error('PIN verification error:', error);
+      const message = translate(language, 'transfer.failed_retry');
+      await this.bot.sendMessage(chatId, message);
+      await this.security.clearSession(chatId);
+      return { success: false, message };
+    }
+  }
+
+  async processSecureTransfer(chatId, user, transferData, feeQuote, confirmationId) {
+    try {
+      const idempotencyKey = IdempotencyService.transferKey(user.id, confirmationId);
+
+      const transfer = async () => {
+        // Checked again just before the debit: transfers confirmed since the
+        // PIN prompt, or in parallel with this one, count against the limits too
+        const limitCheck = await this.checkLimits(user, transferData);
+        if (!limitCheck.allowed) {
+          return { success: false, message: `❌ ${limitCheck.reason}` };
+        }
+
+        if (transferData.batch) {
+          return this.bulkTransfers.execute(user, transferData.batch, { idempotencyKey });
+        }
+
+        if (transferData.legs) {
+          return this.transfers.initiateSplitTransfer(user, transferData.legs, feeQuote, { idempotencyKey });
+        }
+
+        return transferData.walletRecipient
+          ? this.walletTransfers.transfer(user, transferData.walletRecipient, transferData.amount, {
+            idempotencyKey,
+            note: transferData.note
+          })
+          : this.transfers.initiateTransfer(user, transferData, feeQuote, { idempotencyKey });
+      };
+
+      const { response, inProgress } = await this.idempotency.run(
+        idempotencyKey,
+        { scope: 'transfer', userId: user.id, request: { transferData, feeQuote } },
+        transferData.paymentRequestId
+          ? () => this.paymentRequests.settle(transferData.paymentRequestId, transfer, languageOf(user), this.walletTransfers.referenceFor(idempotencyKey))
+          : transfer
+      );
+
+      const result = inProgress
+        ? { success: true, message: translate(languageOf(user), 'transfer.in_progress') }
+        : { success: response.success, message: response.message };
+
+      await this.bot.sendMessage(chatId, result.message);
+      return result;
+    } catch (error) {
+      console.error('Secure transfer processing error:', error);
+      const message = translate(languageOf(user), 'transfer.failed_support');
+      await this.bot.sendMessage(chatId, message);
+      return { success: false, message };
+    }
+  }
+
+  async showFundingOptions(chatId, user, data) {
+    const language = languageOf(user);
+
+    if (!user.virtual_account_number) {
+      await this.bot.sendMessage(chatId, translate(language, 'funding.account_pending'));
+      return;
+    }
+
+    const title = data.requestedAmount
+      ? translate(language, 'funding.title_amount', { amount: data.requestedAmount.toLocaleString() })
+      : translate(language, 'funding.title');
+
+    await this.bot.sendMessage(chatId, `${title}\n\n` + translate(language, 'funding.details', {
+      accountNumber: user.virtual_account_number,
+      accountName: user.virtual_account_name
+    }));
+  }
+
+  async showBalance(chatId, user) {
+    const language = languageOf(user);
+
+    try {
+      const { data: recentTxns } = await this.supabase
+        .from('transactions')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: false })
+        .limit(3);
+
+      let recentActivity = '';
+      if (recentTxns && recentTxns.length > 0) {
+        recentActivity = `\n\n${translate(language, 'balance.recent')}\n`;
+        recentTxns.forEach(txn => {
+          const type = txn.type === 'credit' ? '💵' : '💸';
+          const date = new Date(txn.created_at).toLocaleDateString();
+          recentActivity += `${type} ₦${parseFloat(txn.amount).toLocaleString()} - ${date}\n`;
+        });
+      }
+
+      const limits = await this.limits.getLimitStatus(user);
+
+      await this.bot.sendMessage(chatId, translate(language, 'balance.summary', {
+        balance: parseFloat(user.wallet_balance).toLocaleString(),
+        accountNumber: user.virtual_account_number,
+        remaining: limits.remainingToday.toLocaleString(),
+        daily: limits.daily.toLocaleString(),
+        recent: recentActivity
+      }));
+    } catch (error) {
+      console.error('Balance check error:', error);
+      await this.bot.sendMessage(chatId, translate(language, 'balance.error'));
+    }
+  }
+
+  async showTransactionHistory(chatId, user) {
+    const language = languageOf(user);
+
+    try {
+      const { data: transactions } = await this.supabase
+        .from('transactions')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: false })
+        .limit(15);
+
+      if (!transactions || transactions.length === 0) {
+        await this.bot.sendMessage(chatId, translate(language, 'history.empty'));
+        return;
+      }
+
+      let message = `${translate(language, 'history.title')}\n\n`;
+      let totalIn = 0, totalOut = 0;
+
+      transactions.forEach((txn) => {
+        const date = new Date(txn.created_at).toLocaleDateString();
+        const time = new Date(txn.created_at).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+        const amount = parseFloat(txn.amount);
+
+        if (txn.type === 'credit') {
+          totalIn += amount;
+          message += `💵 +₦${amount.toLocaleString()}\n`;
+        } else {
+          totalOut += amount;
+          message += `💸 -₦${amount.toLocaleString()}\n`;
+        }
+
+        message += `   ${txn.description}\n`;
+        message += `   ${date} ${time} • ${txn.status}\n\n`;
+      });
+
+      message += translate(language, 'history.summary', {
+        moneyIn: totalIn.toLocaleString(),
+        moneyOut: totalOut.toLocaleString(),
+        net: (totalIn - totalOut).toLocaleString()
+      });
+
+      await this.bot.sendMessage(chatId, message);
+    } catch (error) {
+      console.error('Transaction history error:', error);
+      await this.bot.sendMessage(chatId, translate(language, 'history.error'));
+    }
+  }
+}
+
+export default ConversationFlow;
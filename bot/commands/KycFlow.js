@@ -0,0 +1,117 @@
+import { KYC_ID_TYPES } from '../services/KycService.js';
+import { DEFAULT_LANGUAGE, languageOf, translate } from '../services/LanguageService.js';
+
+/**
+ * Chat steps for /verify bvn and /verify nin. Inputs are deleted from the
+ * chat by the text handler, like PIN steps. The ID number is always the
+ * last step and goes straight to KycService, so it is never held in the
+ * session.
+ */
+export const KYC_FLOW_STEPS = {
+  BVN: 'KYC_BVN',
+  BVN_ACCOUNT: 'KYC_BVN_ACCOUNT',
+  NIN: 'KYC_NIN'
+};
+
+const STEPS = new Set(Object.values(KYC_FLOW_STEPS));
+
+class KycFlow {
+  constructor({ bot, security, kycService, beneficiaryService }) {
+    this.bot = bot;
+    this.security = security;
+    this.kyc = kycService;
+    this.beneficiaries = beneficiaryService;
+  }
+
+  isActive(session) {
+    return STEPS.has(session?.type);
+  }
+
+  async start(chatId, type, language = DEFAULT_LANGUAGE) {
+    if (type === KYC_ID_TYPES.BVN) {
+      await this.setStep(chatId, KYC_FLOW_STEPS.BVN_ACCOUNT);
+      await this.bot.sendMessage(chatId, translate(language, 'kyc.bvn_start'));
+      return;
+    }
+
+    await this.setStep(chatId, KYC_FLOW_STEPS.NIN);
+    await this.bot.sendMessage(chatId, translate(language, 'kyc.nin_start'));
+  }
+
+  /**
+   * Handle a message sent during a verification step
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object} user - User row
+   * @param {string} text - Message text
+   * @param {Object} session - Current chat session
+   */
+  async handleInput(chatId, user, text, session) {
+    const input = text.trim();
+    const language = languageOf(user);
+
+    if (/^cancel$/i.test(input)) {
+      await this.security.clearSession(chatId);
+      await this.bot.sendMessage(chatId, translate(language, 'kyc.cancelled'));
+      return;
+    }
+
+    try {
+      switch (session.type) {
+        case KYC_FLOW_STEPS.BVN_ACCOUNT: {
+          const match = input.match(/^(\d{10})\s+(.+)$/);
+          if (!match) {
+            await this.bot.sendMessage(chatId, translate(language, 'kyc.account_format'));
+            return;
+          }
+
+          const bank = await this.beneficiaries.findBankByName(match[2]);
+          if (!bank) {
+            await this.bot.sendMessage(chatId, translate(language, 'kyc.bank_unknown', { bank: match[2] }));
+            return;
+          }
+
+          await this.setStep(chatId, KYC_FLOW_STEPS.BVN, { accountNumber: match[1], bankCode: bank.code });
+          await this.bot.sendMessage(chatId, translate(language, 'kyc.bvn_prompt', { bank: bank.name, last4: match[1].slice(-4) }));
+          return;
+        }
+
+        case KYC_FLOW_STEPS.BVN:
+          if (!/^\d{11}$/.test(input)) {
+            await this.bot.sendMessage(chatId, translate(language, 'kyc.bvn_format'));
+            return;
+          }
+          await this.finish(chatId, user, {
+            type: KYC_ID_TYPES.BVN,
+            idNumber: input,
+            accountNumber: session.accountNumber,
+            bankCode: session.bankCode
+          });
+          return;
+
+        case KYC_FLOW_STEPS.NIN:
+          if (!/^\d{11}$/.test(input)) {
+            await this.bot.sendMessage(chatId, translate(language, 'kyc.nin_format'));
+            return;
+          }
+          await this.finish(chatId, user, { type: KYC_ID_TYPES.NIN, idNumber: input });
+          return;
+      }
+    } catch (error) {
+      console.error('KYC flow error:', error);
+      await this.security.clearSession(chatId);
+      await this.bot.sendMessage(chatId, translate(language, 'kyc.error'));
+    }
+  }
+
+  async finish(chatId, user, request) {
+    await this.security.clearSession(chatId);
+    const result = await this.kyc.submit(user, request);
+    await this.bot.sendMessage(chatId, result.message);
+  }
+
+  setStep(chatId, type, data = {}) {
+    return this.security.setSession(chatId, { type, ...data, timestamp: Date.now() });
+  }
+}
+
+export default KycFlow;
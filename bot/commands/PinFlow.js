@@ -0,0 +1,147 @@
+import { DEFAULT_LANGUAGE, languageOf, translate } from '../services/LanguageService.js';
+
+/**
+ * Chat steps for /changepin and /forgotpin, kept in the chat session like
+ * the transfer confirmation flow. Every input in these steps is deleted
+ * from the chat by the text handler.
+ */
+export const PIN_FLOW_STEPS = {
+  CHANGE_CURRENT: 'PIN_CHANGE_CURRENT',
+  CHANGE_NEW: 'PIN_CHANGE_NEW',
+  CHANGE_REPEAT: 'PIN_CHANGE_REPEAT',
+  RECOVERY_DOB: 'PIN_RECOVERY_DOB',
+  RECOVERY_OTP: 'PIN_RECOVERY_OTP',
+  RECOVERY_NEW: 'PIN_RECOVERY_NEW',
+  RECOVERY_REPEAT: 'PIN_RECOVERY_REPEAT'
+};
+
+const STEPS = new Set(Object.values(PIN_FLOW_STEPS));
+
+class PinFlow {
+  constructor({ bot, security, pinService }) {
+    this.bot = bot;
+    this.security = security;
+    this.pins = pinService;
+  }
+
+  /**
+   * Whether the chat session is a PIN change or recovery step
+   */
+  isActive(session) {
+    return STEPS.has(session?.type);
+  }
+
+  /**
+   * Recovery steps run even while the account is locked out
+   */
+  isRecovery(session) {
+    return this.isActive(session) && session.type.startsWith('PIN_RECOVERY_');
+  }
+
+  async startChange(chatId, language = DEFAULT_LANGUAGE) {
+    await this.setStep(chatId, PIN_FLOW_STEPS.CHANGE_CURRENT);
+    await this.bot.sendMessage(chatId, translate(language, 'pin_flow.change_start'));
+  }
+
+  async startRecovery(chatId, language = DEFAULT_LANGUAGE) {
+    await this.setStep(chatId, PIN_FLOW_STEPS.RECOVERY_DOB);
+    await this.bot.sendMessage(chatId, translate(language, 'pin_flow.recovery_start'));
+  }
+
+  /**
+   * Handle a message sent during a PIN step
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object} user - User row
+   * @param {string} text - Message text
+   * @param {Object} session - Current chat session
+   */
+  async handleInput(chatId, user, text, session) {
+    const input = text.trim();
+    const language = languageOf(user);
+
+    if (/^cancel$/i.test(input)) {
+      await this.security.clearSession(chatId);
+      await this.bot.sendMessage(chatId, translate(language, 'pin_flow.cancelled'));
+      return;
+    }
+
+    try {
+      switch (session.type) {
+        case PIN_FLOW_STEPS.CHANGE_CURRENT: {
+          if (!/^\d{4}$/.test(input)) {
+            await this.bot.sendMessage(chatId, translate(language, 'pin_flow.enter_current'));
+            return;
+          }
+
+          const result = await this.pins.verifyCurrentPin(user, input);
+          if (result.success) {
+            await this.setStep(chatId, PIN_FLOW_STEPS.CHANGE_NEW);
+          } else {
+            await this.security.clearSession(chatId);
+          }
+          await this.bot.sendMessage(chatId, result.message);
+          return;
+        }
+
+        case PIN_FLOW_STEPS.CHANGE_NEW:
+        case PIN_FLOW_STEPS.RECOVERY_NEW: {
+          const result = await this.pins.prepareNewPin(user, input);
+          if (result.success) {
+            const repeat = session.type === PIN_FLOW_STEPS.CHANGE_NEW
+              ? PIN_FLOW_STEPS.CHANGE_REPEAT
+              : PIN_FLOW_STEPS.RECOVERY_REPEAT;
+            await this.setStep(chatId, repeat, { pinHash: result.pinHash });
+          }
+          await this.bot.sendMessage(chatId, result.message);
+          return;
+        }
+
+        case PIN_FLOW_STEPS.CHANGE_REPEAT:
+        case PIN_FLOW_STEPS.RECOVERY_REPEAT: {
+          const isChange = session.type === PIN_FLOW_STEPS.CHANGE_REPEAT;
+
+          if (!(await this.pins.matchesNewPin(input, session.pinHash))) {
+            await this.setStep(chatId, isChange ? PIN_FLOW_STEPS.CHANGE_NEW : PIN_FLOW_STEPS.RECOVERY_NEW);
+            await this.bot.sendMessage(chatId, translate(language, 'pin_flow.mismatch'));
+            return;
+          }
+
+          const result = isChange
+            ? await this.pins.changePin(user, session.pinHash)
+            : await this.pins.resetPin(user, session.pinHash);
+
+          await this.security.clearSession(chatId);
+          await this.bot.sendMessage(chatId, result.message);
+          return;
+        }
+
+        case PIN_FLOW_STEPS.RECOVERY_DOB:
+        case PIN_FLOW_STEPS.RECOVERY_OTP: {
+          const result = session.type === PIN_FLOW_STEPS.RECOVERY_DOB
+            ? await this.pins.startRecovery(user, input)
+            : await this.pins.verifyRecoveryOtp(user, input);
+
+          if (result.done) {
+            await this.security.clearSession(chatId);
+          } else if (result.success) {
+            await this.setStep(chatId, session.type === PIN_FLOW_STEPS.RECOVERY_DOB
+              ? PIN_FLOW_STEPS.RECOVERY_OTP
+              : PIN_FLOW_STEPS.RECOVERY_NEW);
+          }
+          await this.bot.sendMessage(chatId, result.message);
+          return;
+        }
+      }
+    } catch (error) {
+      console.error('PIN flow error:', error);
+      await this.security.clearSession(chatId);
+      await this.bot.sendMessage(chatId, translate(language, 'pin_flow.error'));
+    }
+  }
+
+  setStep(chatId, type, data = {}) {
+    return this.security.setSession(chatId, { type, ...data, timestamp: Date.now() });
+  }
+}
+
+export default PinFlow;
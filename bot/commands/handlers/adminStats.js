@@ -0,0 +1,22 @@
+/**
+ * /admin_stats - session and lockout counts (admins only)
+ */
+export default {
+  name: 'admin_stats',
+  type: 'command',
+  command: 'admin_stats',
+  middleware: ['requireAdmin'],
+  errorMessage: '❌ Error retrieving statistics.',
+
+  async handle(ctx) {
+    const stats = await ctx.security.getStats();
+
+    await ctx.reply(
+      `📊 System Statistics\n\n` +
+      `👥 Active Users: ${stats.activeUsers}\n` +
+      `🔄 Active Sessions: ${stats.activeSessions}\n` +
+      `💬 Conversation Contexts: ${stats.conversationContexts}\n` +
+      `🔒 Locked Users: ${stats.lockedUsers}\n` +
+      `⏰ Uptime: ${Math.floor(process.uptime())} seconds`);
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * /banks - list banks the OCR and transfer flows recognise
+ */
+export default {
+  name: 'banks',
+  type: 'command',
+  command: 'banks',
+  description: 'Show supported banks',
+  middleware: ['rateLimit'],
+  errorMessage: '❌ Unable to retrieve bank list.',
+
+  async handle(ctx) {
+    const banks = ctx.ocrService.getSupportedBanks();
+    const bankList = banks
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(bank => `• ${bank.name}`)
+      .join('\n');
+
+    await ctx.reply(
+      `🏦 *Supported Banks* (${banks.length})\n\n${bankList}\n\n` +
+      `💡 You can send money to any of these banks!`,
+      { parse_mode: 'Markdown' });
+  }
+};
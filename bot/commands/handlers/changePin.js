@@ -0,0 +1,17 @@
+import { languageOf } from '../../services/LanguageService.js';
+
+/**
+ * /changepin - replace the transaction PIN (current PIN → new PIN twice)
+ */
+export default {
+  name: 'changepin',
+  type: 'command',
+  command: 'changepin',
+  description: 'Change your transaction PIN',
+  middleware: ['rateLimit', 'requireUser', 'checkLockout'],
+  errorMessage: 'pin_flow.change_error',
+
+  async handle(ctx) {
+    await ctx.pinFlow.startChange(ctx.chatId, languageOf(ctx.user));
+  }
+};
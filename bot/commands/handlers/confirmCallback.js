@@ -0,0 +1,51 @@
+import { CONFIRM_CALLBACK_PREFIX } from '../ConversationFlow.js';
+import { languageOf, translate } from '../../services/LanguageService.js';
+
+/**
+ * ✅ Confirm / ❌ Cancel presses on transfer and beneficiary confirmations.
+ * The press must carry a valid signature for this chat and match the
+ * pending session; the original message is then edited to its final state
+ * so the buttons can't be pressed again.
+ */
+export default {
+  name: 'confirmCallback',
+  type: 'callback',
+  prefix: CONFIRM_CALLBACK_PREFIX,
+  middleware: ['rateLimit', 'requireUser', 'checkLockout'],
+
+  async handle(ctx) {
+    const { bot, msg, chatId, user, args: data, security, conversation, callbackSigner } = ctx;
+    const target = { chat_id: chatId, message_id: msg.message_id };
+    const language = languageOf(user);
+
+    const verified = callbackSigner.verify(data, chatId);
+    if (!verified) {
+      console.error(`❌ [CALLBACK] Invalid signature from chat ${chatId}`);
+      await security.logEvent(user.id, 'INVALID_CALLBACK_SIGNATURE', { chatId, data });
+      await ctx.answer(translate(language, 'common.invalid_button'));
+      return;
+    }
+
+    const [choice, confirmationId] = verified.parts;
+    const session = await security.getSession(chatId);
+
+    if (!session || !session.type?.startsWith('CONFIRM_') || session.confirmationId !== confirmationId) {
+      await ctx.answer(translate(language, 'confirm.expired'));
+      await bot.editMessageReplyMarkup({ inline_keyboard: [] }, target).catch(() => {});
+      return;
+    }
+
+    const isConfirmed = choice === 'y';
+    const outcome = translate(language, isConfirmed ? 'confirm.confirmed' : 'confirm.cancelled');
+
+    // Claim the session before acting so a second press finds nothing
+    await security.clearSession(chatId);
+    await ctx.answer(outcome);
+    await bot.editMessageText(
+      `${msg.text || ''}\n\n${outcome}`,
+      target
+    ).catch(error => console.error('❌ [CALLBACK] Failed to update confirmation message:', error.message));
+
+    await conversation.handleConfirmation(chatId, user, isConfirmed, session);
+  }
+};
@@ -0,0 +1,58 @@
+import axios from 'axios';
+import { BULK_TRANSFER_CONFIG } from '../../services/BulkTransferService.js';
+import { languageOf, translate } from '../../services/LanguageService.js';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Documents - a CSV or Excel .xlsx sheet of payments (account_number,
+ * bank, amount, narration) becomes a bulk payout confirmation
+ */
+export default {
+  name: 'document',
+  type: 'document',
+  middleware: ['rateLimit', 'requireUser', 'checkLockout'],
+  errorMessage: 'bulk.read_error',
+
+  async handle(ctx) {
+    const { bot, msg, user, bulkTransferService, conversation } = ctx;
+    const language = languageOf(user);
+    const { document } = msg;
+    const isXlsx = /\.xlsx$/i.test(document.file_name || '') || document.mime_type === XLSX_MIME_TYPE;
+    const fileName = document.file_name || (isXlsx ? 'payments.xlsx' : 'payments.csv');
+
+    if (/\.xls$/i.test(fileName)) {
+      await ctx.reply(translate(language, 'bulk.xls_unsupported'));
+      return;
+    }
+
+    if (!isXlsx && !/\.csv$/i.test(fileName) && document.mime_type !== 'text/csv') {
+      await ctx.reply(translate(language, 'bulk.file_hint'));
+      return;
+    }
+
+    if (document.file_size > BULK_TRANSFER_CONFIG.MAX_FILE_SIZE) {
+      await ctx.reply(translate(language, 'bulk.too_large', { size: BULK_TRANSFER_CONFIG.MAX_FILE_SIZE / 1024 }));
+      return;
+    }
+
+    await ctx.reply(translate(language, 'bulk.checking'));
+
+    const file = await bot.getFile(document.file_id);
+    const fileLink = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`;
+    const response = await axios.get(fileLink, {
+      responseType: 'arraybuffer',
+      timeout: 15000,
+      maxContentLength: BULK_TRANSFER_CONFIG.MAX_FILE_SIZE
+    });
+
+    console.log('📦 Processing bulk payout file from Telegram:', {
+      fileName,
+      fileSize: document.file_size,
+      userId: user.id
+    });
+
+    const result = await bulkTransferService.prepare(user, Buffer.from(response.data), fileName);
+    await conversation.handleWorkflowResult(ctx.chatId, user, result);
+  }
+};
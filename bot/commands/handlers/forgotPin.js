@@ -0,0 +1,18 @@
+import { languageOf } from '../../services/LanguageService.js';
+
+/**
+ * /forgotpin - reset a forgotten transaction PIN with date of birth and an
+ * SMS/email OTP. Allowed while locked out; transfers pause for 24 hours.
+ */
+export default {
+  name: 'forgotpin',
+  type: 'command',
+  command: 'forgotpin',
+  description: 'Reset a forgotten transaction PIN',
+  middleware: ['rateLimit', 'requireUser'],
+  errorMessage: 'pin_flow.recovery_error',
+
+  async handle(ctx) {
+    await ctx.pinFlow.startRecovery(ctx.chatId, languageOf(ctx.user));
+  }
+};
@@ -0,0 +1,59 @@
+/**
+ * /help - natural language examples and the registered command list
+ */
+export default {
+  name: 'help',
+  type: 'command',
+  command: 'help',
+  description: 'Show this help message',
+  middleware: ['rateLimit'],
+  errorMessage: '❌ Error displaying help. Please try again.',
+
+  async handle(ctx) {
+    const commands = ctx.router.listCommands()
+      .map(({ command, description }) => `/${command} - ${description}`)
+      .join('\n');
+
+    await ctx.reply(
+      `🆘 QuickWallet Help\n\n` +
+      `💬 **Natural Language Commands:**\n` +
+      `Just talk to me naturally! I understand:\n\n` +
+
+      `💰 **Wallet Funding:**\n` +
+      `• "Fund my wallet with 10000"\n` +
+      `• "I want to add money to my wallet"\n` +
+      `• "How do I fund my account?"\n\n` +
+
+      `💸 **Send Money:**\n` +
+      `• "Send 5000 to 0123456789"\n` +
+      `• "Transfer 10000 to John" (saved contact)\n` +
+      `• "Pay my friend 2000"\n` +
+      `• "Send 1500 to @ada" or "Send 1500 to 08031234567" (QuickWallet users: instant and free)\n` +
+      `• "Request 5000 from @ada for lunch" (they get a Pay button)\n` +
+      `• "Send 20000 to Mom every 1st of the month" (manage with /schedules)\n` +
+      `• "Send 30000 split between John, Ada and Tunde" (or "split 2:1", or "5000 to John and 3000 to Ada")\n` +
+      `• Send a CSV or Excel (.xlsx) file (account_number, bank, amount, narration) to pay many accounts at once\n\n` +
+
+      `👥 **Manage Beneficiaries:**\n` +
+      `• "Add my mom's account 0123456789 GTBank"\n` +
+      `• "Save this account as John"\n` +
+      `• "Show my saved contacts"\n` +
+      `• Send a bank statement photo to auto-add\n\n` +
+
+      `📊 **Account Info:**\n` +
+      `• "Check my balance"\n` +
+      `• "Show transaction history"\n` +
+      `• "What's my account number?"\n\n` +
+
+      `🔐 **Security Features:**\n` +
+      `• PIN protection for all transfers\n` +
+      `• Daily and per-transaction limits by verification tier (see /limits)\n` +
+      `• Account lockout after failed attempts\n\n` +
+
+      `📱 **Other Commands:**\n` +
+      `${commands}\n\n` +
+
+      `❓ **Need Help?**\n` +
+      `Just ask me anything about your wallet!`);
+  }
+};
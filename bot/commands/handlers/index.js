@@ -0,0 +1,36 @@
+import start from './start.js';
+import help from './help.js';
+import banks from './banks.js';
+import testBank from './testBank.js';
+import limits from './limits.js';
+import schedules from './schedules.js';
+import language from './language.js';
+import verify from './verify.js';
+import changePin from './changePin.js';
+import forgotPin from './forgotPin.js';
+import adminStats from './adminStats.js';
+import photo from './photo.js';
+import document from './document.js';
+import text from './text.js';
+import confirmCallback from './confirmCallback.js';
+import paymentRequestCallback from './paymentRequestCallback.js';
+
+// Registration order is the order /help lists commands in
+export default [
+  start,
+  help,
+  banks,
+  testBank,
+  limits,
+  schedules,
+  language,
+  verify,
+  changePin,
+  forgotPin,
+  adminStats,
+  photo,
+  document,
+  text,
+  confirmCallback,
+  paymentRequestCallback
+];
@@ -0,0 +1,25 @@
+/**
+ * /language - show the language the bot replies in
+ * /language <en|pcm|yo|ig|ha> - always reply in that language
+ * /language auto - follow the language of the user's messages
+ */
+export default {
+  name: 'language',
+  type: 'command',
+  command: 'language',
+  description: 'Choose English, Pidgin, Yoruba, Igbo or Hausa',
+  middleware: ['rateLimit', 'requireUser'],
+  errorMessage: 'language.error',
+
+  async handle(ctx) {
+    const { user, args, languageService } = ctx;
+
+    if (!args) {
+      await ctx.reply(languageService.describe(user));
+      return;
+    }
+
+    const result = await languageService.setPreferred(user, args.trim());
+    await ctx.reply(result.message);
+  }
+};
@@ -0,0 +1,55 @@
+import { languageOf, translate } from '../../services/LanguageService.js';
+
+/**
+ * /limits - show the user's transfer limits and today's usage
+ * /limits daily <amount> | /limits single <amount> - lower a limit
+ */
+export default {
+  name: 'limits',
+  type: 'command',
+  command: 'limits',
+  description: 'View or lower your transfer limits',
+  middleware: ['rateLimit', 'requireUser', 'checkLockout'],
+  errorMessage: 'limits.error',
+
+  async handle(ctx) {
+    const { user, args, limitService, security } = ctx;
+    const language = languageOf(user);
+
+    if (args) {
+      const match = args.match(/^(daily|single)\s+₦?([\d,]+(?:\.\d{1,2})?)$/i);
+
+      if (!match) {
+        await ctx.reply(translate(language, 'limits.usage'));
+        return;
+      }
+
+      const type = match[1].toLowerCase();
+      const amount = parseFloat(match[2].replace(/,/g, ''));
+      const result = await limitService.lowerLimit(user, type, amount);
+
+      if (result.success) {
+        await security.logEvent(user.id, 'LIMIT_LOWERED', { type, amount });
+      }
+
+      await ctx.reply(result.message);
+      return;
+    }
+
+    const status = await limitService.getLimitStatus(user);
+    const lowered = isLowered => isLowered ? translate(language, 'limits.lowered_by_you') : '';
+
+    await ctx.reply(translate(language, 'limits.status', {
+      tier: status.tier,
+      tierName: status.tierName,
+      single: status.single.toLocaleString(),
+      singleLowered: lowered(status.lowered.single),
+      daily: status.daily.toLocaleString(),
+      dailyLowered: lowered(status.lowered.daily),
+      used: status.usedToday.toLocaleString(),
+      remaining: status.remainingToday.toLocaleString(),
+      tierSingle: status.tierSingle.toLocaleString(),
+      tierDaily: status.tierDaily.toLocaleString()
+    }));
+  }
+};
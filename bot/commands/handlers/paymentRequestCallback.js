@@ -0,0 +1,49 @@
+import { PAYMENT_REQUEST_CALLBACK_PREFIX } from '../../services/PaymentRequestService.js';
+import { languageOf, translate } from '../../services/LanguageService.js';
+
+/**
+ * 💸 Pay / ❌ Decline presses on a payment request. Pay starts the normal
+ * limits → PIN → wallet transfer path; the request is only marked paid
+ * once that transfer succeeds, so the buttons stay until then.
+ */
+export default {
+  name: 'paymentRequestCallback',
+  type: 'callback',
+  prefix: PAYMENT_REQUEST_CALLBACK_PREFIX,
+  middleware: ['rateLimit', 'requireUser', 'checkLockout'],
+
+  async handle(ctx) {
+    const { bot, msg, chatId, user, args: data, security, conversation, callbackSigner, paymentRequestService } = ctx;
+    const target = { chat_id: chatId, message_id: msg.message_id };
+    const language = languageOf(user);
+
+    const verified = callbackSigner.verify(data, chatId);
+    if (!verified) {
+      console.error(`❌ [CALLBACK] Invalid signature from chat ${chatId}`);
+      await security.logEvent(user.id, 'INVALID_CALLBACK_SIGNATURE', { chatId, data });
+      await ctx.answer(translate(language, 'common.invalid_button'));
+      return;
+    }
+
+    const [choice, requestId] = verified.parts;
+    const request = await paymentRequestService.get(requestId);
+
+    if (!request || request.payer_id !== user.id || !paymentRequestService.isOpen(request)) {
+      await ctx.answer(translate(language, 'requests.closed'));
+      await bot.editMessageReplyMarkup({ inline_keyboard: [] }, target).catch(() => {});
+      return;
+    }
+
+    if (choice === 'd') {
+      await paymentRequestService.decline(request);
+      const declined = translate(language, 'requests.declined');
+      await ctx.answer(declined);
+      await bot.editMessageText(`${msg.text || ''}\n\n${declined}`, target)
+        .catch(error => console.error('❌ [CALLBACK] Failed to update payment request message:', error.message));
+      return;
+    }
+
+    await ctx.answer(translate(language, 'requests.paying'));
+    await conversation.payRequest(chatId, user, request);
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * Photos - OCR a bank statement or account screenshot into a
+ * beneficiary or transfer
+ */
+export default {
+  name: 'photo',
+  type: 'photo',
+  middleware: ['rateLimit', 'requireUser'],
+
+  async handle(ctx) {
+    const { bot, msg, user, workflowService, conversation } = ctx;
+
+    try {
+      await ctx.reply('📷 Processing image... Please wait.\n\n⏳ This may take a few seconds...');
+
+      const photo = msg.photo[msg.photo.length - 1];
+      const file = await bot.getFile(photo.file_id);
+      const fileLink = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`;
+
+      console.log('📸 Processing image from Telegram:', {
+        fileId: photo.file_id,
+        fileSize: photo.file_size,
+        userId: user.id
+      });
+
+      const result = await workflowService.processUserInput(user.id, { imageUrl: fileLink });
+
+      console.log('✅ Image processing result:', {
+        success: result.success,
+        action: result.action,
+        userId: user.id
+      });
+
+      await conversation.handleWorkflowResult(ctx.chatId, user, result);
+
+    } catch (error) {
+      console.error('❌ Photo processing error:', error);
+      await ctx.reply(
+        `❌ Failed to process image.\n\n` +
+        `Error: ${error.message}\n\n` +
+        `Please try:\n` +
+        `• A clearer image with better lighting\n` +
+        `• Ensure account details are clearly visible\n` +
+        `• Or enter details manually using text`);
+    }
+  }
+};
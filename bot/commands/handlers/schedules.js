@@ -0,0 +1,77 @@
+import { SCHEDULE_STATUS, describeSchedule, formatRunTime } from '../../services/ScheduledTransferService.js';
+import { languageOf, translate } from '../../services/LanguageService.js';
+
+const ACTIONS = {
+  pause: SCHEDULE_STATUS.PAUSED,
+  resume: SCHEDULE_STATUS.ACTIVE,
+  cancel: SCHEDULE_STATUS.CANCELLED
+};
+
+/**
+ * /schedules - list the user's scheduled transfers
+ * /schedules pause|resume|cancel <number> - manage one of them
+ */
+export default {
+  name: 'schedules',
+  type: 'command',
+  command: 'schedules',
+  description: 'List, pause or cancel scheduled transfers',
+  middleware: ['rateLimit', 'requireUser', 'checkLockout'],
+  errorMessage: 'schedule.error',
+
+  async handle(ctx) {
+    const { user, args, scheduledTransferService, security } = ctx;
+    const language = languageOf(user);
+    const schedules = await scheduledTransferService.list(user.id);
+
+    if (args) {
+      const match = args.match(/^(pause|resume|cancel)\s+(\d+)$/i);
+      const schedule = match && schedules[parseInt(match[2], 10) - 1];
+
+      if (!match) {
+        await ctx.reply(translate(language, 'schedule.usage'));
+        return;
+      }
+
+      if (!schedule) {
+        await ctx.reply(translate(language, 'schedule.not_found', { number: match[2] }));
+        return;
+      }
+
+      const action = match[1].toLowerCase();
+      const result = await scheduledTransferService.setStatus(user.id, schedule.id, ACTIONS[action], language);
+
+      if (result.success) {
+        await security.logEvent(user.id, 'SCHEDULE_UPDATED', { scheduleId: schedule.id, action });
+      }
+
+      await ctx.reply(result.message);
+      return;
+    }
+
+    if (schedules.length === 0) {
+      await ctx.reply(translate(language, 'schedule.none'));
+      return;
+    }
+
+    const lines = schedules.map((schedule, index) => {
+      const to = schedule.beneficiary
+        ? `${schedule.beneficiary.account_name} (${schedule.beneficiary.nickname})`
+        : translate(language, 'schedule.removed_beneficiary');
+      const state = schedule.status === SCHEDULE_STATUS.PAUSED
+        ? translate(language, 'schedule.state_paused')
+        : translate(language, 'schedule.state_next', { date: formatRunTime(schedule.next_run_at) });
+      const last = schedule.last_status === 'failed'
+        ? `\n   ${translate(language, 'schedule.last_failed', { reason: schedule.last_error })}`
+        : '';
+
+      return `${index + 1}. ${translate(language, 'schedule.item', {
+        amount: parseFloat(schedule.amount).toLocaleString(),
+        to,
+        when: describeSchedule(schedule, language)
+      })}\n   ${state}${last}`;
+    });
+
+    await ctx.reply(translate(language, 'schedule.list', { lines: lines.join('\n\n') }));
+  }
+};
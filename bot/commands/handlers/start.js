@@ -0,0 +1,93 @@
+/**
+ * /start [userId] - link the Telegram chat to a registered account.
+ * The registration site redirects here with the user ID as the start payload.
+ */
+export default {
+  name: 'start',
+  type: 'command',
+  command: 'start',
+  description: 'Link your account',
+  middleware: ['rateLimit'],
+  errorMessage: '❌ Something went wrong. Please try again later.',
+
+  async handle(ctx) {
+    const { chatId, args: userId, supabase, limitService } = ctx;
+
+    if (!userId) {
+      await ctx.reply(
+        `👋 Welcome to QuickWallet!\n\n` +
+        `To get started, please create an account first at our registration portal.\n` +
+        `After registration, you'll be automatically redirected here.\n\n` +
+        `🔗 Registration: [Create Account](https://quickwallet-gules.vercel.app)`);
+      return;
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({ telegram_chat_id: chatId.toString() })
+      .eq('id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    if (!user) return;
+
+    await setupUserWallet(ctx, user);
+
+    const limits = await limitService.getLimits(user);
+
+    await ctx.reply(`🎉 Welcome to QuickWallet, ${user.first_name}!\n\n` +
+      `Your account has been successfully linked. I'm your AI-powered financial assistant.\n\n` +
+      `Wait for few minutes to allow account propagation then your wallet can be funded\n\n` +
+      `✨ What I can help you with:\n` +
+      `💰 Fund your wallet\n` +
+      `💸 Send money to friends & saved contacts\n` +
+      `👥 Manage beneficiaries (save frequent contacts)\n` +
+      `📊 Check transaction history\n` +
+      `📱 Account management\n` +
+      `🤖 Natural conversation about your finances\n\n` +
+      `Just talk to me naturally! For example:\n` +
+      `"Send 5000 to John"\n` +
+      `"Add my mom's account 0123456789"\n` +
+      `"Fund my wallet with 10000"\n` +
+      `"Show my saved contacts"\n\n` +
+      `🔐 Security Features:\n` +
+      `• ${limits.tierName} tier daily limit: ₦${limits.daily.toLocaleString()}\n` +
+      `• Per transaction: ₦${limits.single.toLocaleString()}\n` +
+      `• PIN protection for all transfers\n\n` +
+      `How can I assist you today? 😊`);
+  }
+};
+
+/**
+ * Create the Paystack customer and dedicated virtual account on first link
+ */
+async function setupUserWallet({ paystackService, supabase }, user) {
+  try {
+    if (user.paystack_customer_code) return;
+
+    const customerData = await paystackService.createCustomer({
+      email: user.email,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      phone: user.phone_number
+    });
+
+    const virtualAccount = await paystackService.createDedicatedAccount(
+      customerData.customer_code
+    );
+
+    await supabase
+      .from('users')
+      .update({
+        paystack_customer_code: customerData.customer_code,
+        virtual_account_number: virtualAccount.account_number,
+        virtual_account_name: virtualAccount.account_name
+      })
+      .eq('id', user.id);
+
+    console.log(`Virtual account created for user ${user.id}: ${virtualAccount.account_number}`);
+  } catch (error) {
+    console.error('Error setting up user wallet:', error);
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * /test_bank <name> - debug bank name resolution
+ */
+export default {
+  name: 'test_bank',
+  type: 'command',
+  command: 'test_bank',
+  middleware: ['rateLimit'],
+  errorMessage: '❌ Error testing bank resolution.',
+
+  async handle(ctx) {
+    const bankName = ctx.args;
+
+    if (!bankName) {
+      await ctx.reply('Usage: /test_bank <bank name>');
+      return;
+    }
+
+    const result = await ctx.beneficiaryService.testBankResolution(bankName);
+    if (result) {
+      await ctx.reply(`✅ Found: ${result.name} (Code: ${result.code})`);
+    } else {
+      await ctx.reply(`❌ Could not find: "${bankName}"`);
+    }
+  }
+};
@@ -0,0 +1,86 @@
+import { checkLockout } from '../middleware.js';
+import { translate } from '../../services/LanguageService.js';
+
+/**
+ * Free text - PIN entry, /changepin, /forgotpin and /verify steps, follow-ups and
+ * new requests understood by WalletWorkflowService. Confirmations are
+ * answered with the inline keyboard (see confirmCallback.js).
+ */
+export default {
+  name: 'text',
+  type: 'text',
+  // checkLockout runs in handle(), after PIN recovery steps (which must work while locked out)
+  middleware: ['rateLimit', 'requireUser'],
+  errorMessage:
+    '🤖 Sorry, I had trouble understanding that. Could you rephrase? ' +
+    'I can help you with wallet funding, transfers, balance checks, beneficiary management, and transaction history.',
+
+  async handle(ctx) {
+    const { chatId, user, args: text, security, pinFlow } = ctx;
+
+    const session = await security.getSession(chatId);
+
+    if (pinFlow.isRecovery(session)) {
+      await deleteSensitiveMessage(ctx);
+      await pinFlow.handleInput(chatId, user, text, session);
+      return;
+    }
+
+    await checkLockout(ctx, () => handleUnlocked(ctx, session));
+  }
+};
+
+async function handleUnlocked(ctx, session) {
+  const { chatId, user, args: text, security, workflowService, conversation, pinFlow, kycFlow, languageService } = ctx;
+
+  if (pinFlow.isActive(session)) {
+    await deleteSensitiveMessage(ctx);
+    await pinFlow.handleInput(chatId, user, text, session);
+    return;
+  }
+
+  if (kycFlow.isActive(session)) {
+    await deleteSensitiveMessage(ctx);
+    await kycFlow.handleInput(chatId, user, text, session);
+    return;
+  }
+
+  if (session?.type === 'TRANSFER_PIN' && /^\d{4}$/.test(text.trim())) {
+    await deleteSensitiveMessage(ctx);
+    await conversation.handlePinVerification(chatId, user, text.trim(), session);
+    return;
+  }
+
+  // Replies follow the language of this message unless the user picked one with /language
+  const language = await languageService.observe(user, text);
+
+  if (session?.type?.startsWith('CONFIRM_') && /^(yes|no|y|n|ok|okay|confirm|cancel)\b/i.test(text.trim())) {
+    await ctx.reply(translate(language, 'confirm.tap_buttons', {
+      confirm: translate(language, 'confirm.confirm'),
+      cancel: translate(language, 'confirm.cancel')
+    }));
+    return;
+  }
+
+  const context = await security.getConversationContext(chatId);
+
+  // A clarifying question is answered once, whatever the reply; a later "yes" must not replay it
+  if (context?.lastAction === 'CLARIFY_INTENT') {
+    await security.clearConversationContext(chatId);
+  }
+
+  const result = context && context.lastAction
+    ? await workflowService.processFollowUp(user.id, text, context, language)
+    : await workflowService.processUserInput(user.id, { message: text, language });
+
+  await conversation.handleWorkflowResult(chatId, user, result);
+}
+
+/**
+ * Keep PINs, OTPs, dates of birth and BVN/NIN out of chat history; the PIN pad
+ * avoids sending the transfer PIN at all
+ */
+async function deleteSensitiveMessage({ bot, chatId, msg }) {
+  await bot.deleteMessage(chatId, msg.message_id)
+    .catch(error => console.error('❌ [PIN] Failed to delete sensitive message:', error.message));
+}
@@ -0,0 +1,44 @@
+import { languageOf, translate } from '../../services/LanguageService.js';
+
+/**
+ * /verify - show KYC status
+ * /verify bvn | /verify nin - verify an identity to raise the KYC tier
+ */
+export default {
+  name: 'verify',
+  type: 'command',
+  command: 'verify',
+  description: 'Verify your BVN or NIN to raise your limits',
+  middleware: ['rateLimit', 'requireUser', 'checkLockout'],
+  errorMessage: 'verify.error',
+
+  async handle(ctx) {
+    const { chatId, user, args, kycService, kycFlow } = ctx;
+    const type = args.toLowerCase();
+    const language = languageOf(user);
+
+    if (type === 'bvn' || type === 'nin') {
+      const status = await kycService.getStatus(user);
+
+      if (status.verified[type]) {
+        await ctx.reply(translate(language, 'kyc.already_verified', { label: type.toUpperCase() }));
+      } else if (status.pending[type]) {
+        await ctx.reply(translate(language, 'kyc.already_pending', { label: type.toUpperCase() }));
+      } else {
+        await kycFlow.start(chatId, type, language);
+      }
+      return;
+    }
+
+    if (args) {
+      await ctx.reply(translate(language, 'verify.usage'));
+      return;
+    }
+
+    const status = await kycService.getStatus(user);
+    const line = kind => translate(language,
+      status.verified[kind] ? 'verify.verified' : status.pending[kind] ? 'verify.pending' : 'verify.not_verified');
+
+    await ctx.reply(translate(language, 'verify.status', { tier: status.tier, bvn: line('bvn'), nin: line('nin') }));
+  }
+};
@@ -0,0 +1,110 @@
+import { languageOf, translate } from '../services/LanguageService.js';
+
+/**
+ * Command middleware. Each middleware is `async (ctx, next)`; it either
+ * calls `next()` or replies and stops the chain. Handlers declare the
+ * middleware they need by name (see CommandRouter).
+ */
+
+export const REGISTRATION_MESSAGE =
+  `❌ Please register first to use this service.\n` +
+  `🔗 Registration: [Create Account](https://quickwallet-gules.vercel.app)`;
+
+/**
+ * Reject chats over the per-minute request limit
+ */
+export async function rateLimit(ctx, next) {
+  if (!(await ctx.security.checkRateLimit(ctx.chatId.toString()))) {
+    await ctx.reply('⚠️ Too many requests. Please wait a minute before trying again.');
+    return;
+  }
+
+  await next();
+}
+
+/**
+ * Load the user linked to this chat into `ctx.user`
+ */
+export async function requireUser(ctx, next) {
+  const { data: user } = await ctx.supabase
+    .from('users')
+    .select('*')
+    .eq('telegram_chat_id', ctx.chatId.toString())
+    .single();
+
+  if (!user) {
+    await ctx.reply(REGISTRATION_MESSAGE);
+    return;
+  }
+
+  ctx.user = user;
+  await syncTelegramUsername(ctx);
+  await next();
+}
+
+/**
+ * Keep `users.telegram_username` current so other users can send to
+ * @username. A failure (e.g. the name was taken by a stale row) is logged
+ * and ignored.
+ */
+async function syncTelegramUsername(ctx) {
+  const from = ctx.callbackQuery?.from || ctx.msg?.from;
+  if (!from) return;
+
+  const username = from.username ? from.username.toLowerCase() : null;
+  if (username === (ctx.user.telegram_username ?? null)) return;
+
+  const { error } = await ctx.supabase
+    .from('users')
+    .update({ telegram_username: username })
+    .eq('id', ctx.user.id);
+
+  if (error) {
+    console.error('❌ [USERS] Failed to update Telegram username:', error.message);
+    return;
+  }
+
+  ctx.user.telegram_username = username;
+}
+
+/**
+ * Stop users locked out after too many wrong PINs. Runs after requireUser.
+ */
+export async function checkLockout(ctx, next) {
+  if (await ctx.security.isUserLockedOut(ctx.user.id)) {
+    await ctx.reply(translate(languageOf(ctx.user), 'security.locked'));
+    return;
+  }
+
+  await next();
+}
+
+/**
+ * Allow only admins; loads the user itself if requireUser didn't run
+ */
+export async function requireAdmin(ctx, next) {
+  let user = ctx.user;
+
+  if (!user) {
+    ({ data: user } = await ctx.supabase
+      .from('users')
+      .select('*')
+      .eq('telegram_chat_id', ctx.chatId.toString())
+      .single());
+  }
+
+  if (!user || user.role !== 'admin') {
+    await ctx.reply('❌ Unauthorized access.');
+    return;
+  }
+
+  ctx.user = user;
+  await next();
+}
+
+export const MIDDLEWARE = {
+  rateLimit,
+  requireUser,
+  checkLockout,
+  requireAdmin
+};
@@ -0,0 +1,353 @@
+/**
+ * Offline scoring for EnhancedNLPService.
+ *
+ * Each corpus case is a message with its expected intent and the slots
+ * worth checking. A slot listed with `null` must NOT be extracted (e.g. an
+ * account number mistaken for the amount); slots left out aren't scored.
+ * Gemini is replaced by RecordedGenAI, which replays responses captured
+ * with `npm run eval:nlp -- --record`, or by StubGenAI, which answers with
+ * the labelled function call, so runs need no network.
+ */
+import crypto from 'crypto';
+import { INTENT_SCHEMAS } from '../utils/intentSchema.js';
+
+export const EVAL_SLOTS = ['amount', 'account_number', 'nickname', 'bank_name'];
+
+const AMOUNT_TOLERANCE = 0.005;
+
+/**
+ * Stands in for GoogleGenerativeAI. `forMessage()` selects the recorded
+ * response (a function call, or text) that the next generateContent()
+ * call returns.
+ */
+export class RecordedGenAI {
+  constructor(recordings = {}) {
+    this.recordings = recordings;
+    this.current = null;
+    this.lastPromptHash = null;
+  }
+
+  getGenerativeModel() {
+    return {
+      generateContent: async prompt => {
+        this.lastPromptHash = hashPrompt(prompt);
+        const recording = this.recordings[this.current];
+        if (!recording) {
+          throw new Error(`No recorded response for "${this.current}"`);
+        }
+        return {
+          response: {
+            text: () => recording.response ?? '',
+            functionCalls: () => (recording.functionCall ? [recording.functionCall] : undefined)
+          }
+        };
+      }
+    };
+  }
+
+  forMessage(message) {
+    this.current = message;
+    return this.recordings[message] || null;
+  }
+}
+
+/**
+ * Wraps a real GoogleGenerativeAI client and keeps every response, keyed
+ * by the message being analysed, for RecordedGenAI to replay
+ */
+export class RecordingGenAI {
+  constructor(genAI) {
+    this.genAI = genAI;
+    this.recordings = {};
+    this.current = null;
+  }
+
+  getGenerativeModel(options) {
+    const model = this.genAI.getGenerativeModel(options);
+    return {
+      generateContent: async prompt => {
+        const result = await model.generateContent(prompt);
+        const call = result.response.functionCalls()?.[0];
+        this.recordings[this.current] = {
+          ...(call ? { functionCall: { name: call.name, args: call.args } } : { response: result.response.text() }),
+          promptHash: hashPrompt(prompt),
+          recordedAt: new Date().toISOString()
+        };
+        return result;
+      }
+    };
+  }
+
+  forMessage(message) {
+    this.current = message;
+  }
+}
+
+// Corpus slot → function argument; a nickname is a saved contact except when saving one
+const STUB_ARGUMENTS = { amount: 'amount', account_number: 'account_number', bank_name: 'bank_name', nickname: 'beneficiary_nickname' };
+
+/**
+ * Stands in for GoogleGenerativeAI and always answers with the function
+ * call a perfect model would make for the case selected by `forMessage()`:
+ * its labelled intent, slots and language. Scoring it checks everything
+ * between the model and the workflow (function declarations, schema
+ * validation, slot clean-up) offline; anything below 100% means that path
+ * lost or mangled a correct answer.
+ */
+export class StubGenAI {
+  constructor() {
+    this.current = null;
+  }
+
+  getGenerativeModel(params) {
+    return {
+      generateContent: async prompt => {
+        const testCase = this.current;
+        const declared = params.tools?.[0]?.functionDeclarations?.some(declaration => declaration.name === testCase.intent);
+        if (!declared) {
+          throw new Error(`${testCase.intent} was not offered as a function`);
+        }
+        if (!String(prompt).includes(testCase.text)) {
+          throw new Error(`The prompt does not contain "${testCase.text}"`);
+        }
+
+        return {
+          response: {
+            text: () => '',
+            functionCalls: () => [{ name: testCase.intent, args: StubGenAI.argumentsFor(testCase) }]
+          }
+        };
+      }
+    };
+  }
+
+  forMessage(testCase) {
+    this.current = testCase;
+  }
+
+  /**
+   * The labelled slots as arguments of the case's intent function
+   */
+  static argumentsFor(testCase) {
+    const fields = INTENT_SCHEMAS[testCase.intent].properties;
+    const args = { confidence: 0.95 };
+    if (testCase.lang) args.language = testCase.lang;
+
+    for (const [slot, value] of Object.entries(testCase.slots || {})) {
+      const name = slot === 'nickname' && testCase.intent === 'ADD_BENEFICIARY' ? 'nickname' : STUB_ARGUMENTS[slot];
+      if (name in fields) args[name] = value;
+    }
+
+    return args;
+  }
+}
+
+// Prompts embed the message, so strip it to tell a changed prompt from a new message
+export function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(String(prompt).replace(/USER MESSAGE: ".*"/, '')).digest('hex').slice(0, 12);
+}
+
+/**
+ * The scored slots of an NLP result
+ * @param {Object} result - processMessage() / fallbackAnalysis() output
+ * @returns {Object} { amount, account_number, nickname, bank_name }
+ */
+export function extractSlots(result) {
+  return {
+    amount: result.amount ?? null,
+    account_number: result.account_number ?? null,
+    nickname: result.beneficiary_nickname || result.nickname || null,
+    bank_name: result.bank_name ?? null
+  };
+}
+
+function slotMatches(slot, expected, actual) {
+  if (expected === null || actual === null || actual === undefined) {
+    return expected === null && (actual === null || actual === undefined);
+  }
+
+  if (slot === 'amount') {
+    return Math.abs(parseFloat(actual) - expected) < AMOUNT_TOLERANCE;
+  }
+
+  const normalise = value => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return normalise(actual) === normalise(expected);
+}
+
+/**
+ * Score one case
+ * @param {Object} testCase - { text, lang, intent, slots }
+ * @param {Object} result - NLP output for testCase.text
+ * @returns {Object} { text, lang, expected, predicted, intentCorrect, language, languageCorrect, slots: { [slot]: { expected, actual, correct } } }
+ */
+export function scoreCase(testCase, result) {
+  const actual = extractSlots(result);
+  const slots = {};
+
+  for (const slot of EVAL_SLOTS) {
+    if (!(slot in (testCase.slots || {}))) continue;
+    const expected = testCase.slots[slot];
+    slots[slot] = { expected, actual: actual[slot], correct: slotMatches(slot, expected, actual[slot]) };
+  }
+
+  return {
+    text: testCase.text,
+    lang: testCase.lang || null,
+    expected: testCase.intent,
+    predicted: result.type,
+    intentCorrect: result.type === testCase.intent,
+    // A message with nothing to place it (a bare "5000") keeps the conversation's language, English by default
+    language: result.language || 'en',
+    languageCorrect: testCase.lang && 'language' in result ? (result.language || 'en') === testCase.lang : null,
+    slots
+  };
+}
+
+class NlpEvaluator {
+  /**
+   * @param {Array<Object>} cases - Labelled corpus
+   */
+  constructor(cases) {
+    this.cases = cases;
+  }
+
+  /**
+   * Analyse every case and score it
+   * @param {Function} analyse - async (text, index) => NLP result, or null to skip the case
+   * @returns {Promise<Object>} Report, see summarise()
+   */
+  async run(analyse) {
+    const scored = [];
+    let skipped = 0;
+
+    for (const [index, testCase] of this.cases.entries()) {
+      const result = await analyse(testCase.text, index);
+      if (!result) {
+        skipped++;
+        continue;
+      }
+      scored.push(scoreCase(testCase, result));
+    }
+
+    return { ...this.summarise(scored), skipped };
+  }
+
+  /**
+   * Intent and slot accuracy, per-intent precision/recall, accuracy per
+   * language, language detection and the confusion matrix
+   * @param {Array<Object>} scored - scoreCase() results
+   * @returns {Object} { total, intentAccuracy, slotAccuracy, languageDetection, perIntent, perLang, confusion, labels, failures }
+   */
+  summarise(scored) {
+    const ratio = (correct, total) => (total ? correct / total : null);
+    const labels = [...new Set(this.cases.map(testCase => testCase.intent).concat(scored.map(score => score.predicted)))];
+
+    const confusion = Object.fromEntries(labels.map(expected => [expected, Object.fromEntries(labels.map(predicted => [predicted, 0]))]));
+    scored.forEach(score => { confusion[score.expected][score.predicted]++; });
+
+    const slotAccuracy = Object.fromEntries(EVAL_SLOTS.map(slot => {
+      const labelled = scored.filter(score => score.slots[slot]);
+      const correct = labelled.filter(score => score.slots[slot].correct).length;
+      return [slot, { correct, total: labelled.length, accuracy: ratio(correct, labelled.length) }];
+    }));
+
+    const perIntent = Object.fromEntries(labels.map(label => {
+      const truePositives = confusion[label][label];
+      const support = labels.reduce((sum, predicted) => sum + confusion[label][predicted], 0);
+      const predicted = labels.reduce((sum, expected) => sum + confusion[expected][label], 0);
+      return [label, { support, precision: ratio(truePositives, predicted), recall: ratio(truePositives, support) }];
+    }));
+
+    const perLang = {};
+    for (const score of scored) {
+      const lang = score.lang || 'unknown';
+      perLang[lang] = perLang[lang] || { correct: 0, total: 0 };
+      perLang[lang].total++;
+      if (score.intentCorrect) perLang[lang].correct++;
+    }
+    Object.values(perLang).forEach(entry => { entry.accuracy = ratio(entry.correct, entry.total); });
+
+    const intentCorrect = scored.filter(score => score.intentCorrect).length;
+    const languageScored = scored.filter(score => score.languageCorrect !== null);
+    const languageCorrect = languageScored.filter(score => score.languageCorrect).length;
+    const languageDetection = { correct: languageCorrect, total: languageScored.length, accuracy: ratio(languageCorrect, languageScored.length) };
+
+    return {
+      total: scored.length,
+      intentAccuracy: ratio(intentCorrect, scored.length),
+      slotAccuracy,
+      languageDetection,
+      perIntent,
+      perLang,
+      labels,
+      confusion,
+      failures: scored.filter(score => !score.intentCorrect || score.languageCorrect === false ||
+        Object.values(score.slots).some(slot => !slot.correct))
+    };
+  }
+
+  /**
+   * Plain-text report for the terminal
+   * @param {string} title - Which path was evaluated
+   * @param {Object} report - run() output
+   * @param {Object} [options] - { maxFailures }
+   * @returns {string}
+   */
+  static formatReport(title, report, { maxFailures = 20 } = {}) {
+    const percent = value => (value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+    const lines = [`📊 ${title}: ${report.total} cases` + (report.skipped ? ` (${report.skipped} skipped)` : '')];
+
+    if (!report.total) return lines.join('\n');
+
+    lines.push(`   Intent accuracy: ${percent(report.intentAccuracy)}`);
+    for (const [slot, entry] of Object.entries(report.slotAccuracy)) {
+      lines.push(`   ${slot.padEnd(15)} ${percent(entry.accuracy)} (${entry.correct}/${entry.total})`);
+    }
+    if (report.languageDetection.total) {
+      const entry = report.languageDetection;
+      lines.push(`   ${'language'.padEnd(15)} ${percent(entry.accuracy)} (${entry.correct}/${entry.total})`);
+    }
+    for (const [lang, entry] of Object.entries(report.perLang)) {
+      lines.push(`   [${lang}] intent ${percent(entry.accuracy)} (${entry.correct}/${entry.total})`);
+    }
+
+    lines.push('', '   Intent               Support  Precision  Recall');
+    for (const [label, entry] of Object.entries(report.perIntent)) {
+      if (!entry.support && !entry.precision) continue;
+      lines.push(`   ${label.padEnd(20)} ${String(entry.support).padStart(7)}  ${percent(entry.precision)}    ${percent(entry.recall)}`);
+    }
+
+    // Columns are abbreviated to their row number to keep the matrix narrow
+    const width = Math.max(3, ...report.labels.map((_, index) => String(index + 1).length + 1));
+    lines.push('', '   Confusion matrix (rows: expected, columns: predicted)');
+    lines.push(`   ${''.padEnd(24)}${report.labels.map((_, index) => String(index + 1).padStart(width)).join('')}`);
+    report.labels.forEach((expected, index) => {
+      const row = report.labels.map(predicted => {
+        const count = report.confusion[expected][predicted];
+        return (count ? String(count) : '.').padStart(width);
+      }).join('');
+      lines.push(`   ${`${index + 1}. ${expected}`.padEnd(24)}${row}`);
+    });
+
+    if (report.failures.length) {
+      lines.push('', `   Failures (${report.failures.length}):`);
+      for (const failure of report.failures.slice(0, maxFailures)) {
+        const wrongSlots = Object.entries(failure.slots)
+          .filter(([, slot]) => !slot.correct)
+          .map(([name, slot]) => `${name}=${JSON.stringify(slot.actual)} (want ${JSON.stringify(slot.expected)})`);
+        if (failure.languageCorrect === false) {
+          wrongSlots.push(`language=${failure.language} (want ${failure.lang})`);
+        }
+        const intent = failure.intentCorrect ? failure.predicted : `${failure.predicted} (want ${failure.expected})`;
+        lines.push(`   ❌ "${failure.text}" → ${intent}${wrongSlots.length ? `; ${wrongSlots.join(', ')}` : ''}`);
+      }
+      if (report.failures.length > maxFailures) {
+        lines.push(`   … ${report.failures.length - maxFailures} more (use --verbose)`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+}
+
+export default NlpEvaluator;
@@ -0,0 +1,198 @@
+/**
+ * Score EnhancedNLPService against the labelled corpus without network
+ * access.
+ *
+ *   npm run eval:nlp                          fallbackAnalysis, the stub client and recorded Gemini responses
+ *   npm run eval:nlp -- --mode fallback       one path only (fallback | stub | gemini)
+ *   npm run eval:nlp -- --record              re-record Gemini responses (needs GEMINI_API_KEY)
+ *   npm run eval:nlp -- --min-intent 0.9      exit 1 if intent accuracy drops below 90%
+ *   npm run eval:nlp -- --min-slot 0.8        ... or any scored slot drops below 80%
+ *   npm run eval:nlp -- --min-slot amount=1   ... or the amount slot drops below 100%
+ *
+ * The npm script passes thresholds at the current fallbackAnalysis
+ * accuracy, so a regression exits 1; raise them when accuracy improves.
+ *   npm run eval:nlp -- --json report.json    also write the full report
+ *   npm run eval:nlp -- --verbose             list every failure
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import EnhancedNLPService from '../services/EnhancedNLPService.js';
+import { GeminiProvider, RulesProvider } from '../services/LLMProviders.js';
+import NlpEvaluator, { RecordedGenAI, RecordingGenAI, StubGenAI } from './NlpEvaluator.js';
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+const CORPUS_PATH = path.join(EVAL_DIR, 'nlpCorpus.json');
+const RECORDINGS_PATH = path.join(EVAL_DIR, 'recordings', 'gemini.json');
+
+function parseArgs(argv) {
+  const options = { mode: 'all', record: false, verbose: false, json: null, minIntent: null, minSlot: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--mode': options.mode = argv[++i]; break;
+      case '--record': options.record = true; break;
+      case '--verbose': options.verbose = true; break;
+      case '--json': options.json = argv[++i]; break;
+      case '--min-intent': options.minIntent = parseFloat(argv[++i]); break;
+      case '--min-slot': {
+        // "0.8" applies to every slot, "amount=1" to one
+        const [slot, value] = argv[++i].includes('=') ? argv[i].split('=') : ['*', argv[i]];
+        options.minSlot[slot] = parseFloat(value);
+        break;
+      }
+      default:
+        throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+
+  if (!['all', 'fallback', 'stub', 'gemini'].includes(options.mode)) {
+    throw new Error('--mode must be all, fallback, stub or gemini');
+  }
+
+  return options;
+}
+
+function readJson(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+async function record(cases) {
+  const dotenv = await import('dotenv');
+  dotenv.config();
+
+  if (!process.env.GEMINI_API_KEY) {
+    throw new Error('GEMINI_API_KEY is required to record Gemini responses');
+  }
+
+  const { GoogleGenerativeAI } = await import('@google/generative-ai');
+  const recorder = new RecordingGenAI(new GoogleGenerativeAI(process.env.GEMINI_API_KEY));
+  const nlp = new EnhancedNLPService(new GeminiProvider(recorder));
+
+  for (const [index, testCase] of cases.entries()) {
+    recorder.forMessage(testCase.text);
+    await nlp.processMessage(testCase.text, `eval-${index}`);
+  }
+
+  fs.mkdirSync(path.dirname(RECORDINGS_PATH), { recursive: true });
+  fs.writeFileSync(RECORDINGS_PATH, `${JSON.stringify(recorder.recordings, null, 2)}\n`);
+  console.log(`🎙️  [EVAL] Recorded ${Object.keys(recorder.recordings).length} Gemini responses to ${path.relative(process.cwd(), RECORDINGS_PATH)}`);
+}
+
+async function evaluateFallback(evaluator) {
+  const nlp = new EnhancedNLPService(new RulesProvider());
+  return evaluator.run(async text => nlp.fallbackAnalysis(text));
+}
+
+async function evaluateStub(evaluator, cases) {
+  const genAI = new StubGenAI();
+  const nlp = new EnhancedNLPService(new GeminiProvider(genAI));
+  let rejected = 0;
+
+  const report = await evaluator.run(async (text, index) => {
+    genAI.forMessage(cases[index]);
+    const result = await nlp.processMessage(text, `eval-${index}`);
+    if (result.rejected) rejected++;
+    return result;
+  });
+
+  return { ...report, rejected };
+}
+
+async function evaluateRecorded(evaluator) {
+  const genAI = new RecordedGenAI(readJson(RECORDINGS_PATH, {}));
+  const nlp = new EnhancedNLPService(new GeminiProvider(genAI));
+  let stale = 0;
+  let rejected = 0;
+
+  const report = await evaluator.run(async (text, index) => {
+    const recording = genAI.forMessage(text);
+    if (!recording) return null;
+
+    const result = await nlp.processMessage(text, `eval-${index}`);
+    if (recording.promptHash && recording.promptHash !== genAI.lastPromptHash) stale++;
+    if (result.rejected) rejected++;
+    return result;
+  });
+
+  return { ...report, stale, rejected };
+}
+
+function belowThreshold(report, { minIntent, minSlot }) {
+  const problems = [];
+
+  if (minIntent !== null && report.total && report.intentAccuracy < minIntent) {
+    problems.push(`intent accuracy ${(report.intentAccuracy * 100).toFixed(1)}% < ${(minIntent * 100).toFixed(1)}%`);
+  }
+
+  for (const [slot, entry] of Object.entries(report.slotAccuracy || {})) {
+    const minimum = minSlot[slot] ?? minSlot['*'];
+    if (minimum !== undefined && entry.total && entry.accuracy < minimum) {
+      problems.push(`${slot} accuracy ${(entry.accuracy * 100).toFixed(1)}% < ${(minimum * 100).toFixed(1)}%`);
+    }
+  }
+
+  return problems;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const cases = readJson(CORPUS_PATH, []);
+  const evaluator = new NlpEvaluator(cases);
+  const reports = {};
+
+  if (options.record) {
+    await record(cases);
+  }
+
+  if (['all', 'fallback'].includes(options.mode)) {
+    reports.fallback = await evaluateFallback(evaluator);
+  }
+
+  if (['all', 'stub'].includes(options.mode)) {
+    reports.stub = await evaluateStub(evaluator, cases);
+  }
+
+  if (['all', 'gemini'].includes(options.mode)) {
+    reports.gemini = await evaluateRecorded(evaluator);
+  }
+
+  const formatOptions = { maxFailures: options.verbose ? Infinity : 20 };
+  let failed = false;
+
+  for (const [name, report] of Object.entries(reports)) {
+    const title = { fallback: 'fallbackAnalysis', stub: 'Function calling (stub client)', gemini: 'Gemini (recorded)' }[name];
+    console.log(`\n${NlpEvaluator.formatReport(title, report, formatOptions)}`);
+
+    if (name === 'gemini' && !report.total) {
+      console.log('   No recorded responses yet; run `npm run eval:nlp -- --record` with GEMINI_API_KEY set.');
+    }
+    if (report.stale) {
+      console.log(`   ⚠️  ${report.stale} recording(s) were made with a different prompt; re-record to score the current prompt.`);
+    }
+    if (report.rejected) {
+      console.log(`   ⚠️  ${report.rejected} answer(s) were rejected by the intent schema and scored as fallbackAnalysis.`);
+    }
+
+    const problems = belowThreshold(report, options);
+    if (name === 'stub' && report.failures.length) {
+      problems.push(`${report.failures.length} correct answer(s) were lost between the model and the workflow`);
+    }
+    if (problems.length) {
+      failed = true;
+      console.log(`\n   ❌ ${title} below threshold: ${problems.join('; ')}`);
+    }
+  }
+
+  if (options.json) {
+    fs.writeFileSync(options.json, `${JSON.stringify(reports, null, 2)}\n`);
+    console.log(`\n📝 [EVAL] Report written to ${options.json}`);
+  }
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error('❌ [EVAL] NLP evaluation failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,106 @@
+/**
+ * Words that give a message's language away, and glosses that rewrite
+ * common phrasings into the English keywords fallbackAnalysis looks for.
+ * Both work on text passed through normalizeText() (lowercase, no tone
+ * marks or hooked letters), so "ranṣẹ" is written "ranse" and "kuɗi" "kudi".
+ */
+
+// English is assumed when none of these match and the message has English words
+export const LANGUAGE_MARKERS = {
+  pcm: [
+    'abeg', 'wetin', 'dey', 'wan', 'una', 'oya', 'wahala', 'abi', 'sabi', 'comot', 'wey', 'nko', 'sef',
+    'shey', 'dash', 'padi', 'how far', 'e don', 'i no', 'make you', 'make e', 'make she', 'make dem', 'no be',
+    'sharp sharp', 'how much remain'
+  ],
+  yo: [
+    'jowo', 'ejo', 'owo', 'ranse', 'elo', 'bawo', 'kaaro', 'kaasan', 'kaale', 'kini', 'mo fe', 'fihan',
+    'sayewo', 'pamo', 'itan', 'lowo', 'akaunti', 'modupe', 'apo'
+  ],
+  ig: [
+    'biko', 'ziga', 'zigara', 'ego', 'nye', 'kedu', 'ole', 'foduru', 'daalu', 'dalu', 'nnoo', 'choro',
+    'ndewo', 'lelee', 'tinye', 'chekwaa', 'chekwara', 'akauntu', 'gosi', 'nyere', 'enyemaka'
+  ],
+  ha: [
+    'don allah', 'tura', 'aika', 'kudi', 'kudina', 'nawa', 'zuwa', 'sannu', 'yaya', 'na gode', 'asusu',
+    'saura', 'ragowa', 'ina son', 'duba', 'taimaka', 'taimako', 'ajiye', 'tarihi', 'nuna', 'barka', 'walat'
+  ]
+};
+
+export const ENGLISH_WORDS = [
+  'the', 'my', 'to', 'send', 'transfer', 'pay', 'please', 'want', 'check', 'balance', 'how', 'what', 'show',
+  'hello', 'hi', 'thanks', 'thank', 'money', 'wallet', 'account', 'history', 'help', 'add', 'save', 'fund',
+  'much', 'me', 'you', 'i'
+];
+
+// Applied in order, so longer phrases come before the words inside them
+export const INTENT_GLOSSES = {
+  pcm: [
+    [/\bhow\s+far\b/g, 'hello'],
+    [/\bhow\s+much\s+(?:remain|dey)\b/g, 'balance'],
+    [/\bwetin\s+i\s+don\s+(?:spend|do|send)\b/g, 'transaction history'],
+    [/\b(?:the\s+)?people\s+wey\s+i\s+don\s+save\b/g, 'my saved contacts'],
+    [/\bhow\s+i\s+(?:go|fit)\s+(?:take\s+)?/g, 'i want to '],
+    [/\bput\s+money\s+(?:for|inside|enter)\b/g, 'fund'],
+    [/\btell\s+(\S+)\s+make\s+(?:e|she|he|dem)\s+pay\b/g, 'ask $1 to pay'],
+    [/\bdash\b/g, 'send'],
+    [/\b(send|transfer|pay)\b(.*?)\bgive\b/g, '$1$2to']
+  ],
+  yo: [
+    [/\b(?:elo\s+lo\s+ku|elo\s+ni\s+owo\s+mi|owo\s+melo\s+lo\s+ku)\b/g, 'balance'],
+    [/\bsayewo\b/g, 'check'],
+    [/\bran\s+mi\s+lowo\b|\biranlowo\b/g, 'help'],
+    [/\bbawo\s+ni\b|\be\s+(?:kaaro|kaasan|kaale)\b/g, 'hello'],
+    [/\bitan(?:\s+idunadura)?\b|\bidunadura\b/g, 'transaction history'],
+    [/\bfihan\s+mi\b/g, 'show'],
+    [/\bawon\s+eniyan\s+(?:ti\s+mo\s+fi\s+pamo|mi)\b/g, 'my saved contacts'],
+    [/\bfi\s+owo\s+(?:sinu|si\s+inu)\b/g, 'fund'],
+    [/\bfi\s+(.+?)\s+pamo\b/g, 'save $1'],
+    [/\bakaunti\b/g, 'account'],
+    [/\bbi\b/g, 'as'],
+    [/\bbeere\b/g, 'request'],
+    [/\blowo\b/g, 'from'],
+    [/\branse\s+(?:si|fun)\b/g, 'to'],
+    [/\bfi\b/g, 'send']
+  ],
+  ig: [
+    [/\b(?:ego\s+)?ole\s+(?:ego\s+)?foduru\b/g, 'balance'],
+    [/\blelee\b/g, 'check'],
+    [/\bnyere\s+m\s+aka\b|\benyemaka\b/g, 'help'],
+    [/\bkedu\b|\bndewo\b/g, 'hello'],
+    [/\bakuko\b|\bazumahia\b/g, 'transaction history'],
+    [/\bgosi\s+m\b/g, 'show'],
+    [/\bndi\s+m\s+chekwara\b/g, 'my saved contacts'],
+    [/\btinye\s+ego\b/g, 'fund'],
+    [/\bchekwaa\b/g, 'save'],
+    [/\bakauntu\b/g, 'account'],
+    [/\bzigara\b/g, 'send to'],
+    [/\bziga\b/g, 'send'],
+    [/\bnye\b/g, 'to']
+  ],
+  ha: [
+    [/\bnawa\s+(?:ne\s+)?(?:ya\s+)?(?:rage|saura)\b|\bragowa\b|\bkudi(?:na|\s+na)\s+nawa\b/g, 'balance'],
+    [/\bduba\b/g, 'check'],
+    [/\btaimak[ao]\b/g, 'help'],
+    [/\bsannu\b|\bina\s+kwana\b|\bbarka\b/g, 'hello'],
+    [/\btarihi\b|\bmu'?amaloli\w*/g, 'transaction history'],
+    [/\bnuna\s+min\b/g, 'show'],
+    [/\bmutanen\s+da\s+na\s+ajiye\b|\bmutanena\b/g, 'my saved contacts'],
+    [/\b(?:saka|zuba)\s+kudi\b/g, 'fund'],
+    [/\bajiye\b/g, 'save'],
+    [/\basusu\b/g, 'account'],
+    [/\ba\s+matsayin\b/g, 'as'],
+    [/\b(?:tura|aika)\s+wa\b/g, 'send to'],
+    [/\btura\b|\baika\b/g, 'send'],
+    [/\b(send)\b(.*?)\bwa\b/g, '$1$2to'],
+    [/\bzuwa(?:\s+ga)?\b/g, 'to']
+  ]
+};
+
+// Replies to a yes/no question, in every language
+export const ANSWER_WORDS = {
+  yes: [
+    'yes', 'y', 'yeah', 'yep', 'yup', 'ok', 'okay', 'sure', 'correct', 'confirm', 'yes o', 'na so', 'beeni', 'ee',
+    'eh', 'i', "na'am", 'haka ne'
+  ],
+  no: ['no', 'n', 'nope', 'cancel', 'no be so', 'rara', 'mba', "a'a", 'ba haka ba']
+};
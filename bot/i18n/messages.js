@@ -0,0 +1,1651 @@
+/**
+ * Bot message catalog, one table per language code (see LANGUAGES in
+ * LanguageService). `{name}` placeholders are filled by translate();
+ * a key missing from a language falls back to English. A `<key>_one`
+ * entry is the singular form, used when `{count}` is 1.
+ */
+export const MESSAGES = {
+  en: {
+    'common.error': '❌ An error occurred. Please try again.',
+
+    'workflow.error': 'Sorry, I encountered an error. Please try again.',
+    'workflow.not_understood': "I couldn't understand your request. Please try again or contact support.",
+    'workflow.check_balance': 'Let me check your wallet balance! 💳',
+    'workflow.history': "Here's your recent transaction history! 📊",
+    'workflow.fund': 'I can help you fund your wallet! You can use bank transfer to your dedicated account number or other available funding methods.',
+    'workflow.fund_amount': 'You can fund your wallet with ₦{amount}. Use your dedicated account number for bank transfers, or use other funding methods in the app.',
+    'workflow.send_missing': "To send money, I need the amount and the recipient's account number, phone number or @username. Please provide the missing details.",
+    'workflow.which_beneficiary': 'Which beneficiary would you like to send money to?',
+    'workflow.ask_amount': 'How much would you like to send to {name}?',
+    'workflow.confirm_send': 'Send ₦{amount} to {name}? ✅',
+    'workflow.add_missing': 'To add a beneficiary, I need their account number and a nickname for them. You can also upload a bank statement image!',
+    'workflow.invalid_amount': '❌ Please enter a valid amount (e.g. 5000 or 5k).',
+    'workflow.invalid_amount_or_save': "❌ Please enter a valid amount (e.g. 5000 or 5k) or 'save as [nickname]' to add as beneficiary.",
+    'workflow.amount_too_low': '❌ Amount too low. Minimum is ₦100. Please enter a valid amount.',
+
+    'confirm.confirm': '✅ Confirm',
+    'confirm.cancel': '❌ Cancel',
+    'confirm.confirmed': '✅ Confirmed',
+    'confirm.cancelled': '❌ Cancelled',
+    'confirm.tap_buttons': '👆 Please tap {confirm} or {cancel} on the message above.',
+    'confirm.transfer_cancelled': '❌ Transfer cancelled. How else can I help you? 😊',
+    'confirm.request_cancelled': '❌ Request cancelled. How else can I help you? 😊',
+
+    'pin.enter': '🔐 Please enter your 4-digit transaction PIN to complete the transfer:',
+    'pin.button': 'Enter PIN',
+    'pin.tap': '🔐 Tap *{button}* to enter your 4-digit transaction PIN securely.\n\nYou can also type it here; the message is deleted right away.',
+
+    'language.status': "🌍 I'm replying in {name}{mode}.\n\nChange it with:\n{options}",
+    'language.mode_auto': ' (following the language you write in)',
+    'language.set': "✅ Done! I'll reply in English from now on.",
+    'language.auto': "✅ Done! I'll reply in the language you write in.",
+    'language.unknown': "❌ I don't know that language. Choose one of: {codes}.",
+
+    'clarify.question': '🤔 Just to be sure, do you want to {action}{details}? Reply yes or no.',
+    'clarify.declined': "Okay, I won't do that. Tell me what you'd like to do. 😊",
+    'clarify.SEND_MONEY': 'send money',
+    'clarify.SEND_TO_BENEFICIARY': 'send money to a saved contact',
+    'clarify.REQUEST_MONEY': 'request money',
+    'clarify.SCHEDULE_TRANSFER': 'set up a recurring transfer',
+    'clarify.SPLIT_TRANSFER': 'split a payment',
+    'clarify.ADD_BENEFICIARY': 'save a new contact',
+
+    'common.unexpected': '❌ Something went wrong. Please try again later.',
+    'common.and': ' and ',
+    'security.locked': '🔒 Your account is temporarily locked due to multiple failed attempts. Please try again later.',
+    'language.error': '❌ Unable to change your language. Please try again.',
+
+    'transfer.reset_cooldown': '🛡️ Your PIN was reset recently, so transfers are paused for your security. You can send money again in about {count} hours.',
+    'transfer.reset_cooldown_one': '🛡️ Your PIN was reset recently, so transfers are paused for your security. You can send money again in about 1 hour.',
+    'transfer.paused_after_reset': '🛡️ Transfers are paused after your recent PIN reset.',
+    'transfer.failed_retry': '❌ Transaction failed. Please try again.',
+    'transfer.failed_support': '❌ Transaction failed. Please contact support if this persists.',
+    'transfer.in_progress': '⏳ This transfer is already being processed.',
+
+    'pin.not_awaiting': 'No transfer is awaiting a PIN.',
+    'pin.invalid': '❌ Invalid PIN. {count} attempts remaining before account lockout.',
+    'pin.invalid_one': '❌ Invalid PIN. 1 attempt remaining before account lockout.',
+    'pin.locked': '🔒 Account locked due to multiple failed attempts. Please try again in 15 minutes.',
+    'pin.not_four_digits': 'PIN must be exactly 4 digits.',
+    'pin.too_easy': 'PIN is too easy to guess. Avoid repeated or sequential digits.',
+    'pin.rejected': '❌ {reason} Enter a different PIN:',
+    'pin.same_as_current': '❌ New PIN must be different from your current PIN. Enter a different PIN:',
+    'pin.enter_new': '🔢 Enter your new 4-digit PIN:',
+    'pin.repeat': '🔁 Enter the new PIN again to confirm:',
+    'pin.current_incorrect': '❌ Current PIN is incorrect. {count} attempts remaining before account lockout.',
+    'pin.current_incorrect_one': '❌ Current PIN is incorrect. 1 attempt remaining before account lockout.',
+    'pin.locked_recover': '🔒 Account locked due to multiple failed attempts. Use /forgotpin or try again in 15 minutes.',
+    'pin.changed': '✅ Your transaction PIN has been changed.',
+    'pin.recovery_unavailable': '❌ PIN recovery is unavailable right now. Please contact support.',
+    'pin.recovery_locked': '🔒 Too many failed attempts. Please try again in an hour or contact support.',
+    'pin.dob_mismatch': "❌ That date of birth doesn't match our records. {count} attempts remaining.",
+    'pin.dob_mismatch_one': "❌ That date of birth doesn't match our records. 1 attempt remaining.",
+    'pin.otp_not_sent': '❌ We could not send your code. Please try again later.',
+    'pin.otp_sent': '📨 We sent a 6-digit code to {destinations}. Enter it here (it expires in 10 minutes):',
+    'pin.otp_expired': '⌛ Your code has expired. Send /forgotpin to start again.',
+    'pin.otp_verified': '✅ Code verified. Enter your new 4-digit PIN:',
+    'pin.otp_locked': '🔒 Too many incorrect codes. Send /forgotpin to start again.',
+    'pin.otp_incorrect': '❌ Incorrect code. {count} attempts remaining.',
+    'pin.otp_incorrect_one': '❌ Incorrect code. 1 attempt remaining.',
+    'pin.recovery_expired': '⌛ Your recovery session has expired. Send /forgotpin to start again.',
+    'pin.reset': '✅ Your transaction PIN has been reset.\n\n🛡️ For your security, transfers are paused for {count} hours.',
+    'pin.reset_one': '✅ Your transaction PIN has been reset.\n\n🛡️ For your security, transfers are paused for 1 hour.',
+
+    'pin_flow.change_start': '🔐 Change Transaction PIN\n\nEnter your current 4-digit PIN (or "cancel" to stop):',
+    'pin_flow.recovery_start': '🔑 Forgot Transaction PIN\n\nTo verify your identity, enter your date of birth as DD/MM/YYYY (or "cancel" to stop):',
+    'pin_flow.cancelled': '❌ PIN update cancelled. Your PIN has not changed.',
+    'pin_flow.enter_current': '🔢 Please enter your current 4-digit PIN:',
+    'pin_flow.mismatch': "❌ The PINs didn't match. Enter your new 4-digit PIN again:",
+    'pin_flow.error': '❌ Something went wrong and your PIN was not changed. Please try again.',
+    'pin_flow.change_error': '❌ Unable to start PIN change. Please try again.',
+    'pin_flow.recovery_error': '❌ Unable to start PIN recovery. Please try again.',
+
+    'funding.account_pending': '⚠️ Your virtual account is being set up. Please try again in a moment.',
+    'funding.title': '💰 To fund your wallet:',
+    'funding.title_amount': '💰 To fund your wallet with ₦{amount}:',
+    'funding.details': "🏦 Bank: Paystack-Titan\n🔢 Account Number: {accountNumber}\n📛 Account Name: {accountName}\n\n✨ Your wallet will be credited automatically!\n📱 I'll notify you when the funding is successful.\n\n💡 You can also fund via:\n• Bank app/USSD transfers\n• Online banking\n• ATM transfers",
+
+    'balance.summary': '💰 Wallet Balance\n\n💵 Available: ₦{balance}\n🏦 Account: {accountNumber}\n📊 Daily Limit Remaining: ₦{remaining} of ₦{daily}{recent}\n\n💡 You can fund your wallet anytime by transferring to your virtual account!',
+    'balance.recent': '📋 Recent Activity:',
+    'balance.error': '❌ Unable to retrieve balance. Please try again.',
+
+    'history.title': '📊 Transaction History',
+    'history.empty': '📭 No transactions found.\n\n💡 Start by funding your wallet or sending money to friends!',
+    'history.summary': '📈 Summary:\n💰 Money In: ₦{moneyIn}\n💸 Money Out: ₦{moneyOut}\n📊 Net: ₦{net}',
+    'history.error': '❌ Unable to retrieve transaction history.',
+
+    'kyc.bvn_start': '🪪 BVN Verification\n\n🏦 First, send a bank account in your name that is linked to your BVN, e.g. "0123456789 GTBank" (or "cancel" to stop):',
+    'kyc.nin_start': '🪪 NIN Verification\n\nEnter your 11-digit NIN (or "cancel" to stop).\n🔒 Your message is deleted right away and we only keep the last 4 digits.',
+    'kyc.cancelled': '❌ Verification cancelled.',
+    'kyc.account_format': '🏦 Please send the 10-digit account number followed by the bank name, e.g. "0123456789 GTBank":',
+    'kyc.bank_unknown': '❌ I couldn\'t find a bank called "{bank}". Please try again:',
+    'kyc.bvn_prompt': '🏦 {bank} account ending in {last4}.\n\nNow enter your 11-digit BVN.\n🔒 Your message is deleted right away and we only keep the last 4 digits.',
+    'kyc.bvn_format': '🔢 A BVN is 11 digits. Please enter your BVN:',
+    'kyc.nin_format': '🔢 A NIN is 11 digits. Please enter your NIN:',
+    'kyc.error': '❌ Something went wrong. Please try /verify again.',
+    'kyc.type_invalid': '❌ You can verify a BVN or a NIN.',
+    'kyc.id_format': '❌ A {label} is 11 digits.',
+    'kyc.bvn_account_required': '❌ BVN verification needs a 10-digit account number and its bank.',
+    'kyc.already_verified': '✅ Your {label} is already verified.',
+    'kyc.already_pending': "⏳ Your {label} is already being verified. We'll message you when it's done.",
+    'kyc.in_use': '❌ This {label} is linked to another account. Please contact support.',
+    'kyc.start_failed': '❌ Unable to start verification. Please try again.',
+    'kyc.submit_failed': "❌ We couldn't submit your {label}: {reason}",
+    'kyc.submitted': "⏳ Your {label} ending in {last4} has been submitted. We'll message you as soon as it's verified.",
+    'kyc.failed': "❌ We couldn't verify your {label} ending in {last4}.\n\n{reason}Check the details and try again with /verify {type}.",
+    'kyc.failed_reason': 'Reason: {reason}',
+    'kyc.verified': '✅ Your {label} has been verified!\n\n🏅 Verification tier: {tier}\nSend /limits to see your new transfer limits.',
+
+    'verify.error': '❌ Unable to load your verification status. Please try again.',
+    'verify.usage': 'Usage: /verify, /verify bvn or /verify nin',
+    'verify.status': '🪪 Identity Verification\n\n🏅 Current tier: {tier}\nBVN: {bvn}\nNIN: {nin}\n\nTiers:\n0 - Unverified\n1 - NIN verified\n2 - BVN verified\n3 - BVN and NIN verified\n\nSend /verify bvn or /verify nin to verify. See /limits for what each tier allows.',
+    'verify.verified': '✅ Verified',
+    'verify.pending': '⏳ Pending',
+    'verify.not_verified': '❌ Not verified',
+
+    'limits.below_minimum': 'Minimum transaction amount is ₦{amount}',
+    'limits.above_single': 'Maximum single transaction limit is ₦{amount}',
+    'limits.daily_exceeded': 'Daily transaction limit exceeded. Used: ₦{used}, Limit: ₦{daily}, Remaining: ₦{remaining}',
+    'limits.batch_daily_exceeded': 'These transfers (₦{total} in total) are over your daily limit. Used: ₦{used}, Limit: ₦{daily}, Remaining: ₦{remaining}',
+    'limits.check_failed': 'Unable to verify transaction limits',
+    'limits.type_invalid': '❌ Limit type must be "single" or "daily".',
+    'limits.label_single': 'per-transaction',
+    'limits.label_daily': 'daily',
+    'limits.lower_too_low': '❌ The {label} limit must be at least ₦{amount}.',
+    'limits.lower_only': '❌ You can only lower your {label} limit (currently ₦{amount}). To raise it, upgrade your verification tier with /verify or contact support.',
+    'limits.update_failed': '❌ Unable to update your limit. Please try again.',
+    'limits.lowered': '✅ Your {label} limit is now ₦{amount}.',
+    'limits.error': '❌ Unable to load your limits. Please try again.',
+    'limits.usage': 'Usage:\n/limits - view your limits\n/limits daily 50000 - lower your daily limit\n/limits single 20000 - lower your per-transaction limit',
+    'limits.lowered_by_you': ' (lowered by you)',
+    'limits.status': '📊 Your Transfer Limits\n\n🏅 Tier: {tier} - {tierName}\n💸 Per transaction: ₦{single}{singleLowered}\n📅 Daily: ₦{daily}{dailyLowered}\n📉 Used today: ₦{used}\n✅ Remaining today: ₦{remaining}\n\n💡 Lower a limit with "/limits daily 50000" or "/limits single 20000".\nTier {tierName} allows up to ₦{tierSingle} per transaction and ₦{tierDaily} per day; higher limits need a higher verification tier (/verify).',
+
+    'fees.charged': '💳 Fee: ₦{fee} · Total: ₦{total}',
+    'fees.waived': '💳 Fee: Waived · Total: ₦{total}',
+    'fees.free': '💳 Fee: Free ({count} free transfers left this month) · Total: ₦{total}',
+    'fees.free_one': '💳 Fee: Free (1 free transfer left this month) · Total: ₦{total}',
+    'fees.batch': '💳 Fees: {fees}{free} · Total: ₦{total}',
+    'fees.batch_waived': 'Waived',
+    'fees.batch_free': ' ({count} free transfers used)',
+    'fees.batch_free_one': ' (1 free transfer used)',
+
+    'fees.amount_waived': '₦0 (waived)',
+    'fees.amount_free': '₦0 (free transfer)',
+
+    'transfer.already_submitted': '⚠️ This transfer has already been submitted (ref: {reference}).',
+    'transfer.split_already_submitted': '⚠️ This split transfer has already been submitted (ref: {reference}).',
+    'transfer.insufficient': '❌ Insufficient balance! Current: ₦{balance}, Required: ₦{required}',
+    'transfer.not_started': '❌ Transfer could not be started: {reason}',
+    'transfer.returned': '💵 ₦{total} has been returned to your wallet.',
+    'transfer.returned_balance': '💵 ₦{total} has been returned to your wallet (balance: ₦{balance}).',
+    'transfer.processing': '⏳ Transfer Processing\n\n💰 Amount: ₦{amount}\n🏦 To: {name}\n📱 Account: {accountNumber} ({bankName})\n🔖 Reference: {reference}\n💳 Service Fee: {fee}\n📊 New Balance: ₦{balance}\n\n{next}',
+    'transfer.awaiting_otp': '🔐 This transfer is awaiting authorization. I\'ll send your receipt once it\'s approved and settled.',
+    'transfer.receipt_soon': 'I\'ll send your receipt as soon as the bank confirms the transfer.',
+    'transfer.nothing_sent': 'Nothing was sent.',
+    'transfer.not_recorded': 'it could not be recorded',
+    'transfer.leg_failed': 'Not sent: {reason}. Refunded.',
+    'transfer.split_processing': '⏳ Split Transfer Processing',
+    'transfer.split_partial': '⚠️ Split Transfer Partly Started',
+    'transfer.new_balance': '📊 New Balance: ₦{balance}',
+    'transfer.split_receipts': 'I\'ll send a receipt for each transfer as the bank confirms it.',
+    'transfer.split_refunded': '💵 Every leg has been returned to your wallet.',
+    'transfer.recipient_failed': '❌ Could not set up {name} as a transfer recipient. Please try again later.',
+    'transfer.bank_missing': '❌ I need the bank for account {accountNumber}. Please start again and include the bank, e.g. "Send 5000 to {accountNumber} GTBank".',
+    'transfer.bank_unknown': '❌ Bank "{bank}" not recognized. Use /banks to see supported banks.',
+    'transfer.account_unverified': '❌ Could not verify account {accountNumber} with {bank}: {reason}',
+    'transfer.success': '✅ Transfer Successful!\n\n💰 Amount: ₦{amount}\n🏦 To: {name}\n📱 Account: {accountNumber}\n🔖 Reference: {reference}\n💳 Service Fee: {fee}\n\n📄 Receipt generated successfully!',
+    'transfer.recipient': 'Recipient',
+    'transfer.receipt_caption': '📄 Transaction Receipt',
+    'transfer.failed_title': '❌ Transfer Failed',
+    'transfer.reversed_title': '↩️ Transfer Reversed',
+    'transfer.refunded': '{title}\n\n💰 Amount: ₦{amount}\n❗ Reason: {reason}\n💵 Refunded: ₦{refund}\n📊 New Balance: ₦{balance}\n\nYour funds have been returned to your wallet.',
+
+    'wallet.self_send': '❌ You can\'t send money to your own wallet.',
+    'wallet.success': '✅ Transfer Successful!\n\n💰 Amount: ₦{amount}\n👤 To: {name} (QuickWallet)\n🔖 Reference: {reference}\n💳 Service Fee: ₦0\n📊 New Balance: ₦{balance}',
+    'wallet.received': '💵 You received ₦{amount} from {sender}!\n\n{note}🔖 Reference: {reference}\n{balance}',
+    'wallet.for': '📝 For: {note}',
+
+    'common.invalid_button': '❌ This button is not valid.',
+    'confirm.expired': '⌛ This confirmation has expired or was already answered.',
+
+    'requests.self': '❌ You can\'t request money from yourself.',
+    'requests.create_failed': '❌ Could not create the payment request. Please try again.',
+    'requests.sent': '📨 Request sent! I\'ve asked {name} to pay you ₦{amount}. I\'ll let you know when they respond.',
+    'requests.saved_unlinked': '📨 Request saved, but {name} hasn\'t linked Telegram yet, so they won\'t see it until they do.',
+    'requests.closed': '⌛ This request was already paid, declined or has expired.',
+    'requests.declined_notice': '❌ {name} declined your request for ₦{amount}{note}.',
+    'requests.expired_notice': '⌛ Your request for ₦{amount} from {name} expired without being paid.',
+    'requests.ask': '💸 {name} is requesting ₦{amount} from you{note}.\n\n⌛ Expires: {expires}\nPaying sends the money instantly from your wallet, with no fee.',
+    'requests.reminder': '🔔 Reminder: {name} is requesting ₦{amount} from you{note}.\n\n⌛ Expires: {expires}\nPaying sends the money instantly from your wallet, with no fee.',
+    'requests.ask_note': ' for "{note}"',
+    'requests.pay_button': '💸 Pay ₦{amount}',
+    'requests.decline_button': '❌ Decline',
+    'requests.declined': '❌ Declined',
+    'requests.paying': '💸 Paying',
+    'requests.someone': 'Someone',
+
+    'schedule.daily': 'every day',
+    'schedule.weekly': 'every {day}',
+    'schedule.monthly': 'every month on the {ordinal}',
+    'schedule.weekday_0': 'Sunday',
+    'schedule.weekday_1': 'Monday',
+    'schedule.weekday_2': 'Tuesday',
+    'schedule.weekday_3': 'Wednesday',
+    'schedule.weekday_4': 'Thursday',
+    'schedule.weekday_5': 'Friday',
+    'schedule.weekday_6': 'Saturday',
+    'schedule.save_failed': '❌ Could not save the schedule. Please try again.',
+    'schedule.created': '🗓️ Scheduled! I\'ll send ₦{amount} to {name} ({nickname}) {when}.\n\n📅 First transfer: {first}\nI\'ll remind you the day before each transfer. Manage it with /schedules.',
+    'schedule.update_failed': '❌ Could not update that schedule.',
+    'schedule.resumed': '✅ Schedule resumed.',
+    'schedule.paused': '✅ Schedule paused.',
+    'schedule.cancelled': '✅ Schedule cancelled.',
+    'schedule.next_transfer': 'Next transfer: {date}.',
+    'schedule.notice': '🔔 Heads up: I\'ll send ₦{amount} to {name} ({nickname}) on {date}.\n\nPlease make sure your wallet covers it plus the transfer fee. To skip it, pause the schedule with /schedules.',
+    'schedule.beneficiary_removed': '❌ I cancelled your scheduled transfer of ₦{amount} because its beneficiary was removed.',
+    'schedule.label': '₦{amount} to {name} ({nickname})',
+    'schedule.ran': '🗓️ Scheduled transfer of {label}\n\n{message}',
+    'schedule.run_failed': '⚠️ Your scheduled transfer of {label} didn\'t go through:\n{message}\n\nI\'ll try again on the next scheduled date. Manage it with /schedules.',
+    'schedule.error': '❌ Unable to load your schedules. Please try again.',
+    'schedule.usage': 'Usage:\n/schedules - list your scheduled transfers\n/schedules pause 1 - pause schedule 1\n/schedules resume 1 - resume schedule 1\n/schedules cancel 1 - cancel schedule 1',
+    'schedule.not_found': '❌ There\'s no schedule {number}. Send /schedules to see the list.',
+    'schedule.none': '🗓️ You have no scheduled transfers.\n\n💡 Create one by telling me, e.g. "Send 20000 to Mom every 1st of the month".',
+    'schedule.removed_beneficiary': 'a removed beneficiary',
+    'schedule.state_paused': '⏸️ Paused',
+    'schedule.state_next': '📅 Next: {date}',
+    'schedule.last_failed': '⚠️ Last run failed: {reason}',
+    'schedule.item': '₦{amount} to {to} {when}',
+    'schedule.list': '🗓️ Your Scheduled Transfers\n\n{lines}\n\n💡 Manage with "/schedules pause 1", "/schedules resume 1" or "/schedules cancel 1".',
+
+    'bulk.none_payable': '❌ None of the {count} rows in {file} can be paid:\n\n{invalid}',
+    'bulk.none_payable_one': '❌ The only row in {file} can\'t be paid:\n\n{invalid}',
+    'bulk.more': '…and {count} more',
+    'bulk.more_in_receipt': '…and {count} more (see the receipt)',
+    'bulk.confirm': '📦 Bulk Payout: {file}\n\n{lines}\n\n✅ {payments} · ₦{total}\n💳 Fees: ₦{fees} · Total: ₦{grand}',
+    'bulk.payments': '{count} payments',
+    'bulk.payments_one': '1 payment',
+    'bulk.skipped': '⚠️ {count} rows will be skipped:',
+    'bulk.skipped_one': '⚠️ 1 row will be skipped:',
+    'bulk.row': 'Row {row}: {error}',
+    'bulk.xlsx_unreadable': '❌ I couldn\'t read that Excel file. Please check that it opens in Excel, or send it as a CSV.',
+    'bulk.bank_column': '❌ The file needs a "bank" column (account_number, bank, amount, narration).',
+    'bulk.no_rows': '❌ The file has no payment rows.',
+    'bulk.too_many': '❌ The file has {count} rows; a bulk payout can have at most {max}. Please split it.',
+    'bulk.row_account': 'account number "{account}" must be 10 digits',
+    'bulk.row_amount': 'amount is missing or invalid',
+    'bulk.row_bank_missing': 'bank is missing',
+    'bulk.row_bank_unknown': 'bank "{bank}" not recognized',
+    'bulk.row_unverified': 'could not verify account with {bank}',
+    'bulk.row_not_processed': 'could not be processed',
+    'bulk.row_no_recipient': 'could not set up recipient',
+    'bulk.row_duplicate': 'already submitted',
+    'bulk.row_insufficient': 'insufficient balance',
+    'bulk.row_not_debited': 'could not be debited',
+    'bulk.processing': '📦 Bulk Payout Processing\n\n{lines}\n\n⏳ Sent: {sent} · ❌ Failed: {failed}\nI\'ll send a combined PDF receipt once the banks confirm every transfer.',
+    'bulk.failed': '📦 Bulk Payout Failed\n\n{lines}\n\n⏳ Sent: {sent} · ❌ Failed: {failed}\n💵 Nothing was charged; any debits have been returned to your wallet.',
+    'bulk.report': '📦 Bulk Payout Complete: {file}\n\n{lines}\n\n✅ Paid: {paid} · ❌ Failed: {failed}\n💰 Amount Paid: ₦{amount}\n{refunded}\n📄 Your receipt is attached.',
+    'bulk.report_refunded': '💵 Refunded: ₦{amount}',
+    'bulk.receipt_caption': '📄 Bulk Payout Receipt',
+    'bulk.read_error': '❌ Failed to read the file. Please check it and try again.',
+    'bulk.xls_unsupported': '📊 I can\'t read old .xls workbooks. In Excel, use File → Save As → "Excel Workbook (.xlsx)" or "CSV (Comma delimited)" and send me that file.',
+    'bulk.file_hint': '📄 To pay several people at once, send a .csv or Excel .xlsx file with the columns:\naccount_number, bank, amount, narration',
+    'bulk.too_large': '❌ That file is too large. Bulk payout files are limited to {size} KB.',
+    'bulk.checking': '📦 Checking your payments... Please wait.\n\n⏳ I verify every account, so this can take a minute.',
+
+    'workflow.confirm_new': 'Send ₦{amount} to {account}{name}? I\'ll verify the account details first.',
+    'workflow.confirm_verified': 'Send ₦{amount} to {name} ({account})?\n\n🏦 {bank}\n\nTap ✅ Confirm or ❌ Cancel below.',
+    'workflow.confirm_beneficiary': 'Send ₦{amount} to {name} ({nickname})?\n\n🏦 {bank}\n📱 {account}\n\nTap ✅ Confirm below.',
+    'wallet.own_wallet': '❌ That\'s your own wallet. To add money, transfer to it from your bank or ask me how to fund your wallet.',
+    'wallet.confirm': 'Send ₦{amount} to {name} on QuickWallet{username}? ✅\n\n⚡ Arrives instantly, no fee.',
+    'wallet.not_found': '❌ I couldn\'t find a QuickWallet user with {destination}. Check it and try again, or send to their bank account number instead.',
+    'requests.missing': 'Who should pay you, and how much? Try: "Request 5000 from @ada for lunch" or "Request 5000 from 08031234567".',
+    'requests.not_found': '❌ I can only request money from QuickWallet users, and I couldn\'t find one with those details.',
+    'requests.confirm': 'Ask {name} to pay you ₦{amount}{note}?',
+    'schedule.missing': 'To schedule a transfer I need the amount, a saved beneficiary and how often to send it. Try: "Send 20000 to Mom every 1st of the month" or "Pay John 5000 every Friday".',
+    'schedule.beneficiary_not_found': '❌ Scheduled transfers go to saved beneficiaries, and I couldn\'t find one named "{name}". Save them first, e.g. "Add my mom\'s account 0123456789 GTBank".',
+    'schedule.confirm': 'Send ₦{amount} to {name} ({nickname}) {when}?\n\n📅 First transfer: {first}\n💳 The transfer fee applies each time. I\'ll remind you the day before every transfer.',
+    'split.example': 'Try: "Send 30000 split between John, Ada and Tunde" or "Split 30000 between Mom and Dad 2:1".',
+    'split.who': 'Who should I split it between? Splits go to two or more saved beneficiaries.',
+    'split.not_found': '❌ I couldn\'t find a saved beneficiary named {names}.',
+    'split.saved': 'Your saved beneficiaries are: {names}.',
+    'split.save_first': 'Save them first, e.g. "Add my mom\'s account 0123456789 GTBank".',
+    'split.duplicate': '❌ The same beneficiary is listed twice. Please name each person once.',
+    'split.mismatch': 'The amounts add up to ₦{sum}, not ₦{total}.',
+    'split.no_total': 'How much should I split?',
+    'split.used_up': 'The exact amounts already use up the ₦{total}.',
+    'split.confirm': 'Split ₦{total} between {count} people? ✅\n\n{legs}\n\nAll transfers are taken from your balance together: if it can\'t cover every one, none is sent.',
+    'webapp.expired': '⌛ This PIN pad has expired. Please start again in the chat.',
+    'webapp.rate_limited': '⚠️ Too many requests. Please wait a minute.',
+    'webapp.no_account': '❌ We couldn\'t find your QuickWallet account.'
+  },
+
+  pcm: {
+    'common.error': '❌ Something spoil. Abeg try again.',
+
+    'workflow.error': 'Sorry, something spoil for my side. Abeg try again.',
+    'workflow.not_understood': 'I no understand wetin you talk. Abeg try again or contact support.',
+    'workflow.check_balance': 'Make I check your wallet balance! 💳',
+    'workflow.history': 'See your recent transactions! 📊',
+    'workflow.fund': 'I fit help you fund your wallet! Send money to your dedicated account number from any bank, or use other funding methods.',
+    'workflow.fund_amount': 'You fit fund your wallet with ₦{amount}. Send am to your dedicated account number from any bank, or use other funding methods for the app.',
+    'workflow.send_missing': 'To send money, I need the amount and the person account number, phone number or @username. Abeg send wetin remain.',
+    'workflow.which_beneficiary': 'Which of your saved people you wan send money give?',
+    'workflow.ask_amount': 'How much you wan send give {name}?',
+    'workflow.confirm_send': 'Make I send ₦{amount} give {name}? ✅',
+    'workflow.add_missing': 'To save person, I need their account number and the name wey you go take call am. You fit also upload bank statement picture!',
+    'workflow.invalid_amount': '❌ Abeg put correct amount (like 5000 or 5k).',
+    'workflow.invalid_amount_or_save': "❌ Abeg put correct amount (like 5000 or 5k) or 'save as [name]' to save the person.",
+    'workflow.amount_too_low': '❌ The amount too small. Minimum na ₦100. Abeg put correct amount.',
+
+    'confirm.confirm': '✅ Confirm am',
+    'confirm.cancel': '❌ Cancel am',
+    'confirm.confirmed': '✅ E don confirm',
+    'confirm.cancelled': '❌ E don cancel',
+    'confirm.tap_buttons': '👆 Abeg press {confirm} or {cancel} for the message wey dey up.',
+    'confirm.transfer_cancelled': '❌ Transfer don cancel. Wetin else I fit do for you? 😊',
+    'confirm.request_cancelled': '❌ Request don cancel. Wetin else I fit do for you? 😊',
+
+    'pin.enter': '🔐 Abeg type your 4-digit transaction PIN to finish the transfer:',
+    'pin.button': 'Put PIN',
+    'pin.tap': '🔐 Press *{button}* to put your 4-digit transaction PIN safely.\n\nYou fit still type am here; I go delete the message sharp sharp.',
+
+    'language.status': '🌍 I dey reply you for {name}{mode}.\n\nTo change am:\n{options}',
+    'language.mode_auto': ' (I dey follow the language wey you write)',
+    'language.set': '✅ E don set! From now I go dey reply you for Pidgin.',
+    'language.auto': '✅ E don set! I go dey reply for the language wey you write.',
+    'language.unknown': '❌ I no sabi that language. Choose one: {codes}.',
+
+    'clarify.question': '🤔 Make I sure first: you wan {action}{details}? Reply yes or no.',
+    'clarify.declined': 'Okay, I no go do am. Tell me wetin you wan do. 😊',
+    'clarify.SEND_MONEY': 'send money',
+    'clarify.SEND_TO_BENEFICIARY': 'send money give person wey you don save',
+    'clarify.REQUEST_MONEY': 'request money',
+    'clarify.SCHEDULE_TRANSFER': 'set transfer wey go dey repeat',
+    'clarify.SPLIT_TRANSFER': 'share money for different people',
+    'clarify.ADD_BENEFICIARY': 'save new person',
+
+    'common.unexpected': '❌ Something spoil. Abeg try again later.',
+    'common.and': ' and ',
+    'security.locked': '🔒 We don lock your account small because of too many wrong tries. Abeg try again later.',
+    'language.error': '❌ I no fit change your language. Abeg try again.',
+
+    'transfer.reset_cooldown': '🛡️ You reset your PIN recently, so we don pause transfer to protect you. You fit send money again in about {count} hours.',
+    'transfer.reset_cooldown_one': '🛡️ You reset your PIN recently, so we don pause transfer to protect you. You fit send money again in about 1 hour.',
+    'transfer.paused_after_reset': '🛡️ Transfer dey pause because you reset your PIN recently.',
+    'transfer.failed_retry': '❌ The transaction no work. Abeg try again.',
+    'transfer.failed_support': '❌ The transaction no work. If e continue, abeg contact support.',
+    'transfer.in_progress': '⏳ We don already dey process this transfer.',
+
+    'pin.not_awaiting': 'No transfer dey wait for PIN.',
+    'pin.invalid': '❌ PIN no correct. You remain {count} tries before we lock your account.',
+    'pin.invalid_one': '❌ PIN no correct. You remain 1 try before we lock your account.',
+    'pin.locked': '🔒 We don lock your account because of too many wrong tries. Abeg try again after 15 minutes.',
+    'pin.not_four_digits': 'PIN must be 4 numbers.',
+    'pin.too_easy': 'That PIN too easy to guess. No use the same number or numbers wey follow each other.',
+    'pin.rejected': '❌ {reason} Put another PIN:',
+    'pin.same_as_current': '❌ The new PIN no fit be the same as your old PIN. Put another PIN:',
+    'pin.enter_new': '🔢 Put your new 4-digit PIN:',
+    'pin.repeat': '🔁 Put the new PIN again to confirm am:',
+    'pin.current_incorrect': '❌ Your current PIN no correct. You remain {count} tries before we lock your account.',
+    'pin.current_incorrect_one': '❌ Your current PIN no correct. You remain 1 try before we lock your account.',
+    'pin.locked_recover': '🔒 We don lock your account because of too many wrong tries. Use /forgotpin or try again after 15 minutes.',
+    'pin.changed': '✅ We don change your transaction PIN.',
+    'pin.recovery_unavailable': '❌ PIN recovery no dey work now. Abeg contact support.',
+    'pin.recovery_locked': '🔒 Too many wrong tries. Abeg try again after one hour or contact support.',
+    'pin.dob_mismatch': '❌ That date of birth no match wetin we get. You remain {count} tries.',
+    'pin.dob_mismatch_one': '❌ That date of birth no match wetin we get. You remain 1 try.',
+    'pin.otp_not_sent': '❌ We no fit send your code. Abeg try again later.',
+    'pin.otp_sent': '📨 We don send 6-digit code to {destinations}. Put am here (e go expire after 10 minutes):',
+    'pin.otp_expired': '⌛ Your code don expire. Send /forgotpin to start again.',
+    'pin.otp_verified': '✅ Code correct. Put your new 4-digit PIN:',
+    'pin.otp_locked': '🔒 Too many wrong codes. Send /forgotpin to start again.',
+    'pin.otp_incorrect': '❌ Code no correct. You remain {count} tries.',
+    'pin.otp_incorrect_one': '❌ Code no correct. You remain 1 try.',
+    'pin.recovery_expired': '⌛ Your recovery time don expire. Send /forgotpin to start again.',
+    'pin.reset': '✅ We don reset your transaction PIN.\n\n🛡️ To protect you, transfer go pause for {count} hours.',
+    'pin.reset_one': '✅ We don reset your transaction PIN.\n\n🛡️ To protect you, transfer go pause for 1 hour.',
+
+    'pin_flow.change_start': '🔐 Change Transaction PIN\n\nPut your current 4-digit PIN (or "cancel" to stop):',
+    'pin_flow.recovery_start': '🔑 You Forget Your Transaction PIN\n\nTo confirm say na you, put your date of birth like DD/MM/YYYY (or "cancel" to stop):',
+    'pin_flow.cancelled': '❌ PIN change don cancel. Your PIN never change.',
+    'pin_flow.enter_current': '🔢 Abeg put your current 4-digit PIN:',
+    'pin_flow.mismatch': '❌ The two PIN no match. Put your new 4-digit PIN again:',
+    'pin_flow.error': '❌ Something spoil and your PIN never change. Abeg try again.',
+    'pin_flow.change_error': '❌ I no fit start the PIN change. Abeg try again.',
+    'pin_flow.recovery_error': '❌ I no fit start PIN recovery. Abeg try again.',
+
+    'funding.account_pending': '⚠️ We still dey set up your virtual account. Abeg try again small time.',
+    'funding.title': '💰 To fund your wallet:',
+    'funding.title_amount': '💰 To fund your wallet with ₦{amount}:',
+    'funding.details': '🏦 Bank: Paystack-Titan\n🔢 Account Number: {accountNumber}\n📛 Account Name: {accountName}\n\n✨ The money go enter your wallet by itself!\n📱 I go tell you once e land.\n\n💡 You fit also fund am through:\n• Bank app/USSD transfer\n• Online banking\n• ATM transfer',
+
+    'balance.summary': '💰 Wallet Balance\n\n💵 Wetin dey: ₦{balance}\n🏦 Account: {accountNumber}\n📊 Wetin remain for today limit: ₦{remaining} out of ₦{daily}{recent}\n\n💡 You fit fund your wallet anytime, just transfer to your virtual account!',
+    'balance.recent': '📋 Wetin happen recently:',
+    'balance.error': '❌ I no fit check your balance now. Abeg try again.',
+
+    'history.title': '📊 Your Transactions',
+    'history.empty': '📭 No transaction dey yet.\n\n💡 Start by funding your wallet or sending money give your people!',
+    'history.summary': '📈 Summary:\n💰 Money wey enter: ₦{moneyIn}\n💸 Money wey comot: ₦{moneyOut}\n📊 Net: ₦{net}',
+    'history.error': '❌ I no fit bring your transactions now.',
+
+    'kyc.bvn_start': '🪪 BVN Verification\n\n🏦 First, send bank account wey dey your name and link to your BVN, like "0123456789 GTBank" (or "cancel" to stop):',
+    'kyc.nin_start': '🪪 NIN Verification\n\nPut your 11-digit NIN (or "cancel" to stop).\n🔒 I go delete your message sharp sharp and we only keep the last 4 numbers.',
+    'kyc.cancelled': '❌ Verification don cancel.',
+    'kyc.account_format': '🏦 Abeg send the 10-digit account number and the bank name, like "0123456789 GTBank":',
+    'kyc.bank_unknown': '❌ I no see any bank wey dem dey call "{bank}". Abeg try again:',
+    'kyc.bvn_prompt': '🏦 {bank} account wey end with {last4}.\n\nNow put your 11-digit BVN.\n🔒 I go delete your message sharp sharp and we only keep the last 4 numbers.',
+    'kyc.bvn_format': '🔢 BVN na 11 numbers. Abeg put your BVN:',
+    'kyc.nin_format': '🔢 NIN na 11 numbers. Abeg put your NIN:',
+    'kyc.error': '❌ Something spoil. Abeg try /verify again.',
+    'kyc.type_invalid': '❌ Na only BVN or NIN you fit verify.',
+    'kyc.id_format': '❌ {label} na 11 numbers.',
+    'kyc.bvn_account_required': '❌ BVN verification need 10-digit account number and the bank.',
+    'kyc.already_verified': '✅ We don already verify your {label}.',
+    'kyc.already_pending': '⏳ We still dey verify your {label}. We go message you once e done.',
+    'kyc.in_use': '❌ This {label} don link to another account. Abeg contact support.',
+    'kyc.start_failed': '❌ I no fit start the verification. Abeg try again.',
+    'kyc.submit_failed': '❌ We no fit submit your {label}: {reason}',
+    'kyc.submitted': '⏳ We don submit your {label} wey end with {last4}. We go message you once we verify am.',
+    'kyc.failed': '❌ We no fit verify your {label} wey end with {last4}.\n\n{reason}Check the details well and try again with /verify {type}.',
+    'kyc.failed_reason': 'Why: {reason}',
+    'kyc.verified': '✅ We don verify your {label}!\n\n🏅 Verification tier: {tier}\nSend /limits to see your new transfer limits.',
+
+    'verify.error': '❌ I no fit load your verification status. Abeg try again.',
+    'verify.usage': 'How to use am: /verify, /verify bvn or /verify nin',
+    'verify.status': '🪪 Identity Verification\n\n🏅 Your tier now: {tier}\nBVN: {bvn}\nNIN: {nin}\n\nTiers:\n0 - No verification\n1 - NIN don verify\n2 - BVN don verify\n3 - BVN and NIN don verify\n\nSend /verify bvn or /verify nin to verify. Check /limits to see wetin each tier fit do.',
+    'verify.verified': '✅ E don verify',
+    'verify.pending': '⏳ E still dey process',
+    'verify.not_verified': '❌ E never verify',
+
+    'limits.below_minimum': 'The smallest amount wey you fit send na ₦{amount}',
+    'limits.above_single': 'The highest amount for one transfer na ₦{amount}',
+    'limits.daily_exceeded': 'You don pass your daily limit. Wetin you don use: ₦{used}, Limit: ₦{daily}, Wetin remain: ₦{remaining}',
+    'limits.batch_daily_exceeded': 'These transfers (₦{total} altogether) pass your daily limit. Wetin you don use: ₦{used}, Limit: ₦{daily}, Wetin remain: ₦{remaining}',
+    'limits.check_failed': 'I no fit check your transfer limits',
+    'limits.type_invalid': '❌ The limit type must be "single" or "daily".',
+    'limits.label_single': 'per-transfer',
+    'limits.label_daily': 'daily',
+    'limits.lower_too_low': '❌ Your {label} limit no fit dey below ₦{amount}.',
+    'limits.lower_only': '❌ Na only reduce you fit reduce your {label} limit (e be ₦{amount} now). To increase am, upgrade your verification tier with /verify or contact support.',
+    'limits.update_failed': '❌ I no fit change your limit. Abeg try again.',
+    'limits.lowered': '✅ Your {label} limit don be ₦{amount} now.',
+    'limits.error': '❌ I no fit load your limits. Abeg try again.',
+    'limits.usage': 'How to use am:\n/limits - see your limits\n/limits daily 50000 - reduce your daily limit\n/limits single 20000 - reduce your per-transfer limit',
+    'limits.lowered_by_you': ' (na you reduce am)',
+    'limits.status': '📊 Your Transfer Limits\n\n🏅 Tier: {tier} - {tierName}\n💸 For one transfer: ₦{single}{singleLowered}\n📅 Every day: ₦{daily}{dailyLowered}\n📉 Wetin you don use today: ₦{used}\n✅ Wetin remain today: ₦{remaining}\n\n💡 Reduce limit with "/limits daily 50000" or "/limits single 20000".\nTier {tierName} fit send reach ₦{tierSingle} for one transfer and ₦{tierDaily} every day; to get higher limit, you need higher verification tier (/verify).',
+
+    'fees.charged': '💳 Charge: ₦{fee} · Total: ₦{total}',
+    'fees.waived': '💳 Charge: We don waive am · Total: ₦{total}',
+    'fees.free': '💳 Charge: Free ({count} free transfers remain this month) · Total: ₦{total}',
+    'fees.free_one': '💳 Charge: Free (1 free transfer remain this month) · Total: ₦{total}',
+    'fees.batch': '💳 Charges: {fees}{free} · Total: ₦{total}',
+    'fees.batch_waived': 'We don waive am',
+    'fees.batch_free': ' ({count} free transfers don use)',
+    'fees.batch_free_one': ' (1 free transfer don use)',
+
+    'fees.amount_waived': '₦0 (dem don waive am)',
+    'fees.amount_free': '₦0 (free transfer)',
+
+    'transfer.already_submitted': '⚠️ You don already submit this transfer (ref: {reference}).',
+    'transfer.split_already_submitted': '⚠️ You don already submit this split transfer (ref: {reference}).',
+    'transfer.insufficient': '❌ Your balance no reach! Wetin dey: ₦{balance}, Wetin you need: ₦{required}',
+    'transfer.not_started': '❌ Transfer no fit start: {reason}',
+    'transfer.returned': '💵 ₦{total} don go back to your wallet.',
+    'transfer.returned_balance': '💵 ₦{total} don go back to your wallet (balance: ₦{balance}).',
+    'transfer.processing': '⏳ Transfer Dey Process\n\n💰 Amount: ₦{amount}\n🏦 To: {name}\n📱 Account: {accountNumber} ({bankName})\n🔖 Reference: {reference}\n💳 Service Fee: {fee}\n📊 New Balance: ₦{balance}\n\n{next}',
+    'transfer.awaiting_otp': '🔐 This transfer dey wait for approval. I go send your receipt once dem approve am and e land.',
+    'transfer.receipt_soon': 'I go send your receipt as soon as bank confirm the transfer.',
+    'transfer.nothing_sent': 'Nothing comot.',
+    'transfer.not_recorded': 'we no fit record am',
+    'transfer.leg_failed': 'E no go: {reason}. We don refund am.',
+    'transfer.split_processing': '⏳ Split Transfer Dey Process',
+    'transfer.split_partial': '⚠️ Only Some Part of the Split Transfer Start',
+    'transfer.new_balance': '📊 New Balance: ₦{balance}',
+    'transfer.split_receipts': 'I go send receipt for each transfer as bank dey confirm am.',
+    'transfer.split_refunded': '💵 All the money don go back to your wallet.',
+    'transfer.recipient_failed': '❌ I no fit set up {name} as person wey go receive transfer. Abeg try again later.',
+    'transfer.bank_missing': '❌ I need the bank for account {accountNumber}. Abeg start again and add the bank, like "Send 5000 to {accountNumber} GTBank".',
+    'transfer.bank_unknown': '❌ I no know bank "{bank}". Use /banks to see the banks wey we support.',
+    'transfer.account_unverified': '❌ I no fit verify account {accountNumber} for {bank}: {reason}',
+    'transfer.success': '✅ Transfer Don Land!\n\n💰 Amount: ₦{amount}\n🏦 To: {name}\n📱 Account: {accountNumber}\n🔖 Reference: {reference}\n💳 Service Fee: {fee}\n\n📄 Receipt don ready!',
+    'transfer.recipient': 'Receiver',
+    'transfer.receipt_caption': '📄 Transaction Receipt',
+    'transfer.failed_title': '❌ Transfer No Go',
+    'transfer.reversed_title': '↩️ Bank Don Reverse Transfer',
+    'transfer.refunded': '{title}\n\n💰 Amount: ₦{amount}\n❗ Reason: {reason}\n💵 Refund: ₦{refund}\n📊 New Balance: ₦{balance}\n\nYour money don go back to your wallet.',
+
+    'wallet.self_send': '❌ You no fit send money to your own wallet.',
+    'wallet.success': '✅ Transfer Don Land!\n\n💰 Amount: ₦{amount}\n👤 To: {name} (QuickWallet)\n🔖 Reference: {reference}\n💳 Service Fee: ₦0\n📊 New Balance: ₦{balance}',
+    'wallet.received': '💵 You don receive ₦{amount} from {sender}!\n\n{note}🔖 Reference: {reference}\n{balance}',
+    'wallet.for': '📝 For: {note}',
+
+    'common.invalid_button': '❌ This button no valid.',
+    'confirm.expired': '⌛ This confirmation don expire or you don already answer am.',
+
+    'requests.self': '❌ You no fit request money from yourself.',
+    'requests.create_failed': '❌ I no fit create the payment request. Abeg try again.',
+    'requests.sent': '📨 Request don go! I don ask {name} make dem pay you ₦{amount}. I go tell you when dem answer.',
+    'requests.saved_unlinked': '📨 I don save the request, but {name} never link Telegram, so dem no go see am until dem link am.',
+    'requests.closed': '⌛ Dem don already pay, decline, or this request don expire.',
+    'requests.declined_notice': '❌ {name} no gree pay your request for ₦{amount}{note}.',
+    'requests.expired_notice': '⌛ Your request for ₦{amount} from {name} don expire and nobody pay am.',
+    'requests.ask': '💸 {name} dey request ₦{amount} from you{note}.\n\n⌛ E go expire: {expires}\nIf you pay, the money go comot your wallet sharp sharp, no fee.',
+    'requests.reminder': '🔔 Reminder: {name} dey request ₦{amount} from you{note}.\n\n⌛ E go expire: {expires}\nIf you pay, the money go comot your wallet sharp sharp, no fee.',
+    'requests.ask_note': ' for "{note}"',
+    'requests.pay_button': '💸 Pay ₦{amount}',
+    'requests.decline_button': '❌ I no gree',
+    'requests.declined': '❌ You no gree',
+    'requests.paying': '💸 E dey pay',
+    'requests.someone': 'Somebody',
+
+    'schedule.daily': 'every day',
+    'schedule.weekly': 'every {day}',
+    'schedule.monthly': 'every month for day {day}',
+    'schedule.weekday_0': 'Sunday',
+    'schedule.weekday_1': 'Monday',
+    'schedule.weekday_2': 'Tuesday',
+    'schedule.weekday_3': 'Wednesday',
+    'schedule.weekday_4': 'Thursday',
+    'schedule.weekday_5': 'Friday',
+    'schedule.weekday_6': 'Saturday',
+    'schedule.save_failed': '❌ I no fit save the schedule. Abeg try again.',
+    'schedule.created': '🗓️ E don set! I go send ₦{amount} to {name} ({nickname}) {when}.\n\n📅 First transfer: {first}\nI go remind you one day before each transfer. Manage am with /schedules.',
+    'schedule.update_failed': '❌ I no fit update that schedule.',
+    'schedule.resumed': '✅ Schedule don start again.',
+    'schedule.paused': '✅ Schedule don pause.',
+    'schedule.cancelled': '✅ Schedule don cancel.',
+    'schedule.next_transfer': 'Next transfer: {date}.',
+    'schedule.notice': '🔔 Heads up: I go send ₦{amount} to {name} ({nickname}) on {date}.\n\nAbeg make sure say your wallet fit cover am plus the transfer fee. If you wan skip am, pause the schedule with /schedules.',
+    'schedule.beneficiary_removed': '❌ I don cancel your scheduled transfer of ₦{amount} because you don remove the beneficiary.',
+    'schedule.label': '₦{amount} to {name} ({nickname})',
+    'schedule.ran': '🗓️ Scheduled transfer of {label}\n\n{message}',
+    'schedule.run_failed': '⚠️ Your scheduled transfer of {label} no go through:\n{message}\n\nI go try again for the next date. Manage am with /schedules.',
+    'schedule.error': '❌ I no fit load your schedules. Abeg try again.',
+    'schedule.usage': 'How to use am:\n/schedules - see your scheduled transfers\n/schedules pause 1 - pause schedule 1\n/schedules resume 1 - start schedule 1 again\n/schedules cancel 1 - cancel schedule 1',
+    'schedule.not_found': '❌ Schedule {number} no dey. Send /schedules to see the list.',
+    'schedule.none': '🗓️ You no get any scheduled transfer.\n\n💡 Tell me to create one, like "Send 20000 to Mom every 1st of the month".',
+    'schedule.removed_beneficiary': 'beneficiary wey you don remove',
+    'schedule.state_paused': '⏸️ E don pause',
+    'schedule.state_next': '📅 Next: {date}',
+    'schedule.last_failed': '⚠️ Last one no go: {reason}',
+    'schedule.item': '₦{amount} to {to} {when}',
+    'schedule.list': '🗓️ Your Scheduled Transfers\n\n{lines}\n\n💡 Manage am with "/schedules pause 1", "/schedules resume 1" or "/schedules cancel 1".',
+
+    'bulk.none_payable': '❌ We no fit pay any of the {count} rows for {file}:\n\n{invalid}',
+    'bulk.none_payable_one': '❌ We no fit pay the only row for {file}:\n\n{invalid}',
+    'bulk.more': '…and {count} more',
+    'bulk.more_in_receipt': '…and {count} more (check the receipt)',
+    'bulk.confirm': '📦 Bulk Payout: {file}\n\n{lines}\n\n✅ {payments} · ₦{total}\n💳 Fees: ₦{fees} · Total: ₦{grand}',
+    'bulk.payments': '{count} payments',
+    'bulk.payments_one': '1 payment',
+    'bulk.skipped': '⚠️ We go skip {count} rows:',
+    'bulk.skipped_one': '⚠️ We go skip 1 row:',
+    'bulk.row': 'Row {row}: {error}',
+    'bulk.xlsx_unreadable': '❌ I no fit read that Excel file. Abeg check say e dey open for Excel, or send am as CSV.',
+    'bulk.bank_column': '❌ The file need "bank" column (account_number, bank, amount, narration).',
+    'bulk.no_rows': '❌ The file no get any payment row.',
+    'bulk.too_many': '❌ The file get {count} rows; bulk payout fit get only {max}. Abeg divide am.',
+    'bulk.row_account': 'account number "{account}" must be 10 digits',
+    'bulk.row_amount': 'amount no dey or e no correct',
+    'bulk.row_bank_missing': 'bank no dey',
+    'bulk.row_bank_unknown': 'I no know bank "{bank}"',
+    'bulk.row_unverified': 'I no fit verify account for {bank}',
+    'bulk.row_not_processed': 'we no fit process am',
+    'bulk.row_no_recipient': 'we no fit set up the receiver',
+    'bulk.row_duplicate': 'e don already submit',
+    'bulk.row_insufficient': 'balance no reach',
+    'bulk.row_not_debited': 'we no fit debit am',
+    'bulk.processing': '📦 Bulk Payout Dey Process\n\n{lines}\n\n⏳ E don go: {sent} · ❌ E no go: {failed}\nI go send one PDF receipt once all the banks confirm every transfer.',
+    'bulk.failed': '📦 Bulk Payout No Go\n\n{lines}\n\n⏳ E don go: {sent} · ❌ E no go: {failed}\n💵 We no charge you anything; any money wey comot don go back to your wallet.',
+    'bulk.report': '📦 Bulk Payout Don Finish: {file}\n\n{lines}\n\n✅ Paid: {paid} · ❌ E no go: {failed}\n💰 Amount wey we pay: ₦{amount}\n{refunded}\n📄 Your receipt dey attached.',
+    'bulk.report_refunded': '💵 Refund: ₦{amount}',
+    'bulk.receipt_caption': '📄 Bulk Payout Receipt',
+    'bulk.read_error': '❌ I no fit read the file. Abeg check am and try again.',
+    'bulk.xls_unsupported': '📊 I no fit read old .xls workbooks. For Excel, use File → Save As → "Excel Workbook (.xlsx)" or "CSV (Comma delimited)" and send me that file.',
+    'bulk.file_hint': '📄 To pay plenty people at once, send .csv or Excel .xlsx file wey get these columns:\naccount_number, bank, amount, narration',
+    'bulk.too_large': '❌ That file too big. Bulk payout files no fit pass {size} KB.',
+    'bulk.checking': '📦 I dey check your payments... Abeg wait.\n\n⏳ I dey verify every account, so e fit take one minute.',
+
+    'workflow.confirm_new': 'Send ₦{amount} to {account}{name}? I go verify the account details first.',
+    'workflow.confirm_verified': 'Send ₦{amount} to {name} ({account})?\n\n🏦 {bank}\n\nPress ✅ Confirm or ❌ Cancel for down.',
+    'workflow.confirm_beneficiary': 'Send ₦{amount} to {name} ({nickname})?\n\n🏦 {bank}\n📱 {account}\n\nPress ✅ Confirm for down.',
+    'wallet.own_wallet': '❌ Na your own wallet be that. To add money, transfer enter am from your bank or ask me how to fund your wallet.',
+    'wallet.confirm': 'Send ₦{amount} to {name} for QuickWallet{username}? ✅\n\n⚡ E go land sharp sharp, no fee.',
+    'wallet.not_found': '❌ I no see any QuickWallet user with {destination}. Check am and try again, or send to their bank account number.',
+    'requests.missing': 'Who go pay you, and how much? Try: "Request 5000 from @ada for lunch" or "Request 5000 from 08031234567".',
+    'requests.not_found': '❌ I fit only request money from QuickWallet users, and I no see anybody with those details.',
+    'requests.confirm': 'Make I ask {name} to pay you ₦{amount}{note}?',
+    'schedule.missing': 'To schedule transfer I need the amount, beneficiary wey you don save, and how often to send am. Try: "Send 20000 to Mom every 1st of the month" or "Pay John 5000 every Friday".',
+    'schedule.beneficiary_not_found': '❌ Scheduled transfers dey go to beneficiaries wey you don save, and I no see anybody named "{name}". Save dem first, like "Add my mom\'s account 0123456789 GTBank".',
+    'schedule.confirm': 'Send ₦{amount} to {name} ({nickname}) {when}?\n\n📅 First transfer: {first}\n💳 Transfer fee go apply every time. I go remind you one day before every transfer.',
+    'split.example': 'Try: "Send 30000 split between John, Ada and Tunde" or "Split 30000 between Mom and Dad 2:1".',
+    'split.who': 'Who I go share am between? Split dey go to two or more beneficiaries wey you don save.',
+    'split.not_found': '❌ I no see any saved beneficiary named {names}.',
+    'split.saved': 'Your saved beneficiaries na: {names}.',
+    'split.save_first': 'Save dem first, like "Add my mom\'s account 0123456789 GTBank".',
+    'split.duplicate': '❌ You list the same beneficiary two times. Abeg name each person once.',
+    'split.mismatch': 'The amounts add up to ₦{sum}, no be ₦{total}.',
+    'split.no_total': 'How much I go share?',
+    'split.used_up': 'The exact amounts don already finish the ₦{total}.',
+    'split.confirm': 'Share ₦{total} between {count} people? ✅\n\n{legs}\n\nAll the transfers go comot your balance together: if e no fit cover all, none go go.',
+    'webapp.expired': '⌛ This PIN pad don expire. Abeg start again for the chat.',
+    'webapp.rate_limited': '⚠️ Requests too plenty. Abeg wait one minute.',
+    'webapp.no_account': '❌ We no see your QuickWallet account.'
+  },
+
+  yo: {
+    'common.error': '❌ Aṣiṣe kan ṣẹlẹ. Jọwọ gbiyanju lẹẹkansi.',
+
+    'workflow.error': 'Ẹ má binu, aṣiṣe kan ṣẹlẹ. Jọwọ gbiyanju lẹẹkansi.',
+    'workflow.not_understood': 'Ko ye mi ohun ti ẹ n beere. Jọwọ gbiyanju lẹẹkansi tabi kan si atilẹyin.',
+    'workflow.check_balance': 'Ẹ jẹ ki n ṣayẹwo iye owo inu apo yin! 💳',
+    'workflow.history': 'Eyi ni itan idunadura yin to ṣẹṣẹ waye! 📊',
+    'workflow.fund': 'Mo le ran yin lọwọ lati fi owo sinu apo yin! Ẹ fi owo ranṣẹ si nọmba akaunti akanṣe yin lati banki eyikeyi, tabi lo awọn ọna miiran.',
+    'workflow.fund_amount': 'Ẹ le fi ₦{amount} sinu apo yin. Ẹ fi owo ranṣẹ si nọmba akaunti akanṣe yin lati banki eyikeyi, tabi lo awọn ọna miiran ninu app.',
+    'workflow.send_missing': 'Lati fi owo ranṣẹ, mo nilo iye owo ati nọmba akaunti, nọmba foonu tabi @username ẹni naa. Jọwọ fi eyi to ku ranṣẹ.',
+    'workflow.which_beneficiary': 'Ewo ninu awọn eniyan ti ẹ fi pamọ ni ẹ fẹ fi owo ranṣẹ si?',
+    'workflow.ask_amount': 'Elo ni ẹ fẹ fi ranṣẹ si {name}?',
+    'workflow.confirm_send': 'Ṣe ki n fi ₦{amount} ranṣẹ si {name}? ✅',
+    'workflow.add_missing': 'Lati fi ẹnikan pamọ, mo nilo nọmba akaunti wọn ati orukọ ti ẹ fẹ maa pe wọn. Ẹ tun le fi aworan iwe banki ranṣẹ!',
+    'workflow.invalid_amount': '❌ Jọwọ tẹ iye owo to tọ (bii 5000 tabi 5k).',
+    'workflow.invalid_amount_or_save': "❌ Jọwọ tẹ iye owo to tọ (bii 5000 tabi 5k) tabi 'save as [orukọ]' lati fi ẹni naa pamọ.",
+    'workflow.amount_too_low': '❌ Iye owo naa kere ju. Eyi to kere julọ ni ₦100. Jọwọ tẹ iye owo to tọ.',
+
+    'confirm.confirm': '✅ Fọwọsi',
+    'confirm.cancel': '❌ Fagile',
+    'confirm.confirmed': '✅ A ti fọwọsi',
+    'confirm.cancelled': '❌ A ti fagile',
+    'confirm.tap_buttons': '👆 Jọwọ tẹ {confirm} tabi {cancel} lori ifiranṣẹ to wa loke.',
+    'confirm.transfer_cancelled': '❌ A ti fagile gbigbe owo naa. Kini ohun miiran ti mo le ṣe fun yin? 😊',
+    'confirm.request_cancelled': '❌ A ti fagile ibeere naa. Kini ohun miiran ti mo le ṣe fun yin? 😊',
+
+    'pin.enter': '🔐 Jọwọ tẹ PIN oni-nọmba mẹrin yin lati pari gbigbe owo naa:',
+    'pin.button': 'Tẹ PIN',
+    'pin.tap': '🔐 Tẹ *{button}* lati tẹ PIN oni-nọmba mẹrin yin lailewu.\n\nẸ tun le tẹ ẹ nibi; a o pa ifiranṣẹ naa rẹ lẹsẹkẹsẹ.',
+
+    'language.status': '🌍 Mo n fesi ni {name}{mode}.\n\nLati yi pada:\n{options}',
+    'language.mode_auto': ' (ni ede ti ẹ ba kọ)',
+    'language.set': '✅ O ti di ṣiṣe! Emi yoo maa fesi ni Yoruba lati isisiyi lọ.',
+    'language.auto': '✅ O ti di ṣiṣe! Emi yoo maa fesi ni ede ti ẹ ba kọ.',
+    'language.unknown': '❌ Nko mọ ede yẹn. Ẹ yan ọkan ninu: {codes}.',
+
+    'clarify.question': '🤔 Ẹ jẹ ki n ri daju: ṣe ẹ fẹ {action}{details}? Ẹ fesi bẹẹni tabi rara.',
+    'clarify.declined': 'O dara, nko ni ṣe e. Ẹ sọ ohun ti ẹ fẹ ṣe fun mi. 😊',
+    'clarify.SEND_MONEY': 'fi owo ranṣẹ',
+    'clarify.SEND_TO_BENEFICIARY': 'fi owo ranṣẹ si ẹni ti ẹ fi pamọ',
+    'clarify.REQUEST_MONEY': 'beere owo',
+    'clarify.SCHEDULE_TRANSFER': 'ṣeto fifiranṣẹ owo loorekoore',
+    'clarify.SPLIT_TRANSFER': 'pin owo laarin awọn eniyan',
+    'clarify.ADD_BENEFICIARY': 'fi ẹni tuntun pamọ',
+
+    'common.unexpected': '❌ Aṣiṣe kan ṣẹlẹ. Jọwọ gbiyanju lẹẹkansi nigba miiran.',
+    'common.and': ' ati ',
+    'security.locked': '🔒 A ti ti akaunti yin pa fun igba diẹ nitori ọpọlọpọ igbiyanju ti ko tọ. Jọwọ gbiyanju lẹẹkansi nigba miiran.',
+    'language.error': '❌ Nko le yi ede yin pada. Jọwọ gbiyanju lẹẹkansi.',
+
+    'transfer.reset_cooldown': '🛡️ Ẹ ṣẹṣẹ tun PIN yin ṣe, nitorina a ti da fifiranṣẹ owo duro fun aabo yin. Ẹ le fi owo ranṣẹ lẹẹkansi lẹhin bii wakati {count}.',
+    'transfer.paused_after_reset': '🛡️ A ti da fifiranṣẹ owo duro nitori pe ẹ ṣẹṣẹ tun PIN yin ṣe.',
+    'transfer.failed_retry': '❌ Idunadura naa ko ṣaṣeyọri. Jọwọ gbiyanju lẹẹkansi.',
+    'transfer.failed_support': '❌ Idunadura naa ko ṣaṣeyọri. Jọwọ kan si atilẹyin ti o ba n tẹsiwaju.',
+    'transfer.in_progress': '⏳ A ti n ṣiṣẹ lori gbigbe owo yii tẹlẹ.',
+
+    'pin.not_awaiting': 'Ko si gbigbe owo kankan to n duro de PIN.',
+    'pin.invalid': '❌ PIN ko tọ. Igbiyanju {count} lo ku ki a to ti akaunti yin pa.',
+    'pin.locked': '🔒 A ti ti akaunti yin pa nitori ọpọlọpọ igbiyanju ti ko tọ. Jọwọ gbiyanju lẹẹkansi lẹhin iṣẹju 15.',
+    'pin.not_four_digits': 'PIN gbọdọ jẹ nọmba mẹrin gangan.',
+    'pin.too_easy': 'PIN yii rọrun ju lati mọ. Ẹ yago fun nọmba kan naa leralera tabi awọn nọmba to tẹle ara wọn.',
+    'pin.rejected': '❌ {reason} Ẹ tẹ PIN miiran:',
+    'pin.same_as_current': '❌ PIN tuntun gbọdọ yatọ si PIN yin lọwọlọwọ. Ẹ tẹ PIN miiran:',
+    'pin.enter_new': '🔢 Ẹ tẹ PIN tuntun oni-nọmba mẹrin yin:',
+    'pin.repeat': '🔁 Ẹ tun PIN tuntun naa tẹ lati fọwọsi rẹ:',
+    'pin.current_incorrect': '❌ PIN yin lọwọlọwọ ko tọ. Igbiyanju {count} lo ku ki a to ti akaunti yin pa.',
+    'pin.locked_recover': '🔒 A ti ti akaunti yin pa nitori ọpọlọpọ igbiyanju ti ko tọ. Ẹ lo /forgotpin tabi gbiyanju lẹẹkansi lẹhin iṣẹju 15.',
+    'pin.changed': '✅ A ti yi PIN idunadura yin pada.',
+    'pin.recovery_unavailable': '❌ Gbigba PIN pada ko ṣee ṣe lọwọlọwọ. Jọwọ kan si atilẹyin.',
+    'pin.recovery_locked': '🔒 Igbiyanju ti ko tọ ti pọ ju. Jọwọ gbiyanju lẹẹkansi lẹhin wakati kan tabi kan si atilẹyin.',
+    'pin.dob_mismatch': '❌ Ọjọ ibi yẹn ko baamu ohun to wa lọwọ wa. Igbiyanju {count} lo ku.',
+    'pin.otp_not_sent': '❌ A ko le fi koodu yin ranṣẹ. Jọwọ gbiyanju lẹẹkansi nigba miiran.',
+    'pin.otp_sent': '📨 A ti fi koodu oni-nọmba mẹfa ranṣẹ si {destinations}. Ẹ tẹ ẹ nibi (yoo pari ni iṣẹju 10):',
+    'pin.otp_expired': '⌛ Koodu yin ti pari. Ẹ fi /forgotpin ranṣẹ lati bẹrẹ lẹẹkansi.',
+    'pin.otp_verified': '✅ Koodu naa tọ. Ẹ tẹ PIN tuntun oni-nọmba mẹrin yin:',
+    'pin.otp_locked': '🔒 Koodu ti ko tọ ti pọ ju. Ẹ fi /forgotpin ranṣẹ lati bẹrẹ lẹẹkansi.',
+    'pin.otp_incorrect': '❌ Koodu ko tọ. Igbiyanju {count} lo ku.',
+    'pin.recovery_expired': '⌛ Akoko gbigba PIN pada yin ti pari. Ẹ fi /forgotpin ranṣẹ lati bẹrẹ lẹẹkansi.',
+    'pin.reset': '✅ A ti tun PIN idunadura yin ṣe.\n\n🛡️ Fun aabo yin, a ti da fifiranṣẹ owo duro fun wakati {count}.',
+
+    'pin_flow.change_start': '🔐 Yi PIN Idunadura Pada\n\nẸ tẹ PIN oni-nọmba mẹrin yin lọwọlọwọ (tabi "cancel" lati duro):',
+    'pin_flow.recovery_start': '🔑 Ẹ Gbagbe PIN Idunadura\n\nLati jẹrisi pe ẹyin ni, ẹ tẹ ọjọ ibi yin bii DD/MM/YYYY (tabi "cancel" lati duro):',
+    'pin_flow.cancelled': '❌ A ti fagile iyipada PIN. PIN yin ko yipada.',
+    'pin_flow.enter_current': '🔢 Jọwọ tẹ PIN oni-nọmba mẹrin yin lọwọlọwọ:',
+    'pin_flow.mismatch': '❌ Awọn PIN naa ko baamu. Ẹ tun PIN tuntun oni-nọmba mẹrin yin tẹ:',
+    'pin_flow.error': '❌ Aṣiṣe kan ṣẹlẹ, PIN yin ko si yipada. Jọwọ gbiyanju lẹẹkansi.',
+    'pin_flow.change_error': '❌ Nko le bẹrẹ iyipada PIN. Jọwọ gbiyanju lẹẹkansi.',
+    'pin_flow.recovery_error': '❌ Nko le bẹrẹ gbigba PIN pada. Jọwọ gbiyanju lẹẹkansi.',
+
+    'funding.account_pending': '⚠️ A n ṣeto akaunti akanṣe yin lọwọ. Jọwọ gbiyanju lẹẹkansi laipẹ.',
+    'funding.title': '💰 Lati fi owo sinu apo yin:',
+    'funding.title_amount': '💰 Lati fi ₦{amount} sinu apo yin:',
+    'funding.details': '🏦 Banki: Paystack-Titan\n🔢 Nọmba Akaunti: {accountNumber}\n📛 Orukọ Akaunti: {accountName}\n\n✨ Owo naa yoo wọ apo yin funrararẹ!\n📱 Ma a sọ fun yin nigba ti owo ba wọle.\n\n💡 Ẹ tun le fi owo sii nipasẹ:\n• App banki/USSD\n• Banki ori ayelujara\n• ATM',
+
+    'balance.summary': '💰 Iye Owo Inu Apo\n\n💵 Owo to wa: ₦{balance}\n🏦 Akaunti: {accountNumber}\n📊 Iye to ku fun oni: ₦{remaining} ninu ₦{daily}{recent}\n\n💡 Ẹ le fi owo sinu apo yin nigbakugba nipa fifiranṣẹ si akaunti akanṣe yin!',
+    'balance.recent': '📋 Awọn idunadura to ṣẹṣẹ waye:',
+    'balance.error': '❌ Nko le ri iye owo yin bayi. Jọwọ gbiyanju lẹẹkansi.',
+
+    'history.title': '📊 Itan Idunadura',
+    'history.empty': '📭 Ko si idunadura kankan.\n\n💡 Ẹ bẹrẹ nipa fifi owo sinu apo yin tabi fifi owo ranṣẹ si awọn ọrẹ!',
+    'history.summary': '📈 Akopọ:\n💰 Owo to wọle: ₦{moneyIn}\n💸 Owo to jade: ₦{moneyOut}\n📊 Apapọ: ₦{net}',
+    'history.error': '❌ Nko le ri itan idunadura yin bayi.',
+
+    'kyc.bvn_start': '🪪 Ijẹrisi BVN\n\n🏦 Lakọọkọ, ẹ fi akaunti banki ni orukọ yin to so mọ BVN yin ranṣẹ, bii "0123456789 GTBank" (tabi "cancel" lati duro):',
+    'kyc.nin_start': '🪪 Ijẹrisi NIN\n\nẸ tẹ NIN oni-nọmba mọkanla yin (tabi "cancel" lati duro).\n🔒 A o pa ifiranṣẹ yin rẹ lẹsẹkẹsẹ, nọmba mẹrin to gbẹyin nikan la o tọju.',
+    'kyc.cancelled': '❌ A ti fagile ijẹrisi naa.',
+    'kyc.account_format': '🏦 Jọwọ fi nọmba akaunti oni-nọmba mẹwaa ranṣẹ pẹlu orukọ banki, bii "0123456789 GTBank":',
+    'kyc.bank_unknown': '❌ Nko ri banki kan to n jẹ "{bank}". Jọwọ gbiyanju lẹẹkansi:',
+    'kyc.bvn_prompt': '🏦 Akaunti {bank} to pari pẹlu {last4}.\n\nBayi ẹ tẹ BVN oni-nọmba mọkanla yin.\n🔒 A o pa ifiranṣẹ yin rẹ lẹsẹkẹsẹ, nọmba mẹrin to gbẹyin nikan la o tọju.',
+    'kyc.bvn_format': '🔢 BVN jẹ nọmba mọkanla. Jọwọ tẹ BVN yin:',
+    'kyc.nin_format': '🔢 NIN jẹ nọmba mọkanla. Jọwọ tẹ NIN yin:',
+    'kyc.error': '❌ Aṣiṣe kan ṣẹlẹ. Jọwọ gbiyanju /verify lẹẹkansi.',
+    'kyc.type_invalid': '❌ BVN tabi NIN nikan ni ẹ le jẹrisi.',
+    'kyc.id_format': '❌ {label} jẹ nọmba mọkanla.',
+    'kyc.bvn_account_required': '❌ Ijẹrisi BVN nilo nọmba akaunti oni-nọmba mẹwaa ati banki rẹ.',
+    'kyc.already_verified': '✅ A ti jẹrisi {label} yin tẹlẹ.',
+    'kyc.already_pending': '⏳ A n jẹrisi {label} yin lọwọ. A o fi ifiranṣẹ ranṣẹ si yin nigba ti o ba pari.',
+    'kyc.in_use': '❌ {label} yii ti so mọ akaunti miiran. Jọwọ kan si atilẹyin.',
+    'kyc.start_failed': '❌ Nko le bẹrẹ ijẹrisi naa. Jọwọ gbiyanju lẹẹkansi.',
+    'kyc.submit_failed': '❌ A ko le fi {label} yin silẹ: {reason}',
+    'kyc.submitted': '⏳ A ti fi {label} yin to pari pẹlu {last4} silẹ. A o fi ifiranṣẹ ranṣẹ si yin ni kete ti a ba jẹrisi rẹ.',
+    'kyc.failed': '❌ A ko le jẹrisi {label} yin to pari pẹlu {last4}.\n\n{reason}Ẹ ṣayẹwo awọn alaye naa ki ẹ si gbiyanju lẹẹkansi pẹlu /verify {type}.',
+    'kyc.failed_reason': 'Idi: {reason}',
+    'kyc.verified': '✅ A ti jẹrisi {label} yin!\n\n🏅 Ipele ijẹrisi: {tier}\nẸ fi /limits ranṣẹ lati ri iye owo tuntun ti ẹ le fi ranṣẹ.',
+
+    'verify.error': '❌ Nko le ri ipo ijẹrisi yin. Jọwọ gbiyanju lẹẹkansi.',
+    'verify.usage': 'Bi a ṣe n lo o: /verify, /verify bvn tabi /verify nin',
+    'verify.status': '🪪 Ijẹrisi Idanimọ\n\n🏅 Ipele yin lọwọlọwọ: {tier}\nBVN: {bvn}\nNIN: {nin}\n\nAwọn ipele:\n0 - Ko ti jẹrisi\n1 - A ti jẹrisi NIN\n2 - A ti jẹrisi BVN\n3 - A ti jẹrisi BVN ati NIN\n\nẸ fi /verify bvn tabi /verify nin ranṣẹ lati jẹrisi. Ẹ wo /limits lati ri ohun ti ipele kọọkan gba laaye.',
+    'verify.verified': '✅ A ti jẹrisi',
+    'verify.pending': '⏳ O n duro',
+    'verify.not_verified': '❌ Ko ti jẹrisi',
+
+    'limits.below_minimum': 'Iye to kere julọ fun idunadura kan ni ₦{amount}',
+    'limits.above_single': 'Iye to pọ julọ fun idunadura kan ni ₦{amount}',
+    'limits.daily_exceeded': 'Ẹ ti kọja iye ti ẹ le fi ranṣẹ loni. Eyi ti ẹ ti lo: ₦{used}, Opin: ₦{daily}, Eyi to ku: ₦{remaining}',
+    'limits.batch_daily_exceeded': 'Awọn gbigbe owo wọnyi (₦{total} lapapọ) ti kọja opin ojoojumọ yin. Eyi ti ẹ ti lo: ₦{used}, Opin: ₦{daily}, Eyi to ku: ₦{remaining}',
+    'limits.check_failed': 'Nko le ṣayẹwo opin idunadura yin',
+    'limits.type_invalid': '❌ Iru opin gbọdọ jẹ "single" tabi "daily".',
+    'limits.label_single': 'fun idunadura kan',
+    'limits.label_daily': 'ojoojumọ',
+    'limits.lower_too_low': '❌ Opin {label} ko le kere ju ₦{amount} lọ.',
+    'limits.lower_only': '❌ Dinku nikan ni ẹ le dinku opin {label} yin (o jẹ ₦{amount} bayi). Lati gbe e soke, ẹ gbe ipele ijẹrisi yin ga pẹlu /verify tabi kan si atilẹyin.',
+    'limits.update_failed': '❌ Nko le yi opin yin pada. Jọwọ gbiyanju lẹẹkansi.',
+    'limits.lowered': '✅ Opin {label} yin ti di ₦{amount} bayi.',
+    'limits.error': '❌ Nko le ri awọn opin yin. Jọwọ gbiyanju lẹẹkansi.',
+    'limits.usage': 'Bi a ṣe n lo o:\n/limits - wo awọn opin yin\n/limits daily 50000 - dinku opin ojoojumọ yin\n/limits single 20000 - dinku opin idunadura kan yin',
+    'limits.lowered_by_you': ' (ẹyin lẹ dinku rẹ)',
+    'limits.status': '📊 Awọn Opin Gbigbe Owo Yin\n\n🏅 Ipele: {tier} - {tierName}\n💸 Fun idunadura kan: ₦{single}{singleLowered}\n📅 Ojoojumọ: ₦{daily}{dailyLowered}\n📉 Eyi ti ẹ ti lo loni: ₦{used}\n✅ Eyi to ku loni: ₦{remaining}\n\n💡 Ẹ dinku opin pẹlu "/limits daily 50000" tabi "/limits single 20000".\nIpele {tierName} gba to ₦{tierSingle} laaye fun idunadura kan ati ₦{tierDaily} lojoojumọ; opin to ga ju bẹẹ lọ nilo ipele ijẹrisi to ga ju (/verify).',
+
+    'fees.charged': '💳 Owo iṣẹ: ₦{fee} · Apapọ: ₦{total}',
+    'fees.waived': '💳 Owo iṣẹ: A ti fi silẹ · Apapọ: ₦{total}',
+    'fees.free': '💳 Owo iṣẹ: Ọfẹ (gbigbe owo ọfẹ {count} lo ku loṣu yii) · Apapọ: ₦{total}',
+    'fees.batch': '💳 Owo iṣẹ: {fees}{free} · Apapọ: ₦{total}',
+    'fees.batch_waived': 'A ti fi silẹ',
+    'fees.batch_free': ' (a lo gbigbe owo ọfẹ {count})',
+
+    'fees.amount_waived': '₦0 (a ti fi silẹ)',
+    'fees.amount_free': '₦0 (gbigbe owo ọfẹ)',
+
+    'transfer.already_submitted': '⚠️ Ẹ ti fi gbigbe owo yii silẹ tẹlẹ (ref: {reference}).',
+    'transfer.split_already_submitted': '⚠️ Ẹ ti fi gbigbe owo pipin yii silẹ tẹlẹ (ref: {reference}).',
+    'transfer.insufficient': '❌ Owo inu apo yin ko to! Eyi to wa: ₦{balance}, Eyi to nilo: ₦{required}',
+    'transfer.not_started': '❌ Gbigbe owo naa ko le bẹrẹ: {reason}',
+    'transfer.returned': '💵 A ti da ₦{total} pada sinu apo yin.',
+    'transfer.returned_balance': '💵 A ti da ₦{total} pada sinu apo yin (iye owo: ₦{balance}).',
+    'transfer.processing': '⏳ A N Ṣe Gbigbe Owo Naa\n\n💰 Iye: ₦{amount}\n🏦 Si: {name}\n📱 Akaunti: {accountNumber} ({bankName})\n🔖 Itọkasi: {reference}\n💳 Owo iṣẹ: {fee}\n📊 Iye owo tuntun: ₦{balance}\n\n{next}',
+    'transfer.awaiting_otp': '🔐 Gbigbe owo yii n duro de ifọwọsi. Ma a fi risiti yin ranṣẹ ni kete ti wọn ba fọwọsi i ti o si wọle.',
+    'transfer.receipt_soon': 'Ma a fi risiti yin ranṣẹ ni kete ti banki ba jẹrisi gbigbe owo naa.',
+    'transfer.nothing_sent': 'Ko si owo kankan to lọ.',
+    'transfer.not_recorded': 'a ko le kọ ọ silẹ',
+    'transfer.leg_failed': 'Ko lọ: {reason}. A ti da owo naa pada.',
+    'transfer.split_processing': '⏳ A N Ṣe Gbigbe Owo Pipin Naa',
+    'transfer.split_partial': '⚠️ Apakan Gbigbe Owo Pipin Nikan Lo Bẹrẹ',
+    'transfer.new_balance': '📊 Iye owo tuntun: ₦{balance}',
+    'transfer.split_receipts': 'Ma a fi risiti ranṣẹ fun gbigbe owo kọọkan bi banki ṣe n jẹrisi rẹ.',
+    'transfer.split_refunded': '💵 A ti da gbogbo owo naa pada sinu apo yin.',
+    'transfer.recipient_failed': '❌ Nko le ṣeto {name} gẹgẹ bi ẹni ti yoo gba owo. Jọwọ gbiyanju lẹẹkansi nigba miiran.',
+    'transfer.bank_missing': '❌ Mo nilo banki fun akaunti {accountNumber}. Jọwọ bẹrẹ lẹẹkansi ki ẹ si fi banki kun un, bii "Send 5000 to {accountNumber} GTBank".',
+    'transfer.bank_unknown': '❌ Nko mọ banki "{bank}". Ẹ lo /banks lati ri awọn banki ti a n ṣe atilẹyin fun.',
+    'transfer.account_unverified': '❌ Nko le jẹrisi akaunti {accountNumber} pẹlu {bank}: {reason}',
+    'transfer.success': '✅ Gbigbe Owo Ti Ṣaṣeyọri!\n\n💰 Iye: ₦{amount}\n🏦 Si: {name}\n📱 Akaunti: {accountNumber}\n🔖 Itọkasi: {reference}\n💳 Owo iṣẹ: {fee}\n\n📄 Risiti ti ṣetan!',
+    'transfer.recipient': 'Olugba',
+    'transfer.receipt_caption': '📄 Risiti Idunadura',
+    'transfer.failed_title': '❌ Gbigbe Owo Ko Ṣaṣeyọri',
+    'transfer.reversed_title': '↩️ Banki Ti Da Gbigbe Owo Pada',
+    'transfer.refunded': '{title}\n\n💰 Iye: ₦{amount}\n❗ Idi: {reason}\n💵 Owo ti a da pada: ₦{refund}\n📊 Iye owo tuntun: ₦{balance}\n\nA ti da owo yin pada sinu apo yin.',
+
+    'wallet.self_send': '❌ Ẹ ko le fi owo ranṣẹ si apo ara yin.',
+    'wallet.success': '✅ Gbigbe Owo Ti Ṣaṣeyọri!\n\n💰 Iye: ₦{amount}\n👤 Si: {name} (QuickWallet)\n🔖 Itọkasi: {reference}\n💳 Owo iṣẹ: ₦0\n📊 Iye owo tuntun: ₦{balance}',
+    'wallet.received': '💵 Ẹ ti gba ₦{amount} lati ọdọ {sender}!\n\n{note}🔖 Itọkasi: {reference}\n{balance}',
+    'wallet.for': '📝 Fun: {note}',
+
+    'common.invalid_button': '❌ Bọtini yii ko wulo.',
+    'confirm.expired': '⌛ Ifọwọsi yii ti pari tabi ẹ ti dahun rẹ tẹlẹ.',
+
+    'requests.self': '❌ Ẹ ko le beere owo lọwọ ara yin.',
+    'requests.create_failed': '❌ Nko le ṣẹda ibeere owo naa. Jọwọ gbiyanju lẹẹkansi.',
+    'requests.sent': '📨 A ti fi ibeere naa ranṣẹ! Mo ti beere lọwọ {name} lati san ₦{amount} fun yin. Ma a jẹ ki ẹ mọ nigba ti wọn ba dahun.',
+    'requests.saved_unlinked': '📨 A ti fi ibeere naa pamọ, ṣugbọn {name} ko ti so Telegram pọ, nitorina wọn ko ni ri i titi wọn yoo fi ṣe bẹẹ.',
+    'requests.closed': '⌛ Wọn ti san ibeere yii, wọn ti kọ ọ, tabi o ti pari.',
+    'requests.declined_notice': '❌ {name} kọ ibeere yin fun ₦{amount}{note}.',
+    'requests.expired_notice': '⌛ Ibeere yin fun ₦{amount} lọwọ {name} ti pari lai si ẹni to san an.',
+    'requests.ask': '💸 {name} n beere ₦{amount} lọwọ yin{note}.\n\n⌛ Yoo pari: {expires}\nTi ẹ ba san an, owo naa yoo jade lati inu apo yin lẹsẹkẹsẹ, lai si owo iṣẹ.',
+    'requests.reminder': '🔔 Iranti: {name} n beere ₦{amount} lọwọ yin{note}.\n\n⌛ Yoo pari: {expires}\nTi ẹ ba san an, owo naa yoo jade lati inu apo yin lẹsẹkẹsẹ, lai si owo iṣẹ.',
+    'requests.ask_note': ' fun "{note}"',
+    'requests.pay_button': '💸 San ₦{amount}',
+    'requests.decline_button': '❌ Kọ ọ',
+    'requests.declined': '❌ Ẹ ti kọ ọ',
+    'requests.paying': '💸 A n san an',
+    'requests.someone': 'Ẹnikan',
+
+    'schedule.daily': 'lojoojumọ',
+    'schedule.weekly': 'ni gbogbo {day}',
+    'schedule.monthly': 'ni ọjọ {day} oṣu kọọkan',
+    'schedule.weekday_0': 'Ọjọ Àìkú',
+    'schedule.weekday_1': 'Ọjọ Ajé',
+    'schedule.weekday_2': 'Ọjọ Ìṣẹ́gun',
+    'schedule.weekday_3': 'Ọjọ́rú',
+    'schedule.weekday_4': 'Ọjọ́bọ̀',
+    'schedule.weekday_5': 'Ọjọ Ẹtì',
+    'schedule.weekday_6': 'Ọjọ Àbámẹ́ta',
+    'schedule.save_failed': '❌ Nko le fi eto naa pamọ. Jọwọ gbiyanju lẹẹkansi.',
+    'schedule.created': '🗓️ A ti ṣeto rẹ! Ma a fi ₦{amount} ranṣẹ si {name} ({nickname}) {when}.\n\n📅 Gbigbe owo akọkọ: {first}\nMa a ran yin leti ni ọjọ kan ṣaaju gbigbe owo kọọkan. Ẹ ṣakoso rẹ pẹlu /schedules.',
+    'schedule.update_failed': '❌ Nko le yi eto yẹn pada.',
+    'schedule.resumed': '✅ Eto naa ti tun bẹrẹ.',
+    'schedule.paused': '✅ A ti da eto naa duro.',
+    'schedule.cancelled': '✅ A ti fagile eto naa.',
+    'schedule.next_transfer': 'Gbigbe owo to kan: {date}.',
+    'schedule.notice': '🔔 Ẹ ṣọra: Ma a fi ₦{amount} ranṣẹ si {name} ({nickname}) ni {date}.\n\nJọwọ ri daju pe owo inu apo yin to fun un pẹlu owo iṣẹ. Lati fo o, ẹ da eto naa duro pẹlu /schedules.',
+    'schedule.beneficiary_removed': '❌ Mo ti fagile gbigbe owo ti a ṣeto fun ₦{amount} nitori pe ẹ ti yọ olugba rẹ kuro.',
+    'schedule.label': '₦{amount} si {name} ({nickname})',
+    'schedule.ran': '🗓️ Gbigbe owo ti a ṣeto fun {label}\n\n{message}',
+    'schedule.run_failed': '⚠️ Gbigbe owo ti a ṣeto fun {label} ko lọ:\n{message}\n\nMa a tun gbiyanju ni ọjọ to kan. Ẹ ṣakoso rẹ pẹlu /schedules.',
+    'schedule.error': '❌ Nko le ri awọn eto yin. Jọwọ gbiyanju lẹẹkansi.',
+    'schedule.usage': 'Bi a ṣe n lo o:\n/schedules - wo awọn gbigbe owo ti ẹ ṣeto\n/schedules pause 1 - da eto 1 duro\n/schedules resume 1 - tun eto 1 bẹrẹ\n/schedules cancel 1 - fagile eto 1',
+    'schedule.not_found': '❌ Ko si eto {number}. Ẹ fi /schedules ranṣẹ lati ri atokọ naa.',
+    'schedule.none': '🗓️ Ẹ ko ni gbigbe owo ti a ṣeto kankan.\n\n💡 Ẹ sọ fun mi lati ṣẹda ọkan, bii "Send 20000 to Mom every 1st of the month".',
+    'schedule.removed_beneficiary': 'olugba ti a ti yọ kuro',
+    'schedule.state_paused': '⏸️ A ti da a duro',
+    'schedule.state_next': '📅 To kan: {date}',
+    'schedule.last_failed': '⚠️ Eyi to kọja ko lọ: {reason}',
+    'schedule.item': '₦{amount} si {to} {when}',
+    'schedule.list': '🗓️ Awọn Gbigbe Owo Ti Ẹ Ṣeto\n\n{lines}\n\n💡 Ẹ ṣakoso wọn pẹlu "/schedules pause 1", "/schedules resume 1" tabi "/schedules cancel 1".',
+
+    'bulk.none_payable': '❌ A ko le san ọkankan ninu ila {count} to wa ninu {file}:\n\n{invalid}',
+    'bulk.more': '…ati {count} miiran',
+    'bulk.more_in_receipt': '…ati {count} miiran (ẹ wo risiti naa)',
+    'bulk.confirm': '📦 Isanwo Ọpọlọpọ: {file}\n\n{lines}\n\n✅ {payments} · ₦{total}\n💳 Owo iṣẹ: ₦{fees} · Apapọ: ₦{grand}',
+    'bulk.payments': 'isanwo {count}',
+    'bulk.skipped': '⚠️ A o fo ila {count}:',
+    'bulk.row': 'Ila {row}: {error}',
+    'bulk.xlsx_unreadable': '❌ Nko le ka faili Excel yẹn. Jọwọ ri daju pe o ṣi ninu Excel, tabi fi i ranṣẹ bi CSV.',
+    'bulk.bank_column': '❌ Faili naa nilo ọwọn "bank" (account_number, bank, amount, narration).',
+    'bulk.no_rows': '❌ Faili naa ko ni ila isanwo kankan.',
+    'bulk.too_many': '❌ Faili naa ni ila {count}; isanwo ọpọlọpọ ko le ju {max} lọ. Jọwọ pin in.',
+    'bulk.row_account': 'nọmba akaunti "{account}" gbọdọ jẹ nọmba mẹwaa',
+    'bulk.row_amount': 'iye owo ko si tabi ko tọ',
+    'bulk.row_bank_missing': 'banki ko si',
+    'bulk.row_bank_unknown': 'a ko mọ banki "{bank}"',
+    'bulk.row_unverified': 'a ko le jẹrisi akaunti pẹlu {bank}',
+    'bulk.row_not_processed': 'a ko le ṣe e',
+    'bulk.row_no_recipient': 'a ko le ṣeto olugba',
+    'bulk.row_duplicate': 'a ti fi i silẹ tẹlẹ',
+    'bulk.row_insufficient': 'owo ko to',
+    'bulk.row_not_debited': 'a ko le yọ owo naa',
+    'bulk.processing': '📦 A N Ṣe Isanwo Ọpọlọpọ\n\n{lines}\n\n⏳ Eyi to lọ: {sent} · ❌ Eyi ti ko lọ: {failed}\nMa a fi risiti PDF kan ranṣẹ ni kete ti awọn banki ba jẹrisi gbogbo gbigbe owo.',
+    'bulk.failed': '📦 Isanwo Ọpọlọpọ Ko Ṣaṣeyọri\n\n{lines}\n\n⏳ Eyi to lọ: {sent} · ❌ Eyi ti ko lọ: {failed}\n💵 A ko gba owo kankan; a ti da eyikeyi owo ti a yọ pada sinu apo yin.',
+    'bulk.report': '📦 Isanwo Ọpọlọpọ Ti Pari: {file}\n\n{lines}\n\n✅ Eyi ti a san: {paid} · ❌ Eyi ti ko lọ: {failed}\n💰 Iye ti a san: ₦{amount}\n{refunded}\n📄 Risiti yin wa ni isalẹ.',
+    'bulk.report_refunded': '💵 Owo ti a da pada: ₦{amount}',
+    'bulk.receipt_caption': '📄 Risiti Isanwo Ọpọlọpọ',
+    'bulk.read_error': '❌ Nko le ka faili naa. Jọwọ ṣayẹwo rẹ ki ẹ si gbiyanju lẹẹkansi.',
+    'bulk.xls_unsupported': '📊 Nko le ka awọn iwe .xls atijọ. Ninu Excel, ẹ lo File → Save As → "Excel Workbook (.xlsx)" tabi "CSV (Comma delimited)" ki ẹ si fi faili yẹn ranṣẹ si mi.',
+    'bulk.file_hint': '📄 Lati san owo fun ọpọlọpọ eniyan lẹẹkan, ẹ fi faili .csv tabi Excel .xlsx ranṣẹ pẹlu awọn ọwọn wọnyi:\naccount_number, bank, amount, narration',
+    'bulk.too_large': '❌ Faili yẹn ti tobi ju. Faili isanwo ọpọlọpọ ko gbọdọ ju {size} KB lọ.',
+    'bulk.checking': '📦 Mo n ṣayẹwo awọn isanwo yin... Jọwọ duro.\n\n⏳ Mo n jẹrisi akaunti kọọkan, nitorina o le gba iṣẹju kan.',
+
+    'workflow.confirm_new': 'Ṣe ki n fi ₦{amount} ranṣẹ si {account}{name}? Ma a kọkọ jẹrisi awọn alaye akaunti naa.',
+    'workflow.confirm_verified': 'Ṣe ki n fi ₦{amount} ranṣẹ si {name} ({account})?\n\n🏦 {bank}\n\nẸ tẹ ✅ Confirm tabi ❌ Cancel ni isalẹ.',
+    'workflow.confirm_beneficiary': 'Ṣe ki n fi ₦{amount} ranṣẹ si {name} ({nickname})?\n\n🏦 {bank}\n📱 {account}\n\nẸ tẹ ✅ Confirm ni isalẹ.',
+    'wallet.own_wallet': '❌ Apo ara yin niyẹn. Lati fi owo sii, ẹ fi owo ranṣẹ si i lati banki yin tabi ẹ beere lọwọ mi bi a ṣe n fi owo sinu apo.',
+    'wallet.confirm': 'Ṣe ki n fi ₦{amount} ranṣẹ si {name} lori QuickWallet{username}? ✅\n\n⚡ Yoo de lẹsẹkẹsẹ, lai si owo iṣẹ.',
+    'wallet.not_found': '❌ Nko ri olumulo QuickWallet kankan pẹlu {destination}. Ẹ ṣayẹwo rẹ ki ẹ si gbiyanju lẹẹkansi, tabi ẹ fi ranṣẹ si nọmba akaunti banki wọn.',
+    'requests.missing': 'Ta ni yoo san owo fun yin, ati elo ni? Ẹ gbiyanju: "Request 5000 from @ada for lunch" tabi "Request 5000 from 08031234567".',
+    'requests.not_found': '❌ Lọwọ awọn olumulo QuickWallet nikan ni mo le beere owo, nko si ri ẹnikan pẹlu awọn alaye yẹn.',
+    'requests.confirm': 'Ṣe ki n beere lọwọ {name} lati san ₦{amount} fun yin{note}?',
+    'schedule.missing': 'Lati ṣeto gbigbe owo mo nilo iye owo, olugba ti ẹ ti fi pamọ ati igba melo ni ki n fi ranṣẹ. Ẹ gbiyanju: "Send 20000 to Mom every 1st of the month" tabi "Pay John 5000 every Friday".',
+    'schedule.beneficiary_not_found': '❌ Olugba ti ẹ ti fi pamọ nikan ni gbigbe owo ti a ṣeto n lọ si, nko si ri ẹnikan ti a n pe ni "{name}". Ẹ kọkọ fi wọn pamọ, bii "Add my mom\'s account 0123456789 GTBank".',
+    'schedule.confirm': 'Ṣe ki n fi ₦{amount} ranṣẹ si {name} ({nickname}) {when}?\n\n📅 Gbigbe owo akọkọ: {first}\n💳 Owo iṣẹ yoo wa ni igba kọọkan. Ma a ran yin leti ni ọjọ kan ṣaaju gbigbe owo kọọkan.',
+    'split.example': 'Ẹ gbiyanju: "Send 30000 split between John, Ada and Tunde" tabi "Split 30000 between Mom and Dad 2:1".',
+    'split.who': 'Laarin ta ni ki n pin in si? Owo pipin n lọ si olugba meji tabi ju bẹẹ lọ ti ẹ ti fi pamọ.',
+    'split.not_found': '❌ Nko ri olugba ti ẹ fi pamọ ti a n pe ni {names}.',
+    'split.saved': 'Awọn olugba ti ẹ fi pamọ ni: {names}.',
+    'split.save_first': 'Ẹ kọkọ fi wọn pamọ, bii "Add my mom\'s account 0123456789 GTBank".',
+    'split.duplicate': '❌ Ẹ ko orukọ olugba kan naa lẹẹmeji. Jọwọ darukọ ẹni kọọkan lẹẹkan.',
+    'split.mismatch': 'Apapọ awọn iye naa jẹ ₦{sum}, kii ṣe ₦{total}.',
+    'split.no_total': 'Elo ni ki n pin?',
+    'split.used_up': 'Awọn iye ti ẹ darukọ ti lo gbogbo ₦{total} tan.',
+    'split.confirm': 'Ṣe ki n pin ₦{total} laarin eniyan {count}? ✅\n\n{legs}\n\nGbogbo gbigbe owo naa yoo jade lati inu apo yin papọ: ti ko ba to fun gbogbo wọn, ko si eyi ti yoo lọ.',
+    'webapp.expired': '⌛ Bọtini PIN yii ti pari. Jọwọ ẹ bẹrẹ lẹẹkansi ninu ijiroro naa.',
+    'webapp.rate_limited': '⚠️ Ibeere ti pọ ju. Jọwọ ẹ duro fun iṣẹju kan.',
+    'webapp.no_account': '❌ A ko ri akaunti QuickWallet yin.'
+  },
+
+  ig: {
+    'common.error': '❌ Nsogbu mere. Biko nwaa ọzọ.',
+
+    'workflow.error': 'Ndo, nsogbu mere. Biko nwaa ọzọ.',
+    'workflow.not_understood': 'Aghọtaghị m ihe ị chọrọ. Biko nwaa ọzọ ma ọ bụ kpọtụrụ ndị nkwado.',
+    'workflow.check_balance': 'Ka m lelee ego dị n\'akpa gị! 💳',
+    'workflow.history': 'Lee azụmahịa gị nke na-adịbeghị anya! 📊',
+    'workflow.fund': 'Enwere m ike inyere gị aka itinye ego n\'akpa gị! Zitere ego na nọmba akaụntụ gị pụrụ iche site n\'ụlọ akụ ọ bụla, ma ọ bụ jiri ụzọ ndị ọzọ.',
+    'workflow.fund_amount': 'Ị nwere ike itinye ₦{amount} n\'akpa gị. Zitere ya na nọmba akaụntụ gị pụrụ iche site n\'ụlọ akụ ọ bụla, ma ọ bụ jiri ụzọ ndị ọzọ dị n\'app.',
+    'workflow.send_missing': 'Iji ziga ego, achọrọ m ego ole na nọmba akaụntụ, nọmba ekwentị ma ọ bụ @username onye ahụ. Biko zite ihe fọdụrụ.',
+    'workflow.which_beneficiary': 'Onye n\'ime ndị ị chekwara ka ị chọrọ iziga ego?',
+    'workflow.ask_amount': 'Ego ole ka ị chọrọ iziga {name}?',
+    'workflow.confirm_send': 'Ka m ziga {name} ₦{amount}? ✅',
+    'workflow.add_missing': 'Iji chekwaa onye, achọrọ m nọmba akaụntụ ya na aha ị ga-akpọ ya. Ị nwekwara ike izite foto akwụkwọ ụlọ akụ!',
+    'workflow.invalid_amount': '❌ Biko tinye ego ziri ezi (dịka 5000 ma ọ bụ 5k).',
+    'workflow.invalid_amount_or_save': "❌ Biko tinye ego ziri ezi (dịka 5000 ma ọ bụ 5k) ma ọ bụ 'save as [aha]' iji chekwaa onye ahụ.",
+    'workflow.amount_too_low': '❌ Ego ahụ dị obere. Opekempe bụ ₦100. Biko tinye ego ziri ezi.',
+
+    'confirm.confirm': '✅ Kwado',
+    'confirm.cancel': '❌ Kagbuo',
+    'confirm.confirmed': '✅ Akwadoro',
+    'confirm.cancelled': '❌ Akagburu',
+    'confirm.tap_buttons': '👆 Biko pịa {confirm} ma ọ bụ {cancel} n\'ozi dị n\'elu.',
+    'confirm.transfer_cancelled': '❌ Akagburu nziga ego ahụ. Gịnị ọzọ ka m ga-emere gị? 😊',
+    'confirm.request_cancelled': '❌ Akagburu arịrịọ ahụ. Gịnị ọzọ ka m ga-emere gị? 😊',
+
+    'pin.enter': '🔐 Biko tinye PIN gị nwere ọnụọgụ anọ iji mechaa nziga ego ahụ:',
+    'pin.button': 'Tinye PIN',
+    'pin.tap': '🔐 Pịa *{button}* iji tinye PIN gị nwere ọnụọgụ anọ n\'enweghị nsogbu.\n\nỊ nwekwara ike pịnye ya ebe a; a ga-ehichapụ ozi ahụ ozugbo.',
+
+    'language.status': '🌍 Ana m aza gị n\'{name}{mode}.\n\nIji gbanwee ya:\n{options}',
+    'language.mode_auto': ' (n\'asụsụ ị dere)',
+    'language.set': '✅ Emechara! M ga-aza gị n\'Igbo site ugbu a.',
+    'language.auto': '✅ Emechara! M ga-aza n\'asụsụ ị dere.',
+    'language.unknown': '❌ Amaghị m asụsụ ahụ. Họrọ otu n\'ime: {codes}.',
+
+    'clarify.question': '🤔 Ka m jide n\'aka: ị chọrọ {action}{details}? Zaa ee ma ọ bụ mba.',
+    'clarify.declined': 'Ọ dị mma, agaghị m eme ya. Gwa m ihe ị chọrọ ime. 😊',
+    'clarify.SEND_MONEY': 'iziga ego',
+    'clarify.SEND_TO_BENEFICIARY': 'iziga ego nye onye ị chekwara',
+    'clarify.REQUEST_MONEY': 'ịrịọ ego',
+    'clarify.SCHEDULE_TRANSFER': 'ịhazi nziga ego na-emegharị',
+    'clarify.SPLIT_TRANSFER': 'ikesa ego n\'etiti ndị mmadụ',
+    'clarify.ADD_BENEFICIARY': 'ichekwa onye ọhụrụ',
+
+    'common.unexpected': '❌ Ihe adịghị mma mere. Biko nwaa ọzọ ma emechaa.',
+    'common.and': ' na ',
+    'security.locked': '🔒 Akpọchiri akaụntụ gị nwa oge n\'ihi ọtụtụ mgbalị na-ezighi ezi. Biko nwaa ọzọ ma emechaa.',
+    'language.error': '❌ Enweghị m ike ịgbanwe asụsụ gị. Biko nwaa ọzọ.',
+
+    'transfer.reset_cooldown': '🛡️ Ị ka tọgharịrị PIN gị, ya mere akwụsịrị izipu ego nwa oge maka nchekwa gị. Ị ga-enwe ike izipu ego ọzọ n\'ihe dị ka awa {count}.',
+    'transfer.paused_after_reset': '🛡️ Akwụsịrị izipu ego n\'ihi na ị ka tọgharịrị PIN gị.',
+    'transfer.failed_retry': '❌ Azụmahịa ahụ emezughị. Biko nwaa ọzọ.',
+    'transfer.failed_support': '❌ Azụmahịa ahụ emezughị. Biko kpọtụrụ ndị nkwado ma ọ gaa n\'ihu.',
+    'transfer.in_progress': '⏳ A na-arụ ọrụ na izipu ego a ugbu a.',
+
+    'pin.not_awaiting': 'Enweghị izipu ego ọ bụla na-eche PIN.',
+    'pin.invalid': '❌ PIN ezighi ezi. Mgbalị {count} fọdụrụ tupu akpọchie akaụntụ gị.',
+    'pin.locked': '🔒 Akpọchiri akaụntụ gị n\'ihi ọtụtụ mgbalị na-ezighi ezi. Biko nwaa ọzọ mgbe nkeji 15 gachara.',
+    'pin.not_four_digits': 'PIN ga-abụ ọnụọgụ anọ kpọmkwem.',
+    'pin.too_easy': 'PIN a dị mfe ịkọ. Zere ịmegharị otu ọnụọgụ ma ọ bụ ọnụọgụ na-esochi ibe ha.',
+    'pin.rejected': '❌ {reason} Tinye PIN ọzọ:',
+    'pin.same_as_current': '❌ PIN ọhụrụ ga-adị iche na PIN gị ugbu a. Tinye PIN ọzọ:',
+    'pin.enter_new': '🔢 Tinye PIN ọhụrụ gị nwere ọnụọgụ anọ:',
+    'pin.repeat': '🔁 Tinyeghachi PIN ọhụrụ ahụ iji kwado ya:',
+    'pin.current_incorrect': '❌ PIN gị ugbu a ezighi ezi. Mgbalị {count} fọdụrụ tupu akpọchie akaụntụ gị.',
+    'pin.locked_recover': '🔒 Akpọchiri akaụntụ gị n\'ihi ọtụtụ mgbalị na-ezighi ezi. Jiri /forgotpin ma ọ bụ nwaa ọzọ mgbe nkeji 15 gachara.',
+    'pin.changed': '✅ Agbanweela PIN azụmahịa gị.',
+    'pin.recovery_unavailable': '❌ Enweghị ike iweghachi PIN ugbu a. Biko kpọtụrụ ndị nkwado.',
+    'pin.recovery_locked': '🔒 Mgbalị na-ezighi ezi karịrị akarị. Biko nwaa ọzọ mgbe otu awa gachara ma ọ bụ kpọtụrụ ndị nkwado.',
+    'pin.dob_mismatch': '❌ Ụbọchị ọmụmụ ahụ adabaghị na nke anyị nwere. Mgbalị {count} fọdụrụ.',
+    'pin.otp_not_sent': '❌ Anyị enweghị ike izipu koodu gị. Biko nwaa ọzọ ma emechaa.',
+    'pin.otp_sent': '📨 Ezigara koodu nwere ọnụọgụ isii na {destinations}. Tinye ya ebe a (ọ ga-agwụ n\'ime nkeji 10):',
+    'pin.otp_expired': '⌛ Koodu gị agwụla. Zipu /forgotpin ka ịmalite ọzọ.',
+    'pin.otp_verified': '✅ Koodu ahụ ziri ezi. Tinye PIN ọhụrụ gị nwere ọnụọgụ anọ:',
+    'pin.otp_locked': '🔒 Koodu na-ezighi ezi karịrị akarị. Zipu /forgotpin ka ịmalite ọzọ.',
+    'pin.otp_incorrect': '❌ Koodu ezighi ezi. Mgbalị {count} fọdụrụ.',
+    'pin.recovery_expired': '⌛ Oge iweghachi PIN gị agwụla. Zipu /forgotpin ka ịmalite ọzọ.',
+    'pin.reset': '✅ Atọgharịla PIN azụmahịa gị.\n\n🛡️ Maka nchekwa gị, akwụsịrị izipu ego ruo awa {count}.',
+
+    'pin_flow.change_start': '🔐 Gbanwee PIN Azụmahịa\n\nTinye PIN gị ugbu a nwere ọnụọgụ anọ (ma ọ bụ "cancel" ka ịkwụsị):',
+    'pin_flow.recovery_start': '🔑 Echefuru PIN Azụmahịa\n\nIji gosi na ọ bụ gị, tinye ụbọchị ọmụmụ gị dị ka DD/MM/YYYY (ma ọ bụ "cancel" ka ịkwụsị):',
+    'pin_flow.cancelled': '❌ Akagbuola mgbanwe PIN. PIN gị agbanweghị.',
+    'pin_flow.enter_current': '🔢 Biko tinye PIN gị ugbu a nwere ọnụọgụ anọ:',
+    'pin_flow.mismatch': '❌ PIN ndị ahụ adabaghị. Tinyeghachi PIN ọhụrụ gị nwere ọnụọgụ anọ:',
+    'pin_flow.error': '❌ Ihe adịghị mma mere, PIN gị agbanweghịkwa. Biko nwaa ọzọ.',
+    'pin_flow.change_error': '❌ Enweghị m ike ịmalite mgbanwe PIN. Biko nwaa ọzọ.',
+    'pin_flow.recovery_error': '❌ Enweghị m ike ịmalite iweghachi PIN. Biko nwaa ọzọ.',
+
+    'funding.account_pending': '⚠️ A ka na-edozi akaụntụ pụrụ iche gị. Biko nwaa ọzọ n\'oge na-adịghị anya.',
+    'funding.title': '💰 Iji tinye ego n\'akpa gị:',
+    'funding.title_amount': '💰 Iji tinye ₦{amount} n\'akpa gị:',
+    'funding.details': '🏦 Ụlọ akụ: Paystack-Titan\n🔢 Nọmba Akaụntụ: {accountNumber}\n📛 Aha Akaụntụ: {accountName}\n\n✨ Ego ahụ ga-abanye n\'akpa gị n\'onwe ya!\n📱 Aga m agwa gị mgbe ego batara.\n\n💡 Ị nwekwara ike itinye ego site na:\n• App ụlọ akụ/USSD\n• Ụlọ akụ n\'ịntanetị\n• ATM',
+
+    'balance.summary': '💰 Ego Dị n\'Akpa\n\n💵 Ego dị: ₦{balance}\n🏦 Akaụntụ: {accountNumber}\n📊 Ihe fọdụrụ taa: ₦{remaining} n\'ime ₦{daily}{recent}\n\n💡 Ị nwere ike itinye ego n\'akpa gị mgbe ọ bụla site n\'izipu ya na akaụntụ pụrụ iche gị!',
+    'balance.recent': '📋 Azụmahịa ndị na-adịbeghị anya:',
+    'balance.error': '❌ Enweghị m ike ịhụ ego dị n\'akpa gị ugbu a. Biko nwaa ọzọ.',
+
+    'history.title': '📊 Akụkọ Azụmahịa',
+    'history.empty': '📭 Enweghị azụmahịa ọ bụla.\n\n💡 Malite site n\'itinye ego n\'akpa gị ma ọ bụ izipu ego nye ndị enyi!',
+    'history.summary': '📈 Nchịkọta:\n💰 Ego batara: ₦{moneyIn}\n💸 Ego pụrụ: ₦{moneyOut}\n📊 Ngụkọta: ₦{net}',
+    'history.error': '❌ Enweghị m ike ịhụ akụkọ azụmahịa gị ugbu a.',
+
+    'kyc.bvn_start': '🪪 Nkwenye BVN\n\n🏦 Nke mbụ, zipu akaụntụ ụlọ akụ n\'aha gị jikọrọ na BVN gị, dị ka "0123456789 GTBank" (ma ọ bụ "cancel" ka ịkwụsị):',
+    'kyc.nin_start': '🪪 Nkwenye NIN\n\nTinye NIN gị nwere ọnụọgụ iri na otu (ma ọ bụ "cancel" ka ịkwụsị).\n🔒 A ga-ehichapụ ozi gị ozugbo, ọ bụ naanị ọnụọgụ anọ ikpeazụ ka anyị na-edebe.',
+    'kyc.cancelled': '❌ Akagbuola nkwenye ahụ.',
+    'kyc.account_format': '🏦 Biko zipu nọmba akaụntụ nwere ọnụọgụ iri na aha ụlọ akụ, dị ka "0123456789 GTBank":',
+    'kyc.bank_unknown': '❌ Ahụghị m ụlọ akụ aha ya bụ "{bank}". Biko nwaa ọzọ:',
+    'kyc.bvn_prompt': '🏦 Akaụntụ {bank} na-ejedebe na {last4}.\n\nUgbu a tinye BVN gị nwere ọnụọgụ iri na otu.\n🔒 A ga-ehichapụ ozi gị ozugbo, ọ bụ naanị ọnụọgụ anọ ikpeazụ ka anyị na-edebe.',
+    'kyc.bvn_format': '🔢 BVN bụ ọnụọgụ iri na otu. Biko tinye BVN gị:',
+    'kyc.nin_format': '🔢 NIN bụ ọnụọgụ iri na otu. Biko tinye NIN gị:',
+    'kyc.error': '❌ Ihe adịghị mma mere. Biko nwaa /verify ọzọ.',
+    'kyc.type_invalid': '❌ Ọ bụ naanị BVN ma ọ bụ NIN ka ị nwere ike ikwenye.',
+    'kyc.id_format': '❌ {label} bụ ọnụọgụ iri na otu.',
+    'kyc.bvn_account_required': '❌ Nkwenye BVN chọrọ nọmba akaụntụ nwere ọnụọgụ iri na ụlọ akụ ya.',
+    'kyc.already_verified': '✅ Ekwenyela {label} gị.',
+    'kyc.already_pending': '⏳ A na-akwado {label} gị ugbu a. Anyị ga-ezitere gị ozi mgbe ọ gwụrụ.',
+    'kyc.in_use': '❌ {label} a jikọrọ na akaụntụ ọzọ. Biko kpọtụrụ ndị nkwado.',
+    'kyc.start_failed': '❌ Enweghị m ike ịmalite nkwenye ahụ. Biko nwaa ọzọ.',
+    'kyc.submit_failed': '❌ Anyị enweghị ike izipu {label} gị: {reason}',
+    'kyc.submitted': '⏳ Ezipụla {label} gị na-ejedebe na {last4}. Anyị ga-ezitere gị ozi ozugbo anyị kwenyere ya.',
+    'kyc.failed': '❌ Anyị enweghị ike ikwenye {label} gị na-ejedebe na {last4}.\n\n{reason}Lelee nkọwa ndị ahụ ma nwaa ọzọ site na /verify {type}.',
+    'kyc.failed_reason': 'Ihe kpatara ya: {reason}',
+    'kyc.verified': '✅ Ekwenyela {label} gị!\n\n🏅 Ọkwa nkwenye: {tier}\nZipu /limits ka ịhụ oke ego ọhụrụ ị nwere ike izipu.',
+
+    'verify.error': '❌ Enweghị m ike ịhụ ọnọdụ nkwenye gị. Biko nwaa ọzọ.',
+    'verify.usage': 'Otu esi eji ya: /verify, /verify bvn ma ọ bụ /verify nin',
+    'verify.status': '🪪 Nkwenye Njirimara\n\n🏅 Ọkwa gị ugbu a: {tier}\nBVN: {bvn}\nNIN: {nin}\n\nỌkwa:\n0 - Ekwenyebeghị\n1 - Ekwenyela NIN\n2 - Ekwenyela BVN\n3 - Ekwenyela BVN na NIN\n\nZipu /verify bvn ma ọ bụ /verify nin ka ikwenye. Lee /limits ka ịhụ ihe ọkwa ọ bụla na-ekwe.',
+    'verify.verified': '✅ Ekwenyela',
+    'verify.pending': '⏳ Na-eche',
+    'verify.not_verified': '❌ Ekwenyebeghị',
+
+    'limits.below_minimum': 'Ego kacha nta maka otu azụmahịa bụ ₦{amount}',
+    'limits.above_single': 'Ego kacha ukwuu maka otu azụmahịa bụ ₦{amount}',
+    'limits.daily_exceeded': 'Ị gafeela oke ego ị nwere ike izipu taa. Nke i jirila: ₦{used}, Oke: ₦{daily}, Nke fọdụrụ: ₦{remaining}',
+    'limits.batch_daily_exceeded': 'Izipu ego ndị a (₦{total} ngụkọta) gafere oke ụbọchị gị. Nke i jirila: ₦{used}, Oke: ₦{daily}, Nke fọdụrụ: ₦{remaining}',
+    'limits.check_failed': 'Enweghị m ike inyocha oke azụmahịa gị',
+    'limits.type_invalid': '❌ Ụdị oke ga-abụ "single" ma ọ bụ "daily".',
+    'limits.label_single': 'otu azụmahịa',
+    'limits.label_daily': 'kwa ụbọchị',
+    'limits.lower_too_low': '❌ Oke {label} enweghị ike ịdị obere karịa ₦{amount}.',
+    'limits.lower_only': '❌ Ọ bụ naanị ibelata ka ị nwere ike ibelata oke {label} gị (ọ bụ ₦{amount} ugbu a). Iji bulie ya, bulie ọkwa nkwenye gị site na /verify ma ọ bụ kpọtụrụ ndị nkwado.',
+    'limits.update_failed': '❌ Enweghị m ike ịgbanwe oke gị. Biko nwaa ọzọ.',
+    'limits.lowered': '✅ Oke {label} gị bụ ₦{amount} ugbu a.',
+    'limits.error': '❌ Enweghị m ike ịhụ oke gị. Biko nwaa ọzọ.',
+    'limits.usage': 'Otu esi eji ya:\n/limits - lee oke gị\n/limits daily 50000 - belata oke ụbọchị gị\n/limits single 20000 - belata oke otu azụmahịa gị',
+    'limits.lowered_by_you': ' (ị belatara ya)',
+    'limits.status': '📊 Oke Izipu Ego Gị\n\n🏅 Ọkwa: {tier} - {tierName}\n💸 Otu azụmahịa: ₦{single}{singleLowered}\n📅 Kwa ụbọchị: ₦{daily}{dailyLowered}\n📉 Nke i jirila taa: ₦{used}\n✅ Nke fọdụrụ taa: ₦{remaining}\n\n💡 Belata oke site na "/limits daily 50000" ma ọ bụ "/limits single 20000".\nỌkwa {tierName} na-ekwe ruo ₦{tierSingle} kwa azụmahịa na ₦{tierDaily} kwa ụbọchị; oke dị elu karịa nke ahụ chọrọ ọkwa nkwenye dị elu (/verify).',
+
+    'fees.charged': '💳 Ụgwọ ọrụ: ₦{fee} · Ngụkọta: ₦{total}',
+    'fees.waived': '💳 Ụgwọ ọrụ: Ahapụrụ ya · Ngụkọta: ₦{total}',
+    'fees.free': '💳 Ụgwọ ọrụ: N\'efu (izipu ego n\'efu {count} fọdụrụ n\'ọnwa a) · Ngụkọta: ₦{total}',
+    'fees.batch': '💳 Ụgwọ ọrụ: {fees}{free} · Ngụkọta: ₦{total}',
+    'fees.batch_waived': 'Ahapụrụ ya',
+    'fees.batch_free': ' (ejiri izipu ego n\'efu {count})',
+
+    'fees.amount_waived': '₦0 (ahapụrụ ya)',
+    'fees.amount_free': '₦0 (izipu ego n\'efu)',
+
+    'transfer.already_submitted': '⚠️ Ezipụlarị izipu ego a (ref: {reference}).',
+    'transfer.split_already_submitted': '⚠️ Ezipụlarị izipu ego kewara ekewa a (ref: {reference}).',
+    'transfer.insufficient': '❌ Ego dị n\'akpa gị ezughị! Nke dị: ₦{balance}, Nke achọrọ: ₦{required}',
+    'transfer.not_started': '❌ Izipu ego ahụ enweghị ike ịmalite: {reason}',
+    'transfer.returned': '💵 Eweghachila ₦{total} n\'akpa gị.',
+    'transfer.returned_balance': '💵 Eweghachila ₦{total} n\'akpa gị (ego dị: ₦{balance}).',
+    'transfer.processing': '⏳ A Na-ezipu Ego Ahụ\n\n💰 Ego: ₦{amount}\n🏦 Nye: {name}\n📱 Akaụntụ: {accountNumber} ({bankName})\n🔖 Ntụaka: {reference}\n💳 Ụgwọ ọrụ: {fee}\n📊 Ego ọhụrụ dị: ₦{balance}\n\n{next}',
+    'transfer.awaiting_otp': '🔐 Izipu ego a na-eche nkwado. Aga m ezitere gị risiti ozugbo a kwadoro ya ma ọ batara.',
+    'transfer.receipt_soon': 'Aga m ezitere gị risiti ozugbo ụlọ akụ kwenyere izipu ego ahụ.',
+    'transfer.nothing_sent': 'Ọ dịghị ego ezipụrụ.',
+    'transfer.not_recorded': 'enweghị ike idekọ ya',
+    'transfer.leg_failed': 'Ezipụghị ya: {reason}. Eweghachila ego ahụ.',
+    'transfer.split_processing': '⏳ A Na-ezipu Ego Kewara Ekewa',
+    'transfer.split_partial': '⚠️ Ọ Bụ Naanị Akụkụ Izipu Ego Kewara Ekewa Malitere',
+    'transfer.new_balance': '📊 Ego ọhụrụ dị: ₦{balance}',
+    'transfer.split_receipts': 'Aga m ezitere gị risiti maka izipu ego ọ bụla ka ụlọ akụ na-akwado ya.',
+    'transfer.split_refunded': '💵 Eweghachila ego niile n\'akpa gị.',
+    'transfer.recipient_failed': '❌ Enweghị m ike idozi {name} dị ka onye ga-anata ego. Biko nwaa ọzọ ma emechaa.',
+    'transfer.bank_missing': '❌ Achọrọ m ụlọ akụ maka akaụntụ {accountNumber}. Biko malite ọzọ ma tinye ụlọ akụ ahụ, dị ka "Send 5000 to {accountNumber} GTBank".',
+    'transfer.bank_unknown': '❌ Amaghị m ụlọ akụ "{bank}". Jiri /banks hụ ụlọ akụ ndị anyị na-akwado.',
+    'transfer.account_unverified': '❌ Enweghị m ike ikwenye akaụntụ {accountNumber} na {bank}: {reason}',
+    'transfer.success': '✅ Izipu Ego Gara Nke Ọma!\n\n💰 Ego: ₦{amount}\n🏦 Nye: {name}\n📱 Akaụntụ: {accountNumber}\n🔖 Ntụaka: {reference}\n💳 Ụgwọ ọrụ: {fee}\n\n📄 Risiti adịla njikere!',
+    'transfer.recipient': 'Onye nnata',
+    'transfer.receipt_caption': '📄 Risiti Azụmahịa',
+    'transfer.failed_title': '❌ Izipu Ego Emezughị',
+    'transfer.reversed_title': '↩️ Ụlọ Akụ Weghachiri Izipu Ego',
+    'transfer.refunded': '{title}\n\n💰 Ego: ₦{amount}\n❗ Ihe kpatara ya: {reason}\n💵 Ego eweghachiri: ₦{refund}\n📊 Ego ọhụrụ dị: ₦{balance}\n\nEweghachila ego gị n\'akpa gị.',
+
+    'wallet.self_send': '❌ Ị nweghị ike izipu ego n\'akpa nke gị.',
+    'wallet.success': '✅ Izipu Ego Gara Nke Ọma!\n\n💰 Ego: ₦{amount}\n👤 Nye: {name} (QuickWallet)\n🔖 Ntụaka: {reference}\n💳 Ụgwọ ọrụ: ₦0\n📊 Ego ọhụrụ dị: ₦{balance}',
+    'wallet.received': '💵 Ị natara ₦{amount} site n\'aka {sender}!\n\n{note}🔖 Ntụaka: {reference}\n{balance}',
+    'wallet.for': '📝 Maka: {note}',
+
+    'common.invalid_button': '❌ Bọtịnụ a adịghị mma.',
+    'confirm.expired': '⌛ Nkwenye a agwụla ma ọ bụ ị zalarị ya.',
+
+    'requests.self': '❌ Ị nweghị ike ịrịọ onwe gị ego.',
+    'requests.create_failed': '❌ Enweghị m ike ịmepụta arịrịọ ego ahụ. Biko nwaa ọzọ.',
+    'requests.sent': '📨 Ezipụla arịrịọ ahụ! Arịọla m {name} ka ọ kwụọ gị ₦{amount}. Aga m agwa gị mgbe ha zara.',
+    'requests.saved_unlinked': '📨 Echekwala arịrịọ ahụ, mana {name} ejikọtabeghị Telegram, ya mere ha agaghị ahụ ya ruo mgbe ha jikọrọ ya.',
+    'requests.closed': '⌛ A kwụọla arịrịọ a, a jụla ya, ma ọ bụ ọ gwụla.',
+    'requests.declined_notice': '❌ {name} jụrụ arịrịọ gị maka ₦{amount}{note}.',
+    'requests.expired_notice': '⌛ Arịrịọ gị maka ₦{amount} n\'aka {name} agwụla na-akwụghị ụgwọ.',
+    'requests.ask': '💸 {name} na-arịọ gị ₦{amount}{note}.\n\n⌛ Ọ ga-agwụ: {expires}\nỌ bụrụ na ị kwụọ, ego ahụ ga-esi n\'akpa gị pụọ ozugbo, na-enweghị ụgwọ ọrụ.',
+    'requests.reminder': '🔔 Ncheta: {name} na-arịọ gị ₦{amount}{note}.\n\n⌛ Ọ ga-agwụ: {expires}\nỌ bụrụ na ị kwụọ, ego ahụ ga-esi n\'akpa gị pụọ ozugbo, na-enweghị ụgwọ ọrụ.',
+    'requests.ask_note': ' maka "{note}"',
+    'requests.pay_button': '💸 Kwụọ ₦{amount}',
+    'requests.decline_button': '❌ Jụ ya',
+    'requests.declined': '❌ Ị jụrụ ya',
+    'requests.paying': '💸 A na-akwụ ụgwọ',
+    'requests.someone': 'Mmadụ',
+
+    'schedule.daily': 'kwa ụbọchị',
+    'schedule.weekly': 'kwa {day}',
+    'schedule.monthly': 'kwa ọnwa n\'ụbọchị {day}',
+    'schedule.weekday_0': 'Sọnde',
+    'schedule.weekday_1': 'Mọnde',
+    'schedule.weekday_2': 'Tiuzdee',
+    'schedule.weekday_3': 'Wenezdee',
+    'schedule.weekday_4': 'Tọọzdee',
+    'schedule.weekday_5': 'Fraịdee',
+    'schedule.weekday_6': 'Satọdee',
+    'schedule.save_failed': '❌ Enweghị m ike ichekwa nhazi ahụ. Biko nwaa ọzọ.',
+    'schedule.created': '🗓️ Ahazila ya! Aga m ezipu ₦{amount} nye {name} ({nickname}) {when}.\n\n📅 Izipu ego mbụ: {first}\nAga m echetara gị otu ụbọchị tupu izipu ego ọ bụla. Jiri /schedules jikwaa ya.',
+    'schedule.update_failed': '❌ Enweghị m ike imelite nhazi ahụ.',
+    'schedule.resumed': '✅ Nhazi ahụ amaliteghachila.',
+    'schedule.paused': '✅ Akwụsịla nhazi ahụ nwa oge.',
+    'schedule.cancelled': '✅ Akagbuola nhazi ahụ.',
+    'schedule.next_transfer': 'Izipu ego ọzọ: {date}.',
+    'schedule.notice': '🔔 Mara: Aga m ezipu ₦{amount} nye {name} ({nickname}) na {date}.\n\nBiko hụ na ego dị n\'akpa gị ga-ezu ya tinyere ụgwọ izipu ego. Ọ bụrụ na ịchọrọ ịhapụ ya, kwụsị nhazi ahụ site na /schedules.',
+    'schedule.beneficiary_removed': '❌ Akagbuola m izipu ego ahaziri ahazi gị nke ₦{amount} n\'ihi na ewepụla onye nnata ya.',
+    'schedule.label': '₦{amount} nye {name} ({nickname})',
+    'schedule.ran': '🗓️ Izipu ego ahaziri ahazi nke {label}\n\n{message}',
+    'schedule.run_failed': '⚠️ Izipu ego ahaziri ahazi gị nke {label} agaghị:\n{message}\n\nAga m anwa ọzọ n\'ụbọchị ọzọ ahaziri. Jiri /schedules jikwaa ya.',
+    'schedule.error': '❌ Enweghị m ike ịhụ nhazi gị. Biko nwaa ọzọ.',
+    'schedule.usage': 'Otu esi eji ya:\n/schedules - lee izipu ego ị haziri\n/schedules pause 1 - kwụsị nhazi 1\n/schedules resume 1 - malitegharịa nhazi 1\n/schedules cancel 1 - kagbuo nhazi 1',
+    'schedule.not_found': '❌ Enweghị nhazi {number}. Zipu /schedules ka ịhụ ndepụta ahụ.',
+    'schedule.none': '🗓️ Ị nweghị izipu ego ahaziri ahazi ọ bụla.\n\n💡 Gwa m ka m mepụta otu, dị ka "Send 20000 to Mom every 1st of the month".',
+    'schedule.removed_beneficiary': 'onye nnata ewepụrụ',
+    'schedule.state_paused': '⏸️ Akwụsịrị ya',
+    'schedule.state_next': '📅 Nke ọzọ: {date}',
+    'schedule.last_failed': '⚠️ Nke gara aga emezughị: {reason}',
+    'schedule.item': '₦{amount} nye {to} {when}',
+    'schedule.list': '🗓️ Izipu Ego Ị Haziri\n\n{lines}\n\n💡 Jikwaa ha site na "/schedules pause 1", "/schedules resume 1" ma ọ bụ "/schedules cancel 1".',
+
+    'bulk.none_payable': '❌ Enweghị ike ịkwụ ụgwọ ahịrị ọ bụla n\'ime ahịrị {count} dị na {file}:\n\n{invalid}',
+    'bulk.more': '…na {count} ndị ọzọ',
+    'bulk.more_in_receipt': '…na {count} ndị ọzọ (lee risiti ahụ)',
+    'bulk.confirm': '📦 Ịkwụ Ọtụtụ Mmadụ: {file}\n\n{lines}\n\n✅ {payments} · ₦{total}\n💳 Ụgwọ ọrụ: ₦{fees} · Ngụkọta: ₦{grand}',
+    'bulk.payments': 'ịkwụ ụgwọ {count}',
+    'bulk.skipped': '⚠️ A ga-awụfe ahịrị {count}:',
+    'bulk.row': 'Ahịrị {row}: {error}',
+    'bulk.xlsx_unreadable': '❌ Enweghị m ike ịgụ faịlụ Excel ahụ. Biko lelee na ọ na-emepe n\'Excel, ma ọ bụ zipu ya dị ka CSV.',
+    'bulk.bank_column': '❌ Faịlụ ahụ chọrọ kọlụm "bank" (account_number, bank, amount, narration).',
+    'bulk.no_rows': '❌ Faịlụ ahụ enweghị ahịrị ịkwụ ụgwọ ọ bụla.',
+    'bulk.too_many': '❌ Faịlụ ahụ nwere ahịrị {count}; ịkwụ ọtụtụ mmadụ enweghị ike ịkarị {max}. Biko kewaa ya.',
+    'bulk.row_account': 'nọmba akaụntụ "{account}" ga-abụ ọnụọgụ iri',
+    'bulk.row_amount': 'ego adịghị ma ọ bụ ezighi ezi',
+    'bulk.row_bank_missing': 'ụlọ akụ adịghị',
+    'bulk.row_bank_unknown': 'amaghị ụlọ akụ "{bank}"',
+    'bulk.row_unverified': 'enweghị ike ikwenye akaụntụ na {bank}',
+    'bulk.row_not_processed': 'enweghị ike ịrụ ya',
+    'bulk.row_no_recipient': 'enweghị ike idozi onye nnata',
+    'bulk.row_duplicate': 'ezipụlarị ya',
+    'bulk.row_insufficient': 'ego ezughị',
+    'bulk.row_not_debited': 'enweghị ike iwepụ ego ahụ',
+    'bulk.processing': '📦 A Na-akwụ Ọtụtụ Mmadụ\n\n{lines}\n\n⏳ Ezipụrụ: {sent} · ❌ Emezughị: {failed}\nAga m ezitere gị otu risiti PDF ozugbo ụlọ akụ kwenyere izipu ego niile.',
+    'bulk.failed': '📦 Ịkwụ Ọtụtụ Mmadụ Emezughị\n\n{lines}\n\n⏳ Ezipụrụ: {sent} · ❌ Emezughị: {failed}\n💵 Anyị ewepụghị ego ọ bụla; eweghachila ego ọ bụla ewepụrụ n\'akpa gị.',
+    'bulk.report': '📦 Ịkwụ Ọtụtụ Mmadụ Agwụla: {file}\n\n{lines}\n\n✅ Akwụrụ: {paid} · ❌ Emezughị: {failed}\n💰 Ego akwụrụ: ₦{amount}\n{refunded}\n📄 Risiti gị dị n\'okpuru.',
+    'bulk.report_refunded': '💵 Ego eweghachiri: ₦{amount}',
+    'bulk.receipt_caption': '📄 Risiti Ịkwụ Ọtụtụ Mmadụ',
+    'bulk.read_error': '❌ Enweghị m ike ịgụ faịlụ ahụ. Biko lelee ya ma nwaa ọzọ.',
+    'bulk.xls_unsupported': '📊 Enweghị m ike ịgụ akwụkwọ .xls ochie. N\'Excel, jiri File → Save As → "Excel Workbook (.xlsx)" ma ọ bụ "CSV (Comma delimited)" ma zitere m faịlụ ahụ.',
+    'bulk.file_hint': '📄 Iji kwụọ ọtụtụ mmadụ otu mgbe, zipu faịlụ .csv ma ọ bụ Excel .xlsx nwere kọlụm ndị a:\naccount_number, bank, amount, narration',
+    'bulk.too_large': '❌ Faịlụ ahụ buru ibu karịa. Faịlụ ịkwụ ọtụtụ mmadụ enweghị ike ịkarị {size} KB.',
+    'bulk.checking': '📦 Ana m enyocha ịkwụ ụgwọ gị... Biko chere.\n\n⏳ Ana m akwado akaụntụ ọ bụla, ya mere ọ nwere ike iwe otu nkeji.',
+
+    'workflow.confirm_new': 'Ka m zipu ₦{amount} nye {account}{name}? Aga m ebu ụzọ kwado nkọwa akaụntụ ahụ.',
+    'workflow.confirm_verified': 'Ka m zipu ₦{amount} nye {name} ({account})?\n\n🏦 {bank}\n\nPịa ✅ Confirm ma ọ bụ ❌ Cancel n\'okpuru.',
+    'workflow.confirm_beneficiary': 'Ka m zipu ₦{amount} nye {name} ({nickname})?\n\n🏦 {bank}\n📱 {account}\n\nPịa ✅ Confirm n\'okpuru.',
+    'wallet.own_wallet': '❌ Nke ahụ bụ akpa nke gị. Iji tinye ego, zipu ego n\'ime ya site n\'ụlọ akụ gị ma ọ bụ jụọ m otu esi etinye ego n\'akpa gị.',
+    'wallet.confirm': 'Ka m zipu ₦{amount} nye {name} na QuickWallet{username}? ✅\n\n⚡ Ọ ga-abata ozugbo, na-enweghị ụgwọ.',
+    'wallet.not_found': '❌ Ahụghị m onye ọrụ QuickWallet nwere {destination}. Lelee ya ma nwaa ọzọ, ma ọ bụ zipu na nọmba akaụntụ ụlọ akụ ha.',
+    'requests.missing': 'Onye ga-akwụ gị, oleekwa ego ole? Nwaa: "Request 5000 from @ada for lunch" ma ọ bụ "Request 5000 from 08031234567".',
+    'requests.not_found': '❌ Ọ bụ naanị ndị ọrụ QuickWallet ka m nwere ike ịrịọ ego, ahụghịkwa m onye nwere nkọwa ndị ahụ.',
+    'requests.confirm': 'Ka m rịọ {name} ka ọ kwụọ gị ₦{amount}{note}?',
+    'schedule.missing': 'Iji hazie izipu ego, achọrọ m ego ole, onye nnata ị chekwara na ugboro ole a ga-ezipu ya. Nwaa: "Send 20000 to Mom every 1st of the month" ma ọ bụ "Pay John 5000 every Friday".',
+    'schedule.beneficiary_not_found': '❌ Izipu ego ahaziri ahazi na-aga naanị na ndị nnata ị chekwara, ahụghịkwa m onye aha ya bụ "{name}". Buru ụzọ chekwaa ha, dị ka "Add my mom\'s account 0123456789 GTBank".',
+    'schedule.confirm': 'Ka m zipu ₦{amount} nye {name} ({nickname}) {when}?\n\n📅 Izipu ego mbụ: {first}\n💳 Ụgwọ izipu ego ga-adị oge ọ bụla. Aga m echetara gị otu ụbọchị tupu izipu ego ọ bụla.',
+    'split.example': 'Nwaa: "Send 30000 split between John, Ada and Tunde" ma ọ bụ "Split 30000 between Mom and Dad 2:1".',
+    'split.who': 'Ndị ole ka m ga-ekere ya? Ego kewara ekewa na-aga na ndị nnata abụọ ma ọ bụ karịa ị chekwara.',
+    'split.not_found': '❌ Ahụghị m onye nnata ị chekwara aha ya bụ {names}.',
+    'split.saved': 'Ndị nnata ị chekwara bụ: {names}.',
+    'split.save_first': 'Buru ụzọ chekwaa ha, dị ka "Add my mom\'s account 0123456789 GTBank".',
+    'split.duplicate': '❌ Ị depụtara otu onye nnata ugboro abụọ. Biko kpọọ onye ọ bụla otu ugboro.',
+    'split.mismatch': 'Ego ndị ahụ gbakọtara ₦{sum}, ọ bụghị ₦{total}.',
+    'split.no_total': 'Ego ole ka m ga-ekere?',
+    'split.used_up': 'Ego ị kpọrọ aha ejirila ₦{total} niile.',
+    'split.confirm': 'Ka m kee ₦{total} n\'etiti mmadụ {count}? ✅\n\n{legs}\n\nA ga-ewepụ izipu ego niile n\'akpa gị ọnụ: ọ bụrụ na ọ gaghị ezu ha niile, ọ dịghị nke a ga-ezipu.',
+    'webapp.expired': '⌛ Ihe ntinye PIN a agwụla. Biko malite ọzọ na nkata ahụ.',
+    'webapp.rate_limited': '⚠️ Arịrịọ dị ukwuu. Biko chere otu nkeji.',
+    'webapp.no_account': '❌ Ahụghị m akaụntụ QuickWallet gị.'
+  },
+
+  ha: {
+    'common.error': '❌ An sami matsala. Don Allah a sake gwadawa.',
+
+    'workflow.error': 'Yi haƙuri, an sami matsala. Don Allah a sake gwadawa.',
+    'workflow.not_understood': 'Ban gane bukatarka ba. Don Allah a sake gwadawa ko a tuntuɓi tallafi.',
+    'workflow.check_balance': 'Bari in duba kuɗin da ke walat ɗinka! 💳',
+    'workflow.history': 'Ga tarihin mu\'amalolinka na baya-bayan nan! 📊',
+    'workflow.fund': 'Zan iya taimaka maka ka saka kuɗi a walat ɗinka! Tura kuɗi zuwa lambar asusunka ta musamman daga kowane banki, ko ka yi amfani da wasu hanyoyi.',
+    'workflow.fund_amount': 'Za ka iya saka ₦{amount} a walat ɗinka. Tura kuɗi zuwa lambar asusunka ta musamman daga kowane banki, ko ka yi amfani da wasu hanyoyi a cikin app.',
+    'workflow.send_missing': 'Don tura kuɗi, ina buƙatar adadin da lambar asusu, lambar waya ko @username na wanda za a tura wa. Don Allah a aiko da abin da ya rage.',
+    'workflow.which_beneficiary': 'Wanne daga cikin mutanen da ka ajiye kake so ka tura wa kuɗi?',
+    'workflow.ask_amount': 'Nawa kake so ka tura wa {name}?',
+    'workflow.confirm_send': 'In tura ₦{amount} zuwa ga {name}? ✅',
+    'workflow.add_missing': 'Don ajiye wani, ina buƙatar lambar asusunsa da sunan da za ka riƙa kiransa. Za ka iya aiko da hoton takardar banki!',
+    'workflow.invalid_amount': '❌ Don Allah shigar da adadi mai kyau (kamar 5000 ko 5k).',
+    'workflow.invalid_amount_or_save': "❌ Don Allah shigar da adadi mai kyau (kamar 5000 ko 5k) ko 'save as [suna]' don ajiye mutumin.",
+    'workflow.amount_too_low': '❌ Adadin ya yi kaɗan. Mafi ƙanƙanta shi ne ₦100. Don Allah shigar da adadi mai kyau.',
+
+    'confirm.confirm': '✅ Tabbatar',
+    'confirm.cancel': '❌ Soke',
+    'confirm.confirmed': '✅ An tabbatar',
+    'confirm.cancelled': '❌ An soke',
+    'confirm.tap_buttons': '👆 Don Allah danna {confirm} ko {cancel} a saƙon da ke sama.',
+    'confirm.transfer_cancelled': '❌ An soke tura kuɗin. Me kuma zan yi maka? 😊',
+    'confirm.request_cancelled': '❌ An soke buƙatar. Me kuma zan yi maka? 😊',
+
+    'pin.enter': '🔐 Don Allah shigar da PIN ɗinka mai lamba huɗu don kammala tura kuɗin:',
+    'pin.button': 'Shigar da PIN',
+    'pin.tap': '🔐 Danna *{button}* don shigar da PIN ɗinka mai lamba huɗu cikin tsaro.\n\nZa ka iya rubuta shi a nan; za a goge saƙon nan take.',
+
+    'language.status': '🌍 Ina amsa maka da {name}{mode}.\n\nDon canzawa:\n{options}',
+    'language.mode_auto': ' (da harshen da ka rubuta)',
+    'language.set': '✅ An gama! Daga yanzu zan riƙa amsa maka da Hausa.',
+    'language.auto': '✅ An gama! Zan riƙa amsa da harshen da ka rubuta.',
+    'language.unknown': '❌ Ban san wannan harshen ba. Zaɓi ɗaya daga: {codes}.',
+
+    'clarify.question': '🤔 Don in tabbatar: kana son {action}{details}? Ka amsa eh ko a\'a.',
+    'clarify.declined': 'To, ba zan yi ba. Faɗa min abin da kake so ka yi. 😊',
+    'clarify.SEND_MONEY': 'tura kuɗi',
+    'clarify.SEND_TO_BENEFICIARY': 'tura kuɗi ga wanda ka ajiye',
+    'clarify.REQUEST_MONEY': 'nemi kuɗi',
+    'clarify.SCHEDULE_TRANSFER': 'saita turawa mai maimaituwa',
+    'clarify.SPLIT_TRANSFER': 'raba kuɗi tsakanin mutane',
+    'clarify.ADD_BENEFICIARY': 'ajiye sabon mutum',
+
+    'common.unexpected': '❌ An sami matsala. Don Allah a sake gwadawa nan gaba.',
+    'common.and': ' da ',
+    'security.locked': '🔒 An kulle asusunka na ɗan lokaci saboda yawan ƙoƙarin da bai yi daidai ba. Don Allah a sake gwadawa nan gaba.',
+    'language.error': '❌ Ban iya canza harshenka ba. Don Allah a sake gwadawa.',
+
+    'transfer.reset_cooldown': '🛡️ Ka sake saita PIN ɗinka kwanan nan, don haka an dakatar da tura kuɗi don tsaronka. Za ka iya sake tura kuɗi bayan kimanin awa {count}.',
+    'transfer.paused_after_reset': '🛡️ An dakatar da tura kuɗi saboda ka sake saita PIN ɗinka kwanan nan.',
+    'transfer.failed_retry': '❌ Mu\'amalar ba ta yi nasara ba. Don Allah a sake gwadawa.',
+    'transfer.failed_support': '❌ Mu\'amalar ba ta yi nasara ba. Don Allah a tuntuɓi tallafi idan matsalar ta ci gaba.',
+    'transfer.in_progress': '⏳ Ana aiki a kan wannan tura kuɗin tuni.',
+
+    'pin.not_awaiting': 'Babu tura kuɗin da ke jiran PIN.',
+    'pin.invalid': '❌ PIN bai yi daidai ba. Saura ƙoƙari {count} kafin a kulle asusunka.',
+    'pin.locked': '🔒 An kulle asusunka saboda yawan ƙoƙarin da bai yi daidai ba. Don Allah a sake gwadawa bayan minti 15.',
+    'pin.not_four_digits': 'PIN dole ya zama lambobi huɗu daidai.',
+    'pin.too_easy': 'Wannan PIN yana da sauƙin tsammani. Ka guji maimaita lamba ɗaya ko lambobin da ke bin juna.',
+    'pin.rejected': '❌ {reason} Shigar da wani PIN:',
+    'pin.same_as_current': '❌ Sabon PIN dole ya bambanta da PIN ɗinka na yanzu. Shigar da wani PIN:',
+    'pin.enter_new': '🔢 Shigar da sabon PIN ɗinka mai lamba huɗu:',
+    'pin.repeat': '🔁 Sake shigar da sabon PIN ɗin don tabbatarwa:',
+    'pin.current_incorrect': '❌ PIN ɗinka na yanzu bai yi daidai ba. Saura ƙoƙari {count} kafin a kulle asusunka.',
+    'pin.locked_recover': '🔒 An kulle asusunka saboda yawan ƙoƙarin da bai yi daidai ba. Yi amfani da /forgotpin ko ka sake gwadawa bayan minti 15.',
+    'pin.changed': '✅ An canza PIN ɗin mu\'amalarka.',
+    'pin.recovery_unavailable': '❌ Ba a iya dawo da PIN a yanzu. Don Allah a tuntuɓi tallafi.',
+    'pin.recovery_locked': '🔒 Ƙoƙarin da bai yi daidai ba ya yi yawa. Don Allah a sake gwadawa bayan awa ɗaya ko a tuntuɓi tallafi.',
+    'pin.dob_mismatch': '❌ Wannan ranar haihuwa ba ta dace da abin da muke da shi ba. Saura ƙoƙari {count}.',
+    'pin.otp_not_sent': '❌ Ba mu iya aika lambar ka ba. Don Allah a sake gwadawa nan gaba.',
+    'pin.otp_sent': '📨 An aika lamba mai lambobi shida zuwa {destinations}. Shigar da ita a nan (za ta ƙare cikin minti 10):',
+    'pin.otp_expired': '⌛ Lambar ka ta ƙare. Aika /forgotpin don farawa daga farko.',
+    'pin.otp_verified': '✅ Lambar ta yi daidai. Shigar da sabon PIN ɗinka mai lamba huɗu:',
+    'pin.otp_locked': '🔒 Lambobin da ba su yi daidai ba sun yi yawa. Aika /forgotpin don farawa daga farko.',
+    'pin.otp_incorrect': '❌ Lambar ba ta yi daidai ba. Saura ƙoƙari {count}.',
+    'pin.recovery_expired': '⌛ Lokacin dawo da PIN ɗinka ya ƙare. Aika /forgotpin don farawa daga farko.',
+    'pin.reset': '✅ An sake saita PIN ɗin mu\'amalarka.\n\n🛡️ Don tsaronka, an dakatar da tura kuɗi na awa {count}.',
+
+    'pin_flow.change_start': '🔐 Canza PIN na Mu\'amala\n\nShigar da PIN ɗinka na yanzu mai lamba huɗu (ko "cancel" don dakatarwa):',
+    'pin_flow.recovery_start': '🔑 Ka Manta PIN na Mu\'amala\n\nDon tabbatar da cewa kai ne, shigar da ranar haihuwarka kamar DD/MM/YYYY (ko "cancel" don dakatarwa):',
+    'pin_flow.cancelled': '❌ An soke canza PIN. PIN ɗinka bai canza ba.',
+    'pin_flow.enter_current': '🔢 Don Allah shigar da PIN ɗinka na yanzu mai lamba huɗu:',
+    'pin_flow.mismatch': '❌ PIN ɗin ba su yi daidai ba. Sake shigar da sabon PIN ɗinka mai lamba huɗu:',
+    'pin_flow.error': '❌ An sami matsala, kuma PIN ɗinka bai canza ba. Don Allah a sake gwadawa.',
+    'pin_flow.change_error': '❌ Ban iya fara canza PIN ba. Don Allah a sake gwadawa.',
+    'pin_flow.recovery_error': '❌ Ban iya fara dawo da PIN ba. Don Allah a sake gwadawa.',
+
+    'funding.account_pending': '⚠️ Ana ci gaba da shirya asusunka na musamman. Don Allah a sake gwadawa nan ba da jimawa ba.',
+    'funding.title': '💰 Don saka kuɗi a walat ɗinka:',
+    'funding.title_amount': '💰 Don saka ₦{amount} a walat ɗinka:',
+    'funding.details': '🏦 Banki: Paystack-Titan\n🔢 Lambar Asusu: {accountNumber}\n📛 Sunan Asusu: {accountName}\n\n✨ Kuɗin zai shiga walat ɗinka kai tsaye!\n📱 Zan sanar da kai idan kuɗi ya shigo.\n\n💡 Za ka iya saka kuɗi ta hanyar:\n• App na banki/USSD\n• Bankin intanet\n• ATM',
+
+    'balance.summary': '💰 Kuɗin Walat\n\n💵 Kuɗin da ke akwai: ₦{balance}\n🏦 Asusu: {accountNumber}\n📊 Abin da ya rage na yau: ₦{remaining} cikin ₦{daily}{recent}\n\n💡 Za ka iya saka kuɗi a walat ɗinka kowane lokaci ta hanyar tura shi zuwa asusunka na musamman!',
+    'balance.recent': '📋 Mu\'amaloli na kwanan nan:',
+    'balance.error': '❌ Ban iya samo kuɗin walat ɗinka yanzu ba. Don Allah a sake gwadawa.',
+
+    'history.title': '📊 Tarihin Mu\'amaloli',
+    'history.empty': '📭 Babu mu\'amala tukuna.\n\n💡 Fara ta hanyar saka kuɗi a walat ɗinka ko tura kuɗi ga abokai!',
+    'history.summary': '📈 Taƙaitawa:\n💰 Kuɗin da ya shigo: ₦{moneyIn}\n💸 Kuɗin da ya fita: ₦{moneyOut}\n📊 Jimilla: ₦{net}',
+    'history.error': '❌ Ban iya samo tarihin mu\'amalolinka yanzu ba.',
+
+    'kyc.bvn_start': '🪪 Tabbatar da BVN\n\n🏦 Da farko, aika asusun banki da ke da sunanka wanda aka haɗa da BVN ɗinka, kamar "0123456789 GTBank" (ko "cancel" don dakatarwa):',
+    'kyc.nin_start': '🪪 Tabbatar da NIN\n\nShigar da NIN ɗinka mai lambobi goma sha ɗaya (ko "cancel" don dakatarwa).\n🔒 Za a goge saƙonka nan take, lambobi huɗu na ƙarshe kawai za mu ajiye.',
+    'kyc.cancelled': '❌ An soke tabbatarwar.',
+    'kyc.account_format': '🏦 Don Allah aika lambar asusu mai lambobi goma tare da sunan banki, kamar "0123456789 GTBank":',
+    'kyc.bank_unknown': '❌ Ban sami banki mai suna "{bank}" ba. Don Allah a sake gwadawa:',
+    'kyc.bvn_prompt': '🏦 Asusun {bank} da ya ƙare da {last4}.\n\nYanzu shigar da BVN ɗinka mai lambobi goma sha ɗaya.\n🔒 Za a goge saƙonka nan take, lambobi huɗu na ƙarshe kawai za mu ajiye.',
+    'kyc.bvn_format': '🔢 BVN lambobi goma sha ɗaya ne. Don Allah shigar da BVN ɗinka:',
+    'kyc.nin_format': '🔢 NIN lambobi goma sha ɗaya ne. Don Allah shigar da NIN ɗinka:',
+    'kyc.error': '❌ An sami matsala. Don Allah a sake gwada /verify.',
+    'kyc.type_invalid': '❌ BVN ko NIN kawai za ka iya tabbatarwa.',
+    'kyc.id_format': '❌ {label} lambobi goma sha ɗaya ne.',
+    'kyc.bvn_account_required': '❌ Tabbatar da BVN yana buƙatar lambar asusu mai lambobi goma da bankinsa.',
+    'kyc.already_verified': '✅ An riga an tabbatar da {label} ɗinka.',
+    'kyc.already_pending': '⏳ Ana tabbatar da {label} ɗinka yanzu. Za mu aiko maka da saƙo idan an gama.',
+    'kyc.in_use': '❌ An haɗa wannan {label} da wani asusu. Don Allah a tuntuɓi tallafi.',
+    'kyc.start_failed': '❌ Ban iya fara tabbatarwar ba. Don Allah a sake gwadawa.',
+    'kyc.submit_failed': '❌ Ba mu iya aika {label} ɗinka ba: {reason}',
+    'kyc.submitted': '⏳ An aika {label} ɗinka da ya ƙare da {last4}. Za mu aiko maka da saƙo da zarar an tabbatar da shi.',
+    'kyc.failed': '❌ Ba mu iya tabbatar da {label} ɗinka da ya ƙare da {last4} ba.\n\n{reason}Duba bayanan ka sake gwadawa da /verify {type}.',
+    'kyc.failed_reason': 'Dalili: {reason}',
+    'kyc.verified': '✅ An tabbatar da {label} ɗinka!\n\n🏅 Matakin tabbatarwa: {tier}\nAika /limits don ganin sabbin iyakokin tura kuɗinka.',
+
+    'verify.error': '❌ Ban iya samo matsayin tabbatarwarka ba. Don Allah a sake gwadawa.',
+    'verify.usage': 'Yadda ake amfani: /verify, /verify bvn ko /verify nin',
+    'verify.status': '🪪 Tabbatar da Shaida\n\n🏅 Matakinka na yanzu: {tier}\nBVN: {bvn}\nNIN: {nin}\n\nMatakai:\n0 - Ba a tabbatar ba\n1 - An tabbatar da NIN\n2 - An tabbatar da BVN\n3 - An tabbatar da BVN da NIN\n\nAika /verify bvn ko /verify nin don tabbatarwa. Duba /limits don ganin abin da kowane mataki ke ba da dama.',
+    'verify.verified': '✅ An tabbatar',
+    'verify.pending': '⏳ Ana jira',
+    'verify.not_verified': '❌ Ba a tabbatar ba',
+
+    'limits.below_minimum': 'Mafi ƙarancin kuɗi na mu\'amala ɗaya shine ₦{amount}',
+    'limits.above_single': 'Mafi yawan kuɗi na mu\'amala ɗaya shine ₦{amount}',
+    'limits.daily_exceeded': 'Ka wuce iyakar tura kuɗinka na yau. An yi amfani da: ₦{used}, Iyaka: ₦{daily}, Saura: ₦{remaining}',
+    'limits.batch_daily_exceeded': 'Waɗannan tura kuɗin (jimilla ₦{total}) sun wuce iyakarka ta yau. An yi amfani da: ₦{used}, Iyaka: ₦{daily}, Saura: ₦{remaining}',
+    'limits.check_failed': 'Ban iya duba iyakokin mu\'amalarka ba',
+    'limits.type_invalid': '❌ Nau\'in iyaka dole ya zama "single" ko "daily".',
+    'limits.label_single': 'na mu\'amala ɗaya',
+    'limits.label_daily': 'ta yau da kullum',
+    'limits.lower_too_low': '❌ Iyaka {label} ba za ta iya zama ƙasa da ₦{amount} ba.',
+    'limits.lower_only': '❌ Rage iyakar {label} kawai za ka iya yi (yanzu ₦{amount} ce). Don ƙara ta, ka ɗaga matakin tabbatarwarka da /verify ko ka tuntuɓi tallafi.',
+    'limits.update_failed': '❌ Ban iya canza iyakarka ba. Don Allah a sake gwadawa.',
+    'limits.lowered': '✅ Iyakarka {label} yanzu ₦{amount} ce.',
+    'limits.error': '❌ Ban iya samo iyakokinka ba. Don Allah a sake gwadawa.',
+    'limits.usage': 'Yadda ake amfani:\n/limits - duba iyakokinka\n/limits daily 50000 - rage iyakarka ta yau da kullum\n/limits single 20000 - rage iyakarka ta mu\'amala ɗaya',
+    'limits.lowered_by_you': ' (kai ka rage ta)',
+    'limits.status': '📊 Iyakokin Tura Kuɗinka\n\n🏅 Mataki: {tier} - {tierName}\n💸 Mu\'amala ɗaya: ₦{single}{singleLowered}\n📅 Yau da kullum: ₦{daily}{dailyLowered}\n📉 An yi amfani da yau: ₦{used}\n✅ Saura yau: ₦{remaining}\n\n💡 Rage iyaka da "/limits daily 50000" ko "/limits single 20000".\nMatakin {tierName} yana ba da dama har ₦{tierSingle} a kowace mu\'amala da ₦{tierDaily} a kowace rana; iyaka sama da haka tana buƙatar matakin tabbatarwa mafi girma (/verify).',
+
+    'fees.charged': '💳 Kuɗin sabis: ₦{fee} · Jimilla: ₦{total}',
+    'fees.waived': '💳 Kuɗin sabis: An yafe · Jimilla: ₦{total}',
+    'fees.free': '💳 Kuɗin sabis: Kyauta (saura tura kuɗi kyauta {count} a wannan wata) · Jimilla: ₦{total}',
+    'fees.batch': '💳 Kuɗin sabis: {fees}{free} · Jimilla: ₦{total}',
+    'fees.batch_waived': 'An yafe',
+    'fees.batch_free': ' (an yi amfani da tura kuɗi kyauta {count})',
+
+    'fees.amount_waived': '₦0 (an yafe)',
+    'fees.amount_free': '₦0 (tura kuɗi kyauta)',
+
+    'transfer.already_submitted': '⚠️ An riga an aika wannan tura kuɗin (ref: {reference}).',
+    'transfer.split_already_submitted': '⚠️ An riga an aika wannan rabon tura kuɗin (ref: {reference}).',
+    'transfer.insufficient': '❌ Kuɗinka bai isa ba! Abin da ke akwai: ₦{balance}, Abin da ake buƙata: ₦{required}',
+    'transfer.not_started': '❌ Ba a iya fara tura kuɗin ba: {reason}',
+    'transfer.returned': '💵 An mayar da ₦{total} cikin walat ɗinka.',
+    'transfer.returned_balance': '💵 An mayar da ₦{total} cikin walat ɗinka (kuɗin da ke akwai: ₦{balance}).',
+    'transfer.processing': '⏳ Ana Aiwatar da Tura Kuɗi\n\n💰 Adadi: ₦{amount}\n🏦 Zuwa: {name}\n📱 Asusu: {accountNumber} ({bankName})\n🔖 Lambar shaida: {reference}\n💳 Kuɗin sabis: {fee}\n📊 Sabon kuɗin da ke akwai: ₦{balance}\n\n{next}',
+    'transfer.awaiting_otp': '🔐 Wannan tura kuɗin yana jiran izini. Zan aiko maka da rasiti da zarar an amince kuma ya isa.',
+    'transfer.receipt_soon': 'Zan aiko maka da rasiti da zarar banki ya tabbatar da tura kuɗin.',
+    'transfer.nothing_sent': 'Ba a tura komai ba.',
+    'transfer.not_recorded': 'ba a iya rubuta shi ba',
+    'transfer.leg_failed': 'Ba a tura ba: {reason}. An mayar da kuɗin.',
+    'transfer.split_processing': '⏳ Ana Aiwatar da Rabon Tura Kuɗi',
+    'transfer.split_partial': '⚠️ Wani Ɓangare na Rabon Tura Kuɗi Kawai Ya Fara',
+    'transfer.new_balance': '📊 Sabon kuɗin da ke akwai: ₦{balance}',
+    'transfer.split_receipts': 'Zan aiko da rasiti na kowane tura kuɗi yayin da banki ke tabbatar da shi.',
+    'transfer.split_refunded': '💵 An mayar da dukkan kuɗin cikin walat ɗinka.',
+    'transfer.recipient_failed': '❌ Ban iya saita {name} a matsayin mai karɓar kuɗi ba. Don Allah a sake gwadawa nan gaba.',
+    'transfer.bank_missing': '❌ Ina buƙatar bankin asusu {accountNumber}. Don Allah ka sake farawa ka haɗa da bankin, kamar "Send 5000 to {accountNumber} GTBank".',
+    'transfer.bank_unknown': '❌ Ban san banki "{bank}" ba. Yi amfani da /banks don ganin bankunan da muke tallafawa.',
+    'transfer.account_unverified': '❌ Ban iya tabbatar da asusu {accountNumber} a {bank} ba: {reason}',
+    'transfer.success': '✅ Tura Kuɗi Ya Yi Nasara!\n\n💰 Adadi: ₦{amount}\n🏦 Zuwa: {name}\n📱 Asusu: {accountNumber}\n🔖 Lambar shaida: {reference}\n💳 Kuɗin sabis: {fee}\n\n📄 Rasiti ya shirya!',
+    'transfer.recipient': 'Mai karɓa',
+    'transfer.receipt_caption': '📄 Rasitin Mu\'amala',
+    'transfer.failed_title': '❌ Tura Kuɗi Bai Yi Nasara Ba',
+    'transfer.reversed_title': '↩️ Banki Ya Mayar da Tura Kuɗi',
+    'transfer.refunded': '{title}\n\n💰 Adadi: ₦{amount}\n❗ Dalili: {reason}\n💵 An mayar: ₦{refund}\n📊 Sabon kuɗin da ke akwai: ₦{balance}\n\nAn mayar da kuɗinka cikin walat ɗinka.',
+
+    'wallet.self_send': '❌ Ba za ka iya tura kuɗi zuwa walat ɗinka ba.',
+    'wallet.success': '✅ Tura Kuɗi Ya Yi Nasara!\n\n💰 Adadi: ₦{amount}\n👤 Zuwa: {name} (QuickWallet)\n🔖 Lambar shaida: {reference}\n💳 Kuɗin sabis: ₦0\n📊 Sabon kuɗin da ke akwai: ₦{balance}',
+    'wallet.received': '💵 Ka karɓi ₦{amount} daga {sender}!\n\n{note}🔖 Lambar shaida: {reference}\n{balance}',
+    'wallet.for': '📝 Don: {note}',
+
+    'common.invalid_button': '❌ Wannan maɓallin ba shi da inganci.',
+    'confirm.expired': '⌛ Wannan tabbatarwar ta ƙare ko an riga an amsa ta.',
+
+    'requests.self': '❌ Ba za ka iya neman kuɗi daga kanka ba.',
+    'requests.create_failed': '❌ Ban iya ƙirƙirar buƙatar biyan kuɗin ba. Don Allah a sake gwadawa.',
+    'requests.sent': '📨 An aika buƙatar! Na roƙi {name} ya biya ka ₦{amount}. Zan sanar da kai idan sun amsa.',
+    'requests.saved_unlinked': '📨 An ajiye buƙatar, amma {name} bai haɗa Telegram ba tukuna, don haka ba zai gan ta ba sai ya haɗa.',
+    'requests.closed': '⌛ An riga an biya, an ƙi, ko wannan buƙatar ta ƙare.',
+    'requests.declined_notice': '❌ {name} ya ƙi buƙatarka ta ₦{amount}{note}.',
+    'requests.expired_notice': '⌛ Buƙatarka ta ₦{amount} daga {name} ta ƙare ba tare da an biya ba.',
+    'requests.ask': '💸 {name} yana neman ₦{amount} daga gare ka{note}.\n\n⌛ Za ta ƙare: {expires}\nIdan ka biya, kuɗin zai fita daga walat ɗinka nan take, ba tare da kuɗin sabis ba.',
+    'requests.reminder': '🔔 Tunatarwa: {name} yana neman ₦{amount} daga gare ka{note}.\n\n⌛ Za ta ƙare: {expires}\nIdan ka biya, kuɗin zai fita daga walat ɗinka nan take, ba tare da kuɗin sabis ba.',
+    'requests.ask_note': ' don "{note}"',
+    'requests.pay_button': '💸 Biya ₦{amount}',
+    'requests.decline_button': '❌ Ƙi',
+    'requests.declined': '❌ An ƙi',
+    'requests.paying': '💸 Ana biya',
+    'requests.someone': 'Wani',
+
+    'schedule.daily': 'kowace rana',
+    'schedule.weekly': 'kowace {day}',
+    'schedule.monthly': 'kowane wata a rana ta {day}',
+    'schedule.weekday_0': 'Lahadi',
+    'schedule.weekday_1': 'Litinin',
+    'schedule.weekday_2': 'Talata',
+    'schedule.weekday_3': 'Laraba',
+    'schedule.weekday_4': 'Alhamis',
+    'schedule.weekday_5': 'Jumma\'a',
+    'schedule.weekday_6': 'Asabar',
+    'schedule.save_failed': '❌ Ban iya ajiye tsarin ba. Don Allah a sake gwadawa.',
+    'schedule.created': '🗓️ An tsara! Zan tura ₦{amount} zuwa {name} ({nickname}) {when}.\n\n📅 Tura kuɗi na farko: {first}\nZan tunatar da kai kwana ɗaya kafin kowane tura kuɗi. Sarrafa shi da /schedules.',
+    'schedule.update_failed': '❌ Ban iya sabunta wannan tsarin ba.',
+    'schedule.resumed': '✅ An ci gaba da tsarin.',
+    'schedule.paused': '✅ An dakatar da tsarin.',
+    'schedule.cancelled': '✅ An soke tsarin.',
+    'schedule.next_transfer': 'Tura kuɗi na gaba: {date}.',
+    'schedule.notice': '🔔 Ka sani: Zan tura ₦{amount} zuwa {name} ({nickname}) a {date}.\n\nDon Allah ka tabbata walat ɗinka zai ɗauki kuɗin tare da kuɗin sabis. Don tsallake shi, dakatar da tsarin da /schedules.',
+    'schedule.beneficiary_removed': '❌ Na soke tsararren tura kuɗinka na ₦{amount} saboda an cire mai karɓarsa.',
+    'schedule.label': '₦{amount} zuwa {name} ({nickname})',
+    'schedule.ran': '🗓️ Tsararren tura kuɗi na {label}\n\n{message}',
+    'schedule.run_failed': '⚠️ Tsararren tura kuɗinka na {label} bai yi nasara ba:\n{message}\n\nZan sake gwadawa a rana ta gaba da aka tsara. Sarrafa shi da /schedules.',
+    'schedule.error': '❌ Ban iya samo tsare-tsarenka ba. Don Allah a sake gwadawa.',
+    'schedule.usage': 'Yadda ake amfani:\n/schedules - duba tsararrun tura kuɗinka\n/schedules pause 1 - dakatar da tsari 1\n/schedules resume 1 - ci gaba da tsari 1\n/schedules cancel 1 - soke tsari 1',
+    'schedule.not_found': '❌ Babu tsari {number}. Aika /schedules don ganin jerin.',
+    'schedule.none': '🗓️ Ba ka da tsararren tura kuɗi.\n\n💡 Faɗa min in ƙirƙiri ɗaya, kamar "Send 20000 to Mom every 1st of the month".',
+    'schedule.removed_beneficiary': 'mai karɓa da aka cire',
+    'schedule.state_paused': '⏸️ An dakatar',
+    'schedule.state_next': '📅 Na gaba: {date}',
+    'schedule.last_failed': '⚠️ Na ƙarshe bai yi nasara ba: {reason}',
+    'schedule.item': '₦{amount} zuwa {to} {when}',
+    'schedule.list': '🗓️ Tsararrun Tura Kuɗinka\n\n{lines}\n\n💡 Sarrafa su da "/schedules pause 1", "/schedules resume 1" ko "/schedules cancel 1".',
+
+    'bulk.none_payable': '❌ Babu ɗaya daga cikin layuka {count} a {file} da za a iya biya:\n\n{invalid}',
+    'bulk.more': '…da wasu {count}',
+    'bulk.more_in_receipt': '…da wasu {count} (duba rasitin)',
+    'bulk.confirm': '📦 Biyan Mutane da Yawa: {file}\n\n{lines}\n\n✅ {payments} · ₦{total}\n💳 Kuɗin sabis: ₦{fees} · Jimilla: ₦{grand}',
+    'bulk.payments': 'biya {count}',
+    'bulk.skipped': '⚠️ Za a tsallake layuka {count}:',
+    'bulk.row': 'Layi {row}: {error}',
+    'bulk.xlsx_unreadable': '❌ Ban iya karanta wannan fayil ɗin Excel ba. Don Allah ka tabbata yana buɗewa a Excel, ko ka aika shi a matsayin CSV.',
+    'bulk.bank_column': '❌ Fayil ɗin yana buƙatar ginshiƙin "bank" (account_number, bank, amount, narration).',
+    'bulk.no_rows': '❌ Fayil ɗin ba shi da layin biya.',
+    'bulk.too_many': '❌ Fayil ɗin yana da layuka {count}; biyan mutane da yawa ba zai wuce {max} ba. Don Allah ka raba shi.',
+    'bulk.row_account': 'lambar asusu "{account}" dole ta zama lambobi goma',
+    'bulk.row_amount': 'babu adadi ko bai yi daidai ba',
+    'bulk.row_bank_missing': 'babu banki',
+    'bulk.row_bank_unknown': 'ba a san banki "{bank}" ba',
+    'bulk.row_unverified': 'ba a iya tabbatar da asusu a {bank} ba',
+    'bulk.row_not_processed': 'ba a iya aiwatar da shi ba',
+    'bulk.row_no_recipient': 'ba a iya saita mai karɓa ba',
+    'bulk.row_duplicate': 'an riga an aika shi',
+    'bulk.row_insufficient': 'kuɗi bai isa ba',
+    'bulk.row_not_debited': 'ba a iya cire kuɗin ba',
+    'bulk.processing': '📦 Ana Aiwatar da Biyan Mutane da Yawa\n\n{lines}\n\n⏳ An tura: {sent} · ❌ Bai yi nasara ba: {failed}\nZan aiko da rasitin PDF guda ɗaya da zarar bankuna sun tabbatar da kowane tura kuɗi.',
+    'bulk.failed': '📦 Biyan Mutane da Yawa Bai Yi Nasara Ba\n\n{lines}\n\n⏳ An tura: {sent} · ❌ Bai yi nasara ba: {failed}\n💵 Ba a caje ka komai ba; an mayar da duk kuɗin da aka cire cikin walat ɗinka.',
+    'bulk.report': '📦 Biyan Mutane da Yawa Ya Kammala: {file}\n\n{lines}\n\n✅ An biya: {paid} · ❌ Bai yi nasara ba: {failed}\n💰 Adadin da aka biya: ₦{amount}\n{refunded}\n📄 Rasitinka yana haɗe.',
+    'bulk.report_refunded': '💵 An mayar: ₦{amount}',
+    'bulk.receipt_caption': '📄 Rasitin Biyan Mutane da Yawa',
+    'bulk.read_error': '❌ Ban iya karanta fayil ɗin ba. Don Allah ka duba shi ka sake gwadawa.',
+    'bulk.xls_unsupported': '📊 Ba zan iya karanta tsofaffin littattafan .xls ba. A Excel, yi amfani da File → Save As → "Excel Workbook (.xlsx)" ko "CSV (Comma delimited)" ka aiko min da wannan fayil ɗin.',
+    'bulk.file_hint': '📄 Don biyan mutane da yawa lokaci ɗaya, aika fayil ɗin .csv ko Excel .xlsx mai waɗannan ginshiƙai:\naccount_number, bank, amount, narration',
+    'bulk.too_large': '❌ Wannan fayil ɗin ya yi girma da yawa. Fayilolin biyan mutane da yawa ba za su wuce {size} KB ba.',
+    'bulk.checking': '📦 Ina duba biyan kuɗinka... Don Allah ka jira.\n\n⏳ Ina tabbatar da kowane asusu, don haka zai iya ɗaukar minti ɗaya.',
+
+    'workflow.confirm_new': 'In tura ₦{amount} zuwa {account}{name}? Zan fara tabbatar da bayanan asusun.',
+    'workflow.confirm_verified': 'In tura ₦{amount} zuwa {name} ({account})?\n\n🏦 {bank}\n\nDanna ✅ Confirm ko ❌ Cancel a ƙasa.',
+    'workflow.confirm_beneficiary': 'In tura ₦{amount} zuwa {name} ({nickname})?\n\n🏦 {bank}\n📱 {account}\n\nDanna ✅ Confirm a ƙasa.',
+    'wallet.own_wallet': '❌ Wannan walat ɗinka ne. Don saka kuɗi, tura kuɗi zuwa cikinsa daga bankinka ko ka tambaye ni yadda ake saka kuɗi a walat.',
+    'wallet.confirm': 'In tura ₦{amount} zuwa {name} a QuickWallet{username}? ✅\n\n⚡ Zai isa nan take, ba tare da kuɗin sabis ba.',
+    'wallet.not_found': '❌ Ban sami mai amfani da QuickWallet mai {destination} ba. Duba shi ka sake gwadawa, ko ka tura zuwa lambar asusun bankinsa.',
+    'requests.missing': 'Wa zai biya ka, kuma nawa? Gwada: "Request 5000 from @ada for lunch" ko "Request 5000 from 08031234567".',
+    'requests.not_found': '❌ Daga masu amfani da QuickWallet kawai zan iya neman kuɗi, kuma ban sami wani mai waɗannan bayanan ba.',
+    'requests.confirm': 'In roƙi {name} ya biya ka ₦{amount}{note}?',
+    'schedule.missing': 'Don tsara tura kuɗi ina buƙatar adadi, mai karɓa da ka ajiye da sau nawa za a tura. Gwada: "Send 20000 to Mom every 1st of the month" ko "Pay John 5000 every Friday".',
+    'schedule.beneficiary_not_found': '❌ Tsararrun tura kuɗi suna zuwa ga masu karɓa da aka ajiye kawai, kuma ban sami wani mai suna "{name}" ba. Ka fara ajiye su, kamar "Add my mom\'s account 0123456789 GTBank".',
+    'schedule.confirm': 'In tura ₦{amount} zuwa {name} ({nickname}) {when}?\n\n📅 Tura kuɗi na farko: {first}\n💳 Kuɗin sabis zai shafi kowane lokaci. Zan tunatar da kai kwana ɗaya kafin kowane tura kuɗi.',
+    'split.example': 'Gwada: "Send 30000 split between John, Ada and Tunde" ko "Split 30000 between Mom and Dad 2:1".',
+    'split.who': 'Tsakanin su wa zan raba shi? Rabon kuɗi yana zuwa ga masu karɓa biyu ko fiye da ka ajiye.',
+    'split.not_found': '❌ Ban sami mai karɓa da aka ajiye mai suna {names} ba.',
+    'split.saved': 'Masu karɓa da ka ajiye su ne: {names}.',
+    'split.save_first': 'Ka fara ajiye su, kamar "Add my mom\'s account 0123456789 GTBank".',
+    'split.duplicate': '❌ An lissafa mai karɓa ɗaya sau biyu. Don Allah ka ambaci kowa sau ɗaya.',
+    'split.mismatch': 'Adadin sun haɗu zuwa ₦{sum}, ba ₦{total} ba.',
+    'split.no_total': 'Nawa zan raba?',
+    'split.used_up': 'Ainihin adadin da ka faɗa sun riga sun cinye ₦{total}.',
+    'split.confirm': 'In raba ₦{total} tsakanin mutane {count}? ✅\n\n{legs}\n\nZa a cire dukkan tura kuɗin daga walat ɗinka tare: idan bai isa ga dukansu ba, ba za a tura ko ɗaya ba.',
+    'webapp.expired': '⌛ Wannan allon PIN ya ƙare. Don Allah ka sake farawa a cikin hira.',
+    'webapp.rate_limited': '⚠️ Buƙatu sun yi yawa. Don Allah ka jira minti ɗaya.',
+    'webapp.no_account': '❌ Ban sami asusun QuickWallet ɗinka ba.'
+  }
+};
+
+// Canned replies used when the model can't write one; several per intent so replies vary
+export const DEFAULT_RESPONSES = {
+  en: {
+    FUND_WALLET: [
+      "Ready to add some funds? Just let me know how much you'd like to top up! 💰",
+      'Sure thing! How much would you like to add to your wallet?',
+      "Let's get your wallet loaded up. What amount works for you?"
+    ],
+    SEND_MONEY: [
+      'Got it! Which account should I send this to?',
+      "Sure, I can help with that. Who's receiving this payment?",
+      'Alright, where should this money go?'
+    ],
+    REQUEST_MONEY: [
+      'Sure! Who should I ask to pay you, and how much?',
+      "I can send them a request. What's their @username or phone number?"
+    ],
+    CHECK_BALANCE: [
+      'Let me pull up your balance real quick! 💳',
+      'On it! Checking your wallet now...',
+      "Sure, let's see what you've got in there!"
+    ],
+    TRANSACTION_HISTORY: [
+      "I'll grab your recent transactions for you! 📊",
+      'Coming right up! Getting your transaction history...',
+      'Sure thing! Let me pull up your recent activity.'
+    ],
+    ADD_BENEFICIARY: [
+      "Great! Let's save this contact. What's their account number?",
+      'Sure, I can help you add someone new. Got their account details?',
+      'Perfect! Who would you like to add to your contacts?'
+    ],
+    LIST_BENEFICIARIES: [
+      "Let me show you who you've saved! 📋",
+      'Here are your saved contacts...',
+      'Sure! Pulling up your contact list now.'
+    ],
+    SEND_TO_BENEFICIARY: [
+      'Got it! How much would you like to send?',
+      'Sure thing! What amount should I send to them?',
+      'Alright, how much are we transferring?'
+    ],
+    HELP: [
+      "I'm here to help! You can fund your wallet, send money, check your balance, or save contacts. What would you like to do?",
+      'Happy to help! I can assist with transfers, wallet funding, balance checks, and managing your saved contacts. What do you need?',
+      "Hey! I can help you with all your wallet needs - from sending money to managing contacts. What's on your mind?"
+    ],
+    GENERAL_CHAT: [
+      "Hey! I'm Quickie, your wallet assistant. Need help with anything? 😊",
+      'Hi there! How can I help you with your wallet today?',
+      'Hello! Ready to help with transfers, balance checks, or anything else you need!'
+    ]
+  },
+
+  pcm: {
+    FUND_WALLET: ['You wan fund your wallet? Tell me how much! 💰', 'No wahala! How much you wan add to your wallet?'],
+    SEND_MONEY: ['I hear you! Which account I go send am to?', 'Okay o, who dey collect this money?'],
+    REQUEST_MONEY: ['Sure! Who I go ask make e pay you, and how much?', 'I fit send dem request. Wetin be their @username or phone number?'],
+    CHECK_BALANCE: ['Make I check your balance sharp sharp! 💳', 'Okay! I dey check your wallet now...'],
+    TRANSACTION_HISTORY: ['I go bring your recent transactions! 📊', 'No wahala! I dey bring your history...'],
+    ADD_BENEFICIARY: ['Correct! Make we save this person. Wetin be their account number?'],
+    LIST_BENEFICIARIES: ['See the people wey you don save! 📋'],
+    SEND_TO_BENEFICIARY: ['I hear! How much you wan send?', 'Okay! How much make I send give dem?'],
+    HELP: ['I dey here to help! You fit fund your wallet, send money, check your balance or save contacts. Wetin you wan do?'],
+    GENERAL_CHAT: ['How far! Na Quickie be this, your wallet padi. Wetin I fit do for you? 😊', 'I dey o! How I fit help you today?']
+  },
+
+  yo: {
+    FUND_WALLET: ['Ẹ fẹ fi owo sinu apo yin? Ẹ sọ iye fun mi! 💰', 'Ko si wahala! Elo ni ẹ fẹ fi kun apo yin?'],
+    SEND_MONEY: ['O ye mi! Akaunti wo ni ki n fi ranṣẹ si?', 'O dara, ta ni yoo gba owo yii?'],
+    REQUEST_MONEY: ['Dajudaju! Ta ni ki n beere lọwọ rẹ lati sanwo fun yin, ati elo?'],
+    CHECK_BALANCE: ['Ẹ jẹ ki n wo iye owo yin kiakia! 💳'],
+    TRANSACTION_HISTORY: ['Ma a mu itan idunadura yin wa! 📊'],
+    ADD_BENEFICIARY: ['O dara! Ẹ jẹ ka fi ẹni yii pamọ. Kini nọmba akaunti wọn?'],
+    LIST_BENEFICIARIES: ['Eyi ni awọn eniyan ti ẹ ti fi pamọ! 📋'],
+    SEND_TO_BENEFICIARY: ['O ye mi! Elo ni ẹ fẹ fi ranṣẹ?'],
+    HELP: ['Mo wa nibi lati ran yin lọwọ! Ẹ le fi owo sinu apo yin, fi owo ranṣẹ, wo iye owo yin tabi fi awọn eniyan pamọ. Kini ẹ fẹ ṣe?'],
+    GENERAL_CHAT: ['Ẹ n lẹ! Emi ni Quickie, oluranlọwọ apo owo yin. Kini mo le ṣe fun yin? 😊']
+  },
+
+  ig: {
+    FUND_WALLET: ['Ị chọrọ itinye ego n\'akpa gị? Gwa m ole! 💰', 'Ọ dị mma! Ego ole ka ị chọrọ itinye n\'akpa gị?'],
+    SEND_MONEY: ['Aghọtara m! Kedu akaụntụ ka m ga-eziga ya?', 'Ọ dị mma, onye ga-anata ego a?'],
+    REQUEST_MONEY: ['O doro anya! Onye ka m ga-arịọ ka ọ kwụọ gị ụgwọ, ole ka ọ bụ?'],
+    CHECK_BALANCE: ['Ka m lelee ego gị ngwa ngwa! 💳'],
+    TRANSACTION_HISTORY: ['M ga-ewetara gị azụmahịa gị nso nso a! 📊'],
+    ADD_BENEFICIARY: ['Ọ dị mma! Ka anyị chekwaa onye a. Gịnị bụ nọmba akaụntụ ya?'],
+    LIST_BENEFICIARIES: ['Lee ndị ị chekwara! 📋'],
+    SEND_TO_BENEFICIARY: ['Aghọtara m! Ego ole ka ị chọrọ iziga?'],
+    HELP: ['Anọ m ebe a inyere gị aka! Ị nwere ike itinye ego n\'akpa gị, ziga ego, lelee ego gị ma ọ bụ chekwaa ndị mmadụ. Gịnị ka ị chọrọ ime?'],
+    GENERAL_CHAT: ['Ndewo! Abụ m Quickie, onye enyemaka akpa ego gị. Gịnị ka m ga-emere gị? 😊']
+  },
+
+  ha: {
+    FUND_WALLET: ['Kana so ka saka kuɗi a walat ɗinka? Faɗa min nawa! 💰', 'Babu damuwa! Nawa kake so ka ƙara a walat ɗinka?'],
+    SEND_MONEY: ['Na gane! Wane asusu zan tura wa?', 'To, wa zai karɓi wannan kuɗin?'],
+    REQUEST_MONEY: ['Tabbas! Wa zan roƙa ya biya ka, kuma nawa?'],
+    CHECK_BALANCE: ['Bari in duba kuɗinka da sauri! 💳'],
+    TRANSACTION_HISTORY: ['Zan kawo maka tarihin mu\'amalolinka! 📊'],
+    ADD_BENEFICIARY: ['Madalla! Mu ajiye wannan mutumin. Menene lambar asusunsa?'],
+    LIST_BENEFICIARIES: ['Ga mutanen da ka ajiye! 📋'],
+    SEND_TO_BENEFICIARY: ['Na gane! Nawa kake so ka tura?'],
+    HELP: ['Ina nan don in taimaka! Za ka iya saka kuɗi a walat, tura kuɗi, duba kuɗinka ko ajiye mutane. Me kake so ka yi?'],
+    GENERAL_CHAT: ['Sannu! Ni ne Quickie, mataimakin walat ɗinka. Me zan yi maka? 😊']
+  }
+};
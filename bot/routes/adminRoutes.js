@@ -0,0 +1,288 @@
+/**
+ * ADMIN MONITORING ENDPOINTS
+ *
+ * Protected by `Authorization: Bearer <ADMIN_SECRET_KEY>`; without
+ * ADMIN_SECRET_KEY every admin endpoint is refused. Services come from
+ * `req.app.locals`.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import IdempotencyService from '../services/IdempotencyService.js';
+
+const router = express.Router();
+
+export const ADMIN_ENDPOINTS = [
+  ['GET', '/admin/webhook/stats', 'Webhook statistics'],
+  ['POST', '/admin/check-balance/:userId', 'Check user balance'],
+  ['POST', '/admin/retry-funding/:failedFundingId', 'Retry failed funding'],
+  ['POST', '/admin/transfers/:reference/finalize', 'Finalize OTP transfer']
+];
+
+// Hashing first makes the comparison constant-time whatever the lengths
+const digest = value => crypto.createHash('sha256').update(value).digest();
+
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_SECRET_KEY;
+  if (!adminKey) {
+    console.error('❌ [ADMIN] ADMIN_SECRET_KEY is not set; refusing admin request');
+    return res.status(503).json({ error: 'Admin endpoints are disabled' });
+  }
+
+  const authHeader = req.headers.authorization;
+  if (typeof authHeader !== 'string' || !crypto.timingSafeEqual(digest(authHeader), digest(`Bearer ${adminKey}`))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+// Webhook statistics
+router.get('/admin/webhook/stats', requireAdminKey, async (req, res) => {
+  try {
+    const { supabase } = req.app.locals;
+
+    const { data: webhookStats } = await supabase
+      .from('webhook_events')
+      .select('event_type, processed, created_at')
+      .gte('created_at', new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString());
+
+    const { data: failedFundings } = await supabase
+      .from('failed_fundings')
+      .select('*')
+      .eq('resolved', false)
+      .order('created_at', { ascending: false })
+      .limit(10);
+
+    const stats = {
+      last_24_hours: {
+        total_events: webhookStats?.length || 0,
+        processed: webhookStats?.filter(e => e.processed).length || 0,
+        pending: webhookStats?.filter(e => !e.processed).length || 0,
+        event_types: {}
+      },
+      failed_fundings: {
+        count: failedFundings?.length || 0,
+        items: failedFundings || []
+      }
+    };
+
+    webhookStats?.forEach(event => {
+      if (!stats.last_24_hours.event_types[event.event_type]) {
+        stats.last_24_hours.event_types[event.event_type] = 0;
+      }
+      stats.last_24_hours.event_types[event.event_type]++;
+    });
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      stats
+    });
+  } catch (error) {
+    console.error('Webhook stats error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Manual balance check
+router.post('/admin/check-balance/:userId', requireAdminKey, async (req, res) => {
+  try {
+    const { supabase, ledgerService } = req.app.locals;
+
+    const { userId } = req.params;
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { data: transactions } = await supabase
+      .from('transactions')
+      .select('type, amount, service_fee, status')
+      .eq('user_id', userId)
+      .eq('status', 'completed');
+
+    const summary = { credits: 0, debits: 0, fees: 0 };
+
+    transactions?.forEach(txn => {
+      const amount = parseFloat(txn.amount);
+      const fee = parseFloat(txn.service_fee || 0);
+
+      if (txn.type === 'credit') {
+        summary.credits += amount;
+      } else {
+        summary.debits += amount;
+        summary.fees += fee;
+      }
+    });
+
+    // The ledger is the source of truth; wallet_balance is only a cache
+    const calculatedBalance = await ledgerService.getWalletBalance(userId);
+    const currentBalance = parseFloat(user.wallet_balance);
+    const difference = currentBalance - calculatedBalance;
+
+    res.json({
+      success: true,
+      user: {
+        id: user.id,
+        name: `${user.first_name} ${user.last_name}`,
+        email: user.email
+      },
+      balance: {
+        current: currentBalance,
+        calculated: calculatedBalance,
+        difference: difference,
+        is_balanced: Math.abs(difference) < 0.01
+      },
+      summary,
+      transaction_count: transactions?.length || 0
+    });
+  } catch (error) {
+    console.error('Balance check error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry failed funding
+router.post('/admin/retry-funding/:failedFundingId', requireAdminKey, async (req, res) => {
+  try {
+    const { supabase, bot, paystackService, ledgerService, idempotencyService } = req.app.locals;
+
+    const { failedFundingId } = req.params;
+
+    const { data: failedFunding, error: fetchError } = await supabase
+      .from('failed_fundings')
+      .select('*')
+      .eq('id', failedFundingId)
+      .single();
+
+    if (fetchError || !failedFunding) {
+      return res.status(404).json({ error: 'Failed funding record not found' });
+    }
+
+    if (failedFunding.resolved) {
+      return res.status(400).json({ error: 'This funding has already been resolved' });
+    }
+
+    let verified = false;
+    try {
+      const txnDetails = await paystackService.verifyAndGetTransactionDetails(
+        failedFunding.reference
+      );
+      
+      if (txnDetails.status === 'success') {
+        verified = true;
+        
+        const { data: user } = await supabase
+          .from('users')
+          .select('*')
+          .eq('id', failedFunding.user_id)
+          .single();
+
+        if (user) {
+          const amount = parseFloat(failedFunding.amount);
+
+          // Same key as the webhook and polling, so a retry can never double-credit
+          const { response, replayed, inProgress } = await idempotencyService.run(
+            IdempotencyService.fundingKey(failedFunding.reference),
+            { scope: 'funding', userId: user.id, request: { reference: failedFunding.reference, amount } },
+            async () => {
+              const posted = await ledgerService.fundWallet(
+                user.id,
+                amount,
+                failedFunding.reference,
+                { description: 'Wallet funding (retry after failure)', metadata: { failed_funding_id: failedFundingId } }
+              );
+
+              if (!posted.duplicate) {
+                await supabase
+                  .from('transactions')
+                  .insert([{
+                    user_id: user.id,
+                    type: 'credit',
+                    amount,
+                    service_fee: 0,
+                    description: 'Wallet funding (retry after failure)',
+                    reference: failedFunding.reference,
+                    status: 'completed',
+                    created_at: new Date().toISOString()
+                  }]);
+              }
+
+              return { newBalance: posted.newBalance, duplicate: posted.duplicate };
+            }
+          );
+
+          if (replayed || inProgress || response.duplicate) {
+            return res.status(400).json({ error: 'This funding has already been credited' });
+          }
+
+          const { newBalance } = response;
+
+          await supabase
+            .from('failed_fundings')
+            .update({
+              resolved: true,
+              resolved_at: new Date().toISOString(),
+              resolution_notes: 'Manually retried and verified'
+            })
+            .eq('id', failedFundingId);
+
+          if (user.telegram_chat_id) {
+            await bot.sendMessage(
+              user.telegram_chat_id,
+              `✅ *Wallet Funded Successfully!*\n\n` +
+              `💰 Amount: ₦${failedFunding.amount.toLocaleString()}\n` +
+              `💵 New Balance: ₦${newBalance.toLocaleString()}\n` +
+              `🔖 Reference: ${failedFunding.reference}\n\n` +
+              `This was a previously failed funding that has now been processed.`,
+              { parse_mode: 'Markdown' }
+            );
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Verification failed:', error);
+    }
+
+    res.json({
+      success: verified,
+      message: verified 
+        ? 'Funding retried and processed successfully' 
+        : 'Transaction could not be verified with Paystack',
+      verified
+    });
+  } catch (error) {
+    console.error('Retry funding error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Finalize a transfer awaiting OTP authorization
+router.post('/admin/transfers/:reference/finalize', requireAdminKey, async (req, res) => {
+  try {
+    const { transferService } = req.app.locals;
+
+    const { reference } = req.params;
+    const { otp } = req.body || {};
+
+    if (!otp || !/^\d{4,8}$/.test(String(otp))) {
+      return res.status(400).json({ error: 'A numeric otp is required' });
+    }
+
+    const result = await transferService.finalizeTransfer(reference, String(otp));
+
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    console.error('Finalize transfer error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,157 @@
+/**
+ * TELEGRAM WEB APP ENDPOINTS
+ *
+ * Backend for the PIN pad page (`?view=pin` in the Vite frontend). Every
+ * request carries the Web App's `initData`, which Telegram signs with the
+ * bot token; the Telegram user it names is the chat whose pending transfer
+ * the PIN unlocks, so the PIN never has to be typed into the chat.
+ * Services come from `req.app.locals`.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { DEFAULT_LANGUAGE, languageOf, normalizeLanguage, translate } from '../services/LanguageService.js';
+
+const router = express.Router();
+
+export const WEBAPP_ENDPOINTS = [
+  ['POST', '/webapp/pin', 'Verify a transfer PIN from the PIN pad']
+];
+
+// initData is issued when the Web App opens; older than this is refused
+const INIT_DATA_MAX_AGE_SECONDS = 10 * 60;
+
+/**
+ * Validate Telegram Web App initData
+ * (https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app)
+ * @param {string} initData - Raw query string from Telegram.WebApp.initData
+ * @param {string} botToken - Bot token
+ * @param {number} maxAgeSeconds - Maximum age of auth_date
+ * @returns {Object|null} { user, authDate } or null if invalid or stale
+ */
+export function verifyWebAppInitData(initData, botToken, maxAgeSeconds = INIT_DATA_MAX_AGE_SECONDS) {
+  if (typeof initData !== 'string' || !initData || !botToken) return null;
+
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  if (!hash) return null;
+
+  params.delete('hash');
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const expected = Buffer.from(crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+  const received = Buffer.from(hash);
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return null;
+  }
+
+  const authDate = parseInt(params.get('auth_date'), 10);
+  if (!authDate || Date.now() / 1000 - authDate > maxAgeSeconds) {
+    return null;
+  }
+
+  try {
+    const user = JSON.parse(params.get('user'));
+    return user?.id ? { user, authDate } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The Telegram client's language from initData, for answers sent before
+ * the user row is loaded. initData needn't be valid: only the reply
+ * language depends on it.
+ * @param {string} initData - Raw query string from Telegram.WebApp.initData
+ * @returns {string} Language code
+ */
+function clientLanguage(initData) {
+  try {
+    const user = JSON.parse(new URLSearchParams(initData).get('user'));
+    return normalizeLanguage(String(user?.language_code || '').split('-')[0]) || DEFAULT_LANGUAGE;
+  } catch {
+    return DEFAULT_LANGUAGE;
+  }
+}
+
+/**
+ * Allow the Web App origin (TELEGRAM_WEBAPP_URL) to call these endpoints
+ */
+function allowWebAppOrigin(req, res, next) {
+  if (process.env.TELEGRAM_WEBAPP_URL) {
+    res.set('Access-Control-Allow-Origin', new URL(process.env.TELEGRAM_WEBAPP_URL).origin);
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type');
+    res.set('Vary', 'Origin');
+  }
+
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(204);
+  }
+
+  next();
+}
+
+router.use('/webapp', allowWebAppOrigin);
+
+// Verify the PIN for the pending transfer and run it
+router.post('/webapp/pin', async (req, res) => {
+  const { initData, confirmationId, pin } = req.body || {};
+  let language = clientLanguage(initData);
+
+  try {
+    const { supabase, securityService, conversationFlow } = req.app.locals;
+
+    const verified = verifyWebAppInitData(initData, process.env.TELEGRAM_BOT_TOKEN);
+    if (!verified) {
+      console.error('❌ [WEBAPP] Invalid or expired initData');
+      return res.status(401).json({ success: false, message: translate(language, 'webapp.expired') });
+    }
+
+    if (typeof pin !== 'string' || !/^\d{4}$/.test(pin)) {
+      return res.status(400).json({ success: false, message: translate(language, 'pin.not_four_digits') });
+    }
+
+    // Private chat IDs are the user's Telegram ID
+    const chatId = verified.user.id;
+
+    if (!(await securityService.checkRateLimit(chatId.toString()))) {
+      return res.status(429).json({ success: false, message: translate(language, 'webapp.rate_limited') });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('*')
+      .eq('telegram_chat_id', chatId.toString())
+      .single();
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: translate(language, 'webapp.no_account') });
+    }
+
+    language = languageOf(user);
+
+    if (await securityService.isUserLockedOut(user.id)) {
+      return res.status(423).json({ success: false, message: translate(language, 'security.locked') });
+    }
+
+    const session = await securityService.getSession(chatId);
+    if (session?.type !== 'TRANSFER_PIN' || session.confirmationId !== confirmationId) {
+      return res.status(409).json({ success: false, message: translate(language, 'pin.not_awaiting') });
+    }
+
+    const result = await conversationFlow.handlePinVerification(chatId, user, pin, session);
+
+    res.status(result.success ? 200 : 403).json(result);
+  } catch (error) {
+    console.error('❌ [WEBAPP] PIN verification failed:', error);
+    res.status(500).json({ success: false, message: translate(language, 'common.unexpected') });
+  }
+});
+
+export default router;
@@ -0,0 +1,590 @@
+import fs from 'fs';
+import Helpers from '../utils/helpers.js';
+import { readXlsxRows } from '../utils/xlsxReader.js';
+import { TRANSFER_STATES, isDefinitiveRejection } from './TransferService.js';
+import { DEFAULT_LANGUAGE, languageOf, translate } from './LanguageService.js';
+
+export const BULK_TRANSFER_CONFIG = {
+  MAX_ROWS: 100,
+  MAX_FILE_SIZE: 256 * 1024
+};
+
+export const BULK_TRANSFER_STATUS = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed'
+};
+
+// Column order assumed when the file has no header row
+const CSV_COLUMNS = ['account_number', 'bank', 'amount', 'narration'];
+
+const COLUMN_ALIASES = {
+  account: 'account_number',
+  account_no: 'account_number',
+  bank_name: 'bank',
+  description: 'narration',
+  reason: 'narration'
+};
+
+const OPEN_STATES = [TRANSFER_STATES.PENDING, TRANSFER_STATES.OTP, TRANSFER_STATES.PROCESSING];
+
+const STATUS_ICONS = {
+  [TRANSFER_STATES.SUCCESS]: '✅',
+  [TRANSFER_STATES.FAILED]: '❌',
+  [TRANSFER_STATES.REVERSED]: '↩️'
+};
+
+// Rows listed in a chat message; the PDF receipt has all of them
+const REPORT_ROWS = 30;
+
+/**
+ * Bulk payouts from an uploaded CSV or Excel .xlsx file (account_number,
+ * bank, amount, narration).
+ *
+ * `prepare()` checks every row (bank name, account resolution, fees,
+ * limits) and builds the confirmation summary. After one PIN, `execute()`
+ * debits and records each row like a single bank transfer, tagged with
+ * the batch, and sends them all through Paystack's bulk transfer API.
+ * Rows are then settled by the usual transfer webhooks (or, when the
+ * bulk request's outcome is unknown, by transfer reconciliation); once none
+ * is still open the leader sends one report and a combined PDF receipt.
+ */
+class BulkTransferService {
+  constructor(paystackService, ledgerService, beneficiaryService, transferService, feeService, limitService, receiptService, supabaseClient, bot, config = BULK_TRANSFER_CONFIG) {
+    this.paystack = paystackService;
+    this.ledger = ledgerService;
+    this.beneficiary = beneficiaryService;
+    this.transfers = transferService;
+    this.fees = feeService;
+    this.limits = limitService;
+    this.receipts = receiptService;
+    this.supabase = supabaseClient;
+    this.bot = bot;
+    this.config = config;
+  }
+
+  /**
+   * Validate an uploaded file and build the confirmation
+   * @param {Object} user - User row
+   * @param {Buffer|string} file - File contents
+   * @param {string} fileName - Uploaded file name; .xlsx files are read as Excel, anything else as CSV
+   * @returns {Promise<Object>} Workflow result; action CONFIRM_BULK_TRANSFER with data { amount, batch }
+   */
+  async prepare(user, file, fileName) {
+    const language = languageOf(user);
+    const read = this.readCells(file, fileName, language);
+    if (!read.success) {
+      return read;
+    }
+
+    const parsed = this.parseRows(read.cells, language);
+    if (!parsed.success) {
+      return parsed;
+    }
+
+    const { rows } = parsed;
+    const banks = new Map();
+    const items = [];
+    const invalid = [];
+
+    for (const row of rows) {
+      const error = await this.validateRow(row, banks, language);
+      if (error) {
+        invalid.push({ ...row, error });
+      } else {
+        items.push(row);
+      }
+    }
+
+    if (items.length === 0) {
+      return {
+        success: false,
+        message: translate(language, 'bulk.none_payable', {
+          count: rows.length,
+          file: fileName,
+          invalid: this.formatInvalid(invalid, language)
+        })
+      };
+    }
+
+    const quotes = await this.fees.quoteBatch(user, items.map(item => item.amount));
+    items.forEach((item, index) => {
+      item.fee = quotes[index].fee;
+      item.feeRule = quotes[index].rule;
+    });
+
+    const limitCheck = await this.limits.checkBatchLimits(user, items.map(item => item.amount));
+    if (!limitCheck.allowed) {
+      return { success: false, message: `❌ ${limitCheck.reason}` };
+    }
+
+    const total = items.reduce((sum, item) => sum + item.amount, 0);
+    const totalFee = items.reduce((sum, item) => sum + item.fee, 0);
+
+    const lines = items.slice(0, REPORT_ROWS).map((item, index) =>
+      `${index + 1}. ${item.accountName} · ${item.accountNumber} (${item.bankName}) · ₦${item.amount.toLocaleString()}`);
+
+    if (items.length > REPORT_ROWS) {
+      lines.push(translate(language, 'bulk.more', { count: items.length - REPORT_ROWS }));
+    }
+
+    return {
+      success: true,
+      action: 'CONFIRM_BULK_TRANSFER',
+      message: translate(language, 'bulk.confirm', {
+        file: fileName,
+        lines: lines.join('\n'),
+        payments: translate(language, 'bulk.payments', { count: items.length }),
+        total: total.toLocaleString(),
+        fees: totalFee.toLocaleString(),
+        grand: (total + totalFee).toLocaleString()
+      }) +
+               (invalid.length
+                 ? `\n\n${translate(language, 'bulk.skipped', { count: invalid.length })}\n${this.formatInvalid(invalid, language)}`
+                 : ''),
+      data: {
+        amount: total,
+        batch: { fileName, items, total, totalFee }
+      }
+    };
+  }
+
+  /**
+   * Cells of an uploaded CSV or .xlsx file (first sheet)
+   * @returns {Object} { success, cells } or { success: false, message }
+   */
+  readCells(file, fileName, language = DEFAULT_LANGUAGE) {
+    if (!/\.xlsx$/i.test(fileName)) {
+      return { success: true, cells: Helpers.parseCsv(Buffer.isBuffer(file) ? file.toString('utf8') : file) };
+    }
+
+    try {
+      return { success: true, cells: readXlsxRows(Buffer.from(file)) };
+    } catch (error) {
+      console.error(`❌ [BULK_TRANSFER] Could not read ${fileName}:`, error.message);
+      return { success: false, message: translate(language, 'bulk.xlsx_unreadable') };
+    }
+  }
+
+  /**
+   * Turn file cells into rows, using the header row if there is one
+   * @param {Array<Array<string>>} cells - From readCells()
+   * @param {string} [language] - Language code for the error message
+   * @returns {Object} { success, rows } or { success: false, message }
+   */
+  parseRows(cells, language = DEFAULT_LANGUAGE) {
+    const header = (cells[0] || []).map(cell => {
+      const name = cell.toLowerCase().replace(/[\s-]+/g, '_');
+      return COLUMN_ALIASES[name] || name;
+    });
+
+    const hasHeader = header.includes('account_number') && header.includes('amount');
+    const columns = hasHeader ? header : CSV_COLUMNS;
+    const body = hasHeader ? cells.slice(1) : cells;
+
+    if (!columns.includes('bank')) {
+      return { success: false, message: translate(language, 'bulk.bank_column') };
+    }
+
+    if (body.length === 0) {
+      return { success: false, message: translate(language, 'bulk.no_rows') };
+    }
+
+    if (body.length > this.config.MAX_ROWS) {
+      return {
+        success: false,
+        message: translate(language, 'bulk.too_many', { count: body.length, max: this.config.MAX_ROWS })
+      };
+    }
+
+    const rows = body.map((values, index) => {
+      const field = name => values[columns.indexOf(name)] ?? '';
+
+      return {
+        row: index + (hasHeader ? 2 : 1),
+        accountNumber: field('account_number').replace(/\s/g, ''),
+        bankName: field('bank'),
+        amount: parseFloat(field('amount').replace(/[₦,\s]/g, '')),
+        narration: field('narration').slice(0, 100) || null
+      };
+    });
+
+    return { success: true, rows };
+  }
+
+  /**
+   * Check one row, filling in the bank code and account name
+   * @param {Object} row - Row from parseRows()
+   * @param {Map} banks - Bank lookups already made for this file
+   * @param {string} [language] - Language code for the reason
+   * @returns {Promise<string|null>} Why the row can't be paid, or null
+   */
+  async validateRow(row, banks, language = DEFAULT_LANGUAGE) {
+    if (!Helpers.validateAccountNumber(row.accountNumber)) {
+      return translate(language, 'bulk.row_account', { account: row.accountNumber });
+    }
+
+    if (!Number.isFinite(row.amount) || row.amount <= 0) {
+      return translate(language, 'bulk.row_amount');
+    }
+
+    if (!row.bankName) {
+      return translate(language, 'bulk.row_bank_missing');
+    }
+
+    const key = row.bankName.toLowerCase();
+    if (!banks.has(key)) {
+      banks.set(key, await this.beneficiary.findBankByName(row.bankName));
+    }
+
+    const bank = banks.get(key);
+    if (!bank) {
+      return translate(language, 'bulk.row_bank_unknown', { bank: row.bankName });
+    }
+
+    try {
+      const resolved = await this.paystack.resolveAccountNumber(row.accountNumber, bank.code);
+      row.accountName = resolved.data?.account_name;
+    } catch (error) {
+      return `${translate(language, 'bulk.row_unverified', { bank: bank.name })}: ${error.message}`;
+    }
+
+    if (!row.accountName) {
+      return translate(language, 'bulk.row_unverified', { bank: bank.name });
+    }
+
+    row.bankCode = bank.code;
+    row.bankName = bank.name;
+    return null;
+  }
+
+  /**
+   * Pay a confirmed, PIN-verified batch
+   * @param {Object} user - User row
+   * @param {Object} batch - prepare() data.batch from the confirmation
+   * @param {Object} [options] - { idempotencyKey } makes the row references deterministic
+   * @returns {Promise<Object>} { success, message, reference }
+   */
+  async execute(user, batch, { idempotencyKey } = {}) {
+    const language = languageOf(user);
+    const required = batch.total + batch.totalFee;
+    const balance = await this.ledger.getWalletBalance(user.id);
+
+    if (balance < required) {
+      return {
+        success: false,
+        message: translate(language, 'transfer.insufficient', {
+          balance: balance.toLocaleString(),
+          required: required.toLocaleString()
+        })
+      };
+    }
+
+    const { data: record, error } = await this.supabase
+      .from('bulk_transfers')
+      .insert([{
+        user_id: user.id,
+        file_name: batch.fileName,
+        item_count: batch.items.length,
+        total_amount: batch.total,
+        total_fee: batch.totalFee,
+        status: BULK_TRANSFER_STATUS.PROCESSING
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(error.message || 'Failed to create bulk transfer');
+    }
+
+    // A row that can't be staged fails on its own; the rows before it are still sent below
+    const rows = [];
+    for (const [index, item] of batch.items.entries()) {
+      const reference = Helpers.generateReference('QWB', `${idempotencyKey || record.id}:${index}`);
+      try {
+        rows.push(await this.stageRow(user, record.id, index + 1, item, reference));
+      } catch (stageError) {
+        console.error(`❌ [BULK_TRANSFER] Failed to stage ${reference}:`, stageError.message);
+        rows.push({ item, error: translate(language, 'bulk.row_not_processed') });
+      }
+    }
+
+    const staged = rows.filter(row => row.transaction);
+
+    if (staged.length > 0) {
+      await this.send(record.id, staged);
+    }
+
+    const sent = rows.filter(row => !row.error);
+    if (sent.length === 0) {
+      await this.markCompleted(record.id);
+    }
+
+    console.log(`📦 [BULK_TRANSFER] Batch ${record.id}: ${sent.length}/${rows.length} rows sent for user ${user.id}`);
+
+    const lines = rows.slice(0, REPORT_ROWS).map((row, index) =>
+      `${index + 1}. ${row.error ? '❌' : '⏳'} ${row.item.accountName} · ${row.item.accountNumber} · ₦${row.item.amount.toLocaleString()}` +
+      (row.error ? ` (${row.error})` : ''));
+
+    if (rows.length > REPORT_ROWS) {
+      lines.push(translate(language, 'bulk.more', { count: rows.length - REPORT_ROWS }));
+    }
+
+    return {
+      success: sent.length > 0,
+      reference: record.id,
+      message: translate(language, sent.length > 0 ? 'bulk.processing' : 'bulk.failed', {
+        lines: lines.join('\n'),
+        sent: sent.length,
+        failed: rows.length - sent.length
+      })
+    };
+  }
+
+  /**
+   * Send staged rows through Paystack's bulk transfer API. Rows are only
+   * failed and refunded when Paystack rejects the request; after a timeout,
+   * reset connection or 5xx Paystack may have queued them, so they stay open
+   * and TransferService.reconcileOpenTransfers() settles each by reference.
+   */
+  async send(batchId, staged) {
+    let result;
+    try {
+      result = await this.paystack.initiateBulkTransfer(staged.map(row => ({
+        amount: Math.round(row.item.amount * 100), // Convert to kobo
+        recipient: row.recipientCode,
+        reference: row.reference,
+        reason: row.item.narration || `Transfer to ${row.item.accountName}`
+      })));
+    } catch (bulkError) {
+      const reason = bulkError.response?.data?.message || bulkError.message;
+
+      if (!isDefinitiveRejection(bulkError)) {
+        console.error(`⚠️  [BULK_TRANSFER] Outcome of batch ${batchId} unknown, leaving rows for reconciliation:`, reason);
+        for (const row of staged) {
+          await this.transfers.holdForReconciliation(row.transaction, reason);
+        }
+        return;
+      }
+
+      console.error(`❌ [BULK_TRANSFER] Paystack rejected batch ${batchId}:`, reason);
+
+      for (const row of staged) {
+        await this.failRow(row, reason);
+      }
+      return;
+    }
+
+    const byReference = new Map((result.data || []).map(transfer => [transfer.reference, transfer]));
+    for (const row of staged) {
+      const transfer = byReference.get(row.reference);
+      if (!transfer) {
+        // Not in the response doesn't prove Paystack dropped it; verify decides
+        console.error(`⚠️  [BULK_TRANSFER] ${row.reference} missing from Paystack's response, leaving it for reconciliation`);
+        await this.transfers.holdForReconciliation(row.transaction, 'missing from bulk transfer response');
+        continue;
+      }
+
+      try {
+        await this.transfers.applyInitiationStatus(row.transaction, { data: transfer });
+      } catch (statusError) {
+        // The transfer is with Paystack; its webhook settles the row
+        console.error(`❌ [BULK_TRANSFER] Failed to record Paystack status for ${row.reference}:`, statusError.message);
+      }
+    }
+  }
+
+  /**
+   * Fail and refund one staged row
+   */
+  async failRow(row, reason) {
+    row.error = reason;
+    try {
+      await this.transfers.failTransfer(row.reference, reason, { notify: false });
+    } catch (error) {
+      console.error(`❌ [BULK_TRANSFER] Failed to refund ${row.reference}:`, error.message);
+    }
+  }
+
+  /**
+   * Debit and record one row
+   * @returns {Promise<Object>} { item, reference, recipientCode, transaction } or { item, error }
+   */
+  async stageRow(user, batchId, rowNumber, item, reference) {
+    const language = languageOf(user);
+    const description = `Bulk transfer to ${item.accountName}`;
+
+    let recipientCode;
+    try {
+      recipientCode = await this.transfers.getRecipientCode({
+        accountName: item.accountName,
+        accountNumber: item.accountNumber,
+        bankCode: item.bankCode
+      });
+    } catch (error) {
+      console.error(`❌ [BULK_TRANSFER] Recipient creation failed for ${reference}:`, error.response?.data || error.message);
+      return { item, error: translate(language, 'bulk.row_no_recipient') };
+    }
+
+    try {
+      const debit = await this.ledger.debitForTransfer(user.id, item.amount, item.fee, reference, {
+        description,
+        metadata: { recipient_code: recipientCode, batch_id: batchId }
+      });
+
+      if (debit.duplicate) {
+        return { item, error: translate(language, 'bulk.row_duplicate') };
+      }
+    } catch (debitError) {
+      if (debitError.code === 'INSUFFICIENT_FUNDS') {
+        return { item, error: translate(language, 'bulk.row_insufficient') };
+      }
+      // debit_wallet runs in one database transaction, so a failed call debited nothing
+      console.error(`❌ [BULK_TRANSFER] Debit failed for ${reference}:`, debitError.message);
+      return { item, error: translate(language, 'bulk.row_not_debited') };
+    }
+
+    const { data: transaction, error: txnError } = await this.supabase
+      .from('transactions')
+      .insert([{
+        user_id: user.id,
+        type: 'transfer',
+        amount: item.amount,
+        service_fee: item.fee,
+        fee_rule: item.feeRule,
+        recipient_account: item.accountNumber,
+        recipient_name: item.accountName,
+        description: item.narration ? `${description}: ${item.narration}` : description,
+        reference,
+        status: TRANSFER_STATES.PENDING,
+        batch_id: batchId,
+        metadata: {
+          recipient_code: recipientCode,
+          bank_code: item.bankCode,
+          bank_name: item.bankName,
+          batch_row: rowNumber
+        }
+      }])
+      .select()
+      .single();
+
+    if (txnError) {
+      console.error(`❌ [BULK_TRANSFER] Failed to record ${reference}:`, txnError);
+      await this.ledger.refundTransfer(user.id, item.amount, item.fee, reference, {
+        metadata: { failure_reason: 'Transaction record failed' }
+      });
+      return { item, error: translate(language, 'transfer.not_recorded') };
+    }
+
+    return { item, reference, recipientCode, transaction };
+  }
+
+  /**
+   * Send the final report for batches whose rows have all settled. Run by the leader.
+   */
+  async processBatches() {
+    const { data: batches, error } = await this.supabase
+      .from('bulk_transfers')
+      .select('*')
+      .eq('status', BULK_TRANSFER_STATUS.PROCESSING);
+
+    if (error) {
+      console.error('❌ [BULK_TRANSFER] Batch lookup failed:', error);
+      return;
+    }
+
+    for (const batch of batches || []) {
+      const { data: transactions, error: txnError } = await this.supabase
+        .from('transactions')
+        .select('*')
+        .eq('batch_id', batch.id);
+
+      if (txnError) {
+        console.error(`❌ [BULK_TRANSFER] Failed to load rows for ${batch.id}:`, txnError);
+        continue;
+      }
+
+      if (transactions.some(txn => OPEN_STATES.includes(txn.status))) continue;
+
+      // Claim the report so a second leader term doesn't send it again
+      if (!await this.markCompleted(batch.id)) continue;
+
+      transactions.sort((a, b) => (a.metadata?.batch_row || 0) - (b.metadata?.batch_row || 0));
+      await this.sendReport(batch, transactions);
+    }
+  }
+
+  async markCompleted(batchId) {
+    const { data, error } = await this.supabase
+      .from('bulk_transfers')
+      .update({ status: BULK_TRANSFER_STATUS.COMPLETED, completed_at: new Date().toISOString() })
+      .eq('id', batchId)
+      .eq('status', BULK_TRANSFER_STATUS.PROCESSING)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      console.error(`❌ [BULK_TRANSFER] Failed to complete ${batchId}:`, error);
+      return false;
+    }
+
+    return Boolean(data);
+  }
+
+  /**
+   * Message the per-row outcome and the combined PDF receipt
+   */
+  async sendReport(batch, transactions) {
+    const { data: user } = await this.supabase
+      .from('users')
+      .select('*')
+      .eq('id', batch.user_id)
+      .maybeSingle();
+
+    if (!user?.telegram_chat_id || !this.bot) return;
+
+    const language = languageOf(user);
+    const paid = transactions.filter(txn => txn.status === TRANSFER_STATES.SUCCESS);
+    const refunded = transactions.filter(txn => txn.status !== TRANSFER_STATES.SUCCESS);
+    const sum = (rows, withFee) => rows.reduce((total, txn) =>
+      total + parseFloat(txn.amount) + (withFee ? parseFloat(txn.service_fee || 0) : 0), 0);
+
+    const lines = transactions.slice(0, REPORT_ROWS).map((txn, index) =>
+      `${index + 1}. ${STATUS_ICONS[txn.status] || '⏳'} ${txn.recipient_name} · ${txn.recipient_account} · ` +
+      `₦${parseFloat(txn.amount).toLocaleString()}` +
+      (txn.metadata?.failure_reason ? ` (${txn.metadata.failure_reason})` : ''));
+
+    if (transactions.length > REPORT_ROWS) {
+      lines.push(translate(language, 'bulk.more_in_receipt', { count: transactions.length - REPORT_ROWS }));
+    }
+
+    try {
+      await this.bot.sendMessage(user.telegram_chat_id, translate(language, 'bulk.report', {
+        file: batch.file_name,
+        lines: lines.join('\n'),
+        paid: paid.length,
+        failed: refunded.length,
+        amount: sum(paid, false).toLocaleString(),
+        refunded: refunded.length ? `${translate(language, 'bulk.report_refunded', { amount: sum(refunded, true).toLocaleString() })}\n` : ''
+      }));
+
+      const receiptPath = await this.receipts.generateBatchReceipt(batch, transactions, user);
+      await this.bot.sendDocument(user.telegram_chat_id, receiptPath, {
+        caption: translate(language, 'bulk.receipt_caption')
+      });
+
+      fs.unlinkSync(receiptPath);
+    } catch (error) {
+      console.error(`❌ [BULK_TRANSFER] Report delivery failed for ${batch.id}:`, error.message);
+    }
+  }
+
+  formatInvalid(invalid, language = DEFAULT_LANGUAGE) {
+    const lines = invalid.slice(0, REPORT_ROWS).map(row => translate(language, 'bulk.row', { row: row.row, error: row.error }));
+    if (invalid.length > REPORT_ROWS) {
+      lines.push(translate(language, 'bulk.more', { count: invalid.length - REPORT_ROWS }));
+    }
+    return lines.join('\n');
+  }
+}
+
+export default BulkTransferService;
@@ -1,7 +1,17 @@
+import { findAmount, extractAmount, parseAmount } from '../utils/amountParser.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, detectLanguage, glossForIntent } from './LanguageService.js';
+import { DEFAULT_RESPONSES } from '../i18n/messages.js';
+import { INTENT_FUNCTIONS, validateIntent } from '../utils/intentSchema.js';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
 class EnhancedNLPService {
-  constructor(genAI) {
-    this.genAI = genAI;
-    this.model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+  /**
+   * @param {Object} llm - Provider from LLMProviders.js; with RulesProvider,
+   *   or when the model fails, fallbackAnalysis and the canned replies answer
+   */
+  constructor(llm) {
+    this.llm = llm;
     this.conversationMemory = new Map(); // Store recent interactions per user
   }
 
@@ -36,6 +46,11 @@ class EnhancedNLPService {
     return recentHistory.map(h => `${h.intent}: ${h.response.substring(0, 100)}`).join('\n');
   }
 
+  /**
+   * Analyse a message through the model's function calling. An answer
+   * that breaks its intent's schema is rejected (the reasons are logged and
+   * returned as `rejected`) and the rules answer instead.
+   */
   async processMessage(message, userId = 'default') {
     try {
       const recentContext = this.getRecentContext(userId);
@@ -47,72 +62,45 @@ class EnhancedNLPService {
         
         ${recentContext ? `RECENT CONVERSATION:\n${recentContext}\n` : ''}
         
-        Classify the intent as ONE of these:
-        - FUND_WALLET: User wants to add money to their wallet
-        - SEND_MONEY: User wants to transfer money to someone
-        - CHECK_BALANCE: User wants to see their wallet balance
-        - TRANSACTION_HISTORY: User wants to view past transactions
-        - ADD_BENEFICIARY: User wants to save a new contact/beneficiary
-        - LIST_BENEFICIARIES: User wants to see their saved contacts
-        - SEND_TO_BENEFICIARY: User wants to send money to a saved contact
-        - HELP: User needs help or has questions about how things work
-        - GENERAL_CHAT: Casual conversation, greetings, or unclear intent
-        
-        EXTRACTION RULES:
-        
-        For SEND_MONEY or SEND_TO_BENEFICIARY:
-        - amount: Extract any number that looks like money (can be with ₦, naira, NGN, or just digits)
-        - account_number: Only extract if exactly 10 digits
-        - recipient_name: Any name mentioned after "to", "for", or similar
-        - bank_name: Any bank name mentioned
-        - beneficiary_nickname: A nickname/name if sending to saved contact
-        
-        For ADD_BENEFICIARY:
-        - account_number: Only if exactly 10 digits
-        - recipient_name: The person's name
-        - bank_name: The bank name
-        - nickname: What user wants to call this person (could be first name, nickname, etc.)
-        
-        For FUND_WALLET:
-        - amount: Extract amount if mentioned
+        Call the ONE function that matches the user's intent, with the details the message gives.
+        Use null for anything the message doesn't say; never guess an account number, phone number or amount.
         
         IMPORTANT: 
         - Be smart about context - "send John 5000" means send ₦5000 to saved contact "John"
         - "add my brother's account 0123456789 GTB" means add beneficiary
+        - "send 2000 to @ada" or "send 2000 to 08031234567" is SEND_MONEY (another QuickWallet user)
+        - "request 5000 from @ada for lunch" or "ask 08031234567 to pay me 5000" is REQUEST_MONEY
+        - "send 20000 to mom every 1st of the month" or "pay John 5000 every Friday" is SCHEDULE_TRANSFER
+        - "send 30000 split between John, Ada and Tunde" or "split 30000 between mom and dad 2:1" is SPLIT_TRANSFER
         - If user just says a number like "5000", check recent context to understand intent
         
-        Respond ONLY with valid JSON (no markdown, no extra text):
-        {
-          "type": "INTENT_TYPE",
-          "amount": number or null,
-          "account_number": "string or null",
-          "recipient_name": "string or null",
-          "bank_name": "string or null",
-          "beneficiary_nickname": "string or null",
-          "nickname": "string or null",
-          "confidence": 0.0 to 1.0,
-          "context_clues": "brief explanation of why you chose this intent"
-        }
+        LANGUAGE:
+        - Users write in English, Nigerian Pidgin, Yoruba, Igbo or Hausa, often mixed with English
+        - "abeg send 2k give Tunde" (Pidgin), "Fi 5000 ranṣẹ si Tunde" (Yoruba), "Zigara Ada 5000" (Igbo)
+          and "Tura 5000 zuwa ga Musa" (Hausa) are all SEND_TO_BENEFICIARY
+        - Set "language" to the language of the message
+        
+        CONFIDENCE:
+        - 0.9 or more when the intent and every detail you give are clear
+        - Below 0.7 when the message could reasonably mean something else (e.g. "Tunde 5000" could be a
+          transfer or a request); the user is asked before anything happens
       `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = result.response.text();
-      
-      try {
-        // Extract JSON from response (handle markdown code blocks)
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          const parsed = JSON.parse(jsonMatch[0]);
-          return this.validateAndEnhanceResponse(parsed, message);
-        }
-      } catch (parseError) {
-        console.error('JSON parsing error:', parseError);
+      const call = await this.llm.callFunction(prompt, INTENT_FUNCTIONS);
+      if (call === null) {
+        return this.fallbackAnalysis(message);
       }
 
-      return this.fallbackAnalysis(message);
+      const { valid, errors } = validateIntent(call.name, call.args);
+      if (!valid) {
+        console.error(`⚠️  [LLM] Rejected ${this.llm.name} analysis (${call.name}): ${errors.join('; ')}`);
+        return { ...this.fallbackAnalysis(message), rejected: errors };
+      }
+
+      return this.validateAndEnhanceResponse({ ...call.args, type: call.name }, message);
       
     } catch (error) {
-      console.error('NLP processing error:', error);
+      console.error(`❌ [LLM] ${this.llm.name} analysis failed, using rules:`, error.message);
       return this.fallbackAnalysis(message);
     }
   }
@@ -128,17 +116,19 @@ class EnhancedNLPService {
       }
     }
 
-    // Validate and parse amount
+    if (parsed.phone_number) {
+      const cleaned = String(parsed.phone_number).replace(/[\s()-]/g, '');
+      parsed.phone_number = /^\+?\d{10,14}$/.test(cleaned) ? cleaned : null;
+    }
+
+    if (parsed.telegram_username) {
+      const cleaned = String(parsed.telegram_username).trim().replace(/^@/, '');
+      parsed.telegram_username = /^\w{5,32}$/.test(cleaned) ? cleaned.toLowerCase() : null;
+    }
+
+    // Models sometimes return "5k" or "₦5,000" instead of a number
     if (parsed.amount) {
-      const numAmount = typeof parsed.amount === 'string' 
-        ? parseFloat(parsed.amount.replace(/[^0-9.]/g, ''))
-        : parsed.amount;
-      
-      if (isNaN(numAmount) || numAmount <= 0) {
-        parsed.amount = null;
-      } else {
-        parsed.amount = numAmount;
-      }
+      parsed.amount = parseAmount(parsed.amount);
     }
 
     // Clean up names and nicknames
@@ -154,25 +144,155 @@ class EnhancedNLPService {
       parsed.nickname = parsed.nickname.toLowerCase().trim();
     }
 
+    if (parsed.type === 'SCHEDULE_TRANSFER') {
+      Object.assign(parsed, this.validateSchedule(parsed));
+    }
+
+    if (parsed.type === 'SPLIT_TRANSFER') {
+      parsed.recipients = this.validateRecipients(parsed.recipients);
+    }
+
+    if (parsed.note) {
+      parsed.note = String(parsed.note).trim().slice(0, 100) || null;
+    }
+
+    if (!LANGUAGES[parsed.language]) {
+      parsed.language = detectLanguage(message);
+    }
+
     // Ensure confidence is between 0 and 1
-    if (!parsed.confidence || parsed.confidence < 0 || parsed.confidence > 1) {
+    if (typeof parsed.confidence !== 'number' || parsed.confidence < 0 || parsed.confidence > 1) {
       parsed.confidence = 0.7;
     }
 
     return parsed;
   }
 
+  /**
+   * Keep only a usable frequency and day for SCHEDULE_TRANSFER
+   */
+  validateSchedule({ frequency, day_of_week, day_of_month }) {
+    const dayOfWeek = typeof day_of_week === 'string'
+      ? WEEKDAYS.indexOf(day_of_week.toLowerCase())
+      : day_of_week;
+    const dayOfMonth = parseInt(day_of_month, 10);
+
+    return {
+      frequency: ['daily', 'weekly', 'monthly'].includes(frequency) ? frequency : null,
+      day_of_week: Number.isInteger(dayOfWeek) && dayOfWeek >= 0 && dayOfWeek <= 6 ? dayOfWeek : null,
+      day_of_month: dayOfMonth >= 1 && dayOfMonth <= 31 ? dayOfMonth : null
+    };
+  }
+
+  /**
+   * Keep only usable SPLIT_TRANSFER recipients: a nickname and a positive
+   * amount or share, if any
+   */
+  validateRecipients(recipients) {
+    if (!Array.isArray(recipients)) return [];
+
+    const share = value => {
+      const number = parseFloat(value);
+      return Number.isFinite(number) && number > 0 ? number : null;
+    };
+
+    return recipients
+      .filter(recipient => recipient?.nickname)
+      .map(recipient => ({
+        nickname: String(recipient.nickname).toLowerCase().trim(),
+        amount: parseAmount(recipient.amount),
+        share: share(recipient.share)
+      }));
+  }
+
+  /**
+   * Recipients of a split in a message: "split 30000 between John, Ada
+   * and Tunde", "... between mom and dad 2:1", "... between John 15000 and Ada 10000"
+   * @returns {Array|null} [{ nickname, amount, share }], or null if fewer than two
+   */
+  parseSplit(message) {
+    const listMatch = message.match(/\b(?:between|among(?:st)?)\s+(.+)$/i);
+    if (!listMatch) return null;
+
+    const ratioMatch = listMatch[1].match(/\b(\d+(?:\s*:\s*\d+)+)\b/);
+    const names = listMatch[1]
+      .replace(/\b(?:in\s+(?:the\s+)?ratio\s+)?\d+(?:\s*:\s*\d+)+\b/i, '')
+      .replace(/\b(?:equally|evenly)\b/gi, '')
+      .split(/\s*(?:,|&|\band\b)\s*/i)
+      .map(part => {
+        // "John 15000", "Ada 10k"
+        const amount = findAmount(part);
+        const name = (amount ? part.slice(0, amount.start) + part.slice(amount.end) : part).trim();
+        return /^[a-zA-Z]+(?:\s+[a-zA-Z]+)?$/.test(name) ? { nickname: name, amount: amount?.amount ?? null } : null;
+      })
+      .filter(Boolean);
+
+    if (names.length < 2) return null;
+
+    const shares = ratioMatch ? ratioMatch[1].split(':').map(share => parseInt(share, 10)) : [];
+
+    return this.validateRecipients(names.map((name, index) => ({
+      ...name,
+      share: shares.length === names.length ? shares[index] : null
+    })));
+  }
+
+  /**
+   * Recurrence in a message: "every day", "every Friday", "weekly",
+   * "every 1st of the month", "monthly on the 15th"
+   * @returns {Object|null} { frequency, day_of_week, day_of_month }
+   */
+  parseSchedule(message) {
+    const lower = message.toLowerCase();
+    if (!/\b(every|each|daily|weekly|monthly)\b/.test(lower)) return null;
+
+    const weekday = WEEKDAYS.findIndex(day => new RegExp(`\\b${day}s?\\b`).test(lower));
+    const dayOfMonth = lower.match(/\b(\d{1,2})(?:st|nd|rd|th)\b/);
+
+    if (dayOfMonth || /\bmonth(ly)?\b/.test(lower)) {
+      return { frequency: 'monthly', day_of_week: null, day_of_month: dayOfMonth ? this.validateSchedule({ day_of_month: dayOfMonth[1] }).day_of_month : null };
+    }
+
+    if (weekday !== -1 || /\bweek(ly)?\b/.test(lower)) {
+      return { frequency: 'weekly', day_of_week: weekday === -1 ? null : weekday, day_of_month: null };
+    }
+
+    if (/\b(every ?day|daily)\b/.test(lower)) {
+      return { frequency: 'daily', day_of_week: null, day_of_month: null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Keyword analysis for when the model is unavailable. Messages in
+   * Pidgin, Yoruba, Igbo or Hausa are glossed into English keywords first.
+   */
   fallbackAnalysis(message) {
+    const language = detectLanguage(message);
+    return { ...this.classifyFallback(glossForIntent(message, language)), language };
+  }
+
+  classifyFallback(message) {
     const lowerMessage = message.toLowerCase();
     
-    // Extract amount with better patterns
-    const amountMatch = message.match(/(?:₦|naira|ngn)?\s*(\d+(?:,\d{3})*(?:\.\d{2})?)|(\d{3,})/i);
-    const amount = amountMatch ? parseFloat((amountMatch[1] || amountMatch[2]).replace(/,/g, '')) : null;
+    const amountMatch = findAmount(message);
+    const amount = amountMatch?.amount ?? null;
+    // Names are looked for with the amount taken out, so "send ten thousand to Ada" names Ada
+    const withoutAmount = amountMatch
+      ? `${message.slice(0, amountMatch.start)} ${message.slice(amountMatch.end)}`.replace(/\s+/g, ' ')
+      : message;
     
     // Extract account number
     const accountMatch = message.match(/\b(\d{10})\b/);
     const accountNumber = accountMatch ? accountMatch[1] : null;
 
+    // Other QuickWallet users can be addressed by phone number or @username
+    const phoneMatch = message.match(/(?:^|\s)(\+?234\d{10}|0[789]\d{9})\b/);
+    const phoneNumber = phoneMatch ? phoneMatch[1] : null;
+    const usernameMatch = message.match(/(?:^|\s)@(\w{5,32})\b/);
+    const telegramUsername = usernameMatch ? usernameMatch[1].toLowerCase() : null;
+
     // Extract potential names/nicknames
     const namePatterns = [
       /(?:send|transfer|pay)\s+(?:to\s+)?([a-zA-Z]+(?:\s+[a-zA-Z]+)?)/i,
@@ -182,7 +302,7 @@ class EnhancedNLPService {
     
     let potentialNickname = null;
     for (const pattern of namePatterns) {
-      const match = message.match(pattern);
+      const match = withoutAmount.match(pattern);
       if (match && match[1]) {
         potentialNickname = match[1].toLowerCase().trim();
         break;
@@ -229,6 +349,60 @@ class EnhancedNLPService {
       };
     }
     
+    const schedule = this.parseSchedule(message);
+    if (schedule && lowerMessage.match(/(?:send|transfer|pay|give)/)) {
+      const nicknameMatch = message.match(/(?:to|pay)\s+(?!every\b|each\b)([a-zA-Z]+(?:\s+(?!every\b|each\b|on\b|daily\b|weekly\b|monthly\b)[a-zA-Z]+)?)/i);
+      return {
+        type: 'SCHEDULE_TRANSFER',
+        amount,
+        account_number: null,
+        recipient_name: null,
+        bank_name: null,
+        beneficiary_nickname: nicknameMatch ? nicknameMatch[1].toLowerCase().trim() : null,
+        nickname: null,
+        ...schedule,
+        confidence: 0.8
+      };
+    }
+
+    const recipients = lowerMessage.match(/\b(?:split|share|divide)\b|\bbetween\b|\bamong(?:st)?\b/) &&
+      lowerMessage.match(/(?:send|transfer|pay|give|split|share|divide)/)
+      ? this.parseSplit(message)
+      : null;
+    if (recipients) {
+      // "30000" is the total; with per-person amounts only, the total is their sum
+      const total = extractAmount(message.replace(/\b(?:between|among(?:st)?)\s+.+$/i, ' '));
+      return {
+        type: 'SPLIT_TRANSFER',
+        amount: total,
+        account_number: null,
+        recipient_name: null,
+        bank_name: null,
+        beneficiary_nickname: null,
+        nickname: null,
+        recipients,
+        confidence: 0.8
+      };
+    }
+
+    if ((phoneNumber || telegramUsername || accountNumber) &&
+        lowerMessage.match(/\b(?:request|ask)\b.*\b(?:from|pay|send)\b|\brequest\b/)) {
+      const noteMatch = message.match(/\bfor\s+(?!₦|\d)(.{1,100})$/i);
+      return {
+        type: 'REQUEST_MONEY',
+        amount,
+        account_number: accountNumber,
+        phone_number: phoneNumber,
+        telegram_username: telegramUsername,
+        recipient_name: null,
+        bank_name: null,
+        beneficiary_nickname: null,
+        nickname: null,
+        note: noteMatch ? noteMatch[1].trim() : null,
+        confidence: 0.8
+      };
+    }
+
     if (lowerMessage.match(/(?:fund|top.?up|recharge|credit|load|add money|deposit)/)) {
       return { 
         type: 'FUND_WALLET', 
@@ -244,7 +418,8 @@ class EnhancedNLPService {
     
     if (lowerMessage.match(/(?:send|transfer|pay|give)/)) {
       // If no account number but has a potential nickname, likely sending to beneficiary
-      if (!accountNumber && potentialNickname && !lowerMessage.includes('add') && !lowerMessage.includes('save')) {
+      if (!accountNumber && !phoneNumber && !telegramUsername && potentialNickname &&
+          !lowerMessage.includes('add') && !lowerMessage.includes('save')) {
         return { 
           type: 'SEND_TO_BENEFICIARY', 
           amount, 
@@ -261,6 +436,8 @@ class EnhancedNLPService {
         type: 'SEND_MONEY', 
         amount, 
         account_number: accountNumber, 
+        phone_number: phoneNumber,
+        telegram_username: telegramUsername,
         recipient_name: potentialNickname, 
         bank_name: null,
         beneficiary_nickname: null,
@@ -414,11 +591,16 @@ class EnhancedNLPService {
         - Vary your sentence structure and vocabulary
         - Be human, be natural, be helpful
         
+        LANGUAGE: Reply in ${(LANGUAGES[context.language] || LANGUAGES[DEFAULT_LANGUAGE]).name}. Keep amounts, names and commands as they are.
+        
         Generate ONE natural, conversational response (2-3 sentences max):
       `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = result.response.text().trim();
+      const generated = await this.llm.generate(prompt);
+      if (generated === null) {
+        return this.getDefaultResponse(intent.type, context);
+      }
+      const response = generated.trim();
       
       // Store in conversation memory
       this.storeContext(userId, intent, response);
@@ -426,60 +608,14 @@ class EnhancedNLPService {
       return response;
       
     } catch (error) {
-      console.error('Response generation error:', error);
+      console.error(`❌ [LLM] ${this.llm.name} reply failed, using canned response:`, error.message);
       return this.getDefaultResponse(intent.type, context);
     }
   }
 
   getDefaultResponse(intentType, context = {}) {
-    // Multiple variations for each intent to avoid repetition
-    const responses = {
-      'FUND_WALLET': [
-        "Ready to add some funds? Just let me know how much you'd like to top up! 💰",
-        "Sure thing! How much would you like to add to your wallet?",
-        "Let's get your wallet loaded up. What amount works for you?"
-      ],
-      'SEND_MONEY': [
-        "Got it! Which account should I send this to?",
-        "Sure, I can help with that. Who's receiving this payment?",
-        "Alright, where should this money go?"
-      ],
-      'CHECK_BALANCE': [
-        "Let me pull up your balance real quick! 💳",
-        "On it! Checking your wallet now...",
-        "Sure, let's see what you've got in there!"
-      ],
-      'TRANSACTION_HISTORY': [
-        "I'll grab your recent transactions for you! 📊",
-        "Coming right up! Getting your transaction history...",
-        "Sure thing! Let me pull up your recent activity."
-      ],
-      'ADD_BENEFICIARY': [
-        "Great! Let's save this contact. What's their account number?",
-        "Sure, I can help you add someone new. Got their account details?",
-        "Perfect! Who would you like to add to your contacts?"
-      ],
-      'LIST_BENEFICIARIES': [
-        "Let me show you who you've saved! 📋",
-        "Here are your saved contacts...",
-        "Sure! Pulling up your contact list now."
-      ],
-      'SEND_TO_BENEFICIARY': [
-        "Got it! How much would you like to send?",
-        "Sure thing! What amount should I send to them?",
-        "Alright, how much are we transferring?"
-      ],
-      'HELP': [
-        "I'm here to help! You can fund your wallet, send money, check your balance, or save contacts. What would you like to do?",
-        "Happy to help! I can assist with transfers, wallet funding, balance checks, and managing your saved contacts. What do you need?",
-        "Hey! I can help you with all your wallet needs - from sending money to managing contacts. What's on your mind?"
-      ],
-      'GENERAL_CHAT': [
-        "Hey! I'm Quickie, your wallet assistant. Need help with anything? 😊",
-        "Hi there! How can I help you with your wallet today?",
-        "Hello! Ready to help with transfers, balance checks, or anything else you need!"
-      ]
-    };
+    // Several variations per intent, in the user's language
+    const responses = DEFAULT_RESPONSES[context.language] || DEFAULT_RESPONSES[DEFAULT_LANGUAGE];
     
     // Pick a random variation to avoid repetition
     const options = responses[intentType] || responses['GENERAL_CHAT'];
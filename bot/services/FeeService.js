@@ -0,0 +1,254 @@
+/**
+ * Transfer fees.
+ *
+ * The active row of `fee_schedules` prices a transfer as a flat fee, a
+ * percentage of the amount (clamped to min/max) or by amount bands. Users
+ * listed in `fee_waivers` pay nothing, and each user gets the schedule's
+ * `free_transfers_per_month` before fees apply.
+ *
+ * A quote is taken when the confirmation prompt is shown and carried
+ * through the session, so the prompt, the debit, the transaction row and
+ * the receipt all use the same fee.
+ */
+import { DEFAULT_LANGUAGE, translate } from './LanguageService.js';
+
+export const FEE_TYPES = {
+  FLAT: 'flat',
+  PERCENTAGE: 'percentage',
+  TIERED: 'tiered'
+};
+
+// Why a transfer cost what it did; stored in `transactions.fee_rule`
+export const FEE_RULES = {
+  ...FEE_TYPES,
+  FREE_ALLOWANCE: 'free_allowance',
+  WAIVER: 'waiver'
+};
+
+// Used when fee_schedules can't be read; mirrors the seeded row
+export const DEFAULT_FEE_SCHEDULE = {
+  name: 'Standard',
+  fee_type: FEE_TYPES.FLAT,
+  flat_fee: 10,
+  percentage: null,
+  min_fee: null,
+  max_fee: null,
+  bands: [],
+  free_transfers_per_month: 0
+};
+
+const SCHEDULE_CACHE_TTL = 5 * 60 * 1000;
+
+class FeeService {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+    this.schedule = null;
+    this.scheduleLoadedAt = 0;
+  }
+
+  /**
+   * The active fee schedule (cached)
+   * @returns {Promise<Object>}
+   */
+  async getSchedule() {
+    if (this.schedule && Date.now() - this.scheduleLoadedAt < SCHEDULE_CACHE_TTL) {
+      return this.schedule;
+    }
+
+    const { data, error } = await this.supabase
+      .from('fee_schedules')
+      .select('*')
+      .eq('active', true)
+      .lte('effective_from', new Date().toISOString())
+      .order('effective_from', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error || !data) {
+      console.error('❌ [FEES] Failed to load fee schedule, using defaults:', error?.message);
+      return this.schedule || DEFAULT_FEE_SCHEDULE;
+    }
+
+    this.schedule = {
+      ...data,
+      flat_fee: parseFloat(data.flat_fee || 0),
+      percentage: data.percentage === null ? null : parseFloat(data.percentage),
+      min_fee: data.min_fee === null ? null : parseFloat(data.min_fee),
+      max_fee: data.max_fee === null ? null : parseFloat(data.max_fee),
+      bands: (data.bands || [])
+        .map(band => ({ up_to: band.up_to === null ? null : parseFloat(band.up_to), fee: parseFloat(band.fee) }))
+        .sort((a, b) => (a.up_to ?? Infinity) - (b.up_to ?? Infinity))
+    };
+    this.scheduleLoadedAt = Date.now();
+    return this.schedule;
+  }
+
+  /**
+   * Fee a schedule charges for an amount, before waivers and free transfers
+   * @param {Object} schedule - Fee schedule
+   * @param {number} amount - Amount in naira
+   * @returns {number}
+   */
+  priceAmount(schedule, amount) {
+    let fee;
+
+    switch (schedule.fee_type) {
+      case FEE_TYPES.PERCENTAGE:
+        fee = amount * (schedule.percentage || 0) / 100;
+        if (schedule.min_fee !== null) fee = Math.max(fee, schedule.min_fee);
+        if (schedule.max_fee !== null) fee = Math.min(fee, schedule.max_fee);
+        break;
+
+      case FEE_TYPES.TIERED: {
+        const band = schedule.bands.find(b => b.up_to === null || amount <= b.up_to)
+          || schedule.bands[schedule.bands.length - 1];
+        fee = band ? band.fee : 0;
+        break;
+      }
+
+      default:
+        fee = schedule.flat_fee;
+    }
+
+    return Math.round(fee * 100) / 100;
+  }
+
+  /**
+   * Price a transfer for a user
+   * @param {Object} user - User row
+   * @param {number} amount - Amount in naira
+   * @returns {Promise<Object>} { fee, rule, freeRemaining }
+   */
+  async quote(user, amount) {
+    const schedule = await this.getSchedule();
+
+    if (await this.hasWaiver(user.id)) {
+      return { fee: 0, rule: FEE_RULES.WAIVER, freeRemaining: null };
+    }
+
+    const fee = this.priceAmount(schedule, amount);
+
+    if (fee > 0 && schedule.free_transfers_per_month > 0) {
+      const used = await this.getFreeTransfersUsed(user.id);
+      const freeRemaining = Math.max(schedule.free_transfers_per_month - used, 0);
+
+      if (freeRemaining > 0) {
+        return { fee: 0, rule: FEE_RULES.FREE_ALLOWANCE, freeRemaining: freeRemaining - 1 };
+      }
+    }
+
+    return { fee, rule: schedule.fee_type, freeRemaining: null };
+  }
+
+  /**
+   * Price several transfers made together (a bulk payout or split). Remaining free
+   * transfers cover the first rows, in order.
+   * @param {Object} user - User row
+   * @param {Array<number>} amounts - Amounts in naira
+   * @returns {Promise<Array<Object>>} One { fee, rule } per amount
+   */
+  async quoteBatch(user, amounts) {
+    const schedule = await this.getSchedule();
+
+    if (await this.hasWaiver(user.id)) {
+      return amounts.map(() => ({ fee: 0, rule: FEE_RULES.WAIVER }));
+    }
+
+    let freeRemaining = 0;
+    if (schedule.free_transfers_per_month > 0) {
+      const used = await this.getFreeTransfersUsed(user.id);
+      freeRemaining = Math.max(schedule.free_transfers_per_month - used, 0);
+    }
+
+    return amounts.map(amount => {
+      const fee = this.priceAmount(schedule, amount);
+
+      if (fee > 0 && freeRemaining > 0) {
+        freeRemaining--;
+        return { fee: 0, rule: FEE_RULES.FREE_ALLOWANCE };
+      }
+
+      return { fee, rule: schedule.fee_type };
+    });
+  }
+
+  /**
+   * One-line fee summary for a confirmation prompt
+   * @param {Object} quote - Result of quote()
+   * @param {number} amount - Amount in naira
+   * @param {string} [language] - Language code
+   * @returns {string}
+   */
+  describe(quote, amount, language = DEFAULT_LANGUAGE) {
+    if (quote.rule === FEE_RULES.WAIVER) {
+      return translate(language, 'fees.waived', { total: amount.toLocaleString() });
+    }
+
+    if (quote.rule === FEE_RULES.FREE_ALLOWANCE) {
+      return translate(language, 'fees.free', { count: quote.freeRemaining, total: amount.toLocaleString() });
+    }
+
+    return translate(language, 'fees.charged', { fee: quote.fee.toLocaleString(), total: (amount + quote.fee).toLocaleString() });
+  }
+
+  /**
+   * One-line fee summary for several transfers confirmed together
+   * @param {Array<Object>} quotes - Result of quoteBatch()
+   * @param {Array<number>} amounts - Amounts in naira, in the same order
+   * @param {string} [language] - Language code
+   * @returns {string}
+   */
+  describeBatch(quotes, amounts, language = DEFAULT_LANGUAGE) {
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    const fees = quotes.reduce((sum, quote) => sum + quote.fee, 0);
+    const free = quotes.filter(quote => quote.rule === FEE_RULES.FREE_ALLOWANCE).length;
+
+    return translate(language, 'fees.batch', {
+      fees: quotes[0]?.rule === FEE_RULES.WAIVER ? translate(language, 'fees.batch_waived') : `₦${fees.toLocaleString()}`,
+      free: free ? translate(language, 'fees.batch_free', { count: free }) : '',
+      total: (total + fees).toLocaleString()
+    });
+  }
+
+  async hasWaiver(userId) {
+    const { data, error } = await this.supabase
+      .from('fee_waivers')
+      .select('id, expires_at')
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('❌ [FEES] Failed to read fee waivers:', error.message);
+      return false;
+    }
+
+    return (data || []).some(waiver => !waiver.expires_at || new Date(waiver.expires_at) > new Date());
+  }
+
+  /**
+   * Free transfers used this calendar month; refunded ones don't count
+   * @param {string} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async getFreeTransfersUsed(userId) {
+    const monthStart = new Date();
+    monthStart.setDate(1);
+    monthStart.setHours(0, 0, 0, 0);
+
+    const { count, error } = await this.supabase
+      .from('transactions')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('type', 'transfer')
+      .eq('fee_rule', FEE_RULES.FREE_ALLOWANCE)
+      .not('status', 'in', '(failed,reversed)')
+      .gte('created_at', monthStart.toISOString());
+
+    if (error) {
+      throw new Error(error.message || 'Failed to count free transfers');
+    }
+
+    return count || 0;
+  }
+}
+
+export default FeeService;
@@ -0,0 +1,232 @@
+import crypto from 'crypto';
+
+export const IDEMPOTENCY_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Idempotency keys for money-moving operations.
+ *
+ * `run()` claims a key in the `idempotency_keys` table, runs the operation
+ * once and stores its response. Replaying the key returns the stored
+ * response without running the operation again, so a double-tapped
+ * confirmation, a replayed webhook and a polled duplicate all collapse to
+ * one ledger effect.
+ *
+ * Keys in use:
+ * - `transfer:<user id>:<confirmation id>` - one per PIN confirmation
+ * - `funding:<paystack reference>` - shared by the webhook, polling and
+ *   the admin retry endpoint
+ */
+class IdempotencyService {
+  constructor(supabaseClient, { lockTimeoutMs = 2 * 60 * 1000, retentionDays = 7 } = {}) {
+    this.supabase = supabaseClient;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.retentionDays = retentionDays;
+  }
+
+  /**
+   * Run an operation at most once per key
+   * @param {string} key - Idempotency key
+   * @param {Object} options - { scope, userId, request }
+   * @param {Function} operation - Async function returning a JSON-serialisable response
+   * @returns {Promise<Object>} { response, replayed, inProgress }
+   * @throws {Error} With code IDEMPOTENCY_CONFLICT if the key was used for a different request
+   */
+  async run(key, { scope, userId = null, request = {} } = {}, operation) {
+    const requestHash = this.hashRequest(request);
+    const claimed = await this.claim(key, scope, userId, requestHash);
+
+    if (!claimed.acquired) {
+      const existing = claimed.record;
+
+      if (existing.request_hash && existing.request_hash !== requestHash) {
+        const conflict = new Error(`Idempotency key ${key} was used for a different request`);
+        conflict.code = 'IDEMPOTENCY_CONFLICT';
+        throw conflict;
+      }
+
+      if (existing.status === IDEMPOTENCY_STATUS.COMPLETED) {
+        console.log(`♻️  [IDEMPOTENCY] Replayed ${key}`);
+        return { response: existing.response, replayed: true, inProgress: false };
+      }
+
+      console.log(`⏳ [IDEMPOTENCY] ${key} is already in progress`);
+      return { response: null, replayed: false, inProgress: true };
+    }
+
+    let response;
+    try {
+      response = await operation();
+    } catch (error) {
+      await this.release(key, error.message);
+      throw error;
+    }
+
+    await this.complete(key, response);
+
+    return { response, replayed: false, inProgress: false };
+  }
+
+  /**
+   * Claim a key. A failed or abandoned (lock expired) key can be reclaimed.
+   * @returns {Promise<Object>} { acquired, record }
+   */
+  async claim(key, scope, userId, requestHash) {
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + this.lockTimeoutMs).toISOString();
+
+    const { error } = await this.supabase
+      .from('idempotency_keys')
+      .insert([{
+        key,
+        scope,
+        user_id: userId,
+        request_hash: requestHash,
+        status: IDEMPOTENCY_STATUS.IN_PROGRESS,
+        locked_until: lockedUntil,
+        expires_at: new Date(now.getTime() + this.retentionDays * 24 * 60 * 60 * 1000).toISOString()
+      }]);
+
+    if (!error) {
+      return { acquired: true, record: null };
+    }
+
+    if (error.code !== UNIQUE_VIOLATION) {
+      console.error(`❌ [IDEMPOTENCY] Failed to claim ${key}:`, error);
+      throw new Error(error.message || 'Failed to claim idempotency key');
+    }
+
+    const record = await this.get(key);
+
+    const reclaimable = record && record.request_hash === requestHash && (
+      record.status === IDEMPOTENCY_STATUS.FAILED ||
+      (record.status === IDEMPOTENCY_STATUS.IN_PROGRESS && new Date(record.locked_until) < now)
+    );
+
+    if (!reclaimable) {
+      return { acquired: false, record };
+    }
+
+    // Conditional on the status we saw, so only one retry wins
+    const { data: reclaimed, error: reclaimError } = await this.supabase
+      .from('idempotency_keys')
+      .update({
+        status: IDEMPOTENCY_STATUS.IN_PROGRESS,
+        locked_until: lockedUntil,
+        error_message: null
+      })
+      .eq('key', key)
+      .eq('status', record.status)
+      .eq('locked_until', record.locked_until)
+      .select()
+      .maybeSingle();
+
+    if (reclaimError) {
+      throw new Error(reclaimError.message || 'Failed to reclaim idempotency key');
+    }
+
+    if (!reclaimed) {
+      return { acquired: false, record: await this.get(key) };
+    }
+
+    console.log(`🔁 [IDEMPOTENCY] Reclaimed ${key} (was ${record.status})`);
+    return { acquired: true, record: reclaimed };
+  }
+
+  async complete(key, response) {
+    const { error } = await this.supabase
+      .from('idempotency_keys')
+      .update({
+        status: IDEMPOTENCY_STATUS.COMPLETED,
+        response: response ?? null,
+        completed_at: new Date().toISOString()
+      })
+      .eq('key', key);
+
+    if (error) {
+      // The operation already ran; its own references stop a second ledger effect
+      console.error(`❌ [IDEMPOTENCY] Failed to store response for ${key}:`, error);
+    }
+  }
+
+  async release(key, errorMessage) {
+    const { error } = await this.supabase
+      .from('idempotency_keys')
+      .update({
+        status: IDEMPOTENCY_STATUS.FAILED,
+        error_message: errorMessage
+      })
+      .eq('key', key);
+
+    if (error) {
+      console.error(`❌ [IDEMPOTENCY] Failed to release ${key}:`, error);
+    }
+  }
+
+  /**
+   * Look up a key
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object|null>} Stored record
+   */
+  async get(key) {
+    const { data, error } = await this.supabase
+      .from('idempotency_keys')
+      .select('*')
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message || 'Failed to read idempotency key');
+    }
+
+    return data;
+  }
+
+  /**
+   * Delete keys past their retention window
+   * @returns {Promise<number>} Number of keys removed
+   */
+  async purgeExpired() {
+    const { data, error } = await this.supabase
+      .from('idempotency_keys')
+      .delete()
+      .lt('expires_at', new Date().toISOString())
+      .select('key');
+
+    if (error) {
+      console.error('❌ [IDEMPOTENCY] Purge failed:', error);
+      return 0;
+    }
+
+    if (data?.length) {
+      console.log(`🧹 [IDEMPOTENCY] Purged ${data.length} expired keys`);
+    }
+
+    return data?.length || 0;
+  }
+
+  hashRequest(request) {
+    return crypto.createHash('sha256').update(JSON.stringify(request ?? {})).digest('hex');
+  }
+
+  /**
+   * Key for one PIN-confirmed transfer
+   */
+  static transferKey(userId, confirmationId) {
+    return `transfer:${userId}:${confirmationId}`;
+  }
+
+  /**
+   * Key for crediting one incoming Paystack payment
+   */
+  static fundingKey(reference) {
+    return `funding:${reference}`;
+  }
+}
+
+export default IdempotencyService;
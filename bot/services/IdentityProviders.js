@@ -0,0 +1,108 @@
+/**
+ * Identity verification backends for KycService.
+ *
+ * `submit(user, request)` starts a check and returns `{ status: 'pending' }`;
+ * the outcome is delivered later as `{ userId | customerCode, type,
+ * success, reason }` - by the Paystack webhook for PaystackIdentityProvider,
+ * or to the `onResult()` listener for MockIdentityProvider.
+ */
+
+/**
+ * Paystack customer identification. BVN is checked together with a bank
+ * account in the customer's name (`type: 'bank_account'`); NIN uses the
+ * same endpoint and is rejected by Paystack if the integration can't
+ * verify it.
+ */
+export class PaystackIdentityProvider {
+  constructor(paystackService, supabaseClient) {
+    this.name = 'paystack';
+    this.paystack = paystackService;
+    this.supabase = supabaseClient;
+  }
+
+  async submit(user, { type, idNumber, accountNumber, bankCode }) {
+    const customerCode = await this.ensureCustomer(user);
+
+    const identification = type === 'bvn'
+      ? { country: 'NG', type: 'bank_account', bvn: idNumber, account_number: accountNumber, bank_code: bankCode }
+      : { country: 'NG', type: 'nin', value: idNumber };
+
+    await this.paystack.validateCustomer(customerCode, {
+      ...identification,
+      first_name: user.first_name,
+      last_name: user.last_name
+    });
+
+    return { status: 'pending' };
+  }
+
+  /**
+   * Identification runs against a Paystack customer; create one if the
+   * user doesn't have one yet
+   */
+  async ensureCustomer(user) {
+    if (user.paystack_customer_code) return user.paystack_customer_code;
+
+    const customer = await this.paystack.createCustomer({
+      email: user.email,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      phone: user.phone_number
+    });
+
+    await this.supabase
+      .from('users')
+      .update({ paystack_customer_code: customer.customer_code })
+      .eq('id', user.id);
+
+    return customer.customer_code;
+  }
+}
+
+/**
+ * Local development stand-in (KYC_PROVIDER=mock). Every check passes after
+ * a short delay, except numbers ending in 0, which fail.
+ */
+export class MockIdentityProvider {
+  constructor({ delayMs = 2000 } = {}) {
+    this.name = 'mock';
+    this.delayMs = delayMs;
+    this.listeners = [];
+  }
+
+  onResult(listener) {
+    this.listeners.push(listener);
+  }
+
+  async submit(user, { type, idNumber }) {
+    const success = !idNumber.endsWith('0');
+
+    setTimeout(() => {
+      this.listeners.forEach(listener => listener({
+        userId: user.id,
+        type,
+        success,
+        reason: success ? null : `Mock ${type.toUpperCase()} did not match`
+      }));
+    }, this.delayMs);
+
+    return { status: 'pending' };
+  }
+}
+
+/**
+ * Create the provider selected by KYC_PROVIDER ('paystack' or 'mock')
+ */
+export function createIdentityProvider(paystackService, supabaseClient, type = process.env.KYC_PROVIDER || 'paystack') {
+  switch (type) {
+    case 'mock':
+      console.log('⚠️  [KYC] Using mock identity provider; every BVN/NIN not ending in 0 verifies');
+      return new MockIdentityProvider();
+
+    case 'paystack':
+      return new PaystackIdentityProvider(paystackService, supabaseClient);
+
+    default:
+      throw new Error(`Unknown KYC_PROVIDER: ${type} (expected 'paystack' or 'mock')`);
+  }
+}
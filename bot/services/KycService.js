@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+import { languageOf, translate } from './LanguageService.js';
+
+export const KYC_ID_TYPES = {
+  BVN: 'bvn',
+  NIN: 'nin'
+};
+
+export const KYC_STATUS = {
+  PENDING: 'pending',
+  VERIFIED: 'verified',
+  FAILED: 'failed'
+};
+
+// A check with no webhook after this long can be resubmitted
+const PENDING_TIMEOUT = 24 * 60 * 60 * 1000;
+
+/**
+ * KYC tiers from verified identities: 0 none, 1 NIN, 2 BVN, 3 BVN + NIN
+ * @param {Object} verified - { bvn: boolean, nin: boolean }
+ * @returns {number} Tier
+ */
+export function tierFor({ bvn, nin }) {
+  if (bvn && nin) return 3;
+  if (bvn) return 2;
+  if (nin) return 1;
+  return 0;
+}
+
+/**
+ * Identity verification and KYC tier upgrades.
+ *
+ * Users submit a BVN (with a bank account in their name) or NIN from the
+ * bot. The number is sent to the identity provider and only a keyed hash
+ * and the last four digits are kept in `kyc_verifications`. Results
+ * (Paystack webhook or mock provider) update the record, raise
+ * `users.kyc_tier` (limits follow via LimitService) and notify the user.
+ */
+class KycService {
+  constructor(supabaseClient, identityProvider, securityService, bot) {
+    this.supabase = supabaseClient;
+    this.provider = identityProvider;
+    this.security = securityService;
+    this.bot = bot;
+
+    this.provider.onResult?.(result => this.handleResult(result));
+  }
+
+  /**
+   * Verified and pending identities for a user
+   * @param {Object} user - User row
+   * @returns {Promise<Object>} { tier, verified: { bvn, nin }, pending: { bvn, nin } }
+   */
+  async getStatus(user) {
+    const { data, error } = await this.supabase
+      .from('kyc_verifications')
+      .select('id_type, status, created_at')
+      .eq('user_id', user.id)
+      .in('status', [KYC_STATUS.VERIFIED, KYC_STATUS.PENDING]);
+
+    if (error) {
+      throw new Error(error.message || 'Failed to read KYC status');
+    }
+
+    const has = (type, status) => (data || []).some(row => row.id_type === type && row.status === status &&
+      (status !== KYC_STATUS.PENDING || Date.now() - new Date(row.created_at).getTime() < PENDING_TIMEOUT));
+
+    return {
+      tier: user.kyc_tier ?? 0,
+      verified: { bvn: has('bvn', KYC_STATUS.VERIFIED), nin: has('nin', KYC_STATUS.VERIFIED) },
+      pending: { bvn: has('bvn', KYC_STATUS.PENDING), nin: has('nin', KYC_STATUS.PENDING) }
+    };
+  }
+
+  /**
+   * Submit a BVN or NIN for verification
+   * @param {Object} user - User row
+   * @param {Object} request - { type, idNumber, accountNumber?, bankCode? }
+   * @returns {Promise<Object>} { success, message }
+   */
+  async submit(user, { type, idNumber, accountNumber, bankCode }) {
+    const language = languageOf(user);
+
+    if (!Object.values(KYC_ID_TYPES).includes(type)) {
+      return { success: false, message: translate(language, 'kyc.type_invalid') };
+    }
+
+    const label = type.toUpperCase();
+
+    if (!/^\d{11}$/.test(idNumber)) {
+      return { success: false, message: translate(language, 'kyc.id_format', { label }) };
+    }
+
+    if (type === KYC_ID_TYPES.BVN && (!/^\d{10}$/.test(accountNumber || '') || !bankCode)) {
+      return { success: false, message: translate(language, 'kyc.bvn_account_required') };
+    }
+
+    const status = await this.getStatus(user);
+    if (status.verified[type]) {
+      return { success: false, message: translate(language, 'kyc.already_verified', { label }) };
+    }
+    if (status.pending[type]) {
+      return { success: false, message: translate(language, 'kyc.already_pending', { label }) };
+    }
+
+    const idHash = this.hashIdentity(type, idNumber);
+
+    const { data: takenBy } = await this.supabase
+      .from('kyc_verifications')
+      .select('user_id')
+      .eq('id_type', type)
+      .eq('id_hash', idHash)
+      .eq('status', KYC_STATUS.VERIFIED)
+      .maybeSingle();
+
+    if (takenBy && takenBy.user_id !== user.id) {
+      await this.security.logEvent(user.id, 'KYC_IDENTITY_IN_USE', { type });
+      return { success: false, message: translate(language, 'kyc.in_use', { label }) };
+    }
+
+    await this.expireStalePending(user.id, type);
+
+    const { data: verification, error } = await this.supabase
+      .from('kyc_verifications')
+      .insert([{
+        user_id: user.id,
+        id_type: type,
+        id_hash: idHash,
+        id_last4: idNumber.slice(-4),
+        status: KYC_STATUS.PENDING,
+        provider: this.provider.name
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ [KYC] Failed to record verification:', error);
+      return { success: false, message: translate(language, 'kyc.start_failed') };
+    }
+
+    try {
+      await this.provider.submit(user, { type, idNumber, accountNumber, bankCode });
+    } catch (providerError) {
+      await this.complete(verification.id, KYC_STATUS.FAILED, providerError.message);
+      await this.security.logEvent(user.id, 'KYC_SUBMISSION_FAILED', { type, reason: providerError.message });
+      return { success: false, message: translate(language, 'kyc.submit_failed', { label, reason: providerError.message }) };
+    }
+
+    await this.security.logEvent(user.id, 'KYC_SUBMITTED', { type, provider: this.provider.name });
+    console.log(`🪪 [KYC] ${label} submitted for user ${user.id} via ${this.provider.name}`);
+
+    return {
+      success: true,
+      message: translate(language, 'kyc.submitted', { label, last4: idNumber.slice(-4) })
+    };
+  }
+
+  /**
+   * Apply a verification result from the webhook or mock provider
+   * @param {Object} result - { userId?, customerCode?, type, success, reason }
+   */
+  async handleResult({ userId, customerCode, type, success, reason }) {
+    try {
+      const column = userId ? 'id' : 'paystack_customer_code';
+      const { data: user } = await this.supabase
+        .from('users')
+        .select('*')
+        .eq(column, userId || customerCode)
+        .single();
+
+      if (!user) {
+        console.error(`❌ [KYC] No user for verification result (${userId || customerCode})`);
+        return;
+      }
+
+      const { data: verification } = await this.supabase
+        .from('kyc_verifications')
+        .select('*')
+        .eq('user_id', user.id)
+        .eq('id_type', type)
+        .eq('status', KYC_STATUS.PENDING)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (!verification) {
+        console.log(`ℹ️  [KYC] No pending ${type} verification for user ${user.id}; ignoring result`);
+        return;
+      }
+
+      const label = type.toUpperCase();
+      const language = languageOf(user);
+
+      if (!success) {
+        await this.complete(verification.id, KYC_STATUS.FAILED, reason);
+        await this.security.logEvent(user.id, 'KYC_FAILED', { type, reason });
+        await this.notify(user, translate(language, 'kyc.failed', {
+          label,
+          type,
+          last4: verification.id_last4,
+          reason: reason ? `${translate(language, 'kyc.failed_reason', { reason })}\n\n` : ''
+        }));
+        return;
+      }
+
+      await this.complete(verification.id, KYC_STATUS.VERIFIED, null);
+
+      const status = await this.getStatus(user);
+      // Never lower a tier set by support or an earlier migration
+      const newTier = Math.max(user.kyc_tier ?? 0, tierFor(status.verified));
+
+      if (newTier !== user.kyc_tier) {
+        await this.supabase
+          .from('users')
+          .update({ kyc_tier: newTier, updated_at: new Date().toISOString() })
+          .eq('id', user.id);
+      }
+
+      await this.security.logEvent(user.id, 'KYC_VERIFIED', { type, tier: newTier });
+      console.log(`✅ [KYC] ${label} verified for user ${user.id}; tier ${user.kyc_tier ?? 0} → ${newTier}`);
+
+      await this.notify(user, translate(language, 'kyc.verified', { label, tier: newTier }));
+    } catch (error) {
+      console.error('❌ [KYC] Failed to apply verification result:', error);
+    }
+  }
+
+  async complete(verificationId, status, reason) {
+    await this.supabase
+      .from('kyc_verifications')
+      .update({ status, failure_reason: reason, completed_at: new Date().toISOString() })
+      .eq('id', verificationId)
+      .eq('status', KYC_STATUS.PENDING);
+  }
+
+  async expireStalePending(userId, type) {
+    await this.supabase
+      .from('kyc_verifications')
+      .update({ status: KYC_STATUS.FAILED, failure_reason: 'No result received', completed_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('id_type', type)
+      .eq('status', KYC_STATUS.PENDING)
+      .lt('created_at', new Date(Date.now() - PENDING_TIMEOUT).toISOString());
+  }
+
+  async notify(user, message) {
+    if (!user.telegram_chat_id) return;
+
+    try {
+      await this.bot.sendMessage(user.telegram_chat_id, message);
+    } catch (error) {
+      console.error('❌ [KYC] Failed to notify user:', error.message);
+    }
+  }
+
+  /**
+   * Keyed hash so a leaked table can't be brute-forced back to 11-digit IDs
+   */
+  hashIdentity(type, idNumber) {
+    const key = process.env.KYC_HASH_SECRET || process.env.PAYSTACK_SECRET_KEY;
+    return crypto.createHmac('sha256', key).update(`${type}:${idNumber}`).digest('hex');
+  }
+}
+
+export default KycService;
@@ -0,0 +1,329 @@
+import axios from 'axios';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * Language model backends for EnhancedNLPService.
+ *
+ * `generate(prompt)` resolves to the model's text, and
+ * `callFunction(prompt, functions)` makes the model call one of
+ * `functions` ({ name, description, parameters: JSON Schema }) through the
+ * backend's function-calling mode and resolves to `{ name, args }`. Both
+ * resolve to null when the provider has no model (RulesProvider) and the
+ * caller should use its own rules. Failures are thrown; RetryingProvider
+ * adds the timeout and retries, and EnhancedNLPService falls back to its
+ * rules on any error.
+ */
+
+// The model answered, but not with what was asked for; retrying rarely helps
+const badResponse = message => Object.assign(new Error(message), { code: 'LLM_BAD_RESPONSE' });
+
+const mapValues = (object, fn) => Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+
+/**
+ * JSON Schema keywords every function-calling API accepts; patterns and
+ * ranges are left to validateIntent(). OpenAI's strict mode needs every
+ * property listed as required (optional ones are nullable).
+ */
+function toToolSchema(schema, { requireAll = false } = {}) {
+  const tool = { type: schema.type };
+  if (schema.description) tool.description = schema.description;
+  if (schema.enum) tool.enum = schema.enum;
+  if (schema.items) tool.items = toToolSchema(schema.items, { requireAll });
+  if (schema.properties) {
+    tool.properties = mapValues(schema.properties, property => toToolSchema(property, { requireAll }));
+    tool.required = requireAll ? Object.keys(schema.properties) : schema.required || [];
+    tool.additionalProperties = false;
+  }
+  return tool;
+}
+
+// Gemini takes an OpenAPI subset: one type plus `nullable`, string enums only
+function toGeminiSchema(schema) {
+  const types = [].concat(schema.type);
+  const gemini = { type: types.find(type => type !== 'null') };
+  if (types.includes('null')) gemini.nullable = true;
+  if (schema.description) gemini.description = schema.description;
+  if (schema.enum) gemini.enum = schema.enum.filter(option => option !== null);
+  if (schema.items) gemini.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    gemini.properties = mapValues(schema.properties, toGeminiSchema);
+    gemini.required = schema.required || [];
+  }
+  return gemini;
+}
+
+/**
+ * Google Gemini. Takes a GoogleGenerativeAI client (or anything with the
+ * same getGenerativeModel(), such as the eval's recorded responses).
+ */
+export class GeminiProvider {
+  constructor(genAI, { model = 'gemini-2.0-flash', timeoutMs } = {}) {
+    this.name = 'gemini';
+    this.genAI = genAI;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async generate(prompt) {
+    const model = this.genAI.getGenerativeModel(
+      { model: this.model },
+      this.timeoutMs ? { timeout: this.timeoutMs } : undefined
+    );
+
+    const result = await model.generateContent(prompt);
+    return result.response.text();
+  }
+
+  async callFunction(prompt, functions) {
+    const model = this.genAI.getGenerativeModel({
+      model: this.model,
+      tools: [{
+        functionDeclarations: functions.map(({ name, description, parameters }) => ({
+          name, description, parameters: toGeminiSchema(parameters)
+        }))
+      }],
+      toolConfig: { functionCallingConfig: { mode: 'ANY' } }
+    }, this.timeoutMs ? { timeout: this.timeoutMs } : undefined);
+
+    const result = await model.generateContent(prompt);
+    const call = result.response.functionCalls()?.[0];
+    if (!call) {
+      throw badResponse('Gemini made no function call');
+    }
+    return { name: call.name, args: call.args };
+  }
+}
+
+/**
+ * Any OpenAI-compatible chat completions API (OpenAI, Groq, Together,
+ * vLLM, LM Studio...)
+ */
+export class OpenAICompatibleProvider {
+  constructor({ baseUrl = 'https://api.openai.com/v1', apiKey, model = 'gpt-4o-mini', timeoutMs = 10000 } = {}) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async generate(prompt) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }]
+    }, {
+      headers: {
+        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeoutMs
+    });
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw badResponse('Chat completion returned no message content');
+    }
+    return content;
+  }
+
+  async callFunction(prompt, functions) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      tools: functions.map(({ name, description, parameters }) => ({
+        type: 'function',
+        function: { name, description, parameters: toToolSchema(parameters, { requireAll: true }), strict: true }
+      })),
+      tool_choice: 'required'
+    }, {
+      headers: {
+        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeoutMs
+    });
+
+    const call = response.data?.choices?.[0]?.message?.tool_calls?.[0]?.function;
+    if (!call) {
+      throw badResponse('Chat completion made no function call');
+    }
+
+    try {
+      return { name: call.name, args: JSON.parse(call.arguments) };
+    } catch {
+      throw badResponse(`Function call arguments are not JSON: ${String(call.arguments).slice(0, 100)}`);
+    }
+  }
+}
+
+/**
+ * A local Ollama server (or anything serving Ollama's /api/generate)
+ */
+export class OllamaProvider {
+  constructor({ baseUrl = 'http://localhost:11434', model = 'llama3.1', timeoutMs = 30000 } = {}) {
+    this.name = 'ollama';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async generate(prompt) {
+    const response = await axios.post(`${this.baseUrl}/api/generate`, {
+      model: this.model,
+      prompt,
+      stream: false
+    }, { timeout: this.timeoutMs });
+
+    if (typeof response.data?.response !== 'string') {
+      throw badResponse('Ollama returned no response text');
+    }
+    return response.data.response;
+  }
+
+  // Ollama can't force a tool call; a model that answers in text is a bad response
+  async callFunction(prompt, functions) {
+    const response = await axios.post(`${this.baseUrl}/api/chat`, {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      tools: functions.map(({ name, description, parameters }) => ({
+        type: 'function',
+        function: { name, description, parameters: toToolSchema(parameters) }
+      })),
+      stream: false
+    }, { timeout: this.timeoutMs });
+
+    const call = response.data?.message?.tool_calls?.[0]?.function;
+    if (!call) {
+      throw badResponse('Ollama model made no tool call');
+    }
+    return { name: call.name, args: call.arguments };
+  }
+}
+
+/**
+ * No model at all: intents come from fallbackAnalysis and replies from the
+ * canned responses. Needs no network or keys, so development and tests run
+ * offline, and a message is always analysed the same way.
+ */
+export class RulesProvider {
+  constructor() {
+    this.name = 'rules';
+  }
+
+  async generate() {
+    return null;
+  }
+
+  async callFunction() {
+    return null;
+  }
+}
+
+// Bad keys, bad requests, unknown models and malformed answers fail the same way every time
+const isRetryable = error => {
+  if (error.code === 'LLM_BAD_RESPONSE') return false;
+  const status = error.response?.status ?? error.status;
+  if (status) return status === 408 || status === 429 || status >= 500;
+  return true;
+};
+
+/**
+ * Bounds a provider's calls with a timeout and retries timeouts, rate
+ * limits, 5xx and network errors with exponential backoff
+ */
+export class RetryingProvider {
+  constructor(provider, { timeoutMs = 10000, retries = 2, backoffMs = 500 } = {}) {
+    this.name = provider.name;
+    this.provider = provider;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+  }
+
+  generate(prompt) {
+    return this.attempt(() => this.provider.generate(prompt));
+  }
+
+  callFunction(prompt, functions) {
+    return this.attempt(() => this.provider.callFunction(prompt, functions));
+  }
+
+  async attempt(call) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.withTimeout(call());
+      } catch (error) {
+        if (attempt >= this.retries || !isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = this.backoffMs * 2 ** attempt;
+        console.log(`🔁 [LLM] ${this.name} attempt ${attempt + 1} failed (${error.code || error.message}); retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${this.name} did not answer within ${this.timeoutMs}ms`);
+        error.code = 'LLM_TIMEOUT';
+        reject(error);
+      }, this.timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+/**
+ * Create the provider selected by LLM_PROVIDER ('gemini', 'openai',
+ * 'ollama' or 'rules'). Without LLM_PROVIDER, Gemini is used if
+ * GEMINI_API_KEY is set and the rules otherwise.
+ * @param {Object} [env] - Overrides process.env
+ * @returns {Object} Provider
+ */
+export function createLLMProvider(env = process.env) {
+  const type = env.LLM_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'rules');
+  const timeoutMs = parseInt(env.LLM_TIMEOUT_MS, 10) || 10000;
+  const retries = Number.isInteger(parseInt(env.LLM_RETRIES, 10)) ? parseInt(env.LLM_RETRIES, 10) : 2;
+  const reliable = provider => new RetryingProvider(provider, { timeoutMs, retries });
+
+  switch (type) {
+    case 'gemini':
+      if (!env.GEMINI_API_KEY) {
+        throw new Error('LLM_PROVIDER=gemini needs GEMINI_API_KEY');
+      }
+      return reliable(new GeminiProvider(new GoogleGenerativeAI(env.GEMINI_API_KEY), {
+        model: env.LLM_MODEL || undefined,
+        timeoutMs
+      }));
+
+    case 'openai':
+      if (!env.LLM_API_KEY && !env.LLM_BASE_URL) {
+        throw new Error('LLM_PROVIDER=openai needs LLM_API_KEY (or LLM_BASE_URL for a server without keys)');
+      }
+      return reliable(new OpenAICompatibleProvider({
+        baseUrl: env.LLM_BASE_URL || undefined,
+        apiKey: env.LLM_API_KEY,
+        model: env.LLM_MODEL || undefined,
+        timeoutMs
+      }));
+
+    case 'ollama':
+      return reliable(new OllamaProvider({
+        baseUrl: env.LLM_BASE_URL || undefined,
+        model: env.LLM_MODEL || undefined,
+        timeoutMs
+      }));
+
+    case 'rules':
+      console.log('⚠️  [LLM] No language model configured; using rule-based intent detection and canned replies');
+      return new RulesProvider();
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${type} (expected 'gemini', 'openai', 'ollama' or 'rules')`);
+  }
+}
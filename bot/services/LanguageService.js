@@ -0,0 +1,234 @@
+/**
+ * Reply language.
+ *
+ * Users can pick a language with /language (`users.preferred_language`).
+ * Until they do, the bot follows the language of their messages: each
+ * message is checked for tell-tale words and the last language seen is
+ * kept in `users.detected_language`, so a "5000" reply stays in the
+ * language of the conversation.
+ */
+import { MESSAGES } from '../i18n/messages.js';
+import { LANGUAGE_MARKERS, ENGLISH_WORDS, INTENT_GLOSSES, ANSWER_WORDS } from '../i18n/keywords.js';
+
+export const LANGUAGES = {
+  en: { name: 'English', aliases: ['english'] },
+  pcm: { name: 'Pidgin', aliases: ['pidgin', 'naija', 'broken'] },
+  yo: { name: 'Yoruba', aliases: ['yoruba', 'yorùbá'] },
+  ig: { name: 'Igbo', aliases: ['igbo'] },
+  ha: { name: 'Hausa', aliases: ['hausa'] }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Hausa hooked letters don't decompose under NFD
+const LETTER_FOLDS = { 'ɗ': 'd', 'ƙ': 'k', 'ɓ': 'b', 'ƴ': 'y', '’': "'", '‘': "'" };
+
+/**
+ * Lowercase, without tone marks, dots below or hooked letters
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .replace(/[ɗƙɓƴ’‘]/gi, letter => LETTER_FOLDS[letter.toLowerCase()] || letter)
+    .toLowerCase();
+}
+
+/**
+ * Guess the language of a message from the words in it
+ * @param {string} text - Message text
+ * @returns {string|null} Language code, or null if there's nothing to go on
+ */
+export function detectLanguage(text) {
+  const padded = ` ${normalizeText(text).replace(/[^a-z0-9'@₦]+/g, ' ').trim()} `;
+  if (!padded.trim()) return null;
+
+  const scores = Object.entries(LANGUAGE_MARKERS)
+    .map(([language, markers]) => [language, markers.filter(marker => padded.includes(` ${marker} `)).length])
+    .filter(([, score]) => score > 0)
+    .sort((a, b) => b[1] - a[1]);
+
+  if (scores.length && (scores.length === 1 || scores[0][1] > scores[1][1])) {
+    return scores[0][0];
+  }
+
+  if (!scores.length && ENGLISH_WORDS.some(word => padded.includes(` ${word} `))) {
+    return DEFAULT_LANGUAGE;
+  }
+
+  return null;
+}
+
+/**
+ * Rewrite a message into the English keywords the offline classifier
+ * knows ("abeg send 2k give Tunde" → "abeg send 2k to tunde")
+ * @param {string} text - Message text
+ * @param {string|null} language - Detected language
+ * @returns {string}
+ */
+export function glossForIntent(text, language) {
+  const glosses = INTENT_GLOSSES[language];
+  if (!glosses) return text;
+
+  return glosses.reduce((glossed, [pattern, replacement]) => glossed.replace(pattern, replacement), normalizeText(text))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Read a reply to a yes/no question ("yes", "bẹẹni", "mba", "no be so")
+ * @param {string} text - Reply
+ * @returns {string|null} 'yes', 'no', or null if it's neither
+ */
+export function readAnswer(text) {
+  const reply = normalizeText(text).replace(/[^a-z0-9' ]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+  for (const answer of ['yes', 'no']) {
+    // One-letter answers must stand alone ("i" is Hausa for yes, and also "I want...")
+    const match = ANSWER_WORDS[answer].find(word => reply === word || (word.length > 1 && reply.startsWith(`${word} `)));
+    if (match) return answer;
+  }
+
+  return null;
+}
+
+/**
+ * A language code from a code or a name ("yo", "Yoruba", "pidgin")
+ * @param {string} input
+ * @returns {string|null}
+ */
+export function normalizeLanguage(input) {
+  const value = normalizeText(input).trim();
+  if (LANGUAGES[value]) return value;
+
+  const match = Object.entries(LANGUAGES).find(([, language]) => language.aliases.some(alias => normalizeText(alias) === value));
+  return match ? match[0] : null;
+}
+
+/**
+ * The language to answer a user in
+ * @param {Object} user - User row
+ * @returns {string} Language code
+ */
+export function languageOf(user) {
+  return user?.preferred_language || user?.detected_language || DEFAULT_LANGUAGE;
+}
+
+/**
+ * A catalog message in a language, falling back to English. With a
+ * `count` of 1 the `<key>_one` variant is used where the language has one.
+ * @param {string} language - Language code
+ * @param {string} key - Message key, e.g. 'workflow.ask_amount'
+ * @param {Object} [params] - Values for {placeholders}
+ * @returns {string}
+ */
+export function translate(language, key, params = {}) {
+  const keys = params.count === 1 ? [`${key}_one`, key] : [key];
+  let template = key;
+
+  for (const table of [MESSAGES[language], MESSAGES[DEFAULT_LANGUAGE]]) {
+    const found = keys.find(candidate => table?.[candidate] !== undefined);
+    if (found) {
+      template = table[found];
+      break;
+    }
+  }
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+class LanguageService {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+  }
+
+  /**
+   * Note the language of an incoming message and return the language to
+   * reply in. Only a change of detected language is written.
+   * @param {Object} user - User row (detected_language is updated in place)
+   * @param {string} text - Message text
+   * @returns {Promise<string>} Language code
+   */
+  async observe(user, text) {
+    if (user.preferred_language) {
+      return user.preferred_language;
+    }
+
+    const detected = detectLanguage(text);
+    if (detected && detected !== user.detected_language) {
+      const { error } = await this.supabase
+        .from('users')
+        .update({ detected_language: detected })
+        .eq('id', user.id);
+
+      if (error) {
+        console.error('❌ [LANGUAGE] Failed to store detected language:', error.message);
+      } else {
+        console.log(`🌍 [LANGUAGE] User ${user.id} is writing in ${LANGUAGES[detected].name}`);
+      }
+      user.detected_language = detected;
+    }
+
+    return languageOf(user);
+  }
+
+  /**
+   * Set or clear (`auto`) a user's preferred language
+   * @param {Object} user - User row
+   * @param {string} input - Language code or name, or 'auto'
+   * @returns {Promise<Object>} { success, message, language }
+   */
+  async setPreferred(user, input) {
+    const auto = normalizeText(input).trim() === 'auto';
+    const language = auto ? null : normalizeLanguage(input);
+
+    if (!auto && !language) {
+      return {
+        success: false,
+        message: translate(languageOf(user), 'language.unknown', { codes: `${Object.keys(LANGUAGES).join(', ')}, auto` })
+      };
+    }
+
+    const { error } = await this.supabase
+      .from('users')
+      .update({ preferred_language: language, updated_at: new Date().toISOString() })
+      .eq('id', user.id);
+
+    if (error) {
+      console.error('❌ [LANGUAGE] Failed to set preferred language:', error);
+      return { success: false, message: translate(languageOf(user), 'common.error') };
+    }
+
+    user.preferred_language = language;
+    console.log(`🌍 [LANGUAGE] User ${user.id} set language to ${language || 'auto'}`);
+
+    return {
+      success: true,
+      language,
+      message: auto ? translate(languageOf(user), 'language.auto') : translate(language, 'language.set')
+    };
+  }
+
+  /**
+   * /language status message
+   * @param {Object} user - User row
+   * @returns {string}
+   */
+  describe(user) {
+    const language = languageOf(user);
+    const options = Object.entries(LANGUAGES)
+      .map(([code, { name }]) => `/language ${code} - ${name}`)
+      .concat('/language auto - follow the language you write in')
+      .join('\n');
+
+    return translate(language, 'language.status', {
+      name: LANGUAGES[language].name,
+      mode: user.preferred_language ? '' : translate(language, 'language.mode_auto'),
+      options
+    });
+  }
+}
+
+export default LanguageService;
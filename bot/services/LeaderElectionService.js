@@ -0,0 +1,133 @@
+import os from 'os';
+import crypto from 'crypto';
+
+/**
+ * Lease-based leader election across bot instances.
+ *
+ * Every instance periodically calls the `try_acquire_lease` database
+ * function; the one holding the unexpired lease is the leader and runs the
+ * singleton work (cron jobs, Paystack polling, Telegram long polling).
+ * A leader that stops renewing (crash, network partition) loses the lease
+ * after `ttlMs` and another instance takes over.
+ */
+class LeaderElectionService {
+  constructor(supabaseClient, {
+    leaseName = 'quickwallet-bot',
+    instanceId = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`,
+    ttlMs = 30000
+  } = {}) {
+    this.supabase = supabaseClient;
+    this.leaseName = leaseName;
+    this.instanceId = instanceId;
+    this.ttlMs = ttlMs;
+    this.leader = false;
+    this.leaseExpiresAt = 0;
+    this.renewTimer = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Start competing for the lease; renews every ttl/3
+   */
+  async start() {
+    console.log(`🗳️  [LEADER] Instance ${this.instanceId} joining election for ${this.leaseName}`);
+
+    await this.tick();
+    this.renewTimer = setInterval(() => this.tick(), Math.floor(this.ttlMs / 3));
+  }
+
+  /**
+   * Stop competing and hand the lease over immediately
+   */
+  async stop() {
+    if (this.renewTimer) {
+      clearInterval(this.renewTimer);
+      this.renewTimer = null;
+    }
+
+    if (!this.leader) return;
+
+    const { error } = await this.supabase.rpc('release_lease', {
+      p_name: this.leaseName,
+      p_holder: this.instanceId
+    });
+
+    if (error) {
+      console.error('❌ [LEADER] Failed to release lease:', error);
+    }
+
+    await this.setLeader(false);
+  }
+
+  /**
+   * Whether this instance currently holds the lease
+   * @returns {boolean}
+   */
+  isLeader() {
+    return this.leader && Date.now() < this.leaseExpiresAt;
+  }
+
+  /**
+   * Register a callback for leadership changes
+   * @param {Function} listener - async (isLeader) => void
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Run a job only on the leader
+   * @param {string} name - Job name for logging
+   * @param {Function} job - Async job
+   */
+  async runIfLeader(name, job) {
+    if (!this.isLeader()) {
+      console.log(`⏭️  [LEADER] Skipping ${name}; ${this.instanceId} is not the leader`);
+      return;
+    }
+
+    await job();
+  }
+
+  async tick() {
+    const { data, error } = await this.supabase.rpc('try_acquire_lease', {
+      p_name: this.leaseName,
+      p_holder: this.instanceId,
+      p_ttl_seconds: Math.ceil(this.ttlMs / 1000)
+    });
+
+    if (error) {
+      console.error('❌ [LEADER] Lease renewal failed:', error.message || error);
+      // Keep leading until our last lease runs out; after that someone else may hold it
+      if (this.leader && Date.now() >= this.leaseExpiresAt) {
+        await this.setLeader(false);
+      }
+      return;
+    }
+
+    if (data === true) {
+      this.leaseExpiresAt = Date.now() + this.ttlMs;
+    }
+
+    await this.setLeader(data === true);
+  }
+
+  async setLeader(isLeader) {
+    if (isLeader === this.leader) return;
+
+    this.leader = isLeader;
+    console.log(isLeader
+      ? `👑 [LEADER] ${this.instanceId} is now the leader`
+      : `🔻 [LEADER] ${this.instanceId} is no longer the leader`);
+
+    for (const listener of this.listeners) {
+      try {
+        await listener(isLeader);
+      } catch (error) {
+        console.error('❌ [LEADER] Leadership listener failed:', error);
+      }
+    }
+  }
+}
+
+export default LeaderElectionService;
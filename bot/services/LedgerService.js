@@ -0,0 +1,301 @@
+/**
+ * Double-entry ledger.
+ *
+ * Every movement of money goes through `post()`: a journal entry whose
+ * postings balance (total debits == total credits). Wallet balances are
+ * derived from the postings; `users.wallet_balance` is a cache refreshed
+ * by the `post_journal_entry` database function in the same transaction.
+ * Wallet credits and debits use the `credit_wallet` / `debit_wallet`
+ * functions, which lock the user's row and post through the same path.
+ *
+ * Account normal sides:
+ * - paystack_settlement (asset)   - money held for us by Paystack
+ * - fee_income          (revenue) - service fees we earned
+ * - user_wallet         (liability, one per user) - what we owe the user
+ */
+export const LEDGER_ACCOUNTS = {
+  PAYSTACK_SETTLEMENT: 'paystack_settlement',
+  FEE_INCOME: 'fee_income',
+  USER_WALLET: 'user_wallet'
+};
+
+export const ENTRY_TYPES = {
+  WALLET_FUNDING: 'WALLET_FUNDING',
+  TRANSFER: 'TRANSFER',
+  TRANSFER_REFUND: 'TRANSFER_REFUND',
+  WALLET_TRANSFER: 'WALLET_TRANSFER'
+};
+
+const UNIQUE_VIOLATION = '23505';
+
+class LedgerService {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+  }
+
+  /**
+   * Post a balanced journal entry
+   * @param {Object} entry - Journal entry
+   * @param {string} entry.reference - Unique reference; posting it twice is a no-op
+   * @param {string} entry.type - One of ENTRY_TYPES
+   * @param {string} entry.description - Human readable description
+   * @param {Array<Object>} entry.postings - { account, userId?, direction, amount }
+   * @param {Object} [entry.metadata] - Extra data stored with the entry
+   * @returns {Promise<Object>} { entryId, reference, walletBalances, duplicate }
+   */
+  async post({ reference, type, description, postings, metadata = {} }) {
+    const lines = postings
+      .map(posting => ({ ...posting, amount: this.roundAmount(posting.amount) }))
+      .filter(posting => posting.amount > 0);
+
+    this.assertBalanced(reference, lines);
+
+    const { data, error } = await this.supabase.rpc('post_journal_entry', {
+      p_reference: reference,
+      p_entry_type: type,
+      p_description: description,
+      p_postings: lines.map(posting => ({
+        account: posting.account,
+        user_id: posting.userId || null,
+        direction: posting.direction,
+        amount: posting.amount
+      })),
+      p_metadata: metadata
+    });
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        console.log(`⚠️  [LEDGER] Entry already posted: ${reference}`);
+        return { entryId: null, reference, walletBalances: {}, duplicate: true };
+      }
+
+      console.error(`❌ [LEDGER] Failed to post ${reference}:`, error);
+      throw new Error(error.message || 'Failed to post ledger entry');
+    }
+
+    console.log(`📒 [LEDGER] Posted ${type} ${reference}`);
+
+    return {
+      entryId: data.entry_id,
+      reference,
+      walletBalances: data.wallet_balances || {},
+      duplicate: false
+    };
+  }
+
+  /**
+   * Credit a user's wallet with money received through Paystack
+   * @param {string} userId - User ID
+   * @param {number} amount - Amount in naira
+   * @param {string} reference - Paystack reference
+   * @param {Object} [options] - { description, metadata }
+   * @returns {Promise<Object>} { newBalance, duplicate }
+   */
+  async fundWallet(userId, amount, reference, { description, metadata } = {}) {
+    return this.callWalletRpc('credit_wallet', reference, {
+      p_user_id: userId,
+      p_amount: this.roundAmount(amount),
+      p_reference: reference,
+      p_entry_type: ENTRY_TYPES.WALLET_FUNDING,
+      p_description: description || 'Wallet funding',
+      p_metadata: metadata || {}
+    });
+  }
+
+  /**
+   * Debit a user's wallet for an outgoing bank transfer and its fee.
+   * The balance check and the debit happen under a row lock in the
+   * database, so concurrent transfers cannot overdraw the wallet.
+   * @param {string} userId - User ID
+   * @param {number} amount - Transfer amount in naira
+   * @param {number} fee - Service fee in naira
+   * @param {string} reference - Transfer reference
+   * @param {Object} [options] - { description, metadata }
+   * @returns {Promise<Object>} { newBalance, duplicate }
+   * @throws {Error} With code INSUFFICIENT_FUNDS and the current balance
+   */
+  async debitForTransfer(userId, amount, fee, reference, { description, metadata } = {}) {
+    return this.callWalletRpc('debit_wallet', reference, {
+      p_user_id: userId,
+      p_amount: this.roundAmount(amount),
+      p_fee: this.roundAmount(fee),
+      p_reference: reference,
+      p_entry_type: ENTRY_TYPES.TRANSFER,
+      p_description: description || 'Bank transfer',
+      p_metadata: metadata || {}
+    });
+  }
+
+  /**
+   * Debit a user's wallet for several bank transfers at once (a split).
+   * Every leg gets its own entry under its own reference, but they are
+   * posted in one database transaction: all legs are debited or none is.
+   * @param {string} userId - User ID
+   * @param {Array<Object>} legs - { reference, amount, fee, description, metadata }
+   * @param {Object} [options] - { metadata } shared by every leg
+   * @returns {Promise<Object>} { newBalance, duplicate }
+   * @throws {Error} With code INSUFFICIENT_FUNDS and the current balance
+   */
+  async debitForSplit(userId, legs, { metadata } = {}) {
+    return this.callWalletRpc('debit_wallet_split', legs[0].reference, {
+      p_user_id: userId,
+      p_legs: legs.map(leg => ({
+        reference: leg.reference,
+        amount: this.roundAmount(leg.amount),
+        fee: this.roundAmount(leg.fee),
+        description: leg.description || 'Bank transfer',
+        metadata: leg.metadata || {}
+      })),
+      p_entry_type: ENTRY_TYPES.TRANSFER,
+      p_metadata: metadata || {}
+    });
+  }
+
+  /**
+   * Reverse a transfer debit (amount and fee) back into the user's wallet
+   * @param {string} userId - User ID
+   * @param {number} amount - Transfer amount in naira
+   * @param {number} fee - Service fee in naira
+   * @param {string} reference - Original transfer reference
+   * @param {Object} [options] - { description, metadata }
+   * @returns {Promise<Object>} { newBalance, duplicate }
+   */
+  async refundTransfer(userId, amount, fee, reference, { description, metadata } = {}) {
+    return this.callWalletRpc('credit_wallet', `${reference}:refund`, {
+      p_user_id: userId,
+      p_amount: this.roundAmount(amount),
+      p_fee_reversal: this.roundAmount(fee),
+      p_reference: `${reference}:refund`,
+      p_entry_type: ENTRY_TYPES.TRANSFER_REFUND,
+      p_description: description || `Refund for ${reference}`,
+      p_metadata: { ...metadata, original_reference: reference }
+    });
+  }
+
+  /**
+   * Move money from one user's wallet to another's. Both rows are locked
+   * and the sender's balance checked in the database, like debitForTransfer.
+   * @param {string} senderId - Sending user ID
+   * @param {string} recipientId - Receiving user ID
+   * @param {number} amount - Amount in naira
+   * @param {string} reference - Transfer reference
+   * @param {Object} [options] - { description, metadata }
+   * @returns {Promise<Object>} { newBalance, recipientBalance, duplicate }
+   * @throws {Error} With code INSUFFICIENT_FUNDS and the current balance
+   */
+  async transferBetweenWallets(senderId, recipientId, amount, reference, { description, metadata } = {}) {
+    return this.callWalletRpc('transfer_between_wallets', reference, {
+      p_sender_id: senderId,
+      p_recipient_id: recipientId,
+      p_amount: this.roundAmount(amount),
+      p_reference: reference,
+      p_description: description || 'Wallet transfer',
+      p_metadata: metadata || {}
+    });
+  }
+
+  /**
+   * Get a user's wallet balance derived from ledger postings
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Balance in naira
+   */
+  async getWalletBalance(userId) {
+    const { data, error } = await this.supabase
+      .from('ledger_account_balances')
+      .select('balance')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ [LEDGER] Balance lookup failed:', error);
+      throw new Error(error.message);
+    }
+
+    return parseFloat(data?.balance || 0);
+  }
+
+  /**
+   * Get balances for every ledger account (trial balance)
+   * @returns {Promise<Array>} Account balances
+   */
+  async getTrialBalance() {
+    const { data, error } = await this.supabase
+      .from('ledger_account_balances')
+      .select('code, type, user_id, balance');
+
+    if (error) {
+      console.error('❌ [LEDGER] Trial balance failed:', error);
+      throw new Error(error.message);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Rewrite a user's cached wallet_balance from the ledger
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Ledger balance
+   */
+  async syncWalletBalance(userId) {
+    const { data, error } = await this.supabase.rpc('sync_wallet_balance', {
+      p_user_id: userId
+    });
+
+    if (error) {
+      console.error('❌ [LEDGER] Balance sync failed:', error);
+      throw new Error(error.message);
+    }
+
+    return parseFloat(data || 0);
+  }
+
+  async callWalletRpc(functionName, reference, params) {
+    const { data, error } = await this.supabase.rpc(functionName, params);
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        console.log(`⚠️  [LEDGER] Entry already posted: ${reference}`);
+        return { entryId: null, reference, newBalance: null, duplicate: true };
+      }
+
+      if (error.message?.startsWith('INSUFFICIENT_FUNDS')) {
+        const insufficient = new Error('Insufficient wallet balance');
+        insufficient.code = 'INSUFFICIENT_FUNDS';
+        insufficient.balance = parseFloat(error.details || 0);
+        throw insufficient;
+      }
+
+      console.error(`❌ [LEDGER] ${functionName} failed for ${reference}:`, error);
+      throw new Error(error.message || `Failed to ${functionName}`);
+    }
+
+    console.log(`📒 [LEDGER] ${functionName} ${reference} → ₦${parseFloat(data.new_balance).toLocaleString()}`);
+
+    return {
+      entryId: data.entry_id,
+      reference,
+      newBalance: parseFloat(data.new_balance),
+      ...(data.recipient_balance !== undefined && { recipientBalance: parseFloat(data.recipient_balance) }),
+      duplicate: false
+    };
+  }
+
+  assertBalanced(reference, postings) {
+    const total = direction => postings
+      .filter(posting => posting.direction === direction)
+      .reduce((sum, posting) => sum + posting.amount, 0);
+
+    const debits = this.roundAmount(total('debit'));
+    const credits = this.roundAmount(total('credit'));
+
+    if (postings.length < 2 || debits !== credits) {
+      throw new Error(`Unbalanced ledger entry ${reference}: debits ${debits} != credits ${credits}`);
+    }
+  }
+
+  roundAmount(amount) {
+    return Math.round(parseFloat(amount || 0) * 100) / 100;
+  }
+}
+
+export default LedgerService;
@@ -0,0 +1,248 @@
+/**
+ * Per-user transfer limits.
+ *
+ * A user's limits come from their KYC tier (`kyc_tiers`, via
+ * `users.kyc_tier`; raised by KycService), capped by any lower limits the user set for
+ * themselves with /limits (`*_limit_override`). Daily usage is today's
+ * outgoing transfers that have not failed or been reversed.
+ */
+import { languageOf, translate } from './LanguageService.js';
+
+// Used when kyc_tiers can't be read; mirrors the seeded rows
+export const DEFAULT_KYC_TIERS = {
+  0: { tier: 0, name: 'Unverified', single_transaction_limit: 10000, daily_limit: 20000, min_transaction: 100 },
+  1: { tier: 1, name: 'Basic', single_transaction_limit: 50000, daily_limit: 100000, min_transaction: 100 },
+  2: { tier: 2, name: 'Verified', single_transaction_limit: 200000, daily_limit: 500000, min_transaction: 100 },
+  3: { tier: 3, name: 'Premium', single_transaction_limit: 500000, daily_limit: 1000000, min_transaction: 100 }
+};
+
+export const LIMIT_TYPES = {
+  single: 'single_transaction_limit_override',
+  daily: 'daily_limit_override'
+};
+
+const TIER_CACHE_TTL = 5 * 60 * 1000;
+
+class LimitService {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+    this.tiers = null;
+    this.tiersLoadedAt = 0;
+  }
+
+  /**
+   * All KYC tiers keyed by tier number (cached)
+   * @returns {Promise<Object>}
+   */
+  async getTiers() {
+    if (this.tiers && Date.now() - this.tiersLoadedAt < TIER_CACHE_TTL) {
+      return this.tiers;
+    }
+
+    const { data, error } = await this.supabase
+      .from('kyc_tiers')
+      .select('*')
+      .order('tier', { ascending: true });
+
+    if (error || !data?.length) {
+      console.error('❌ [LIMITS] Failed to load KYC tiers, using defaults:', error?.message);
+      return this.tiers || DEFAULT_KYC_TIERS;
+    }
+
+    this.tiers = Object.fromEntries(data.map(tier => [tier.tier, {
+      ...tier,
+      single_transaction_limit: parseFloat(tier.single_transaction_limit),
+      daily_limit: parseFloat(tier.daily_limit),
+      min_transaction: parseFloat(tier.min_transaction)
+    }]));
+    this.tiersLoadedAt = Date.now();
+    return this.tiers;
+  }
+
+  /**
+   * Effective limits for a user
+   * @param {Object} user - User row
+   * @returns {Promise<Object>} { tier, tierName, single, daily, min, tierSingle, tierDaily, lowered }
+   */
+  async getLimits(user) {
+    const tiers = await this.getTiers();
+    const tier = tiers[user.kyc_tier ?? 0] || tiers[0] || DEFAULT_KYC_TIERS[0];
+
+    const singleOverride = user.single_transaction_limit_override ? parseFloat(user.single_transaction_limit_override) : null;
+    const dailyOverride = user.daily_limit_override ? parseFloat(user.daily_limit_override) : null;
+
+    return {
+      tier: tier.tier,
+      tierName: tier.name,
+      tierSingle: tier.single_transaction_limit,
+      tierDaily: tier.daily_limit,
+      single: Math.min(tier.single_transaction_limit, singleOverride ?? Infinity),
+      daily: Math.min(tier.daily_limit, dailyOverride ?? Infinity),
+      min: tier.min_transaction,
+      lowered: {
+        single: singleOverride !== null && singleOverride < tier.single_transaction_limit,
+        daily: dailyOverride !== null && dailyOverride < tier.daily_limit
+      }
+    };
+  }
+
+  /**
+   * Amount transferred today that still counts against the daily limit
+   * @param {string} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async getDailyUsage(userId) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const { data, error } = await this.supabase
+      .from('transactions')
+      .select('amount')
+      .eq('user_id', userId)
+      .eq('type', 'transfer')
+      .not('status', 'in', '(failed,reversed)')
+      .gte('created_at', today.toISOString());
+
+    if (error) {
+      throw new Error(error.message || 'Failed to read daily usage');
+    }
+
+    return (data || []).reduce((sum, txn) => sum + parseFloat(txn.amount), 0);
+  }
+
+  /**
+   * Limits plus today's usage, for /limits and balance screens
+   * @param {Object} user - User row
+   * @returns {Promise<Object>} getLimits() plus { usedToday, remainingToday }
+   */
+  async getLimitStatus(user) {
+    const limits = await this.getLimits(user);
+    const usedToday = await this.getDailyUsage(user.id);
+
+    return {
+      ...limits,
+      usedToday,
+      remainingToday: Math.max(limits.daily - usedToday, 0)
+    };
+  }
+
+  /**
+   * Check a transfer amount against the user's limits
+   * @param {Object} user - User row
+   * @param {number} amount - Amount in naira
+   * @returns {Promise<Object>} { allowed, reason }
+   */
+  async checkTransactionLimits(user, amount) {
+    const language = languageOf(user);
+
+    try {
+      const status = await this.getLimitStatus(user);
+
+      if (amount < status.min) {
+        return { allowed: false, reason: translate(language, 'limits.below_minimum', { amount: status.min.toLocaleString() }) };
+      }
+
+      if (amount > status.single) {
+        return { allowed: false, reason: translate(language, 'limits.above_single', { amount: status.single.toLocaleString() }) };
+      }
+
+      if (amount > status.remainingToday) {
+        return { allowed: false, reason: translate(language, 'limits.daily_exceeded', this.usage(status)) };
+      }
+
+      return { allowed: true };
+    } catch (error) {
+      console.error('Transaction limit check error:', error);
+      return { allowed: false, reason: translate(language, 'limits.check_failed') };
+    }
+  }
+
+  /**
+   * Check a bulk payout or split: each transfer against the
+   * per-transaction limits and the total against what's left of the
+   * daily limit
+   * @param {Object} user - User row
+   * @param {Array<number>} amounts - Transfer amounts in naira
+   * @returns {Promise<Object>} { allowed, reason }
+   */
+  async checkBatchLimits(user, amounts) {
+    const language = languageOf(user);
+
+    try {
+      const status = await this.getLimitStatus(user);
+      const total = amounts.reduce((sum, amount) => sum + amount, 0);
+
+      if (amounts.some(amount => amount < status.min)) {
+        return { allowed: false, reason: translate(language, 'limits.below_minimum', { amount: status.min.toLocaleString() }) };
+      }
+
+      if (amounts.some(amount => amount > status.single)) {
+        return { allowed: false, reason: translate(language, 'limits.above_single', { amount: status.single.toLocaleString() }) };
+      }
+
+      if (total > status.remainingToday) {
+        return {
+          allowed: false,
+          reason: translate(language, 'limits.batch_daily_exceeded', { ...this.usage(status), total: total.toLocaleString() })
+        };
+      }
+
+      return { allowed: true };
+    } catch (error) {
+      console.error('Transaction limit check error:', error);
+      return { allowed: false, reason: translate(language, 'limits.check_failed') };
+    }
+  }
+
+  // Today's usage as {placeholders} for the daily limit messages
+  usage(status) {
+    return {
+      used: status.usedToday.toLocaleString(),
+      daily: status.daily.toLocaleString(),
+      remaining: status.remainingToday.toLocaleString()
+    };
+  }
+
+  /**
+   * Lower one of the user's own limits. Raising is refused; only a higher
+   * KYC tier or support can raise limits.
+   * @param {Object} user - User row
+   * @param {string} type - 'single' | 'daily'
+   * @param {number} amount - New limit in naira
+   * @returns {Promise<Object>} { success, message }
+   */
+  async lowerLimit(user, type, amount) {
+    const language = languageOf(user);
+    const column = LIMIT_TYPES[type];
+    if (!column) {
+      return { success: false, message: translate(language, 'limits.type_invalid') };
+    }
+
+    const limits = await this.getLimits(user);
+    const current = type === 'single' ? limits.single : limits.daily;
+    const label = translate(language, `limits.label_${type}`);
+
+    if (!Number.isFinite(amount) || amount < limits.min) {
+      return { success: false, message: translate(language, 'limits.lower_too_low', { label, amount: limits.min.toLocaleString() }) };
+    }
+
+    if (amount > current) {
+      return { success: false, message: translate(language, 'limits.lower_only', { label, amount: current.toLocaleString() }) };
+    }
+
+    const { error } = await this.supabase
+      .from('users')
+      .update({ [column]: amount, updated_at: new Date().toISOString() })
+      .eq('id', user.id);
+
+    if (error) {
+      console.error('❌ [LIMITS] Failed to lower limit:', error);
+      return { success: false, message: translate(language, 'limits.update_failed') };
+    }
+
+    console.log(`📉 [LIMITS] User ${user.id} lowered ${type} limit to ₦${amount.toLocaleString()}`);
+    return { success: true, message: translate(language, 'limits.lowered', { label, amount: amount.toLocaleString() }) };
+  }
+}
+
+export default LimitService;
@@ -0,0 +1,135 @@
+import axios from 'axios';
+
+/**
+ * Out-of-band messages (SMS and email) for things that must not rely on
+ * the Telegram chat alone, such as PIN recovery OTPs.
+ *
+ * SMS goes through Termii (TERMII_API_KEY, TERMII_SENDER_ID) and email
+ * through Resend (RESEND_API_KEY, EMAIL_FROM). Either channel is optional;
+ * `channels()` lists the configured ones.
+ */
+class NotificationService {
+  constructor({
+    termiiApiKey = process.env.TERMII_API_KEY,
+    termiiSenderId = process.env.TERMII_SENDER_ID || 'QuickWallet',
+    resendApiKey = process.env.RESEND_API_KEY,
+    emailFrom = process.env.EMAIL_FROM
+  } = {}) {
+    this.termiiApiKey = termiiApiKey;
+    this.termiiSenderId = termiiSenderId;
+    this.resendApiKey = resendApiKey;
+    this.emailFrom = emailFrom;
+  }
+
+  /**
+   * Configured delivery channels
+   * @returns {Array<string>} Subset of ['sms', 'email']
+   */
+  channels() {
+    const channels = [];
+    if (this.termiiApiKey) channels.push('sms');
+    if (this.resendApiKey && this.emailFrom) channels.push('email');
+    return channels;
+  }
+
+  /**
+   * Send an SMS
+   * @param {string} phoneNumber - Nigerian number, local or international format
+   * @param {string} message - Message text
+   */
+  async sendSms(phoneNumber, message) {
+    try {
+      await axios.post('https://api.ng.termii.com/api/sms/send', {
+        api_key: this.termiiApiKey,
+        to: this.normalizePhoneNumber(phoneNumber),
+        from: this.termiiSenderId,
+        sms: message,
+        type: 'plain',
+        channel: 'dnd'
+      }, { timeout: 10000 });
+
+      console.log(`📱 [NOTIFY] SMS sent to ${this.maskPhoneNumber(phoneNumber)}`);
+    } catch (error) {
+      console.error('❌ [NOTIFY] SMS failed:', error.response?.data || error.message);
+      throw new Error('Failed to send SMS');
+    }
+  }
+
+  /**
+   * Send a plain-text email
+   * @param {string} to - Recipient address
+   * @param {string} subject - Subject line
+   * @param {string} text - Body
+   */
+  async sendEmail(to, subject, text) {
+    try {
+      await axios.post('https://api.resend.com/emails', {
+        from: this.emailFrom,
+        to: [to],
+        subject,
+        text
+      }, {
+        headers: {
+          'Authorization': `Bearer ${this.resendApiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 10000
+      });
+
+      console.log(`📧 [NOTIFY] Email sent to ${this.maskEmail(to)}`);
+    } catch (error) {
+      console.error('❌ [NOTIFY] Email failed:', error.response?.data || error.message);
+      throw new Error('Failed to send email');
+    }
+  }
+
+  /**
+   * Send a one-time code on every configured channel the user has
+   * @param {Object} user - User row (phone_number, email)
+   * @param {string} otp - One-time code
+   * @param {string} purpose - What the code is for, e.g. 'PIN reset'
+   * @returns {Promise<Array<string>>} Masked destinations that received the code
+   */
+  async sendOtp(user, otp, purpose) {
+    const text = `Your QuickWallet ${purpose} code is ${otp}. It expires in 10 minutes. ` +
+      `Never share this code with anyone.`;
+    const delivered = [];
+
+    if (this.channels().includes('sms') && user.phone_number) {
+      try {
+        await this.sendSms(user.phone_number, text);
+        delivered.push(this.maskPhoneNumber(user.phone_number));
+      } catch {
+        // Logged by sendSms; fall through to email
+      }
+    }
+
+    if (this.channels().includes('email') && user.email) {
+      try {
+        await this.sendEmail(user.email, `Your QuickWallet ${purpose} code`, text);
+        delivered.push(this.maskEmail(user.email));
+      } catch {
+        // Logged by sendEmail; the caller reports if nothing was delivered
+      }
+    }
+
+    return delivered;
+  }
+
+  normalizePhoneNumber(phoneNumber) {
+    const digits = String(phoneNumber).replace(/\D/g, '');
+    return digits.startsWith('0') ? `234${digits.slice(1)}` : digits;
+  }
+
+  maskPhoneNumber(phoneNumber) {
+    const digits = String(phoneNumber).replace(/\D/g, '');
+    return `${'*'.repeat(Math.max(digits.length - 4, 0))}${digits.slice(-4)}`;
+  }
+
+  maskEmail(email) {
+    const [name, domain] = String(email).split('@');
+    return `${name.slice(0, 1)}***@${domain}`;
+  }
+}
+
+export default NotificationService;
@@ -0,0 +1,409 @@
+import { DEFAULT_LANGUAGE, languageOf, translate } from './LanguageService.js';
+
+export const PAYMENT_REQUEST_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  PAID: 'paid',
+  DECLINED: 'declined',
+  EXPIRED: 'expired'
+};
+
+export const PAYMENT_REQUEST_CONFIG = {
+  EXPIRY: 72 * 60 * 60 * 1000,
+  REMINDER_INTERVAL: 24 * 60 * 60 * 1000,
+  MAX_REMINDERS: 2,
+  // Longer than an idempotency lock, so a payment still running is never released
+  PROCESSING_TIMEOUT: 5 * 60 * 1000
+};
+
+export const PAYMENT_REQUEST_CALLBACK_PREFIX = 'pr';
+
+/**
+ * "Request money" between QuickWallet users.
+ *
+ * The payer is messaged with Pay / Decline buttons (signed for the payer's
+ * chat). Pay hands off to ConversationFlow, which runs the usual limits →
+ * PIN → wallet transfer path; `settle()` wraps that transfer so a request
+ * is paid at most once. Pending requests are reminded every
+ * REMINDER_INTERVAL and expire after EXPIRY; a request left `processing`
+ * by a crash is released after PROCESSING_TIMEOUT.
+ */
+class PaymentRequestService {
+  constructor(supabaseClient, bot, callbackSigner, config = PAYMENT_REQUEST_CONFIG) {
+    this.supabase = supabaseClient;
+    this.bot = bot;
+    this.callbackSigner = callbackSigner;
+    this.config = config;
+  }
+
+  /**
+   * Create a request and send it to the payer
+   * @param {Object} requester - Requesting user row
+   * @param {Object} payer - WalletTransferService.describeRecipient() of the payer
+   * @param {number} amount - Amount in naira
+   * @param {string|null} note - What the money is for
+   * @returns {Promise<Object>} { success, message }
+   */
+  async create(requester, payer, amount, note = null) {
+    const language = languageOf(requester);
+
+    if (payer.id === requester.id) {
+      return { success: false, message: translate(language, 'requests.self') };
+    }
+
+    const { data: request, error } = await this.supabase
+      .from('payment_requests')
+      .insert([{
+        requester_id: requester.id,
+        payer_id: payer.id,
+        amount,
+        note,
+        expires_at: new Date(Date.now() + this.config.EXPIRY).toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ [PAYMENT_REQUEST] Failed to create request:', error);
+      return { success: false, message: translate(language, 'requests.create_failed') };
+    }
+
+    const delivered = await this.sendToPayer(request, requester);
+
+    console.log(`📨 [PAYMENT_REQUEST] ${request.id}: ${requester.id} asked ${payer.id} for ₦${amount.toLocaleString()}`);
+
+    return {
+      success: true,
+      message: delivered
+        ? translate(language, 'requests.sent', { name: payer.name, amount: amount.toLocaleString() })
+        : translate(language, 'requests.saved_unlinked', { name: payer.name })
+    };
+  }
+
+  /**
+   * Load a request with both users
+   * @param {string} requestId - Request ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(requestId) {
+    const { data, error } = await this.supabase
+      .from('payment_requests')
+      .select(`
+        *,
+        requester:users!payment_requests_requester_id_fkey(id, first_name, last_name, virtual_account_number, telegram_chat_id, telegram_username, preferred_language, detected_language),
+        payer:users!payment_requests_payer_id_fkey(id, first_name, last_name, telegram_chat_id, preferred_language, detected_language)
+      `)
+      .eq('id', requestId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message || 'Failed to load payment request');
+    }
+
+    return data;
+  }
+
+  /**
+   * Whether a request can still be paid or declined
+   */
+  isOpen(request) {
+    return request.status === PAYMENT_REQUEST_STATUS.PENDING && new Date(request.expires_at) > new Date();
+  }
+
+  /**
+   * Run the payer's transfer for a request at most once. The request is
+   * claimed (pending → processing) with the reference the transfer will
+   * use; it becomes `paid` if the transfer succeeds and goes back to
+   * `pending` if it doesn't.
+   * @param {string} requestId - Request ID
+   * @param {Function} transfer - Async function returning { success, message, reference }
+   * @param {string} [language] - Payer's language code
+   * @param {string|null} [reference] - Reference the transfer will post under
+   * @returns {Promise<Object>} The transfer result
+   */
+  async settle(requestId, transfer, language = DEFAULT_LANGUAGE, reference = null) {
+    await this.releaseStaleClaims(requestId);
+
+    const { data: claimed, error } = await this.supabase
+      .from('payment_requests')
+      .update({ status: PAYMENT_REQUEST_STATUS.PROCESSING, transfer_reference: reference })
+      .eq('id', requestId)
+      .eq('status', PAYMENT_REQUEST_STATUS.PENDING)
+      .gt('expires_at', new Date().toISOString())
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message || 'Failed to claim payment request');
+    }
+
+    if (!claimed) {
+      return { success: false, message: translate(language, 'requests.closed') };
+    }
+
+    let result;
+    try {
+      result = await transfer();
+    } catch (transferError) {
+      await this.setStatus(requestId, PAYMENT_REQUEST_STATUS.PENDING, { transfer_reference: null });
+      throw transferError;
+    }
+
+    if (!result.success) {
+      await this.setStatus(requestId, PAYMENT_REQUEST_STATUS.PENDING, { transfer_reference: null });
+      return result;
+    }
+
+    await this.setStatus(requestId, PAYMENT_REQUEST_STATUS.PAID, {
+      transfer_reference: result.reference,
+      responded_at: new Date().toISOString()
+    });
+
+    console.log(`✅ [PAYMENT_REQUEST] ${requestId} paid (${result.reference})`);
+    return result;
+  }
+
+  /**
+   * Release requests left `processing` for longer than PROCESSING_TIMEOUT
+   * (the bot stopped mid-payment): back to `pending` so the payer can try
+   * again, or to `paid` if their transfer was posted after all
+   * @param {string} [requestId] - Only this request
+   */
+  async releaseStaleClaims(requestId = null) {
+    let query = this.supabase
+      .from('payment_requests')
+      .select('id, transfer_reference, updated_at')
+      .eq('status', PAYMENT_REQUEST_STATUS.PROCESSING)
+      .lt('updated_at', new Date(Date.now() - this.config.PROCESSING_TIMEOUT).toISOString());
+
+    if (requestId) {
+      query = query.eq('id', requestId);
+    }
+
+    const { data: stale, error } = await query;
+    if (error) {
+      console.error('❌ [PAYMENT_REQUEST] Stale claim lookup failed:', error);
+      return;
+    }
+
+    for (const request of stale || []) {
+      try {
+        const paid = request.transfer_reference && await this.isPosted(request.transfer_reference);
+
+        // Conditional on the claim we saw, so a new claim made meanwhile is left alone
+        const { error: releaseError } = await this.supabase
+          .from('payment_requests')
+          .update(paid
+            ? { status: PAYMENT_REQUEST_STATUS.PAID, responded_at: new Date().toISOString() }
+            : { status: PAYMENT_REQUEST_STATUS.PENDING, transfer_reference: null })
+          .eq('id', request.id)
+          .eq('status', PAYMENT_REQUEST_STATUS.PROCESSING)
+          .eq('updated_at', request.updated_at);
+
+        if (releaseError) throw new Error(releaseError.message);
+
+        console.log(`🔓 [PAYMENT_REQUEST] Released stale claim on ${request.id} (${paid ? 'paid' : 'pending'})`);
+      } catch (releaseError) {
+        console.error(`❌ [PAYMENT_REQUEST] Failed to release ${request.id}:`, releaseError.message);
+      }
+    }
+  }
+
+  /**
+   * Whether the ledger has an entry for a reference
+   */
+  async isPosted(reference) {
+    const { data, error } = await this.supabase
+      .from('journal_entries')
+      .select('id')
+      .eq('reference', reference)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message || 'Failed to look up ledger entry');
+    }
+
+    return Boolean(data);
+  }
+
+  /**
+   * Decline a pending request and tell the requester
+   * @param {Object} request - Request from get()
+   * @returns {Promise<boolean>} false if the request was no longer open
+   */
+  async decline(request) {
+    const { data: declined, error } = await this.supabase
+      .from('payment_requests')
+      .update({ status: PAYMENT_REQUEST_STATUS.DECLINED, responded_at: new Date().toISOString() })
+      .eq('id', request.id)
+      .eq('status', PAYMENT_REQUEST_STATUS.PENDING)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message || 'Failed to decline payment request');
+    }
+
+    if (!declined) return false;
+
+    const language = languageOf(request.requester);
+    await this.notify(request.requester?.telegram_chat_id, translate(language, 'requests.declined_notice', {
+      name: this.fullName(request.payer, language),
+      amount: parseFloat(request.amount).toLocaleString(),
+      note: request.note ? ` (${request.note})` : ''
+    }));
+
+    console.log(`🚫 [PAYMENT_REQUEST] ${request.id} declined`);
+    return true;
+  }
+
+  /**
+   * Remind payers of pending requests and expire old ones. Run by the leader.
+   */
+  async processOpenRequests() {
+    await this.releaseStaleClaims();
+    await this.expireRequests();
+    await this.sendReminders();
+  }
+
+  async expireRequests() {
+    const { data: expired, error } = await this.supabase
+      .from('payment_requests')
+      .update({ status: PAYMENT_REQUEST_STATUS.EXPIRED })
+      .eq('status', PAYMENT_REQUEST_STATUS.PENDING)
+      .lte('expires_at', new Date().toISOString())
+      .select('id');
+
+    if (error) {
+      console.error('❌ [PAYMENT_REQUEST] Expiry failed:', error);
+      return;
+    }
+
+    // Already expired in the database, so one failed notice must not skip the rest
+    for (const { id } of expired || []) {
+      try {
+        const request = await this.get(id);
+        const language = languageOf(request.requester);
+
+        await this.notify(request.requester?.telegram_chat_id, translate(language, 'requests.expired_notice', {
+          amount: parseFloat(request.amount).toLocaleString(),
+          name: this.fullName(request.payer, language)
+        }));
+
+        if (request.payer?.telegram_chat_id && request.payer_message_id) {
+          await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+            chat_id: request.payer.telegram_chat_id,
+            message_id: request.payer_message_id
+          }).catch(() => {});
+        }
+      } catch (notifyError) {
+        console.error(`❌ [PAYMENT_REQUEST] Expiry notice failed for ${id}:`, notifyError.message);
+      }
+    }
+
+    if (expired?.length) {
+      console.log(`⌛ [PAYMENT_REQUEST] Expired ${expired.length} requests`);
+    }
+  }
+
+  async sendReminders() {
+    const dueBefore = new Date(Date.now() - this.config.REMINDER_INTERVAL).toISOString();
+
+    const { data: due, error } = await this.supabase
+      .from('payment_requests')
+      .select('id, created_at, last_reminded_at, reminder_count')
+      .eq('status', PAYMENT_REQUEST_STATUS.PENDING)
+      .lt('reminder_count', this.config.MAX_REMINDERS)
+      .lte('created_at', dueBefore);
+
+    if (error) {
+      console.error('❌ [PAYMENT_REQUEST] Reminder lookup failed:', error);
+      return;
+    }
+
+    for (const row of due || []) {
+      if (row.last_reminded_at && new Date(row.last_reminded_at) > new Date(dueBefore)) continue;
+
+      const request = await this.get(row.id);
+      await this.sendToPayer(request, request.requester, { reminder: true });
+      await this.update(row.id, {
+        reminder_count: row.reminder_count + 1,
+        last_reminded_at: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Message the payer with Pay / Decline buttons
+   * @returns {Promise<boolean>} false if the payer has no linked chat
+   */
+  async sendToPayer(request, requester, { reminder = false } = {}) {
+    const { data: payer } = await this.supabase
+      .from('users')
+      .select('telegram_chat_id, preferred_language, detected_language')
+      .eq('id', request.payer_id)
+      .maybeSingle();
+
+    const chatId = payer?.telegram_chat_id;
+    if (!chatId) return false;
+
+    const language = languageOf(payer);
+    const amount = parseFloat(request.amount).toLocaleString();
+    const expires = new Date(request.expires_at).toLocaleString();
+
+    try {
+      const sent = await this.bot.sendMessage(chatId,
+        translate(language, reminder ? 'requests.reminder' : 'requests.ask', {
+          name: this.fullName(requester, language),
+          amount,
+          note: request.note ? translate(language, 'requests.ask_note', { note: request.note }) : '',
+          expires
+        }),
+        {
+          reply_markup: {
+            inline_keyboard: [[
+              { text: translate(language, 'requests.pay_button', { amount }), callback_data: this.callbackSigner.sign(PAYMENT_REQUEST_CALLBACK_PREFIX, ['p', request.id], chatId) },
+              { text: translate(language, 'requests.decline_button'), callback_data: this.callbackSigner.sign(PAYMENT_REQUEST_CALLBACK_PREFIX, ['d', request.id], chatId) }
+            ]]
+          }
+        });
+
+      await this.update(request.id, { payer_message_id: sent?.message_id ?? null });
+      return true;
+    } catch (error) {
+      console.error(`❌ [PAYMENT_REQUEST] Failed to message payer for ${request.id}:`, error.message);
+      return false;
+    }
+  }
+
+  setStatus(requestId, status, fields = {}) {
+    return this.update(requestId, { status, ...fields });
+  }
+
+  async update(requestId, fields) {
+    const { error } = await this.supabase
+      .from('payment_requests')
+      .update(fields)
+      .eq('id', requestId);
+
+    if (error) {
+      console.error(`❌ [PAYMENT_REQUEST] Failed to update ${requestId}:`, error);
+    }
+  }
+
+  async notify(chatId, message) {
+    if (!chatId) return;
+
+    try {
+      await this.bot.sendMessage(chatId, message);
+    } catch (error) {
+      console.error('❌ [PAYMENT_REQUEST] Notification failed:', error.message);
+    }
+  }
+
+  fullName(user, language = DEFAULT_LANGUAGE) {
+    return user ? `${user.first_name} ${user.last_name}`.trim() : translate(language, 'requests.someone');
+  }
+}
+
+export default PaymentRequestService;
@@ -1,14 +1,17 @@
 // services/PaystackPollingService.js
 import cron from 'node-cron';
-import crypto from 'crypto';
+import IdempotencyService from './IdempotencyService.js';
 
 class PaystackPollingService {
-  constructor(paystackService, supabase, bot) {
+  constructor(paystackService, supabase, bot, ledgerService, idempotencyService) {
     this.paystackService = paystackService;
     this.supabase = supabase;
     this.bot = bot;
+    this.ledgerService = ledgerService;
+    this.idempotencyService = idempotencyService;
     this.isPolling = false;
     this.pollInterval = null;
+    this.cronTask = null;
     this.processedTransactions = new Set();
     this.POLL_INTERVAL_MS = 30000; // Poll every 30 seconds
   }
@@ -34,7 +37,7 @@ class PaystackPollingService {
     }, this.POLL_INTERVAL_MS);
 
     // Also set up a cron job for more reliable scheduling (every minute)
-    cron.schedule('* * * * *', () => {
+    this.cronTask = cron.schedule('* * * * *', () => {
       this.pollTransactions();
     });
 
@@ -49,6 +52,10 @@ class PaystackPollingService {
       clearInterval(this.pollInterval);
       this.pollInterval = null;
     }
+    if (this.cronTask) {
+      this.cronTask.stop();
+      this.cronTask = null;
+    }
     this.isPolling = false;
     console.log('🛑 Polling stopped');
   }
@@ -174,53 +181,27 @@ class PaystackPollingService {
       // Calculate amount (Paystack amounts are in kobo)
       const amount = transaction.amount / 100;
 
-      // Get current balance
-      const currentBalance = parseFloat(user.wallet_balance || 0);
-      const newBalance = currentBalance + amount;
-
-      // Create transaction record
-      const { data: newTxn, error: txnError } = await this.supabase
-        .from('transactions')
-        .insert([{
-          user_id: user.id,
-          type: 'credit',
-          amount: amount,
-          service_fee: 0,
-          description: `Wallet funding via ${transaction.metadata?.sender_bank || 'Bank'} transfer`,
-          reference: transaction.reference,
-          status: 'completed',
-          metadata: {
-            sender_name: transaction.metadata?.sender_name,
-            sender_bank: transaction.metadata?.sender_bank,
-            session_id: transaction.session?.id,
-            paystack_id: transaction.id
-          },
-          created_at: transaction.transaction_date || new Date().toISOString()
-        }])
-        .select()
-        .single();
-
-      if (txnError) {
-        console.error('Error creating transaction:', txnError);
-        await this.logFailedFunding(user, transaction, txnError.message);
+      // Credit once per reference; the webhook shares the same idempotency key
+      let outcome;
+      try {
+        outcome = await this.idempotencyService.run(
+          IdempotencyService.fundingKey(transaction.reference),
+          { scope: 'funding', userId: user.id, request: { reference: transaction.reference, amount } },
+          () => this.creditFunding(user, transaction, amount)
+        );
+      } catch (fundingError) {
+        console.error('Error posting funding to ledger:', fundingError);
+        await this.logFailedFunding(user, transaction, fundingError.message);
         return;
       }
 
-      // Update user balance
-      const { error: balanceError } = await this.supabase
-        .from('users')
-        .update({ 
-          wallet_balance: newBalance,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', user.id);
-
-      if (balanceError) {
-        console.error('Error updating balance:', balanceError);
-        await this.logFailedFunding(user, transaction, balanceError.message);
+      if (outcome.replayed || outcome.inProgress || outcome.response.duplicate) {
+        this.processedTransactions.add(transaction.reference);
         return;
       }
 
+      const { newBalance } = outcome.response;
+
       console.log(`✅ Processed: ₦${amount.toLocaleString()} for ${user.email}`);
       console.log(`   New balance: ₦${newBalance.toLocaleString()}`);
 
@@ -262,6 +243,58 @@ class PaystackPollingService {
     }
   }
 
+  /**
+   * Post a polled deposit to the ledger and record the transaction
+   * @returns {Promise<Object>} { newBalance, duplicate }
+   */
+  async creditFunding(user, transaction, amount) {
+    const description = `Wallet funding via ${transaction.metadata?.sender_bank || 'Bank'} transfer`;
+
+    const posted = await this.ledgerService.fundWallet(user.id, amount, transaction.reference, {
+      description,
+      metadata: { source: 'polling', paystack_id: transaction.id }
+    });
+
+    if (posted.duplicate) {
+      return { newBalance: null, duplicate: true };
+    }
+
+    const { error: txnError } = await this.supabase
+      .from('transactions')
+      .insert([{
+        user_id: user.id,
+        type: 'credit',
+        amount: amount,
+        service_fee: 0,
+        description,
+        reference: transaction.reference,
+        status: 'completed',
+        metadata: {
+          sender_name: transaction.metadata?.sender_name,
+          sender_bank: transaction.metadata?.sender_bank,
+          session_id: transaction.session?.id,
+          paystack_id: transaction.id
+        },
+        created_at: transaction.transaction_date || new Date().toISOString()
+      }]);
+
+    if (txnError) {
+      console.error('Error creating transaction:', txnError);
+      // Ledger already posted, log for manual verification
+      await this.supabase.from('balance_reconciliation').insert([{
+        user_id: user.id,
+        amount: amount,
+        reference: transaction.reference,
+        user_balance: posted.newBalance,
+        reconciled: false,
+        notes: 'Ledger entry posted but transaction record failed',
+        created_at: new Date().toISOString()
+      }]);
+    }
+
+    return { newBalance: posted.newBalance, duplicate: false };
+  }
+
   /**
    * Send funding notification to user
    */
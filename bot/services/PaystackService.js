@@ -147,6 +147,143 @@ class PaystackService {
       throw error;
     }
   }
+
+  /**
+   * Initiate several transfers in one request. Paystack only accepts bulk
+   * transfers when OTP is disabled for the integration.
+   * @param {Array<Object>} transfers - { amount, recipient, reference, reason } (amount in kobo)
+   * @returns {Promise<Object>} Result with one { reference, transfer_code, status } per transfer
+   */
+  async initiateBulkTransfer(transfers) {
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/transfer/bulk`,
+        {
+          currency: 'NGN',
+          source: 'balance',
+          transfers
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${this.secretKey}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 30000
+        }
+      );
+
+      return response.data;
+    } catch (error) {
+      console.error('❌ Bulk transfer failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Finalize a transfer that requires OTP authorization
+   * @param {string} transferCode - Paystack transfer code (TRF_...)
+   * @param {string} otp - OTP sent to the business phone/email
+   * @returns {Promise<Object>} Finalization result
+   */
+  async finalizeTransfer(transferCode, otp) {
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/transfer/finalize_transfer`,
+        { transfer_code: transferCode, otp },
+        {
+          headers: {
+            'Authorization': `Bearer ${this.secretKey}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 10000
+        }
+      );
+
+      return response.data;
+    } catch (error) {
+      console.error('❌ Transfer finalization failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up a transfer by our reference
+   * @param {string} reference - Reference the transfer was initiated with
+   * @returns {Promise<Object>} Transfer (data.status is pending, otp, success, failed, reversed, ...)
+   */
+  async verifyTransfer(reference) {
+    try {
+      const response = await axios.get(
+        `${this.baseURL}/transfer/verify/${encodeURIComponent(reference)}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.secretKey}`
+          },
+          timeout: 10000
+        }
+      );
+
+      return response.data;
+    } catch (error) {
+      console.error('❌ Transfer verification failed:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a Paystack customer
+   * @param {Object} customerData - { email, first_name, last_name, phone }
+   * @returns {Promise<Object>} Customer (includes customer_code)
+   */
+  async createCustomer(customerData) {
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/customer`,
+        customerData,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.secretKey}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 10000
+        }
+      );
+
+      return response.data.data;
+    } catch (error) {
+      console.error('❌ Customer creation failed:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to create customer');
+    }
+  }
+
+  /**
+   * Submit a customer's identity for verification. Paystack answers 202
+   * and reports the outcome on the customeridentification.success /
+   * customeridentification.failed webhooks.
+   * @param {string} customerCode - Paystack customer code (CUS_...)
+   * @param {Object} identification - { country, type, value?, bvn?, account_number?, bank_code?, first_name, last_name }
+   * @returns {Promise<Object>} Paystack response
+   */
+  async validateCustomer(customerCode, identification) {
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/customer/${encodeURIComponent(customerCode)}/identification`,
+        identification,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.secretKey}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 10000
+        }
+      );
+
+      return response.data;
+    } catch (error) {
+      console.error('❌ Customer identification failed:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to submit identification');
+    }
+  }
 }
 
 export default PaystackService;
\ No newline at end of file
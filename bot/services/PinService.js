@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import Helpers from '../utils/helpers.js';
+import { SESSION_NAMESPACES } from '../stores/index.js';
+import { DEFAULT_LANGUAGE, languageOf, translate } from './LanguageService.js';
+
+export const PIN_CONFIG = {
+  BCRYPT_ROUNDS: 12,                       // same cost as registration (AuthPage)
+  OTP_TTL: 10 * 60 * 1000,
+  MAX_OTP_ATTEMPTS: 3,
+  MAX_DOB_ATTEMPTS: 3,
+  RECOVERY_WINDOW: 60 * 60 * 1000,         // DOB attempts are counted over this window
+  RESET_TRANSFER_COOLDOWN: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Transaction PIN changes and forgotten-PIN recovery.
+ *
+ * Recovery is date of birth → OTP (SMS/email via NotificationService) →
+ * new PIN. New PINs are hashed as soon as they are typed; only the hash
+ * is kept while the user repeats them. State per user lives in the session store under
+ * `pin_recovery`; the OTP itself is only stored hashed. A recovery reset
+ * blocks transfers for RESET_TRANSFER_COOLDOWN. Every step is written to
+ * security_logs.
+ */
+class PinService {
+  constructor(supabaseClient, sessionStore, securityService, notificationService, config = PIN_CONFIG) {
+    this.supabase = supabaseClient;
+    this.store = sessionStore;
+    this.security = securityService;
+    this.notifications = notificationService;
+    this.config = config;
+  }
+
+  /**
+   * Check a transaction PIN; wrong PINs count towards the lockout
+   * @returns {Promise<Object>} { valid, remaining }
+   */
+  async verifyPin(user, pin) {
+    if (await bcrypt.compare(pin, user.transaction_pin)) {
+      await this.security.clearFailedAttempts(user.id);
+      return { valid: true };
+    }
+
+    const attempts = await this.security.recordFailedAttempt(user.id);
+    return { valid: false, remaining: Math.max(this.security.config.MAX_FAILED_ATTEMPTS - attempts.count, 0) };
+  }
+
+  /**
+   * Reject PINs that are not 4 digits or are trivially guessable
+   * @param {string} pin - Candidate PIN
+   * @param {string} [language] - Language of the reason
+   * @returns {string|null} Reason, or null if acceptable
+   */
+  validateNewPin(pin, language = DEFAULT_LANGUAGE) {
+    if (!/^\d{4}$/.test(pin)) {
+      return translate(language, 'pin.not_four_digits');
+    }
+
+    if (/^(\d)\1{3}$/.test(pin) || '0123456789'.includes(pin) || '9876543210'.includes(pin)) {
+      return translate(language, 'pin.too_easy');
+    }
+
+    return null;
+  }
+
+  /**
+   * /changepin step 1: check the current PIN
+   * @returns {Promise<Object>} { success, message }
+   */
+  async verifyCurrentPin(user, pin) {
+    const language = languageOf(user);
+    const check = await this.verifyPin(user, pin);
+    if (check.valid) {
+      return { success: true, message: translate(language, 'pin.enter_new') };
+    }
+
+    await this.security.logEvent(user.id, 'PIN_CHANGE_FAILED', { reason: 'wrong_current_pin', remaining: check.remaining });
+    return {
+      success: false,
+      message: check.remaining > 0
+        ? translate(language, 'pin.current_incorrect', { count: check.remaining })
+        : translate(language, 'pin.locked_recover')
+    };
+  }
+
+  /**
+   * Validate a new PIN and hash it, so only the hash is held while the
+   * user repeats it
+   * @returns {Promise<Object>} { success, message, pinHash }
+   */
+  async prepareNewPin(user, pin) {
+    const language = languageOf(user);
+    const invalid = this.validateNewPin(pin, language);
+    if (invalid) {
+      return { success: false, message: translate(language, 'pin.rejected', { reason: invalid }) };
+    }
+
+    if (await bcrypt.compare(pin, user.transaction_pin)) {
+      return { success: false, message: translate(language, 'pin.same_as_current') };
+    }
+
+    return {
+      success: true,
+      message: translate(language, 'pin.repeat'),
+      pinHash: await bcrypt.hash(pin, this.config.BCRYPT_ROUNDS)
+    };
+  }
+
+  /**
+   * Check the repeated PIN against the hash from prepareNewPin
+   */
+  matchesNewPin(pin, pinHash) {
+    return bcrypt.compare(pin, pinHash);
+  }
+
+  /**
+   * /changepin final step: store the new PIN
+   * @param {Object} user - User row
+   * @param {string} pinHash - From prepareNewPin
+   * @returns {Promise<Object>} { success, message }
+   */
+  async changePin(user, pinHash) {
+    await this.savePin(user.id, pinHash, { pin_changed_at: new Date().toISOString() });
+    await this.security.logEvent(user.id, 'PIN_CHANGED', {});
+
+    console.log(`🔐 [PIN] PIN changed for user ${user.id}`);
+    return { success: true, message: translate(languageOf(user), 'pin.changed') };
+  }
+
+  /**
+   * Recovery step 1: check the date of birth and send an OTP
+   * @param {Object} user - User row
+   * @param {string} dateOfBirth - As typed by the user
+   * @returns {Promise<Object>} { success, message, done } - done ends the flow
+   */
+  async startRecovery(user, dateOfBirth) {
+    const language = languageOf(user);
+
+    if (this.notifications.channels().length === 0) {
+      console.error('❌ [PIN] Recovery requested but no SMS/email channel is configured');
+      return { success: false, done: true, message: translate(language, 'pin.recovery_unavailable') };
+    }
+
+    const recovery = await this.getRecovery(user.id) || { dobAttempts: 0 };
+
+    if (recovery.dobAttempts >= this.config.MAX_DOB_ATTEMPTS) {
+      return { success: false, done: true, message: translate(language, 'pin.recovery_locked') };
+    }
+
+    if (this.normalizeDate(dateOfBirth) !== String(user.date_of_birth).slice(0, 10)) {
+      recovery.dobAttempts++;
+      await this.store.set(SESSION_NAMESPACES.PIN_RECOVERY, user.id, recovery, this.config.RECOVERY_WINDOW);
+      await this.security.logEvent(user.id, 'PIN_RECOVERY_DOB_MISMATCH', { attempts: recovery.dobAttempts });
+
+      const remaining = this.config.MAX_DOB_ATTEMPTS - recovery.dobAttempts;
+      return remaining > 0
+        ? { success: false, done: false, message: translate(language, 'pin.dob_mismatch', { count: remaining }) }
+        : { success: false, done: true, message: translate(language, 'pin.recovery_locked') };
+    }
+
+    const otp = Helpers.generateOTP();
+    const delivered = await this.notifications.sendOtp(user, otp, 'PIN reset');
+
+    if (delivered.length === 0) {
+      await this.security.logEvent(user.id, 'PIN_RECOVERY_OTP_FAILED', { reason: 'delivery_failed' });
+      return { success: false, done: true, message: translate(language, 'pin.otp_not_sent') };
+    }
+
+    await this.store.set(SESSION_NAMESPACES.PIN_RECOVERY, user.id, {
+      dobAttempts: recovery.dobAttempts,
+      otpHash: this.hashOtp(user.id, otp),
+      otpAttempts: 0,
+      verified: false
+    }, this.config.OTP_TTL);
+
+    await this.security.logEvent(user.id, 'PIN_RECOVERY_OTP_SENT', { destinations: delivered });
+
+    return {
+      success: true,
+      done: false,
+      message: translate(language, 'pin.otp_sent', { destinations: delivered.join(translate(language, 'common.and')) })
+    };
+  }
+
+  /**
+   * Recovery step 2: check the OTP
+   * @returns {Promise<Object>} { success, message, done }
+   */
+  async verifyRecoveryOtp(user, otp) {
+    const language = languageOf(user);
+    const recovery = await this.getRecovery(user.id);
+
+    if (!recovery?.otpHash) {
+      return { success: false, done: true, message: translate(language, 'pin.otp_expired') };
+    }
+
+    const expected = Buffer.from(recovery.otpHash);
+    const received = Buffer.from(this.hashOtp(user.id, String(otp).trim()));
+
+    if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+      await this.store.set(SESSION_NAMESPACES.PIN_RECOVERY, user.id, { ...recovery, verified: true }, this.config.OTP_TTL);
+      await this.security.logEvent(user.id, 'PIN_RECOVERY_OTP_VERIFIED', {});
+      return { success: true, done: false, message: translate(language, 'pin.otp_verified') };
+    }
+
+    recovery.otpAttempts++;
+    await this.security.logEvent(user.id, 'PIN_RECOVERY_OTP_FAILED', { attempts: recovery.otpAttempts });
+
+    if (recovery.otpAttempts >= this.config.MAX_OTP_ATTEMPTS) {
+      // Keep the DOB count so restarting doesn't reset it
+      await this.store.set(SESSION_NAMESPACES.PIN_RECOVERY, user.id,
+        { dobAttempts: recovery.dobAttempts }, this.config.RECOVERY_WINDOW);
+      return { success: false, done: true, message: translate(language, 'pin.otp_locked') };
+    }
+
+    await this.store.set(SESSION_NAMESPACES.PIN_RECOVERY, user.id, recovery, this.config.OTP_TTL);
+    return {
+      success: false,
+      done: false,
+      message: translate(language, 'pin.otp_incorrect', { count: this.config.MAX_OTP_ATTEMPTS - recovery.otpAttempts })
+    };
+  }
+
+  /**
+   * Recovery final step: store the new PIN. Clears any lockout and starts
+   * the transfer cool-down.
+   * @param {Object} user - User row
+   * @param {string} pinHash - From prepareNewPin
+   * @returns {Promise<Object>} { success, message }
+   */
+  async resetPin(user, pinHash) {
+    const language = languageOf(user);
+    const recovery = await this.getRecovery(user.id);
+
+    if (!recovery?.verified) {
+      return { success: false, message: translate(language, 'pin.recovery_expired') };
+    }
+
+    await this.savePin(user.id, pinHash, { pin_reset_at: new Date().toISOString() });
+    await this.store.delete(SESSION_NAMESPACES.PIN_RECOVERY, user.id);
+    await this.security.clearFailedAttempts(user.id);
+    await this.security.logEvent(user.id, 'PIN_RESET', { transferCooldownHours: this.config.RESET_TRANSFER_COOLDOWN / 3600000 });
+
+    console.log(`🔐 [PIN] PIN reset for user ${user.id}`);
+    return {
+      success: true,
+      message: translate(language, 'pin.reset', { count: this.config.RESET_TRANSFER_COOLDOWN / 3600000 })
+    };
+  }
+
+  /**
+   * Time left on the post-reset transfer cool-down
+   * @param {Object} user - User row
+   * @returns {number} Milliseconds remaining, 0 if transfers are allowed
+   */
+  getTransferCooldown(user) {
+    if (!user.pin_reset_at) return 0;
+    const endsAt = new Date(user.pin_reset_at).getTime() + this.config.RESET_TRANSFER_COOLDOWN;
+    return Math.max(endsAt - Date.now(), 0);
+  }
+
+  async savePin(userId, pinHash, patch) {
+    const { error } = await this.supabase
+      .from('users')
+      .update({ transaction_pin: pinHash, updated_at: new Date().toISOString(), ...patch })
+      .eq('id', userId);
+
+    if (error) {
+      console.error('❌ [PIN] Failed to save PIN:', error);
+      throw new Error('Failed to save PIN');
+    }
+  }
+
+  getRecovery(userId) {
+    return this.store.get(SESSION_NAMESPACES.PIN_RECOVERY, userId);
+  }
+
+  hashOtp(userId, otp) {
+    return crypto.createHash('sha256').update(`${userId}:${otp}`).digest('hex');
+  }
+
+  /**
+   * Normalise a typed date of birth to YYYY-MM-DD
+   * Accepts YYYY-MM-DD and DD/MM/YYYY (also with '-' or '.')
+   */
+  normalizeDate(input) {
+    const text = String(input).trim();
+    let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+    if (match) {
+      return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+    }
+
+    match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+    if (match) {
+      return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    }
+
+    return null;
+  }
+}
+
+export default PinService;
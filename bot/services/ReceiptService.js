@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import PDFKit from 'pdfkit';
+import Helpers from '../utils/helpers.js';
 
 // Get __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -52,8 +53,8 @@ class ReceiptService {
           ['Date:', new Date(transaction.created_at).toLocaleString()],
           ['Type:', transaction.type.toUpperCase()],
           ['Amount:', `₦${parseFloat(transaction.amount).toLocaleString()}`],
-          ['Service Fee:', `₦${parseFloat(transaction.service_fee).toLocaleString()}`],
-          ['Total:', `₦${(parseFloat(transaction.amount) + parseFloat(transaction.service_fee)).toLocaleString()}`],
+          ['Service Fee:', Helpers.formatFee(transaction.service_fee, transaction.fee_rule)],
+          ['Total:', `₦${(parseFloat(transaction.amount) + parseFloat(transaction.service_fee || 0)).toLocaleString()}`],
           ['Status:', transaction.status.toUpperCase()]
         ];
 
@@ -114,6 +115,110 @@ class ReceiptService {
       }
     });
   }
+
+  /**
+   * One receipt for every row of a bulk payout
+   * @param {Object} batch - bulk_transfers row
+   * @param {Array<Object>} transactions - The batch's transaction rows
+   * @param {Object} user - User row
+   * @returns {Promise<string>} Path of the generated PDF
+   */
+  async generateBatchReceipt(batch, transactions, user) {
+    return new Promise((resolve, reject) => {
+      try {
+        const filename = `receipt_batch_${batch.id}.pdf`;
+        const filepath = path.join(__dirname, '../receipts', filename);
+
+        const doc = new PDFKit();
+        doc.pipe(fs.createWriteStream(filepath));
+
+        doc.fontSize(20)
+           .fillColor('#2563eb')
+           .text('SecurePay Wallet', 50, 50, { align: 'center' });
+
+        doc.fontSize(16)
+           .fillColor('#6b7280')
+           .text('Bulk Payout Receipt', 50, 80, { align: 'center' });
+
+        doc.moveTo(50, 120)
+           .lineTo(550, 120)
+           .stroke('#e5e7eb');
+
+        const paid = transactions.filter(txn => txn.status === 'completed');
+        const totalPaid = paid.reduce((sum, txn) => sum + parseFloat(txn.amount), 0);
+        const totalFees = paid.reduce((sum, txn) => sum + parseFloat(txn.service_fee || 0), 0);
+
+        const summary = [
+          ['Batch:', batch.id],
+          ['File:', batch.file_name || 'N/A'],
+          ['Date:', new Date(batch.created_at).toLocaleString()],
+          ['Name:', `${user.first_name} ${user.last_name}`],
+          ['Successful:', `${paid.length} of ${transactions.length}`],
+          ['Amount Paid:', `₦${totalPaid.toLocaleString()}`],
+          ['Service Fees:', `₦${totalFees.toLocaleString()}`]
+        ];
+
+        doc.fontSize(12);
+        let yPosition = 140;
+        summary.forEach(([label, value]) => {
+          doc.fillColor('#6b7280')
+             .text(label, 50, yPosition, { width: 150 });
+          doc.fillColor('#111827')
+             .text(value, 200, yPosition);
+          yPosition += 20;
+        });
+
+        const columns = [['#', 50, 25], ['Recipient', 75, 150], ['Account', 225, 130], ['Amount', 355, 75], ['Fee', 430, 45], ['Status', 475, 75]];
+        const drawHeader = () => {
+          doc.fontSize(10).fillColor('#6b7280');
+          columns.forEach(([label, x, width]) => doc.text(label, x, yPosition, { width }));
+          yPosition += 18;
+        };
+
+        yPosition += 20;
+        drawHeader();
+
+        transactions.forEach((txn, index) => {
+          if (yPosition > 680) {
+            doc.addPage();
+            yPosition = 50;
+            drawHeader();
+          }
+
+          const cells = [
+            String(index + 1),
+            txn.recipient_name || 'N/A',
+            `${txn.recipient_account} ${txn.metadata?.bank_name || ''}`.trim(),
+            `₦${parseFloat(txn.amount).toLocaleString()}`,
+            `₦${parseFloat(txn.service_fee || 0).toLocaleString()}`,
+            txn.status.toUpperCase()
+          ];
+
+          doc.fontSize(9).fillColor('#111827');
+          columns.forEach(([, x, width], column) => doc.text(cells[column], x, yPosition, { width, height: 22, ellipsis: true }));
+          yPosition += 24;
+        });
+
+        doc.fontSize(10)
+           .fillColor('#9ca3af')
+           .text('This is an electronically generated receipt.', 50, 700, { align: 'center' })
+           .text('SecurePay Wallet - Your Trusted Financial Partner', 50, 720, { align: 'center' });
+
+        doc.end();
+
+        doc.on('end', () => {
+          resolve(filepath);
+        });
+
+        doc.on('error', (error) => {
+          reject(error);
+        });
+
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
 }
 
 export default ReceiptService;
\ No newline at end of file
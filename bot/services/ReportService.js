@@ -49,7 +49,8 @@ class ReportService {
 
       (transactions || []).forEach(txn => {
         const amount = parseFloat(txn.amount) || 0;
-        const serviceFee = parseFloat(txn.service_fee) || 0;
+        // Failed and reversed transfers refunded their fee
+        const serviceFee = ['failed', 'reversed'].includes(txn.status) ? 0 : parseFloat(txn.service_fee) || 0;
         
         transactionsByType[txn.type]?.push(txn);
         
@@ -0,0 +1,437 @@
+import { DEFAULT_LANGUAGE, languageOf, translate } from './LanguageService.js';
+
+export const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+export const SCHEDULE_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled'
+};
+
+// Scheduled transfers run at this hour, Lagos time, on their due day
+export const SCHEDULE_RUN_HOUR = 9;
+
+export const SCHEDULE_TIME_ZONE = 'Africa/Lagos';
+
+// West Africa Time is UTC+1 all year; Nigeria has no daylight saving
+const SCHEDULE_UTC_OFFSET = 60 * 60 * 1000;
+
+const NOTICE_WINDOW = 24 * 60 * 60 * 1000;
+
+/**
+ * A date whose UTC fields are the Lagos wall-clock time of `date`, so
+ * getUTCDay(), getUTCDate() and friends read Lagos calendar days wherever
+ * the bot runs
+ * @param {Date} [date] - Defaults to now
+ * @returns {Date}
+ */
+export function toScheduleZone(date = new Date()) {
+  return new Date(date.getTime() + SCHEDULE_UTC_OFFSET);
+}
+
+/**
+ * A run time as Lagos local time, for messages
+ * @param {Date|string} date - Run time
+ * @returns {string}
+ */
+export function formatRunTime(date) {
+  return new Date(date).toLocaleString(undefined, { timeZone: SCHEDULE_TIME_ZONE });
+}
+
+/**
+ * Next time a schedule is due strictly after `from`: SCHEDULE_RUN_HOUR
+ * Lagos time on its next due Lagos day
+ * @param {Object} schedule - { frequency, day_of_week, day_of_month }
+ * @param {Date} [from] - Defaults to now
+ * @returns {Date}
+ */
+export function nextRunAt(schedule, from = new Date()) {
+  const day = toScheduleZone(from);
+  day.setUTCHours(SCHEDULE_RUN_HOUR, 0, 0, 0);
+
+  for (let i = 0; i < 400; i++) {
+    const candidate = new Date(day.getTime() - SCHEDULE_UTC_OFFSET);
+    if (candidate > from && isDueOn(schedule, day)) {
+      return candidate;
+    }
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+
+  throw new Error(`No run date for schedule ${JSON.stringify(schedule)}`);
+}
+
+// `day` is in toScheduleZone() form
+function isDueOn(schedule, day) {
+  switch (schedule.frequency) {
+    case 'daily':
+      return true;
+
+    case 'weekly':
+      return day.getUTCDay() === schedule.day_of_week;
+
+    case 'monthly': {
+      // Months without the day (e.g. the 31st) run on their last day
+      const lastDay = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+      return day.getUTCDate() === Math.min(schedule.day_of_month, lastDay);
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * "every month on the 1st", "every Friday", "every day"
+ * @param {Object} schedule - { frequency, day_of_week, day_of_month }
+ * @param {string} [language] - Language code
+ * @returns {string}
+ */
+export function describeSchedule(schedule, language = DEFAULT_LANGUAGE) {
+  switch (schedule.frequency) {
+    case 'weekly':
+      return translate(language, 'schedule.weekly', { day: translate(language, `schedule.weekday_${schedule.day_of_week}`) });
+    case 'monthly':
+      return translate(language, 'schedule.monthly', { day: schedule.day_of_month, ordinal: ordinal(schedule.day_of_month) });
+    default:
+      return translate(language, 'schedule.daily');
+  }
+}
+
+function ordinal(day) {
+  const suffix = day % 100 >= 11 && day % 100 <= 13
+    ? 'th'
+    : { 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th';
+  return `${day}${suffix}`;
+}
+
+/**
+ * Recurring transfers to saved beneficiaries.
+ *
+ * Schedules are created after the user confirms and enters their PIN.
+ * The leader runs due schedules through the same checks as a manual
+ * transfer (PIN-reset cool-down, limits, fee schedule) and TransferService,
+ * with an idempotency key per schedule and run date, and warns the user
+ * the day before each run. A failed run is reported and skipped; the
+ * schedule moves on to its next date.
+ */
+class ScheduledTransferService {
+  constructor(supabaseClient, transferService, idempotencyService, limitService, feeService, pinService, bot) {
+    this.supabase = supabaseClient;
+    this.transfers = transferService;
+    this.idempotency = idempotencyService;
+    this.limits = limitService;
+    this.fees = feeService;
+    this.pins = pinService;
+    this.bot = bot;
+  }
+
+  /**
+   * Save a new schedule
+   * @param {Object} user - User row
+   * @param {Object} data - { amount, beneficiary, schedule: { frequency, day_of_week, day_of_month } }
+   * @returns {Promise<Object>} { success, message }
+   */
+  async create(user, { amount, beneficiary, schedule }) {
+    const language = languageOf(user);
+    const nextRun = nextRunAt(schedule);
+
+    const { error } = await this.supabase
+      .from('scheduled_transfers')
+      .insert([{
+        user_id: user.id,
+        beneficiary_id: beneficiary.id,
+        amount,
+        frequency: schedule.frequency,
+        day_of_week: schedule.frequency === 'weekly' ? schedule.day_of_week : null,
+        day_of_month: schedule.frequency === 'monthly' ? schedule.day_of_month : null,
+        next_run_at: nextRun.toISOString()
+      }]);
+
+    if (error) {
+      console.error('❌ [SCHEDULE] Failed to create schedule:', error);
+      return { success: false, message: translate(language, 'schedule.save_failed') };
+    }
+
+    console.log(`🗓️  [SCHEDULE] User ${user.id} scheduled ₦${amount.toLocaleString()} to ${beneficiary.id} ${describeSchedule(schedule)}`);
+
+    return {
+      success: true,
+      message: translate(language, 'schedule.created', {
+        amount: amount.toLocaleString(),
+        name: beneficiary.account_name,
+        nickname: beneficiary.nickname,
+        when: describeSchedule(schedule, language),
+        first: formatRunTime(nextRun)
+      })
+    };
+  }
+
+  /**
+   * A user's active and paused schedules, oldest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async list(userId) {
+    const { data, error } = await this.supabase
+      .from('scheduled_transfers')
+      .select('*')
+      .eq('user_id', userId)
+      .neq('status', SCHEDULE_STATUS.CANCELLED)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(error.message || 'Failed to load schedules');
+    }
+
+    return this.attachBeneficiaries(data || []);
+  }
+
+  /**
+   * Add each schedule's beneficiary row as `beneficiary` (null if deleted)
+   */
+  async attachBeneficiaries(schedules) {
+    const ids = [...new Set(schedules.map(schedule => schedule.beneficiary_id))];
+    if (ids.length === 0) return schedules;
+
+    const { data, error } = await this.supabase
+      .from('beneficiaries')
+      .select('id, nickname, account_name, account_number, bank_name')
+      .in('id', ids);
+
+    if (error) {
+      throw new Error(error.message || 'Failed to load beneficiaries');
+    }
+
+    const byId = new Map((data || []).map(beneficiary => [beneficiary.id, beneficiary]));
+    return schedules.map(schedule => ({ ...schedule, beneficiary: byId.get(schedule.beneficiary_id) || null }));
+  }
+
+  /**
+   * Pause, resume or cancel one of the user's schedules
+   * @param {string} userId - Owner, checked against the schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} status - SCHEDULE_STATUS value
+   * @param {string} [language] - Language code for the reply
+   * @returns {Promise<Object>} { success, message }
+   */
+  async setStatus(userId, scheduleId, status, language = DEFAULT_LANGUAGE) {
+    const changes = { status };
+
+    // A resumed schedule picks up from its next date after today
+    if (status === SCHEDULE_STATUS.ACTIVE) {
+      const { data: schedule } = await this.supabase
+        .from('scheduled_transfers')
+        .select('frequency, day_of_week, day_of_month')
+        .eq('id', scheduleId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (schedule) {
+        changes.next_run_at = nextRunAt(schedule).toISOString();
+      }
+    }
+
+    const { data, error } = await this.supabase
+      .from('scheduled_transfers')
+      .update(changes)
+      .eq('id', scheduleId)
+      .eq('user_id', userId)
+      .neq('status', SCHEDULE_STATUS.CANCELLED)
+      .select()
+      .maybeSingle();
+
+    if (error || !data) {
+      console.error('❌ [SCHEDULE] Failed to update schedule:', error?.message || 'not found');
+      return { success: false, message: translate(language, 'schedule.update_failed') };
+    }
+
+    const verb = { active: 'resumed', paused: 'paused', cancelled: 'cancelled' }[status];
+    console.log(`🗓️  [SCHEDULE] ${scheduleId} ${verb}`);
+
+    return {
+      success: true,
+      message: translate(language, `schedule.${verb}`) +
+        (status === SCHEDULE_STATUS.ACTIVE ? ` ${translate(language, 'schedule.next_transfer', { date: formatRunTime(data.next_run_at) })}` : '')
+    };
+  }
+
+  /**
+   * Warn users about tomorrow's transfers, then run the ones that are due.
+   * Run by the leader.
+   */
+  async processSchedules() {
+    await this.sendNotices();
+    await this.runDue();
+  }
+
+  async sendNotices() {
+    const { data: upcoming, error } = await this.supabase
+      .from('scheduled_transfers')
+      .select('*, users(telegram_chat_id, preferred_language, detected_language)')
+      .eq('status', SCHEDULE_STATUS.ACTIVE)
+      .gt('next_run_at', new Date().toISOString())
+      .lte('next_run_at', new Date(Date.now() + NOTICE_WINDOW).toISOString());
+
+    if (error) {
+      console.error('❌ [SCHEDULE] Notice lookup failed:', error);
+      return;
+    }
+
+    for (const schedule of await this.attachBeneficiaries(upcoming || [])) {
+      if (schedule.notified_run_at && new Date(schedule.notified_run_at).getTime() === new Date(schedule.next_run_at).getTime()) {
+        continue;
+      }
+
+      const chatId = schedule.users?.telegram_chat_id;
+      if (chatId && schedule.beneficiary) {
+        await this.notify(chatId, translate(languageOf(schedule.users), 'schedule.notice', {
+          amount: parseFloat(schedule.amount).toLocaleString(),
+          name: schedule.beneficiary.account_name,
+          nickname: schedule.beneficiary.nickname,
+          date: formatRunTime(schedule.next_run_at)
+        }));
+      }
+
+      await this.update(schedule.id, { notified_run_at: schedule.next_run_at });
+    }
+  }
+
+  async runDue() {
+    const { data: due, error } = await this.supabase
+      .from('scheduled_transfers')
+      .select('*')
+      .eq('status', SCHEDULE_STATUS.ACTIVE)
+      .lte('next_run_at', new Date().toISOString());
+
+    if (error) {
+      console.error('❌ [SCHEDULE] Due lookup failed:', error);
+      return;
+    }
+
+    for (const schedule of due || []) {
+      try {
+        await this.runSchedule(schedule);
+      } catch (runError) {
+        console.error(`❌ [SCHEDULE] Run of ${schedule.id} failed:`, runError);
+      }
+    }
+  }
+
+  /**
+   * Execute one due run and move the schedule to its next date
+   * @param {Object} schedule - scheduled_transfers row
+   */
+  async runSchedule(schedule) {
+    const runAt = schedule.next_run_at;
+
+    // Advance first, conditional on the run we read, so only one instance runs it
+    const { data: claimed } = await this.supabase
+      .from('scheduled_transfers')
+      .update({ next_run_at: nextRunAt(schedule, new Date(Math.max(Date.now(), new Date(runAt).getTime()))).toISOString() })
+      .eq('id', schedule.id)
+      .eq('next_run_at', runAt)
+      .select('id')
+      .maybeSingle();
+
+    if (!claimed) return;
+
+    const [{ data: user }, { data: beneficiary }] = await Promise.all([
+      this.supabase.from('users').select('*').eq('id', schedule.user_id).maybeSingle(),
+      this.supabase.from('beneficiaries').select('*').eq('id', schedule.beneficiary_id).eq('user_id', schedule.user_id).maybeSingle()
+    ]);
+
+    if (!user) return;
+
+    const language = languageOf(user);
+
+    if (!beneficiary) {
+      await this.update(schedule.id, {
+        status: SCHEDULE_STATUS.CANCELLED,
+        last_run_at: new Date().toISOString(),
+        last_status: 'failed',
+        last_error: 'Beneficiary no longer exists'
+      });
+      await this.notify(user.telegram_chat_id, translate(language, 'schedule.beneficiary_removed', {
+        amount: parseFloat(schedule.amount).toLocaleString()
+      }));
+      return;
+    }
+
+    const amount = parseFloat(schedule.amount);
+    const label = translate(language, 'schedule.label', {
+      amount: amount.toLocaleString(),
+      name: beneficiary.account_name,
+      nickname: beneficiary.nickname
+    });
+    const result = await this.execute(user, beneficiary, amount, `scheduled:${schedule.id}:${runAt}`)
+      .catch(error => {
+        console.error(`❌ [SCHEDULE] Transfer for ${schedule.id} failed:`, error);
+        return { success: false, message: translate(language, 'transfer.failed_support') };
+      });
+
+    await this.update(schedule.id, {
+      last_run_at: new Date().toISOString(),
+      last_status: result.success ? 'completed' : 'failed',
+      last_reference: result.reference || null,
+      last_error: result.success ? null : result.message
+    });
+
+    await this.notify(user.telegram_chat_id,
+      translate(language, result.success ? 'schedule.ran' : 'schedule.run_failed', { label, message: result.message }));
+  }
+
+  /**
+   * Run the transfer through the same checks as a manual one
+   * @returns {Promise<Object>} { success, message, reference }
+   */
+  async execute(user, beneficiary, amount, idempotencyKey) {
+    const language = languageOf(user);
+
+    if (this.pins.getTransferCooldown(user) > 0) {
+      return { success: false, message: translate(language, 'transfer.paused_after_reset') };
+    }
+
+    const limitCheck = await this.limits.checkTransactionLimits(user, amount);
+    if (!limitCheck.allowed) {
+      return { success: false, message: `❌ ${limitCheck.reason}` };
+    }
+
+    const feeQuote = await this.fees.quote(user, amount);
+    const transferData = { amount, beneficiary };
+
+    const { response, inProgress } = await this.idempotency.run(
+      idempotencyKey,
+      { scope: 'scheduled_transfer', userId: user.id, request: { transferData, feeQuote } },
+      () => this.transfers.initiateTransfer(user, transferData, feeQuote, { idempotencyKey })
+    );
+
+    if (inProgress) {
+      return { success: false, message: translate(language, 'transfer.in_progress') };
+    }
+
+    return response;
+  }
+
+  async update(scheduleId, fields) {
+    const { error } = await this.supabase
+      .from('scheduled_transfers')
+      .update(fields)
+      .eq('id', scheduleId);
+
+    if (error) {
+      console.error(`❌ [SCHEDULE] Failed to update ${scheduleId}:`, error);
+    }
+  }
+
+  async notify(chatId, message) {
+    if (!chatId) return;
+
+    try {
+      await this.bot.sendMessage(chatId, message);
+    } catch (error) {
+      console.error('❌ [SCHEDULE] Notification failed:', error.message);
+    }
+  }
+}
+
+export default ScheduledTransferService;
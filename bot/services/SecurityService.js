@@ -0,0 +1,127 @@
+import { SESSION_NAMESPACES } from '../stores/index.js';
+
+export const SECURITY_CONFIG = {
+  MAX_REQUESTS_PER_MINUTE: 20,
+  MAX_FAILED_ATTEMPTS: 5,
+  LOCKOUT_DURATION: 15 * 60 * 1000,
+  SESSION_TIMEOUT: 5 * 60 * 1000
+};
+
+const RATE_LIMIT_WINDOW = 60000;
+
+/**
+ * Rate limits, PIN lockouts and confirmation sessions. Transfer limits
+ * are per user; see LimitService.
+ *
+ * All state lives in the session store (SESSION_STORE) so a restart or a
+ * second instance sees the same sessions and lockouts.
+ * Rate-limit and PIN failure counts use the store's atomic increment, so
+ * parallel requests can't overwrite each other's count.
+ */
+class SecurityService {
+  constructor(sessionStore, supabaseClient, config = SECURITY_CONFIG) {
+    this.store = sessionStore;
+    this.supabase = supabaseClient;
+    this.config = config;
+  }
+
+  /**
+   * Count a request against the chat's per-minute window
+   * @param {string} chatId - Telegram chat ID
+   * @returns {Promise<boolean>} false if the chat is over the limit
+   */
+  async checkRateLimit(chatId) {
+    const window = await this.store.increment(SESSION_NAMESPACES.RATE_LIMIT, chatId, RATE_LIMIT_WINDOW);
+    return window.count <= this.config.MAX_REQUESTS_PER_MINUTE;
+  }
+
+  async isUserLockedOut(userId) {
+    const attempts = await this.store.get(SESSION_NAMESPACES.FAILED_ATTEMPTS, userId);
+    return Boolean(attempts) && attempts.count >= this.config.MAX_FAILED_ATTEMPTS;
+  }
+
+  /**
+   * Record a wrong PIN. The count lives until LOCKOUT_DURATION passes
+   * without a new failure, so a user at MAX_FAILED_ATTEMPTS stays locked
+   * until then.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { count, lockUntil } - lockUntil is 0 while not locked
+   */
+  async recordFailedAttempt(userId) {
+    const { count, expiresAt } = await this.store.increment(
+      SESSION_NAMESPACES.FAILED_ATTEMPTS,
+      userId,
+      this.config.LOCKOUT_DURATION,
+      { extend: true }
+    );
+    return { count, lockUntil: count >= this.config.MAX_FAILED_ATTEMPTS ? expiresAt : 0 };
+  }
+
+  async clearFailedAttempts(userId) {
+    await this.store.delete(SESSION_NAMESPACES.FAILED_ATTEMPTS, userId);
+  }
+
+  getSession(chatId) {
+    return this.store.get(SESSION_NAMESPACES.SESSION, chatId);
+  }
+
+  setSession(chatId, session) {
+    return this.store.set(SESSION_NAMESPACES.SESSION, chatId, session, this.config.SESSION_TIMEOUT);
+  }
+
+  clearSession(chatId) {
+    return this.store.delete(SESSION_NAMESPACES.SESSION, chatId);
+  }
+
+  getConversationContext(chatId) {
+    return this.store.get(SESSION_NAMESPACES.CONTEXT, chatId);
+  }
+
+  setConversationContext(chatId, context) {
+    return this.store.set(SESSION_NAMESPACES.CONTEXT, chatId, context, this.config.SESSION_TIMEOUT);
+  }
+
+  clearConversationContext(chatId) {
+    return this.store.delete(SESSION_NAMESPACES.CONTEXT, chatId);
+  }
+
+  /**
+   * Session statistics for /admin_stats
+   * @returns {Promise<Object>} Counts per namespace
+   */
+  async getStats() {
+    const lockouts = await this.store.values(SESSION_NAMESPACES.FAILED_ATTEMPTS);
+
+    return {
+      activeUsers: await this.store.count(SESSION_NAMESPACES.RATE_LIMIT),
+      activeSessions: await this.store.count(SESSION_NAMESPACES.SESSION),
+      conversationContexts: await this.store.count(SESSION_NAMESPACES.CONTEXT),
+      lockedUsers: lockouts.filter(a => a.count >= this.config.MAX_FAILED_ATTEMPTS).length
+    };
+  }
+
+  /**
+   * Log a security event
+   * @param {string|null} userId - User ID
+   * @param {string} eventType - Event type
+   * @param {Object} details - Event details
+   */
+  async logEvent(userId, eventType, details) {
+    try {
+      await this.supabase
+        .from('security_logs')
+        .insert([{
+          user_id: userId,
+          event_type: eventType,
+          details: JSON.stringify(details),
+          ip_address: 'telegram_bot',
+          user_agent: 'telegram_bot',
+          created_at: new Date().toISOString()
+        }]);
+    } catch (error) {
+      console.error('Security logging error:', error);
+    }
+  }
+}
+
+export default SecurityService;
@@ -0,0 +1,798 @@
+import fs from 'fs';
+import Helpers from '../utils/helpers.js';
+import { DEFAULT_LANGUAGE, languageOf, translate } from './LanguageService.js';
+
+/**
+ * Transfer states as stored in `transactions.status`.
+ * `completed` is the success state used by every other transaction type.
+ */
+export const TRANSFER_STATES = {
+  PENDING: 'pending',
+  OTP: 'otp',
+  PROCESSING: 'processing',
+  SUCCESS: 'completed',
+  FAILED: 'failed',
+  REVERSED: 'reversed'
+};
+
+/**
+ * Allowed transitions: pending → otp → processing → success / failed / reversed.
+ * Webhooks can arrive out of order, so intermediate states may be skipped,
+ * and Paystack may reverse a transfer after reporting success.
+ */
+export const TRANSFER_TRANSITIONS = {
+  [TRANSFER_STATES.PENDING]: [TRANSFER_STATES.OTP, TRANSFER_STATES.PROCESSING, TRANSFER_STATES.SUCCESS, TRANSFER_STATES.FAILED, TRANSFER_STATES.REVERSED],
+  [TRANSFER_STATES.OTP]: [TRANSFER_STATES.PROCESSING, TRANSFER_STATES.SUCCESS, TRANSFER_STATES.FAILED],
+  [TRANSFER_STATES.PROCESSING]: [TRANSFER_STATES.SUCCESS, TRANSFER_STATES.FAILED, TRANSFER_STATES.REVERSED],
+  [TRANSFER_STATES.SUCCESS]: [TRANSFER_STATES.REVERSED],
+  [TRANSFER_STATES.FAILED]: [],
+  [TRANSFER_STATES.REVERSED]: []
+};
+
+// Open transfers older than this are checked against Paystack
+const RECONCILE_AFTER = 15 * 60 * 1000;
+
+const PAYSTACK_FAILED_STATUSES = ['failed', 'abandoned', 'blocked', 'rejected'];
+
+/**
+ * Whether Paystack answered and refused a transfer request. A timeout,
+ * reset connection or 5xx says nothing about whether the transfer was
+ * created, and a 409 conflict may mean it already exists.
+ * @param {Error} error - Axios error from PaystackService
+ * @returns {boolean}
+ */
+export function isDefinitiveRejection(error) {
+  const status = error.response?.status;
+  return Boolean(error.response?.data) && status >= 400 && status < 500 && status !== 408 && status !== 409;
+}
+
+/**
+ * Outgoing bank transfer pipeline.
+ *
+ * 1. Resolve the destination account and create a Paystack transfer recipient
+ * 2. Debit the wallet (amount + fee) through the ledger
+ * 3. Record the transaction as `pending` and initiate the Paystack transfer
+ *    with our own reference (→ `otp` if the integration requires one,
+ *    otherwise → `processing`)
+ * 4. The `transfer.success` / `transfer.failed` / `transfer.reversed`
+ *    webhooks finalize the row; the receipt is only sent on success and
+ *    failed or reversed transfers are refunded
+ * 5. Rows still open after RECONCILE_AFTER (initiation timed out, the
+ *    process stopped, a webhook was lost) are settled from Paystack's
+ *    verify endpoint by reconcileOpenTransfers()
+ */
+class TransferService {
+  constructor(paystackService, ledgerService, beneficiaryService, receiptService, supabaseClient, bot) {
+    this.paystack = paystackService;
+    this.ledger = ledgerService;
+    this.beneficiary = beneficiaryService;
+    this.receipts = receiptService;
+    this.supabase = supabaseClient;
+    this.bot = bot;
+  }
+
+  /**
+   * Start a transfer for a confirmed, PIN-verified request
+   * @param {Object} user - User row
+   * @param {Object} transferData - Confirmation data from WalletWorkflowService
+   * @param {Object} feeQuote - FeeService quote shown at confirmation: { fee, rule }
+   * @param {Object} [options] - { idempotencyKey } makes the reference deterministic
+   * @returns {Promise<Object>} { success, message, reference, newBalance }
+   */
+  async initiateTransfer(user, transferData, feeQuote, { idempotencyKey } = {}) {
+    const amount = parseFloat(transferData.amount);
+    const serviceFee = feeQuote.fee;
+    const totalAmount = amount + serviceFee;
+    const language = languageOf(user);
+
+    const prepared = await this.prepareDestination(transferData, language);
+    if (!prepared.success) {
+      return prepared;
+    }
+
+    const { destination, recipientCode } = prepared;
+    const reference = Helpers.generateReference('QW', idempotencyKey);
+    const description = `Transfer to ${destination.label}`;
+
+    // Balance check and debit happen atomically in the database
+    let newBalance;
+    try {
+      const debit = await this.ledger.debitForTransfer(user.id, amount, serviceFee, reference, {
+        description,
+        metadata: { recipient_code: recipientCode, idempotency_key: idempotencyKey || null }
+      });
+
+      if (debit.duplicate) {
+        return {
+          success: false,
+          reference,
+          message: translate(language, 'transfer.already_submitted', { reference })
+        };
+      }
+
+      newBalance = debit.newBalance;
+    } catch (debitError) {
+      if (debitError.code === 'INSUFFICIENT_FUNDS') {
+        return {
+          success: false,
+          message: translate(language, 'transfer.insufficient', {
+            balance: debitError.balance.toLocaleString(),
+            required: totalAmount.toLocaleString()
+          })
+        };
+      }
+      throw debitError;
+    }
+
+    const started = await this.recordAndInitiate(user, { destination, recipientCode, amount, feeQuote, reference, description });
+
+    if (!started.success) {
+      const refundBalance = started.refund?.newBalance;
+      return {
+        success: false,
+        message: translate(language, 'transfer.not_started', { reason: started.reason }) + '\n\n' +
+                 (refundBalance !== undefined && refundBalance !== null
+                   ? translate(language, 'transfer.returned_balance', { total: totalAmount.toLocaleString(), balance: refundBalance.toLocaleString() })
+                   : translate(language, 'transfer.returned', { total: totalAmount.toLocaleString() }))
+      };
+    }
+
+    return {
+      success: true,
+      reference,
+      newBalance,
+      message: translate(language, 'transfer.processing', {
+        amount: amount.toLocaleString(),
+        name: destination.accountName,
+        accountNumber: destination.accountNumber,
+        bankName: destination.bankName,
+        reference,
+        fee: Helpers.formatFee(serviceFee, feeQuote.rule, language),
+        balance: newBalance.toLocaleString(),
+        next: translate(language, started.awaitingOtp ? 'transfer.awaiting_otp' : 'transfer.receipt_soon')
+      })
+    };
+  }
+
+  /**
+   * Send one amount split across several saved beneficiaries. Every leg
+   * is resolved first and the wallet is debited for all legs together,
+   * so either every leg is paid for or nothing is debited; each leg is
+   * then its own transfer with its own receipt or refund.
+   * @param {Object} user - User row
+   * @param {Array<Object>} legs - { amount, beneficiary }
+   * @param {Array<Object>} feeQuotes - FeeService quotes shown at confirmation, one per leg
+   * @param {Object} [options] - { idempotencyKey } makes the leg references deterministic
+   * @returns {Promise<Object>} { success, message, reference, newBalance }
+   */
+  async initiateSplitTransfer(user, legs, feeQuotes, { idempotencyKey } = {}) {
+    const language = languageOf(user);
+    const prepared = [];
+
+    for (const [index, leg] of legs.entries()) {
+      const result = await this.prepareDestination(leg, language);
+      if (!result.success) {
+        return { success: false, message: `${result.message}\n\n${translate(language, 'transfer.nothing_sent')}` };
+      }
+
+      prepared.push({
+        ...result,
+        amount: parseFloat(leg.amount),
+        feeQuote: feeQuotes[index],
+        reference: Helpers.generateReference('QW', idempotencyKey ? `${idempotencyKey}:${index}` : null),
+        description: `Split transfer to ${result.destination.label}`
+      });
+    }
+
+    const totalAmount = prepared.reduce((sum, leg) => sum + leg.amount + leg.feeQuote.fee, 0);
+
+    let newBalance;
+    try {
+      const debit = await this.ledger.debitForSplit(user.id, prepared.map(leg => ({
+        reference: leg.reference,
+        amount: leg.amount,
+        fee: leg.feeQuote.fee,
+        description: leg.description,
+        metadata: { recipient_code: leg.recipientCode }
+      })), {
+        metadata: { idempotency_key: idempotencyKey || null, split_legs: prepared.length }
+      });
+
+      if (debit.duplicate) {
+        return {
+          success: false,
+          reference: prepared[0].reference,
+          message: translate(language, 'transfer.split_already_submitted', { reference: prepared[0].reference })
+        };
+      }
+
+      newBalance = debit.newBalance;
+    } catch (debitError) {
+      if (debitError.code === 'INSUFFICIENT_FUNDS') {
+        return {
+          success: false,
+          message: translate(language, 'transfer.insufficient', {
+            balance: debitError.balance.toLocaleString(),
+            required: totalAmount.toLocaleString()
+          }) + `\n\n${translate(language, 'transfer.nothing_sent')}`
+        };
+      }
+      throw debitError;
+    }
+
+    const lines = [];
+    let started = 0;
+
+    for (const leg of prepared) {
+      let result;
+      try {
+        result = await this.recordAndInitiate(user, leg);
+      } catch (error) {
+        console.error(`❌ [TRANSFER] Split leg ${leg.reference} failed:`, error.message);
+        result = { success: false, reason: translate(language, 'transfer.not_recorded') };
+      }
+
+      if (result.refund?.newBalance !== undefined && result.refund?.newBalance !== null) {
+        newBalance = result.refund.newBalance;
+      }
+
+      const label = `₦${leg.amount.toLocaleString()} → ${leg.destination.accountName} (${leg.destination.label})`;
+      if (result.success) {
+        started++;
+        lines.push(`${result.awaitingOtp ? '🔐' : '⏳'} ${label}\n   🔖 ${leg.reference} · 💳 ${Helpers.formatFee(leg.feeQuote.fee, leg.feeQuote.rule, language)}`);
+      } else {
+        lines.push(`❌ ${label}\n   ${translate(language, 'transfer.leg_failed', { reason: result.reason })}`);
+      }
+    }
+
+    console.log(`🔀 [TRANSFER] Split for user ${user.id}: ${started}/${prepared.length} legs started`);
+
+    return {
+      success: started > 0,
+      reference: prepared[0].reference,
+      newBalance,
+      message: `${translate(language, started === prepared.length ? 'transfer.split_processing' : 'transfer.split_partial')}\n\n` +
+               `${lines.join('\n\n')}\n\n` +
+               `${translate(language, 'transfer.new_balance', { balance: newBalance.toLocaleString() })}\n\n` +
+               translate(language, started > 0 ? 'transfer.split_receipts' : 'transfer.split_refunded')
+    };
+  }
+
+  /**
+   * Resolve a destination and its Paystack recipient code
+   * @param {Object} transferData - Beneficiary, image or free-text transfer data
+   * @param {string} [language] - Language code for the error message
+   * @returns {Promise<Object>} { success, destination, recipientCode } or { success: false, message }
+   */
+  async prepareDestination(transferData, language = DEFAULT_LANGUAGE) {
+    const resolved = await this.resolveDestination(transferData, language);
+    if (!resolved.success) {
+      return resolved;
+    }
+
+    const destination = resolved.destination;
+
+    try {
+      const recipientCode = await this.getRecipientCode(destination);
+      return { success: true, destination, recipientCode };
+    } catch (error) {
+      console.error('❌ [TRANSFER] Recipient creation failed:', error.response?.data || error.message);
+      return {
+        success: false,
+        message: translate(language, 'transfer.recipient_failed', { name: destination.accountName })
+      };
+    }
+  }
+
+  /**
+   * Record an already-debited transfer as `pending` and initiate it with
+   * Paystack. A transfer Paystack rejects is failed and refunded; one whose
+   * outcome is unknown stays open for reconciliation.
+   * @returns {Promise<Object>} { success: true, awaitingOtp } or { success: false, reason, refund }
+   * @throws If the transaction row can't be written (the debit is refunded first)
+   */
+  async recordAndInitiate(user, { destination, recipientCode, amount, feeQuote, reference, description }) {
+    const { data: transaction, error: txnError } = await this.supabase
+      .from('transactions')
+      .insert([{
+        user_id: user.id,
+        type: 'transfer',
+        amount,
+        service_fee: feeQuote.fee,
+        fee_rule: feeQuote.rule,
+        recipient_account: destination.accountNumber,
+        recipient_name: destination.accountName,
+        description,
+        reference,
+        status: 'pending',
+        metadata: {
+          recipient_code: recipientCode,
+          bank_code: destination.bankCode,
+          bank_name: destination.bankName
+        }
+      }])
+      .select()
+      .single();
+
+    if (txnError) {
+      // Put the money back so the wallet matches what the user can see
+      await this.ledger.refundTransfer(user.id, amount, feeQuote.fee, reference, {
+        metadata: { failure_reason: 'Transaction record failed' }
+      });
+      throw txnError;
+    }
+
+    let transfer;
+    try {
+      transfer = await this.paystack.initiateTransfer({
+        source: 'balance',
+        amount: Math.round(amount * 100), // Convert to kobo
+        recipient: recipientCode,
+        reason: description,
+        currency: 'NGN',
+        reference
+      });
+    } catch (error) {
+      const reason = error.response?.data?.message || error.message;
+
+      if (!isDefinitiveRejection(error)) {
+        // Paystack may have accepted it; refunding now could pay out twice
+        console.error(`⚠️  [TRANSFER] Outcome of ${reference} unknown, leaving it for reconciliation:`, reason);
+        await this.holdForReconciliation(transaction, reason);
+        return { success: true, awaitingOtp: false };
+      }
+
+      console.error(`❌ [TRANSFER] Paystack rejected ${reference}:`, reason);
+
+      const refund = await this.failTransfer(reference, reason, { notify: false });
+      return { success: false, reason, refund };
+    }
+
+    let updated = null;
+    try {
+      updated = await this.applyInitiationStatus(transaction, transfer);
+    } catch (statusError) {
+      // The transfer is with Paystack; its webhook or reconciliation settles the row
+      console.error(`❌ [TRANSFER] Failed to record Paystack status for ${reference}:`, statusError.message);
+    }
+
+    console.log(`🚀 [TRANSFER] Initiated ${reference} (${transfer.data?.status})`);
+
+    return { success: true, awaitingOtp: updated?.status === TRANSFER_STATES.OTP };
+  }
+
+  /**
+   * Mark a transfer whose initiation outcome is unknown as `processing`,
+   * so reconcileTransfer() settles it once Paystack knows
+   * @param {Object} txn - Transaction row
+   * @param {string} reason - Why the outcome is unknown
+   */
+  async holdForReconciliation(txn, reason) {
+    try {
+      await this.transition(txn, TRANSFER_STATES.PROCESSING, {
+        metadata: { initiation_error: reason }
+      });
+    } catch (error) {
+      // Still `pending`, which reconciliation picks up as well
+      console.error(`❌ [TRANSFER] Failed to hold ${txn.reference} for reconciliation:`, error.message);
+    }
+  }
+
+  /**
+   * Settle transfers that have been open longer than RECONCILE_AFTER from
+   * Paystack's verify endpoint. Run by the leader.
+   */
+  async reconcileOpenTransfers() {
+    const { data: open, error } = await this.supabase
+      .from('transactions')
+      .select('reference')
+      .eq('type', 'transfer')
+      .in('status', [TRANSFER_STATES.PENDING, TRANSFER_STATES.PROCESSING])
+      .lt('created_at', new Date(Date.now() - RECONCILE_AFTER).toISOString())
+      .order('created_at', { ascending: true })
+      .limit(100);
+
+    if (error) {
+      console.error('❌ [TRANSFER] Open transfer lookup failed:', error);
+      return;
+    }
+
+    for (const { reference } of open || []) {
+      try {
+        await this.reconcileTransfer(reference);
+      } catch (reconcileError) {
+        console.error(`❌ [TRANSFER] Reconciliation failed for ${reference}:`, reconcileError.message);
+      }
+    }
+  }
+
+  /**
+   * Apply the status Paystack reports for one transfer
+   * @param {string} reference - Our transfer reference
+   * @returns {Promise<Object|null>} Result of the settling call, or null if still open
+   */
+  async reconcileTransfer(reference) {
+    let transfer;
+    try {
+      transfer = (await this.paystack.verifyTransfer(reference)).data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        // Paystack never created it, so nothing left the balance
+        return this.failTransfer(reference, 'Transfer was not received by Paystack');
+      }
+      throw error;
+    }
+
+    if (transfer?.status === 'success') {
+      return this.completeTransfer(reference, transfer);
+    }
+
+    if (PAYSTACK_FAILED_STATUSES.includes(transfer?.status)) {
+      return this.failTransfer(reference, `Paystack reported the transfer ${transfer.status}`);
+    }
+
+    if (transfer?.status === 'reversed') {
+      return this.reverseTransfer(reference);
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalise the different confirmation payloads into one destination
+   * @param {Object} transferData - Beneficiary, image or free-text transfer data
+   * @param {string} [language] - Language code for the error message
+   * @returns {Promise<Object>} { success, destination } or { success: false, message }
+   */
+  async resolveDestination(transferData, language = DEFAULT_LANGUAGE) {
+    const { beneficiary } = transferData;
+
+    if (beneficiary) {
+      return {
+        success: true,
+        destination: {
+          accountNumber: beneficiary.account_number,
+          accountName: beneficiary.account_name,
+          bankCode: beneficiary.bank_code,
+          bankName: beneficiary.bank_name,
+          label: beneficiary.nickname || beneficiary.account_name,
+          beneficiaryId: beneficiary.id,
+          recipientCode: beneficiary.paystack_recipient_code || null
+        }
+      };
+    }
+
+    const accountNumber = transferData.accountNumber || transferData.account_number;
+    let bankCode = transferData.bankCode || transferData.bank_code;
+    let bankName = transferData.bankName || transferData.bank_name;
+    let accountName = transferData.accountName;
+
+    if (!bankCode) {
+      if (!bankName) {
+        return {
+          success: false,
+          message: translate(language, 'transfer.bank_missing', { accountNumber })
+        };
+      }
+
+      const bank = await this.beneficiary.findBankByName(bankName);
+      if (!bank) {
+        return {
+          success: false,
+          message: translate(language, 'transfer.bank_unknown', { bank: bankName })
+        };
+      }
+
+      bankCode = bank.code;
+      bankName = bank.name;
+    }
+
+    if (!accountName) {
+      try {
+        const resolved = await this.paystack.resolveAccountNumber(accountNumber, bankCode);
+        accountName = resolved.data?.account_name;
+      } catch (error) {
+        return {
+          success: false,
+          message: translate(language, 'transfer.account_unverified', { accountNumber, bank: bankName, reason: error.message })
+        };
+      }
+    }
+
+    return {
+      success: true,
+      destination: {
+        accountNumber,
+        accountName,
+        bankCode,
+        bankName,
+        label: transferData.recipient_name || accountName || accountNumber,
+        beneficiaryId: null,
+        recipientCode: null
+      }
+    };
+  }
+
+  /**
+   * Get (and cache on the beneficiary) the Paystack recipient code
+   */
+  async getRecipientCode(destination) {
+    if (destination.recipientCode) {
+      return destination.recipientCode;
+    }
+
+    const recipient = await this.paystack.createTransferRecipient({
+      type: 'nuban',
+      name: destination.accountName,
+      account_number: destination.accountNumber,
+      bank_code: destination.bankCode,
+      currency: 'NGN'
+    });
+
+    const recipientCode = recipient.data?.recipient_code;
+    if (!recipientCode) {
+      throw new Error(recipient.message || 'No recipient code returned');
+    }
+
+    if (destination.beneficiaryId) {
+      await this.supabase
+        .from('beneficiaries')
+        .update({ paystack_recipient_code: recipientCode })
+        .eq('id', destination.beneficiaryId);
+    }
+
+    return recipientCode;
+  }
+
+  /**
+   * Move a transfer to its next state. The update is conditional on the
+   * current status, so concurrent webhook deliveries cannot both win.
+   * @param {Object} txn - Transaction row (with current status)
+   * @param {string} nextState - One of TRANSFER_STATES
+   * @param {Object} [patch] - Extra columns; `metadata` is merged
+   * @returns {Promise<Object|null>} Updated row, or null if not allowed / lost the race
+   */
+  async transition(txn, nextState, patch = {}) {
+    const allowed = TRANSFER_TRANSITIONS[txn.status] || [];
+
+    if (!allowed.includes(nextState)) {
+      console.log(`⚠️  [TRANSFER] ${txn.reference}: ${txn.status} → ${nextState} not allowed, ignoring`);
+      return null;
+    }
+
+    const { data, error } = await this.supabase
+      .from('transactions')
+      .update({
+        ...patch,
+        status: nextState,
+        metadata: {
+          ...txn.metadata,
+          ...patch.metadata,
+          state_history: [
+            ...(txn.metadata?.state_history || []),
+            { from: txn.status, to: nextState, at: new Date().toISOString() }
+          ]
+        }
+      })
+      .eq('id', txn.id)
+      .eq('status', txn.status)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      console.log(`⚠️  [TRANSFER] ${txn.reference}: status changed concurrently, skipping ${nextState}`);
+      return null;
+    }
+
+    console.log(`🔁 [TRANSFER] ${txn.reference}: ${txn.status} → ${nextState}`);
+    return data;
+  }
+
+  /**
+   * Record the status Paystack returned when the transfer was initiated
+   */
+  async applyInitiationStatus(txn, transfer) {
+    const paystackStatus = transfer.data?.status;
+    const patch = {
+      paystack_transfer_code: transfer.data?.transfer_code || null,
+      metadata: { paystack_status: paystackStatus || null }
+    };
+
+    if (paystackStatus === 'otp') {
+      return this.transition(txn, TRANSFER_STATES.OTP, patch);
+    }
+
+    if (paystackStatus === 'success') {
+      // The transfer.success webhook sends the receipt. Keep the recipient,
+      // bank, batch and history details, and don't touch a row it already settled.
+      const { error } = await this.supabase
+        .from('transactions')
+        .update({ ...patch, metadata: { ...txn.metadata, ...patch.metadata } })
+        .eq('id', txn.id)
+        .eq('status', txn.status);
+
+      if (error) throw error;
+      return txn;
+    }
+
+    return this.transition(txn, TRANSFER_STATES.PROCESSING, patch);
+  }
+
+  /**
+   * Complete a transfer that is waiting for the integration OTP
+   * @param {string} reference - Our transfer reference
+   * @param {string} otp - OTP Paystack sent to the business phone/email
+   * @returns {Promise<Object>} { success, message, status }
+   */
+  async finalizeTransfer(reference, otp) {
+    const txn = await this.findTransfer(reference);
+    if (!txn) {
+      return { success: false, message: 'Transfer not found' };
+    }
+
+    if (txn.status !== TRANSFER_STATES.OTP) {
+      return { success: false, message: `Transfer is ${txn.status}, not awaiting OTP` };
+    }
+
+    try {
+      const result = await this.paystack.finalizeTransfer(txn.paystack_transfer_code, otp);
+
+      const updated = await this.transition(txn, TRANSFER_STATES.PROCESSING, {
+        metadata: { paystack_status: result.data?.status || null, otp_finalized_at: new Date().toISOString() }
+      });
+
+      return {
+        success: true,
+        message: result.message || 'Transfer finalized',
+        status: updated?.status || txn.status
+      };
+    } catch (error) {
+      const reason = error.response?.data?.message || error.message;
+      console.error(`❌ [TRANSFER] OTP finalization failed for ${reference}:`, reason);
+      return { success: false, message: reason, status: txn.status };
+    }
+  }
+
+  /**
+   * Finalize a transfer Paystack reported as successful and send the receipt
+   * @param {string} reference - Our transfer reference
+   * @param {Object} [data] - Webhook payload
+   */
+  async completeTransfer(reference, data = {}) {
+    const txn = await this.findTransfer(reference);
+    if (!txn) return null;
+
+    const transaction = await this.transition(txn, TRANSFER_STATES.SUCCESS, {
+      completed_at: new Date().toISOString(),
+      metadata: { paystack_status: data.status || 'success' }
+    });
+
+    if (!transaction) return txn;
+
+    // Bulk payout rows are reported together by BulkTransferService
+    if (transaction.batch_id) return transaction;
+
+    const chatId = txn.users.telegram_chat_id;
+    if (chatId && this.bot) {
+      try {
+        const language = languageOf(txn.users);
+        const receiptPath = await this.receipts.generateReceipt(transaction, txn.users);
+
+        await this.bot.sendMessage(chatId, translate(language, 'transfer.success', {
+          amount: parseFloat(transaction.amount).toLocaleString(),
+          name: transaction.recipient_name || translate(language, 'transfer.recipient'),
+          accountNumber: transaction.recipient_account,
+          reference,
+          fee: Helpers.formatFee(transaction.service_fee, transaction.fee_rule, language)
+        }));
+
+        await this.bot.sendDocument(chatId, receiptPath, {
+          caption: translate(language, 'transfer.receipt_caption')
+        });
+
+        fs.unlinkSync(receiptPath);
+      } catch (notifError) {
+        console.error('❌ [TRANSFER] Receipt delivery failed:', notifError.message);
+      }
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Mark a transfer failed and refund amount + fee to the wallet
+   * @param {string} reference - Our transfer reference
+   * @param {string} reason - Failure reason
+   * @param {Object} [options] - { notify } send the user a Telegram message
+   * @returns {Promise<Object|null>} { newBalance, refundAmount } or null
+   */
+  async failTransfer(reference, reason, { notify = true } = {}) {
+    return this.refundWithState(reference, TRANSFER_STATES.FAILED, reason || 'Unknown error', notify);
+  }
+
+  /**
+   * Mark a transfer reversed by the bank and refund amount + fee to the wallet
+   * @param {string} reference - Our transfer reference
+   * @param {string} reason - Reversal reason
+   * @returns {Promise<Object|null>} { newBalance, refundAmount } or null
+   */
+  async reverseTransfer(reference, reason) {
+    return this.refundWithState(reference, TRANSFER_STATES.REVERSED, reason || 'Transfer reversed by bank', true);
+  }
+
+  async refundWithState(reference, nextState, reason, notify) {
+    const txn = await this.findTransfer(reference);
+    if (!txn) return null;
+
+    if (!(TRANSFER_TRANSITIONS[txn.status] || []).includes(nextState)) {
+      console.log(`⚠️  [TRANSFER] ${reference}: ${txn.status} → ${nextState} not allowed, not refunding`);
+      return null;
+    }
+
+    const amount = parseFloat(txn.amount);
+    const fee = parseFloat(txn.service_fee || 0);
+    const refundAmount = amount + fee;
+
+    // Refund before recording the terminal state. The refund is idempotent on
+    // the reference, so if either step fails the next webhook or reconciliation
+    // retries both, and a row never looks refunded while the money is missing.
+    const { newBalance, duplicate } = await this.ledger.refundTransfer(txn.users.id, amount, fee, reference, {
+      metadata: { failure_reason: reason, state: nextState }
+    });
+
+    if (duplicate) {
+      console.log(`⚠️  [TRANSFER] Refund already posted: ${reference}`);
+    }
+
+    // Only the delivery that records the state tells the user
+    const updated = await this.transition(txn, nextState, {
+      metadata: {
+        failure_reason: reason,
+        refunded: true,
+        refund_amount: refundAmount
+      }
+    });
+
+    if (!updated) return null;
+
+    if (notify && !txn.batch_id && txn.users.telegram_chat_id && this.bot) {
+      // Plain text: the reason comes from Paystack and may break Markdown
+      const language = languageOf(txn.users);
+      const balance = newBalance ?? await this.ledger.getWalletBalance(txn.users.id);
+
+      await this.bot.sendMessage(
+        txn.users.telegram_chat_id,
+        translate(language, 'transfer.refunded', {
+          title: translate(language, nextState === TRANSFER_STATES.REVERSED ? 'transfer.reversed_title' : 'transfer.failed_title'),
+          amount: amount.toLocaleString(),
+          reason,
+          refund: refundAmount.toLocaleString(),
+          balance: balance.toLocaleString()
+        })
+      );
+    }
+
+    console.log(`✅ [TRANSFER] Refunded ₦${refundAmount.toLocaleString()} for ${reference} (${nextState})`);
+
+    return { newBalance, refundAmount };
+  }
+
+  async findTransfer(reference) {
+    const { data: txn } = await this.supabase
+      .from('transactions')
+      .select('*, users!inner(*)')
+      .eq('reference', reference)
+      .eq('type', 'transfer')
+      .maybeSingle();
+
+    if (!txn) {
+      console.error(`❌ [TRANSFER] Transaction not found: ${reference}`);
+    }
+
+    return txn;
+  }
+}
+
+export default TransferService;
@@ -0,0 +1,204 @@
+import Helpers from '../utils/helpers.js';
+import { languageOf, translate } from './LanguageService.js';
+
+/**
+ * Transfers between QuickWallet users.
+ *
+ * The recipient is found by virtual account number, phone number or
+ * @username. Settlement is a single ledger entry from the sender's wallet
+ * to the recipient's, so it is instant and fee-free; both sides get a
+ * `completed` transaction row and a Telegram message.
+ */
+class WalletTransferService {
+  constructor(ledgerService, supabaseClient, bot) {
+    this.ledger = ledgerService;
+    this.supabase = supabaseClient;
+    this.bot = bot;
+  }
+
+  /**
+   * Find the registered user a send is addressed to
+   * @param {Object} destination - { account_number, phone_number, telegram_username }
+   * @returns {Promise<Object|null>} User row
+   */
+  async findRecipient({ account_number, phone_number, telegram_username } = {}) {
+    const lookups = [];
+
+    if (account_number) {
+      lookups.push(['virtual_account_number', String(account_number)]);
+    }
+
+    const phone = Helpers.normalizePhoneNumber(phone_number);
+    if (phone) {
+      lookups.push(['phone_normalized', phone]);
+    }
+
+    if (telegram_username) {
+      lookups.push(['telegram_username', telegram_username.replace(/^@/, '').toLowerCase()]);
+    }
+
+    for (const [column, value] of lookups) {
+      const { data, error } = await this.supabase
+        .from('users')
+        .select('id, first_name, last_name, virtual_account_number, telegram_chat_id, telegram_username')
+        .eq(column, value)
+        .maybeSingle();
+
+      if (error) {
+        console.error(`❌ [WALLET_TRANSFER] Recipient lookup by ${column} failed:`, error.message);
+        continue;
+      }
+
+      if (data) return data;
+    }
+
+    return null;
+  }
+
+  /**
+   * Recipient details carried through the confirmation session
+   * @param {Object} recipient - User row
+   * @returns {Object} { id, name, accountNumber, username }
+   */
+  describeRecipient(recipient) {
+    return {
+      id: recipient.id,
+      name: `${recipient.first_name} ${recipient.last_name}`.trim(),
+      accountNumber: recipient.virtual_account_number,
+      username: recipient.telegram_username || null
+    };
+  }
+
+  /**
+   * Move money to another user's wallet
+   * @param {Object} sender - Sending user row
+   * @param {Object} walletRecipient - describeRecipient() result from the confirmation
+   * @param {number} amount - Amount in naira
+   * @param {Object} [options] - { idempotencyKey } makes the reference deterministic;
+   *   { note } is shown to the recipient (e.g. a payment request's note)
+   * @returns {Promise<Object>} { success, message, reference, newBalance }
+   */
+  async transfer(sender, walletRecipient, amount, { idempotencyKey, note } = {}) {
+    amount = parseFloat(amount);
+    const language = languageOf(sender);
+
+    if (walletRecipient.id === sender.id) {
+      return { success: false, message: translate(language, 'wallet.self_send') };
+    }
+
+    const reference = this.referenceFor(idempotencyKey);
+    const senderName = `${sender.first_name} ${sender.last_name}`.trim();
+
+    let result;
+    try {
+      result = await this.ledger.transferBetweenWallets(sender.id, walletRecipient.id, amount, reference, {
+        description: `Wallet transfer to ${walletRecipient.name}`,
+        metadata: { sender_id: sender.id, recipient_id: walletRecipient.id, idempotency_key: idempotencyKey || null }
+      });
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_FUNDS') {
+        return {
+          success: false,
+          message: translate(language, 'transfer.insufficient', {
+            balance: error.balance.toLocaleString(),
+            required: amount.toLocaleString()
+          })
+        };
+      }
+      throw error;
+    }
+
+    if (result.duplicate) {
+      return {
+        success: false,
+        reference,
+        message: translate(language, 'transfer.already_submitted', { reference })
+      };
+    }
+
+    const { error: txnError } = await this.supabase
+      .from('transactions')
+      .insert([
+        {
+          user_id: sender.id,
+          type: 'transfer',
+          amount,
+          service_fee: 0,
+          recipient_account: walletRecipient.accountNumber,
+          recipient_name: walletRecipient.name,
+          description: `Wallet transfer to ${walletRecipient.name}`,
+          reference,
+          status: 'completed',
+          metadata: { internal: true, counterparty_id: walletRecipient.id }
+        },
+        {
+          user_id: walletRecipient.id,
+          type: 'credit',
+          amount,
+          service_fee: 0,
+          recipient_account: sender.virtual_account_number,
+          recipient_name: senderName,
+          description: `Wallet transfer from ${senderName}`,
+          reference: `${reference}:in`,
+          status: 'completed',
+          metadata: { internal: true, counterparty_id: sender.id }
+        }
+      ]);
+
+    if (txnError) {
+      // The ledger entry is the source of truth; the rows are history only
+      console.error(`❌ [WALLET_TRANSFER] Failed to record ${reference}:`, txnError);
+    }
+
+    console.log(`⚡ [WALLET_TRANSFER] ${reference}: ₦${amount.toLocaleString()} ${sender.id} → ${walletRecipient.id}`);
+
+    await this.notifyRecipient(walletRecipient.id, senderName, amount, result.recipientBalance, reference, note);
+
+    return {
+      success: true,
+      reference,
+      newBalance: result.newBalance,
+      message: translate(language, 'wallet.success', {
+        amount: amount.toLocaleString(),
+        name: walletRecipient.name,
+        reference,
+        balance: result.newBalance.toLocaleString()
+      })
+    };
+  }
+
+  /**
+   * Reference transfer() posts under for an idempotency key
+   * @param {string|null} idempotencyKey - Key from the confirmation
+   * @returns {string}
+   */
+  referenceFor(idempotencyKey) {
+    return Helpers.generateReference('QWW', idempotencyKey);
+  }
+
+  async notifyRecipient(recipientId, senderName, amount, balance, reference, note = null) {
+    const { data: recipient } = await this.supabase
+      .from('users')
+      .select('telegram_chat_id, preferred_language, detected_language')
+      .eq('id', recipientId)
+      .maybeSingle();
+
+    if (!recipient?.telegram_chat_id || !this.bot) return;
+
+    const language = languageOf(recipient);
+
+    try {
+      await this.bot.sendMessage(recipient.telegram_chat_id, translate(language, 'wallet.received', {
+        amount: amount.toLocaleString(),
+        sender: senderName,
+        note: note ? `${translate(language, 'wallet.for', { note })}\n` : '',
+        reference,
+        balance: Number.isFinite(balance) ? translate(language, 'transfer.new_balance', { balance: balance.toLocaleString() }) : ''
+      }));
+    } catch (error) {
+      console.error(`❌ [WALLET_TRANSFER] Failed to notify recipient of ${reference}:`, error.message);
+    }
+  }
+}
+
+export default WalletTransferService;
@@ -1,9 +1,62 @@
+import { describeSchedule, formatRunTime, nextRunAt, toScheduleZone } from './ScheduledTransferService.js';
+import { extractAmount } from '../utils/amountParser.js';
+import { DEFAULT_LANGUAGE, translate, readAnswer } from './LanguageService.js';
+import { needsClarification } from '../utils/intentSchema.js';
+
+/**
+ * Divide a split transfer between its recipients. Exact amounts are kept;
+ * what's left of the total is shared by ratio (equally if none is given).
+ * Works in kobo so the legs always add up to the total.
+ * @param {number|null} total - Total to split; may be omitted if every recipient has an amount
+ * @param {Array<Object>} recipients - { amount, share }
+ * @param {string} [language] - Language code for the error
+ * @returns {Object} { amounts } or { error }
+ */
+export function splitAmount(total, recipients, language = DEFAULT_LANGUAGE) {
+  const toKobo = value => Math.round(value * 100);
+  const fixed = recipients.reduce((sum, recipient) => sum + toKobo(recipient.amount || 0), 0);
+  const shared = recipients.filter(recipient => !recipient.amount);
+
+  if (shared.length === 0) {
+    if (total && toKobo(total) !== fixed) {
+      return { error: translate(language, 'split.mismatch', { sum: (fixed / 100).toLocaleString(), total: total.toLocaleString() }) };
+    }
+    return { amounts: recipients.map(recipient => recipient.amount) };
+  }
+
+  if (!total) {
+    return { error: translate(language, 'split.no_total') };
+  }
+
+  const remaining = toKobo(total) - fixed;
+  if (remaining <= 0) {
+    return { error: translate(language, 'split.used_up', { total: total.toLocaleString() }) };
+  }
+
+  // Whole naira unless the total has kobo; what doesn't divide evenly goes to the first legs
+  const unit = remaining % 100 === 0 ? 100 : 1;
+  const weights = shared.map(recipient => recipient.share || 1);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const parts = weights.map(weight => Math.floor(remaining / unit * weight / totalWeight) * unit);
+
+  let leftover = remaining - parts.reduce((sum, part) => sum + part, 0);
+  for (let i = 0; leftover > 0; i = (i + 1) % parts.length, leftover -= unit) {
+    parts[i] += unit;
+  }
+
+  let next = 0;
+  return {
+    amounts: recipients.map(recipient => recipient.amount || parts[next++] / 100)
+  };
+}
+
 class WalletWorkflowService {
-  constructor(nlpService, ocrService, paystackService, beneficiaryService) {
+  constructor(nlpService, ocrService, paystackService, beneficiaryService, walletTransferService) {
     this.nlp = nlpService;
     this.ocr = ocrService;
     this.paystack = paystackService;
     this.beneficiary = beneficiaryService;
+    this.walletTransfers = walletTransferService;
   }
 
   async processUserInput(userId, input) {
@@ -14,7 +67,7 @@ class WalletWorkflowService {
         case 'IMAGE':
           return await this.processImageInput(userId, input.imageUrl);
         case 'TEXT':
-          return await this.processTextInput(userId, input.message);
+          return await this.processTextInput(userId, input.message, input.language);
         default:
           return {
             success: false,
@@ -25,7 +78,7 @@ class WalletWorkflowService {
       console.error('Workflow processing error:', error);
       return {
         success: false,
-        message: "Sorry, I encountered an error. Please try again."
+        message: translate(input.language, 'workflow.error')
       };
     }
   }
@@ -109,7 +162,7 @@ class WalletWorkflowService {
                      `Would you like to:\n` +
                      `1️⃣ Send ₦${extractedInfo.amount.toLocaleString()} to this account?\n` +
                      `2️⃣ Save this account as a beneficiary?\n\n` +
-                     `Reply 'yes' to proceed with transfer or 'save as [nickname]' to add as beneficiary.`,
+                     `Tap ✅ Confirm to proceed with transfer or reply 'save as [nickname]' to add as beneficiary.`,
             action: 'CONFIRM_TRANSFER_FROM_IMAGE',
             data: {
               amount: extractedInfo.amount,
@@ -202,7 +255,11 @@ class WalletWorkflowService {
     }
   }
 
-  async processTextInput(userId, message) {
+  /**
+   * @param {string} [language] - Language to reply in; defaults to the one
+   *   the message was written in
+   */
+  async processTextInput(userId, message, language) {
     try {
       // Get user's beneficiaries for context
       const beneficiariesResult = await this.beneficiary.getBeneficiaries(userId);
@@ -210,48 +267,90 @@ class WalletWorkflowService {
 
       // Analyze message with NLP
       const intent = await this.nlp.processMessage(message);
-      
-      // Process based on intent
-      switch (intent.type) {
-        case 'FUND_WALLET':
-          return await this.handleFundWallet(userId, intent);
-        
-        case 'SEND_MONEY':
-          return await this.handleSendMoney(userId, intent, beneficiaries);
-        
-        case 'SEND_TO_BENEFICIARY':
-          return await this.handleSendToBeneficiary(userId, intent, beneficiaries);
-        
-        case 'ADD_BENEFICIARY':
-          return await this.handleAddBeneficiary(userId, intent);
-        
-        case 'LIST_BENEFICIARIES':
-          return await this.handleListBeneficiaries(userId, beneficiaries);
-        
-        case 'CHECK_BALANCE':
-          return await this.handleCheckBalance(userId);
-        
-        case 'TRANSACTION_HISTORY':
-          return await this.handleTransactionHistory(userId);
-        
-        default:
-          return await this.handleGeneralChat(userId, message, { beneficiaries });
+      intent.language = language || intent.language || DEFAULT_LANGUAGE;
+
+      // An unsure guess at moving money is asked about rather than acted on
+      if (needsClarification(intent)) {
+        return await this.handleClarification(userId, intent);
       }
 
+      return await this.dispatchIntent(userId, intent, beneficiaries, message);
+
     } catch (error) {
       console.error('Text processing error:', error);
       return {
         success: false,
-        message: "I couldn't understand your request. Please try again or contact support."
+        message: translate(language, 'workflow.not_understood')
       };
     }
   }
 
+  /**
+   * Run the handler for an analysed intent
+   */
+  async dispatchIntent(userId, intent, beneficiaries, message) {
+    // Process based on intent
+    switch (intent.type) {
+      case 'FUND_WALLET':
+        return await this.handleFundWallet(userId, intent);
+      
+      case 'SEND_MONEY':
+        return await this.handleSendMoney(userId, intent, beneficiaries);
+      
+      case 'SEND_TO_BENEFICIARY':
+        return await this.handleSendToBeneficiary(userId, intent, beneficiaries);
+      
+      case 'REQUEST_MONEY':
+        return await this.handleRequestMoney(userId, intent);
+      
+      case 'SCHEDULE_TRANSFER':
+        return await this.handleScheduleTransfer(userId, intent, beneficiaries);
+      
+      case 'SPLIT_TRANSFER':
+        return await this.handleSplitTransfer(userId, intent, beneficiaries);
+      
+      case 'ADD_BENEFICIARY':
+        return await this.handleAddBeneficiary(userId, intent);
+      
+      case 'LIST_BENEFICIARIES':
+        return await this.handleListBeneficiaries(userId, beneficiaries);
+      
+      case 'CHECK_BALANCE':
+        return await this.handleCheckBalance(userId, intent.language);
+      
+      case 'TRANSACTION_HISTORY':
+        return await this.handleTransactionHistory(userId, intent.language);
+      
+      default:
+        return await this.handleGeneralChat(userId, message, { beneficiaries, language: intent.language });
+    }
+  }
+
+  /**
+   * Ask "did you mean ...?" before acting on an unsure intent; the reply
+   * comes back to processFollowUp as CLARIFY_INTENT
+   */
+  async handleClarification(userId, intent) {
+    const recipient = intent.beneficiary_nickname || intent.recipient_name || intent.nickname ||
+      (intent.telegram_username && `@${intent.telegram_username.replace(/^@/, '')}`) || intent.phone_number || intent.account_number;
+    const details = [intent.amount && `₦${intent.amount.toLocaleString()}`, recipient].filter(Boolean);
+
+    return {
+      success: true,
+      message: translate(intent.language, 'clarify.question', {
+        action: translate(intent.language, `clarify.${intent.type}`),
+        details: details.length ? ` (${details.join(', ')})` : ''
+      }),
+      action: 'CLARIFY_INTENT',
+      data: { intent }
+    };
+  }
+
   async handleFundWallet(userId, intent) {
     const amount = intent.amount;
     const message = amount 
-      ? `You can fund your wallet with ₦${amount.toLocaleString()}. Use your dedicated account number for bank transfers, or use other funding methods in the app.`
-      : "I can help you fund your wallet! You can use bank transfer to your dedicated account number or other available funding methods.";
+      ? translate(intent.language, 'workflow.fund_amount', { amount: amount.toLocaleString() })
+      : translate(intent.language, 'workflow.fund');
     
     return {
       success: true,
@@ -262,14 +361,46 @@ class WalletWorkflowService {
   }
 
   async handleSendMoney(userId, intent, beneficiaries) {
-    const { amount, account_number, recipient_name, bank_name } = intent;
+    const { amount, account_number, phone_number, telegram_username, recipient_name, bank_name } = intent;
     
-    if (!amount || !account_number) {
+    if (!amount || !(account_number || phone_number || telegram_username)) {
       return {
         success: true,
-        message: "To send money, I need the amount and recipient's account number. Please provide the missing details.",
+        message: translate(intent.language, 'workflow.send_missing'),
         action: 'REQUEST_TRANSFER_DETAILS',
-        data: { amount, account_number, recipient_name, bank_name }
+        data: { amount, account_number, phone_number, telegram_username, recipient_name, bank_name }
+      };
+    }
+
+    // One of our own wallets: settle internally instead of going through a bank
+    const walletUser = await this.walletTransfers.findRecipient({ account_number, phone_number, telegram_username });
+
+    if (walletUser?.id === userId) {
+      return {
+        success: false,
+        message: translate(intent.language, 'wallet.own_wallet')
+      };
+    }
+
+    if (walletUser) {
+      const walletRecipient = this.walletTransfers.describeRecipient(walletUser);
+      return {
+        success: true,
+        message: translate(intent.language, 'wallet.confirm', {
+          amount: amount.toLocaleString(),
+          name: walletRecipient.name,
+          username: walletRecipient.username ? ` (@${walletRecipient.username})` : ''
+        }),
+        action: 'CONFIRM_WALLET_TRANSFER',
+        data: { amount, walletRecipient }
+      };
+    }
+
+    if (!account_number) {
+      const destination = telegram_username ? `@${telegram_username.replace(/^@/, '')}` : phone_number;
+      return {
+        success: false,
+        message: translate(intent.language, 'wallet.not_found', { destination })
       };
     }
 
@@ -279,7 +410,10 @@ class WalletWorkflowService {
     if (existingBeneficiary) {
       return {
         success: true,
-        message: `Send ₦${amount.toLocaleString()} to ${existingBeneficiary.account_name} (${existingBeneficiary.nickname})? ✅`,
+        message: translate(intent.language, 'workflow.confirm_send', {
+          amount: amount.toLocaleString(),
+          name: `${existingBeneficiary.account_name} (${existingBeneficiary.nickname})`
+        }),
         action: 'CONFIRM_TRANSFER_TO_BENEFICIARY',
         data: {
           amount,
@@ -290,19 +424,154 @@ class WalletWorkflowService {
 
     return {
       success: true,
-      message: `Send ₦${amount.toLocaleString()} to ${account_number}${recipient_name ? ` (${recipient_name})` : ''}? I'll verify the account details first.`,
+      message: translate(intent.language, 'workflow.confirm_new', {
+        amount: amount.toLocaleString(),
+        account: account_number,
+        name: recipient_name ? ` (${recipient_name})` : ''
+      }),
       action: 'CONFIRM_NEW_TRANSFER',
       data: { amount, account_number, recipient_name, bank_name }
     };
   }
 
+  async handleRequestMoney(userId, intent) {
+    const { amount, account_number, phone_number, telegram_username, note } = intent;
+
+    if (!amount || !(account_number || phone_number || telegram_username)) {
+      return {
+        success: true,
+        message: translate(intent.language, 'requests.missing')
+      };
+    }
+
+    const payerUser = await this.walletTransfers.findRecipient({ account_number, phone_number, telegram_username });
+
+    if (!payerUser) {
+      return {
+        success: false,
+        message: translate(intent.language, 'requests.not_found')
+      };
+    }
+
+    if (payerUser.id === userId) {
+      return { success: false, message: translate(intent.language, 'requests.self') };
+    }
+
+    const payer = this.walletTransfers.describeRecipient(payerUser);
+    return {
+      success: true,
+      message: translate(intent.language, 'requests.confirm', {
+        name: payer.name,
+        amount: amount.toLocaleString(),
+        note: note ? translate(intent.language, 'requests.ask_note', { note }) : ''
+      }),
+      action: 'CONFIRM_PAYMENT_REQUEST',
+      data: { amount, payer, note: note || null }
+    };
+  }
+
+  async handleScheduleTransfer(userId, intent, beneficiaries) {
+    const { amount, beneficiary_nickname, frequency } = intent;
+
+    if (!amount || !beneficiary_nickname || !frequency) {
+      return {
+        success: true,
+        message: translate(intent.language, 'schedule.missing')
+      };
+    }
+
+    const beneficiary = beneficiaries.find(b =>
+      b.nickname.toLowerCase().includes(beneficiary_nickname.toLowerCase())
+    );
+
+    if (!beneficiary) {
+      return {
+        success: false,
+        message: translate(intent.language, 'schedule.beneficiary_not_found', { name: beneficiary_nickname })
+      };
+    }
+
+    // "every month" / "every week" without a day start from today's (in Lagos)
+    const today = toScheduleZone();
+    const schedule = {
+      frequency,
+      day_of_week: frequency === 'weekly' ? intent.day_of_week ?? today.getUTCDay() : null,
+      day_of_month: frequency === 'monthly' ? intent.day_of_month ?? today.getUTCDate() : null
+    };
+
+    return {
+      success: true,
+      message: translate(intent.language, 'schedule.confirm', {
+        amount: amount.toLocaleString(),
+        name: beneficiary.account_name,
+        nickname: beneficiary.nickname,
+        when: describeSchedule(schedule, intent.language),
+        first: formatRunTime(nextRunAt(schedule))
+      }),
+      action: 'CONFIRM_SCHEDULE_TRANSFER',
+      data: { amount, beneficiary, schedule }
+    };
+  }
+
+  async handleSplitTransfer(userId, intent, beneficiaries) {
+    const recipients = intent.recipients || [];
+    const example = translate(intent.language, 'split.example');
+
+    if (recipients.length < 2) {
+      return {
+        success: true,
+        message: `${translate(intent.language, 'split.who')} ${example}`
+      };
+    }
+
+    const matched = recipients.map(recipient => ({
+      ...recipient,
+      beneficiary: beneficiaries.find(b => b.nickname.toLowerCase().includes(recipient.nickname))
+    }));
+
+    const missing = matched.filter(recipient => !recipient.beneficiary).map(recipient => `"${recipient.nickname}"`);
+    if (missing.length > 0) {
+      return {
+        success: false,
+        message: translate(intent.language, 'split.not_found', { names: missing.join(', ') }) + ' ' +
+                 (beneficiaries.length > 0
+                   ? translate(intent.language, 'split.saved', { names: beneficiaries.map(b => b.nickname).join(', ') })
+                   : translate(intent.language, 'split.save_first'))
+      };
+    }
+
+    const ids = matched.map(recipient => recipient.beneficiary.id);
+    if (new Set(ids).size !== ids.length) {
+      return { success: false, message: translate(intent.language, 'split.duplicate') };
+    }
+
+    const split = splitAmount(intent.amount, matched, intent.language);
+    if (split.error) {
+      return { success: false, message: `❌ ${split.error} ${example}` };
+    }
+
+    const legs = matched.map((recipient, index) => ({ amount: split.amounts[index], beneficiary: recipient.beneficiary }));
+    const total = Math.round(legs.reduce((sum, leg) => sum + leg.amount, 0) * 100) / 100;
+
+    return {
+      success: true,
+      message: translate(intent.language, 'split.confirm', {
+        total: total.toLocaleString(),
+        count: legs.length,
+        legs: legs.map(leg => `• ₦${leg.amount.toLocaleString()} → ${leg.beneficiary.account_name} (${leg.beneficiary.nickname})`).join('\n')
+      }),
+      action: 'CONFIRM_SPLIT_TRANSFER',
+      data: { amount: total, legs }
+    };
+  }
+
   async handleSendToBeneficiary(userId, intent, beneficiaries) {
     const { amount, beneficiary_nickname } = intent;
     
     if (!beneficiary_nickname) {
       return {
         success: true,
-        message: "Which beneficiary would you like to send money to?",
+        message: translate(intent.language, 'workflow.which_beneficiary'),
         action: 'LIST_BENEFICIARIES',
         data: { requestedAmount: amount }
       };
@@ -338,7 +607,7 @@ class WalletWorkflowService {
     if (!amount) {
       return {
         success: true,
-        message: `How much would you like to send to ${beneficiary.account_name} (${beneficiary.nickname})?`,
+        message: translate(intent.language, 'workflow.ask_amount', { name: `${beneficiary.account_name} (${beneficiary.nickname})` }),
         action: 'REQUEST_AMOUNT',
         data: { beneficiary }
       };
@@ -346,7 +615,10 @@ class WalletWorkflowService {
 
     return {
       success: true,
-      message: `Send ₦${amount.toLocaleString()} to ${beneficiary.account_name} (${beneficiary.nickname})? ✅`,
+      message: translate(intent.language, 'workflow.confirm_send', {
+        amount: amount.toLocaleString(),
+        name: `${beneficiary.account_name} (${beneficiary.nickname})`
+      }),
       action: 'CONFIRM_TRANSFER_TO_BENEFICIARY',
       data: { amount, beneficiary }
     };
@@ -358,7 +630,7 @@ class WalletWorkflowService {
     if (!account_number || !nickname) {
       return {
         success: true,
-        message: "To add a beneficiary, I need their account number and a nickname for them. You can also upload a bank statement image!",
+        message: translate(intent.language, 'workflow.add_missing'),
         action: 'REQUEST_BENEFICIARY_DETAILS',
         data: { account_number, recipient_name, bank_name, nickname }
       };
@@ -383,19 +655,19 @@ class WalletWorkflowService {
     };
   }
 
-  async handleCheckBalance(userId) {
+  async handleCheckBalance(userId, language = DEFAULT_LANGUAGE) {
     return {
       success: true,
-      message: "Let me check your wallet balance! 💳",
+      message: translate(language, 'workflow.check_balance'),
       action: 'CHECK_BALANCE',
       data: {}
     };
   }
 
-  async handleTransactionHistory(userId) {
+  async handleTransactionHistory(userId, language = DEFAULT_LANGUAGE) {
     return {
       success: true,
-      message: "Here's your recent transaction history! 📊",
+      message: translate(language, 'workflow.history'),
       action: 'SHOW_TRANSACTION_HISTORY',
       data: {}
     };
@@ -412,55 +684,6 @@ class WalletWorkflowService {
     };
   }
 
-  // Helper method to execute confirmed transfers
-  async executeTransfer(userId, transferData) {
-    try {
-      const { amount, beneficiary, accountNumber, accountName, bankCode } = transferData;
-      
-      // Initiate transfer via Paystack
-      const transfer = await this.paystack.initiateTransfer({
-        source: 'balance',
-        amount: amount * 100, // Convert to kobo
-        recipient: accountNumber,
-        reason: `Transfer to ${accountName || beneficiary?.account_name}`,
-        currency: 'NGN',
-        reference: `QW${Date.now()}${Math.floor(Math.random() * 1000)}`,
-        bank_code: bankCode || beneficiary?.bank_code
-      });
-
-      if (transfer.status && transfer.data) {
-        return {
-          success: true,
-          message: `✅ Transfer of ₦${amount.toLocaleString()} sent successfully to ${accountName || beneficiary?.account_name}!`,
-          action: 'TRANSFER_COMPLETED',
-          data: {
-            amount,
-            recipient: accountName || beneficiary?.account_name,
-            reference: transfer.data.reference,
-            timestamp: new Date().toISOString(),
-            transferCode: transfer.data.transfer_code
-          }
-        };
-      }
-
-      return {
-        success: false,
-        message: "Transfer could not be completed. Please try again.",
-        action: 'TRANSFER_FAILED',
-        data: { error: transfer.message }
-      };
-
-    } catch (error) {
-      console.error('Execute transfer error:', error);
-      return {
-        success: false,
-        message: `Transfer failed: ${error.message}. Please try again or contact support.`,
-        action: 'TRANSFER_FAILED',
-        data: { error: error.message }
-      };
-    }
-  }
-
   // Helper method to add confirmed beneficiary
   async executeAddBeneficiary(userId, beneficiaryData) {
     try {
@@ -492,21 +715,21 @@ class WalletWorkflowService {
   }
 
   // Method to handle conversation context and maintain state
-  async processFollowUp(userId, message, conversationContext) {
+  async processFollowUp(userId, message, conversationContext, language = DEFAULT_LANGUAGE) {
     try {
       const { lastAction, pendingData } = conversationContext;
 
       switch (lastAction) {
         case 'REQUEST_AMOUNT_FOR_VERIFIED_ACCOUNT':
           // User provided amount for verified account from image
-          const amountMatch = message.match(/(\d+(?:,\d+)*(?:\.\d{2})?)/);
-          if (amountMatch) {
-            const amount = parseFloat(amountMatch[1].replace(/,/g, ''));
+          const verifiedAmount = extractAmount(message);
+          if (verifiedAmount) {
+            const amount = verifiedAmount;
             
             if (amount < 100) {
               return {
                 success: false,
-                message: "❌ Amount too low. Minimum is ₦100. Please enter a valid amount.",
+                message: translate(language, 'workflow.amount_too_low'),
                 action: 'REQUEST_AMOUNT_FOR_VERIFIED_ACCOUNT',
                 data: pendingData
               };
@@ -514,9 +737,12 @@ class WalletWorkflowService {
             
             return {
               success: true,
-              message: `Send ₦${amount.toLocaleString()} to ${pendingData.accountName} (${pendingData.accountNumber})?\n\n` +
-                       `🏦 ${pendingData.bankName}\n\n` +
-                       `Reply 'yes' to confirm or 'no' to cancel.`,
+              message: translate(language, 'workflow.confirm_verified', {
+                amount: amount.toLocaleString(),
+                name: pendingData.accountName,
+                account: pendingData.accountNumber,
+                bank: pendingData.bankName
+              }),
               action: 'CONFIRM_TRANSFER_FROM_IMAGE',
               data: { 
                 amount, 
@@ -555,7 +781,7 @@ class WalletWorkflowService {
           } else {
             return {
               success: false,
-              message: "❌ Please enter a valid amount (numbers only) or 'save as [nickname]' to add as beneficiary.",
+              message: translate(language, 'workflow.invalid_amount_or_save'),
               action: 'REQUEST_AMOUNT_FOR_VERIFIED_ACCOUNT',
               data: pendingData
             };
@@ -564,7 +790,7 @@ class WalletWorkflowService {
         case 'REQUEST_TRANSFER_DETAILS':
           // User provided missing transfer details
           const updatedIntent = await this.nlp.processMessage(message);
-          const mergedData = { ...pendingData, ...updatedIntent };
+          const mergedData = { ...pendingData, ...updatedIntent, language };
           
           // Get beneficiaries for context
           const beneficiariesResult = await this.beneficiary.getBeneficiaries(userId);
@@ -574,14 +800,14 @@ class WalletWorkflowService {
 
         case 'REQUEST_AMOUNT':
           // User provided amount for beneficiary transfer
-          const beneficiaryAmountMatch = message.match(/(\d+(?:,\d+)*(?:\.\d{2})?)/);
-          if (beneficiaryAmountMatch) {
-            const amount = parseFloat(beneficiaryAmountMatch[1].replace(/,/g, ''));
+          const beneficiaryAmount = extractAmount(message);
+          if (beneficiaryAmount) {
+            const amount = beneficiaryAmount;
             
             if (amount < 100) {
               return {
                 success: false,
-                message: "❌ Amount too low. Minimum is ₦100. Please enter a valid amount.",
+                message: translate(language, 'workflow.amount_too_low'),
                 action: 'REQUEST_AMOUNT',
                 data: pendingData
               };
@@ -589,17 +815,20 @@ class WalletWorkflowService {
             
             return {
               success: true,
-              message: `Send ₦${amount.toLocaleString()} to ${pendingData.beneficiary.account_name} (${pendingData.beneficiary.nickname})?\n\n` +
-                       `🏦 ${pendingData.beneficiary.bank_name}\n` +
-                       `📱 ${pendingData.beneficiary.account_number}\n\n` +
-                       `Reply 'yes' to confirm.`,
+              message: translate(language, 'workflow.confirm_beneficiary', {
+                amount: amount.toLocaleString(),
+                name: pendingData.beneficiary.account_name,
+                nickname: pendingData.beneficiary.nickname,
+                bank: pendingData.beneficiary.bank_name,
+                account: pendingData.beneficiary.account_number
+              }),
               action: 'CONFIRM_TRANSFER_TO_BENEFICIARY',
               data: { amount, beneficiary: pendingData.beneficiary }
             };
           } else {
             return {
               success: false,
-              message: "❌ Please enter a valid amount (numbers only).",
+              message: translate(language, 'workflow.invalid_amount'),
               action: 'REQUEST_AMOUNT',
               data: pendingData
             };
@@ -608,7 +837,7 @@ class WalletWorkflowService {
         case 'REQUEST_BENEFICIARY_DETAILS':
           // User provided missing beneficiary details
           const beneficiaryIntent = await this.nlp.processMessage(message);
-          const mergedBeneficiaryData = { ...pendingData, ...beneficiaryIntent };
+          const mergedBeneficiaryData = { ...pendingData, ...beneficiaryIntent, language };
           return await this.handleAddBeneficiary(userId, mergedBeneficiaryData);
 
         case 'BANK_NOT_FOUND':
@@ -673,7 +902,7 @@ class WalletWorkflowService {
           const manualIntent = await this.nlp.processMessage(message);
           
           if (manualIntent.account_number) {
-            return await this.handleAddBeneficiary(userId, manualIntent);
+            return await this.handleAddBeneficiary(userId, { ...manualIntent, language });
           } else {
             return {
               success: false,
@@ -684,9 +913,35 @@ class WalletWorkflowService {
             };
           }
 
+        case 'CLARIFY_INTENT':
+          // User answered "did you mean ...?"
+          const answer = readAnswer(message);
+
+          if (answer === 'yes') {
+            const clarifiedBeneficiaries = await this.beneficiary.getBeneficiaries(userId);
+            return await this.dispatchIntent(
+              userId,
+              { ...pendingData.intent, language, confidence: 1 },
+              clarifiedBeneficiaries.beneficiaries || [],
+              message
+            );
+          }
+
+          if (answer === 'no') {
+            return {
+              success: true,
+              message: translate(language, 'clarify.declined'),
+              action: 'GENERAL_RESPONSE',
+              data: {}
+            };
+          }
+
+          // Anything else is a new request, e.g. the same thing said more clearly
+          return await this.processTextInput(userId, message, language);
+
         default:
           // No specific context, process as new input
-          return await this.processTextInput(userId, message);
+          return await this.processTextInput(userId, message, language);
       }
 
     } catch (error) {
@@ -712,12 +967,8 @@ class WalletWorkflowService {
         };
       }
 
+      // Transfers are confirmed with a PIN and executed by TransferService
       switch (action) {
-        case 'CONFIRM_TRANSFER_FROM_IMAGE':
-        case 'CONFIRM_TRANSFER_TO_BENEFICIARY':
-        case 'CONFIRM_NEW_TRANSFER':
-          return await this.executeTransfer(userId, data);
-
         case 'CONFIRM_ADD_BENEFICIARY':
           return await this.executeAddBeneficiary(userId, data);
 
@@ -0,0 +1,80 @@
+import SessionStore from './SessionStore.js';
+
+/**
+ * In-process session store. State is lost on restart; use it for local
+ * development only.
+ */
+class MemorySessionStore extends SessionStore {
+  constructor() {
+    super();
+    this.entries = new Map();
+  }
+
+  async get(namespace, key) {
+    const entry = this.entries.get(this.entryKey(namespace, key));
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(this.entryKey(namespace, key));
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(namespace, key, value, ttlMs) {
+    this.entries.set(this.entryKey(namespace, key), {
+      namespace,
+      value,
+      expiresAt: Date.now() + ttlMs
+    });
+  }
+
+  // No await between the read and the write, so this can't interleave
+  async increment(namespace, key, ttlMs, { extend = false } = {}) {
+    const now = Date.now();
+    const entry = this.entries.get(this.entryKey(namespace, key));
+    const live = entry && entry.expiresAt > now;
+    const count = live ? (entry.value.count || 0) + 1 : 1;
+    const expiresAt = live && !extend ? entry.expiresAt : now + ttlMs;
+
+    this.entries.set(this.entryKey(namespace, key), {
+      namespace,
+      value: { ...(live ? entry.value : {}), count },
+      expiresAt
+    });
+
+    return { count, expiresAt };
+  }
+
+  async delete(namespace, key) {
+    this.entries.delete(this.entryKey(namespace, key));
+  }
+
+  async values(namespace) {
+    const now = Date.now();
+    return Array.from(this.entries.values())
+      .filter(entry => entry.namespace === namespace && entry.expiresAt > now)
+      .map(entry => entry.value);
+  }
+
+  async purgeExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [entryKey, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(entryKey);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  entryKey(namespace, key) {
+    return `${namespace}:${key}`;
+  }
+}
+
+export default MemorySessionStore;
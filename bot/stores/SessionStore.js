@@ -0,0 +1,91 @@
+/**
+ * Namespaces used by the bot. Each namespace is an independent key space.
+ */
+export const SESSION_NAMESPACES = {
+  SESSION: 'session',               // pending confirmation / PIN state per chat
+  CONTEXT: 'context',               // conversation follow-up context per chat
+  RATE_LIMIT: 'rate_limit',         // request window per chat
+  FAILED_ATTEMPTS: 'failed_attempts', // PIN failures and lockouts per user
+  PIN_RECOVERY: 'pin_recovery'      // forgotten-PIN OTP and attempts per user
+};
+
+/**
+ * Key/value store for bot state that must outlive a single process.
+ *
+ * Every entry has a TTL; expired entries are never returned and are
+ * removed by `purgeExpired()`. Values must be JSON-serialisable.
+ * Implementations: MemorySessionStore (tests/local dev) and
+ * SupabaseSessionStore (survives restarts and redeploys).
+ */
+class SessionStore {
+  /**
+   * Get a live entry
+   * @param {string} namespace - One of SESSION_NAMESPACES
+   * @param {string|number} key - Chat or user ID
+   * @returns {Promise<Object|null>} Stored value
+   */
+  async get(namespace, key) {
+    throw new Error(`${this.constructor.name}.get() not implemented`);
+  }
+
+  /**
+   * Store an entry
+   * @param {string} namespace - One of SESSION_NAMESPACES
+   * @param {string|number} key - Chat or user ID
+   * @param {Object} value - JSON-serialisable value
+   * @param {number} ttlMs - Time to live in milliseconds
+   */
+  async set(namespace, key, value, ttlMs) {
+    throw new Error(`${this.constructor.name}.set() not implemented`);
+  }
+
+  /**
+   * Atomically add one to an entry's `count`, starting a new entry at 1
+   * if there is no live one. Concurrent increments never lose a count.
+   * @param {string} namespace - One of SESSION_NAMESPACES
+   * @param {string|number} key - Chat or user ID
+   * @param {number} ttlMs - Time to live of a new entry in milliseconds
+   * @param {Object} [options] - { extend } restarts the TTL on every increment
+   * @returns {Promise<Object>} { count, expiresAt } - expiresAt in epoch ms
+   */
+  async increment(namespace, key, ttlMs, { extend = false } = {}) {
+    throw new Error(`${this.constructor.name}.increment() not implemented`);
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} namespace - One of SESSION_NAMESPACES
+   * @param {string|number} key - Chat or user ID
+   */
+  async delete(namespace, key) {
+    throw new Error(`${this.constructor.name}.delete() not implemented`);
+  }
+
+  /**
+   * List live values in a namespace
+   * @param {string} namespace - One of SESSION_NAMESPACES
+   * @returns {Promise<Array<Object>>} Values
+   */
+  async values(namespace) {
+    throw new Error(`${this.constructor.name}.values() not implemented`);
+  }
+
+  /**
+   * Count live entries in a namespace
+   * @param {string} namespace - One of SESSION_NAMESPACES
+   * @returns {Promise<number>} Entry count
+   */
+  async count(namespace) {
+    return (await this.values(namespace)).length;
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purgeExpired() {
+    throw new Error(`${this.constructor.name}.purgeExpired() not implemented`);
+  }
+}
+
+export default SessionStore;
@@ -0,0 +1,124 @@
+import SessionStore from './SessionStore.js';
+
+/**
+ * Session store backed by the `bot_sessions` table, so pending
+ * confirmations and PIN lockouts survive restarts and redeploys.
+ */
+class SupabaseSessionStore extends SessionStore {
+  constructor(supabaseClient) {
+    super();
+    this.supabase = supabaseClient;
+  }
+
+  async get(namespace, key) {
+    const { data, error } = await this.supabase
+      .from('bot_sessions')
+      .select('value')
+      .eq('namespace', namespace)
+      .eq('key', String(key))
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) {
+      console.error(`❌ [SESSION] Failed to read ${namespace}:${key}:`, error);
+      throw new Error(error.message || 'Failed to read session');
+    }
+
+    return data?.value ?? null;
+  }
+
+  async set(namespace, key, value, ttlMs) {
+    const now = Date.now();
+
+    const { error } = await this.supabase
+      .from('bot_sessions')
+      .upsert({
+        namespace,
+        key: String(key),
+        value,
+        expires_at: new Date(now + ttlMs).toISOString(),
+        updated_at: new Date(now).toISOString()
+      }, { onConflict: 'namespace,key' });
+
+    if (error) {
+      console.error(`❌ [SESSION] Failed to write ${namespace}:${key}:`, error);
+      throw new Error(error.message || 'Failed to write session');
+    }
+  }
+
+  async increment(namespace, key, ttlMs, { extend = false } = {}) {
+    const { data, error } = await this.supabase.rpc('increment_bot_session', {
+      p_namespace: namespace,
+      p_key: String(key),
+      p_ttl_ms: Math.round(ttlMs),
+      p_extend: extend
+    });
+
+    if (error) {
+      console.error(`❌ [SESSION] Failed to increment ${namespace}:${key}:`, error);
+      throw new Error(error.message || 'Failed to increment session');
+    }
+
+    return { count: data.count, expiresAt: new Date(data.expires_at).getTime() };
+  }
+
+  async delete(namespace, key) {
+    const { error } = await this.supabase
+      .from('bot_sessions')
+      .delete()
+      .eq('namespace', namespace)
+      .eq('key', String(key));
+
+    if (error) {
+      console.error(`❌ [SESSION] Failed to delete ${namespace}:${key}:`, error);
+      throw new Error(error.message || 'Failed to delete session');
+    }
+  }
+
+  async values(namespace) {
+    const { data, error } = await this.supabase
+      .from('bot_sessions')
+      .select('value')
+      .eq('namespace', namespace)
+      .gt('expires_at', new Date().toISOString());
+
+    if (error) {
+      console.error(`❌ [SESSION] Failed to list ${namespace}:`, error);
+      throw new Error(error.message || 'Failed to list sessions');
+    }
+
+    return (data || []).map(row => row.value);
+  }
+
+  async count(namespace) {
+    const { count, error } = await this.supabase
+      .from('bot_sessions')
+      .select('key', { count: 'exact', head: true })
+      .eq('namespace', namespace)
+      .gt('expires_at', new Date().toISOString());
+
+    if (error) {
+      console.error(`❌ [SESSION] Failed to count ${namespace}:`, error);
+      throw new Error(error.message || 'Failed to count sessions');
+    }
+
+    return count || 0;
+  }
+
+  async purgeExpired() {
+    const { data, error } = await this.supabase
+      .from('bot_sessions')
+      .delete()
+      .lte('expires_at', new Date().toISOString())
+      .select('key');
+
+    if (error) {
+      console.error('❌ [SESSION] Purge failed:', error);
+      return 0;
+    }
+
+    return data?.length || 0;
+  }
+}
+
+export default SupabaseSessionStore;
@@ -0,0 +1,26 @@
+import MemorySessionStore from './MemorySessionStore.js';
+import SupabaseSessionStore from './SupabaseSessionStore.js';
+
+export { SESSION_NAMESPACES } from './SessionStore.js';
+export { default as SessionStore } from './SessionStore.js';
+export { MemorySessionStore, SupabaseSessionStore };
+
+/**
+ * Create the session store selected by SESSION_STORE ('supabase' or 'memory')
+ * @param {Object} supabaseClient - Supabase client
+ * @param {string} [type] - Overrides SESSION_STORE
+ * @returns {SessionStore} Session store
+ */
+export function createSessionStore(supabaseClient, type = process.env.SESSION_STORE || 'supabase') {
+  switch (type) {
+    case 'memory':
+      console.log('⚠️  [SESSION] Using in-memory session store; sessions and lockouts reset on restart');
+      return new MemorySessionStore();
+
+    case 'supabase':
+      return new SupabaseSessionStore(supabaseClient);
+
+    default:
+      throw new Error(`Unknown SESSION_STORE: ${type}`);
+  }
+}
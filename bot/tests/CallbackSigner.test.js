@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CallbackSigner from '../commands/CallbackSigner.js';
+
+const signer = new CallbackSigner('test-secret');
+
+test('requires a secret', () => {
+  assert.throws(() => new CallbackSigner(''), /requires a secret/);
+});
+
+test('verifies data it signed for the same chat', () => {
+  const data = signer.sign('c', ['y', 'abc123'], 42);
+
+  assert.match(data, /^c:y:abc123:[\w-]{16}$/);
+  assert.deepEqual(signer.verify(data, 42), { prefix: 'c', parts: ['y', 'abc123'] });
+  assert.deepEqual(signer.verify(data, '42'), { prefix: 'c', parts: ['y', 'abc123'] });
+});
+
+test('refuses data from another chat, secret or payload', () => {
+  const data = signer.sign('c', ['y', 'abc123'], 42);
+
+  assert.equal(signer.verify(data, 43), null);
+  assert.equal(new CallbackSigner('other-secret').verify(data, 42), null);
+  assert.equal(signer.verify(data.replace('c:y:', 'c:n:'), 42), null);
+  assert.equal(signer.verify(data.replace(':abc123:', ':abc124:'), 42), null);
+});
+
+test('refuses malformed data', () => {
+  for (const data of [undefined, '', 'c', 'c:y', 'c:y:abc123:short']) {
+    assert.equal(signer.verify(data, 42), null, String(data));
+  }
+});
+
+test('refuses to build callback_data over 64 bytes', () => {
+  assert.throws(() => signer.sign('c', ['y', 'x'.repeat(50)], 42), /callback_data too long/);
+});
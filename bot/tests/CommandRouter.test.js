@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CommandRouter from '../commands/CommandRouter.js';
+import handlers from '../commands/handlers/index.js';
+import { translate } from '../services/LanguageService.js';
+import { createFakeBot, message } from './fakes.js';
+
+const handler = (overrides = {}) => ({
+  name: 'ping',
+  type: 'command',
+  command: 'ping',
+  async handle(ctx) {
+    await ctx.reply(`pong ${ctx.args}`);
+  },
+  ...overrides
+});
+
+test('register rejects handlers the router cannot run', () => {
+  const router = new CommandRouter(createFakeBot());
+
+  assert.throws(() => router.register({ name: 'broken', type: 'command', command: 'x' }), /no handle\(\) function/);
+  assert.throws(() => router.register(handler({ middleware: ['nope'] })), /unknown middleware: nope/);
+  assert.throws(() => router.register(handler({ type: 'sticker' })), /unknown type: sticker/);
+
+  router.register(handler());
+  assert.throws(() => router.register(handler()), /\/ping is already registered/);
+
+  router.register(handler({ name: 'cb', type: 'callback', prefix: 'c' }));
+  assert.throws(() => router.register(handler({ name: 'cb2', type: 'callback', prefix: 'c' })), /prefix c is already registered/);
+});
+
+test('the bot handler list registers without clashes', () => {
+  const router = new CommandRouter(createFakeBot()).registerAll(handlers);
+
+  const commands = router.listCommands().map(({ command }) => command);
+  assert.ok(commands.includes('help'));
+  assert.ok(commands.includes('language'));
+  assert.equal(new Set(commands).size, commands.length);
+});
+
+test('commands match with a bot suffix and pass their arguments', async () => {
+  const bot = createFakeBot();
+  const router = new CommandRouter(bot).register(handler());
+
+  assert.equal(await router.dispatch(message('/ping@QuickWalletBot  hello there ')), true);
+  assert.equal(await router.dispatch(message('/pingpong')), false);
+  assert.deepEqual(bot.sent.map(({ text }) => text), ['pong hello there']);
+});
+
+test('plain text, photos and documents go to their handlers', async () => {
+  const seen = [];
+  const record = type => handler({ name: type, type, command: undefined, handle: async ctx => seen.push([type, ctx.args]) });
+  const router = new CommandRouter(createFakeBot())
+    .register(record('text'))
+    .register(record('photo'))
+    .register(record('document'));
+
+  await router.dispatch(message('send 5k to mum'));
+  await router.dispatch({ ...message(undefined), photo: [{}] });
+  await router.dispatch({ ...message(undefined), document: {} });
+
+  assert.deepEqual(seen, [['text', 'send 5k to mum'], ['photo', ''], ['document', '']]);
+});
+
+test('middleware runs in order and can stop the chain', async () => {
+  const bot = createFakeBot();
+  const calls = [];
+  const router = new CommandRouter(bot, {
+    security: { checkRateLimit: async () => false }
+  }).register(handler({
+    middleware: [async (ctx, next) => { calls.push('first'); await next(); }, 'rateLimit'],
+    handle: async () => calls.push('handler')
+  }));
+
+  await router.dispatch(message('/ping'));
+
+  assert.deepEqual(calls, ['first']);
+  assert.match(bot.sent[0].text, /Too many requests/);
+});
+
+test('a handler that throws gets its error message in the user\'s language', async () => {
+  const bot = createFakeBot();
+  const failing = async () => { throw new Error('boom'); };
+  const setUser = language => async (ctx, next) => {
+    ctx.user = { preferred_language: language };
+    await next();
+  };
+  const router = new CommandRouter(bot)
+    .register(handler({ middleware: [setUser('pcm')], errorMessage: 'limits.error', handle: failing }))
+    .register(handler({ name: 'other', command: 'other', errorMessage: '❌ Plain text', handle: failing }))
+    .register(handler({ name: 'bare', command: 'bare', handle: failing }));
+
+  await router.dispatch(message('/ping'));
+  await router.dispatch(message('/other'));
+  await router.dispatch(message('/bare'));
+
+  assert.deepEqual(bot.sent.map(({ text }) => text), [
+    translate('pcm', 'limits.error'),
+    '❌ Plain text',
+    translate('en', 'common.unexpected')
+  ]);
+});
+
+test('every button press is answered, even without a handler', async () => {
+  const bot = createFakeBot();
+  const router = new CommandRouter(bot)
+    .register(handler({ name: 'quiet', type: 'callback', prefix: 'q', handle: async () => {} }))
+    .register(handler({ name: 'loud', type: 'callback', prefix: 'l', handle: ctx => ctx.answer('Done') }));
+
+  const press = (id, data) => ({ id, data, message: message('Pick one') });
+
+  assert.equal(await router.dispatchCallback(press('1', 'x:y')), false);
+  assert.equal(await router.dispatchCallback(press('2', 'q:y')), true);
+  assert.equal(await router.dispatchCallback(press('3', 'l:y')), true);
+
+  assert.deepEqual(bot.answered, [
+    { id: '1', options: {} },
+    { id: '2', options: {} },
+    { id: '3', options: { text: 'Done' } }
+  ]);
+});
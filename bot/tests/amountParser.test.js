@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractAmount, findAmount, parseAmount } from '../utils/amountParser.js';
+
+const cases = {
+  digits: [
+    ['send 5000 to 0123456789', 5000],
+    ['₦1,500.50 to Ada', 1500.5],
+    ['N5000 abeg', 5000],
+    ['pay 2500naira', 2500]
+  ],
+  suffixes: [
+    ['send 5k to mum', 5000],
+    ['2.5m for the car', 2500000],
+    ['one k', 1000]
+  ],
+  words: [
+    ['ten thousand naira', 10000],
+    ['send 5 thousand to John', 5000],
+    ['two hundred and fifty thousand', 250000],
+    ['forty-five thousand', 45000],
+    ['two million and five hundred thousand', 2500000]
+  ],
+  fractions: [
+    ['half a million to Tunde', 500000],
+    ['one and a half k', 1500]
+  ],
+  kobo: [
+    ['1500 naira 50 kobo', 1500.5],
+    ['1500 naira and 50 kobo', 1500.5]
+  ],
+  'counts and identifiers': [
+    ['I get 2 kids, send 5000 to Ada', 5000],
+    ['3 people 1000 each', 1000],
+    ['send 300 to @tunde_01', 300]
+  ],
+  '"and" joins only a smaller value': [
+    ['send 5k and 2k', 5000],
+    ['5 thousand and 500', 5500]
+  ]
+};
+
+for (const [group, examples] of Object.entries(cases)) {
+  test(`reads amounts: ${group}`, () => {
+    for (const [text, amount] of examples) {
+      assert.equal(extractAmount(text), amount, text);
+    }
+  });
+}
+
+test('ignores numbers that are not amounts', () => {
+  for (const text of ['call 08031234567', 'account 0123456789', 'split 2:1', 'on the 1st', 'send ten', 'half of 5000', 'hello']) {
+    assert.equal(extractAmount(text), null, text);
+  }
+});
+
+test('an amount marked as money wins over an earlier bare number', () => {
+  assert.equal(extractAmount('room 12, send ₦3000'), 3000);
+});
+
+test('findAmount gives the span of the phrase', () => {
+  const text = 'abeg send two hundred and fifty naira to Ada';
+  const found = findAmount(text);
+
+  assert.equal(found.amount, 250);
+  assert.equal(text.slice(found.start, found.end), 'two hundred and fifty naira');
+});
+
+test('parseAmount accepts numbers and text', () => {
+  assert.equal(parseAmount(1500.555), 1500.56);
+  assert.equal(parseAmount('₦1,500'), 1500);
+  assert.equal(parseAmount('5k'), 5000);
+  assert.equal(parseAmount(0), null);
+  assert.equal(parseAmount(-5), null);
+  assert.equal(parseAmount(Infinity), null);
+  assert.equal(parseAmount('  '), null);
+  assert.equal(parseAmount(null), null);
+});
@@ -0,0 +1,40 @@
+/**
+ * Stand-ins for the Telegram bot and Telegram updates
+ */
+
+export const CHAT_ID = 424242;
+
+/**
+ * A bot that records what it was asked to send
+ * @returns {Object} Fake bot with `sent`, `answered` and `edited` logs
+ */
+export function createFakeBot() {
+  return {
+    sent: [],
+    answered: [],
+    edited: [],
+    on() {},
+    async sendMessage(chatId, text, options) {
+      this.sent.push({ chatId, text, options });
+      return { message_id: this.sent.length };
+    },
+    async answerCallbackQuery(id, options) {
+      this.answered.push({ id, options });
+    },
+    async editMessageText(text, target) {
+      this.edited.push({ text, target });
+    },
+    async editMessageReplyMarkup(markup, target) {
+      this.edited.push({ markup, target });
+    }
+  };
+}
+
+/**
+ * A private chat message
+ * @param {string} [text] - Message text
+ * @returns {Object} Telegram message
+ */
+export function message(text) {
+  return { message_id: 7, chat: { id: CHAT_ID, type: 'private' }, from: { id: CHAT_ID }, text };
+}
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CommandRouter from '../commands/CommandRouter.js';
+import CallbackSigner from '../commands/CallbackSigner.js';
+import { CONFIRM_CALLBACK_PREFIX } from '../commands/ConversationFlow.js';
+import help from '../commands/handlers/help.js';
+import language from '../commands/handlers/language.js';
+import confirmCallback from '../commands/handlers/confirmCallback.js';
+import { translate } from '../services/LanguageService.js';
+import { CHAT_ID, createFakeBot, message } from './fakes.js';
+
+const USER = { id: 'user-1', preferred_language: 'en' };
+
+// Supabase query builder that finds USER
+const supabase = {
+  from: () => ({
+    select() { return this; },
+    eq() { return this; },
+    update() { return this; },
+    single: async () => ({ data: { ...USER }, error: null }),
+    then: resolve => resolve({ error: null })
+  })
+};
+
+function createSecurity(session = null) {
+  return {
+    session,
+    events: [],
+    checkRateLimit: async () => true,
+    isUserLockedOut: async () => false,
+    async getSession() { return this.session; },
+    async clearSession() { this.session = null; },
+    async logEvent(userId, type) { this.events.push(type); }
+  };
+}
+
+function setup(dependencies = {}) {
+  const bot = createFakeBot();
+  const router = new CommandRouter(bot, { supabase, security: createSecurity(), ...dependencies });
+  return { bot, router };
+}
+
+test('/help lists the registered commands', async () => {
+  const { bot, router } = setup();
+  router.register(help).register(language);
+
+  await router.dispatch(message('/help'));
+
+  assert.match(bot.sent[0].text, /\/help - Show this help message/);
+  assert.match(bot.sent[0].text, /\/language - Choose English/);
+});
+
+test('/language passes its argument to the language service', async () => {
+  const calls = [];
+  const languageService = {
+    describe: () => 'You get replies in English.',
+    setPreferred: async (user, input) => {
+      calls.push([user.id, input]);
+      return { success: true, message: 'Okay' };
+    }
+  };
+  const { bot, router } = setup({ languageService });
+  router.register(language);
+
+  await router.dispatch(message('/language'));
+  await router.dispatch(message('/language pcm'));
+
+  assert.deepEqual(bot.sent.map(({ text }) => text), ['You get replies in English.', 'Okay']);
+  assert.deepEqual(calls, [['user-1', 'pcm']]);
+});
+
+test('confirm buttons only act on a valid signature for the pending session', async t => {
+  const signer = new CallbackSigner('test-secret');
+  const session = { type: 'CONFIRM_TRANSFER', confirmationId: 'abc123' };
+  const press = data => ({ id: 'q1', data, message: { ...message('Send ₦5,000?'), message_id: 11 } });
+
+  await t.test('a forged press is refused and logged', async () => {
+    const security = createSecurity(session);
+    const { bot, router } = setup({ security, callbackSigner: signer, conversation: {} });
+    router.register(confirmCallback);
+
+    await router.dispatchCallback(press(`${CONFIRM_CALLBACK_PREFIX}:y:abc123:forgedsignature0`));
+
+    assert.deepEqual(bot.answered, [{ id: 'q1', options: { text: translate('en', 'common.invalid_button') } }]);
+    assert.deepEqual(security.events, ['INVALID_CALLBACK_SIGNATURE']);
+    assert.equal(security.session, session);
+  });
+
+  await t.test('a press for another confirmation is expired', async () => {
+    const security = createSecurity(session);
+    const { bot, router } = setup({ security, callbackSigner: signer, conversation: {} });
+    router.register(confirmCallback);
+
+    await router.dispatchCallback(press(signer.sign(CONFIRM_CALLBACK_PREFIX, ['y', 'old999'], CHAT_ID)));
+
+    assert.equal(bot.answered[0].options.text, translate('en', 'confirm.expired'));
+    assert.deepEqual(bot.edited, [{ markup: { inline_keyboard: [] }, target: { chat_id: CHAT_ID, message_id: 11 } }]);
+  });
+
+  await t.test('a valid press clears the session and hands over the answer', async () => {
+    const security = createSecurity(session);
+    const confirmations = [];
+    const conversation = {
+      handleConfirmation: async (chatId, user, confirmed, pending) => confirmations.push([chatId, user.id, confirmed, pending])
+    };
+    const { bot, router } = setup({ security, callbackSigner: signer, conversation });
+    router.register(confirmCallback);
+
+    await router.dispatchCallback(press(signer.sign(CONFIRM_CALLBACK_PREFIX, ['n', 'abc123'], CHAT_ID)));
+
+    const cancelled = translate('en', 'confirm.cancelled');
+    assert.equal(security.session, null);
+    assert.equal(bot.answered[0].options.text, cancelled);
+    assert.equal(bot.edited[0].text, `Send ₦5,000?\n\n${cancelled}`);
+    assert.deepEqual(confirmations, [[CHAT_ID, 'user-1', false, session]]);
+  });
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { INTENT_FUNCTIONS, INTENT_SCHEMAS, needsClarification, validateIntent } from '../utils/intentSchema.js';
+
+test('every intent is offered as a function with its schema', () => {
+  assert.deepEqual(INTENT_FUNCTIONS.map(({ name }) => name), Object.keys(INTENT_SCHEMAS));
+  for (const { parameters } of INTENT_FUNCTIONS) {
+    assert.deepEqual(parameters.required, ['confidence']);
+    assert.equal(parameters.additionalProperties, false);
+  }
+});
+
+test('accepts a well-formed answer, with nulls and left-out slots', () => {
+  assert.deepEqual(
+    validateIntent('SEND_MONEY', { amount: 5000, account_number: '0123456789', bank_name: null, language: 'pcm', confidence: 0.9 }),
+    { valid: true, errors: [] }
+  );
+  assert.deepEqual(
+    validateIntent('SPLIT_TRANSFER', { amount: 30000, recipients: [{ nickname: 'john', share: 2 }, { nickname: 'ada', share: 1 }], confidence: 0.8 }),
+    { valid: true, errors: [] }
+  );
+});
+
+test('explains every violation', () => {
+  const { valid, errors } = validateIntent('SEND_MONEY', {
+    amount: '5k',
+    account_number: '12345',
+    nickname: 'mum',
+    language: 'fr'
+  });
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [
+    'confidence is required',
+    'amount must be number or null, got "5k"',
+    'account_number must be exactly 10 digits, got "12345"',
+    'nickname is not a field of this intent',
+    'language must be one of en, pcm, yo, ig, ha, got "fr"'
+  ]);
+});
+
+test('checks numbers, integers and arrays', () => {
+  const { errors } = validateIntent('SCHEDULE_TRANSFER', { amount: 0, day_of_week: 7, day_of_month: 1.5, confidence: 1.2 });
+  assert.deepEqual(errors, [
+    'amount must be greater than 0, got 0',
+    'day_of_week must be at most 6, got 7',
+    'day_of_month must be integer or null, got number',
+    'confidence must be at most 1, got 1.2'
+  ]);
+
+  assert.deepEqual(validateIntent('SPLIT_TRANSFER', { recipients: [{ share: 1 }], confidence: 0.9 }).errors, [
+    'recipients must have at least 2 entries, got 1',
+    'recipients[0].nickname is required'
+  ]);
+});
+
+test('refuses unknown intents and non-object arguments', () => {
+  assert.deepEqual(validateIntent('ORDER_PIZZA', {}).errors, ['unknown intent "ORDER_PIZZA"']);
+  assert.deepEqual(validateIntent('HELP', null).errors, ['arguments must be an object, got null']);
+  assert.deepEqual(validateIntent('HELP', []).errors, ['arguments must be an object, got array']);
+});
+
+test('asks before acting only on unsure money intents', () => {
+  assert.equal(needsClarification({ type: 'SEND_MONEY', confidence: 0.5 }), true);
+  assert.equal(needsClarification({ type: 'SEND_MONEY', confidence: 0.7 }), false);
+  assert.equal(needsClarification({ type: 'ADD_BENEFICIARY', confidence: 0.65 }), false);
+  assert.equal(needsClarification({ type: 'CHECK_BALANCE', confidence: 0.1 }), false);
+  assert.equal(needsClarification({ type: 'SEND_MONEY' }), false);
+});
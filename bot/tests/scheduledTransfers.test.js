@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCHEDULE_RUN_HOUR, formatRunTime, nextRunAt } from '../services/ScheduledTransferService.js';
+
+// Run times are 09:00 in Lagos (UTC+1), i.e. 08:00 UTC
+const utc = iso => new Date(`${iso}Z`);
+
+test('runs at the Lagos run hour', () => {
+  assert.equal(SCHEDULE_RUN_HOUR, 9);
+  assert.deepEqual(nextRunAt({ frequency: 'daily' }, utc('2026-10-19T07:59:59')), utc('2026-10-19T08:00:00'));
+});
+
+test('a run is always strictly after `from`', () => {
+  assert.deepEqual(nextRunAt({ frequency: 'daily' }, utc('2026-10-19T08:00:00')), utc('2026-10-20T08:00:00'));
+});
+
+test('uses the Lagos day, not the UTC day', () => {
+  // 23:30 UTC on Monday is 00:30 on Tuesday in Lagos
+  assert.deepEqual(nextRunAt({ frequency: 'daily' }, utc('2026-10-19T23:30:00')), utc('2026-10-20T08:00:00'));
+  // 2026-10-20 is a Tuesday
+  assert.deepEqual(nextRunAt({ frequency: 'weekly', day_of_week: 2 }, utc('2026-10-19T23:30:00')), utc('2026-10-20T08:00:00'));
+});
+
+test('weekly schedules run on their weekday', () => {
+  // 2026-10-19 is a Monday; Friday is day 5
+  assert.deepEqual(nextRunAt({ frequency: 'weekly', day_of_week: 5 }, utc('2026-10-19T12:00:00')), utc('2026-10-23T08:00:00'));
+  assert.deepEqual(nextRunAt({ frequency: 'weekly', day_of_week: 1 }, utc('2026-10-19T12:00:00')), utc('2026-10-26T08:00:00'));
+});
+
+test('monthly schedules run on their day, or the last day of shorter months', () => {
+  assert.deepEqual(nextRunAt({ frequency: 'monthly', day_of_month: 1 }, utc('2026-10-19T12:00:00')), utc('2026-11-01T08:00:00'));
+  assert.deepEqual(nextRunAt({ frequency: 'monthly', day_of_month: 31 }, utc('2026-11-01T12:00:00')), utc('2026-11-30T08:00:00'));
+  assert.deepEqual(nextRunAt({ frequency: 'monthly', day_of_month: 30 }, utc('2027-02-01T12:00:00')), utc('2027-02-28T08:00:00'));
+  assert.deepEqual(nextRunAt({ frequency: 'monthly', day_of_month: 29 }, utc('2028-02-01T12:00:00')), utc('2028-02-29T08:00:00'));
+});
+
+test('an unknown frequency never runs', () => {
+  assert.throws(() => nextRunAt({ frequency: 'yearly' }, utc('2026-10-19T12:00:00')), /No run date/);
+});
+
+test('run times are shown in Lagos time', () => {
+  assert.match(formatRunTime(utc('2026-10-19T08:00:00')), /9:00:00/);
+});
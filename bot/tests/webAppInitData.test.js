@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { verifyWebAppInitData } from '../routes/webAppRoutes.js';
+
+const BOT_TOKEN = '123456:test-token';
+const USER = { id: 424242, first_name: 'Ada', language_code: 'en' };
+
+// Sign initData the way Telegram does
+function sign(fields, token = BOT_TOKEN) {
+  const params = new URLSearchParams(fields);
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(token).digest();
+  params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+  return params.toString();
+}
+
+const now = () => String(Math.floor(Date.now() / 1000));
+
+test('accepts initData signed with the bot token', () => {
+  const authDate = now();
+  const verified = verifyWebAppInitData(sign({ auth_date: authDate, query_id: 'AAH', user: JSON.stringify(USER) }), BOT_TOKEN);
+
+  assert.deepEqual(verified, { user: USER, authDate: parseInt(authDate, 10) });
+});
+
+test('refuses initData signed with another token or changed after signing', () => {
+  const initData = sign({ auth_date: now(), user: JSON.stringify(USER) });
+  const tampered = new URLSearchParams(initData);
+  tampered.set('user', JSON.stringify({ ...USER, id: 1 }));
+
+  assert.equal(verifyWebAppInitData(sign({ auth_date: now(), user: JSON.stringify(USER) }, '654321:other'), BOT_TOKEN), null);
+  assert.equal(verifyWebAppInitData(tampered.toString(), BOT_TOKEN), null);
+});
+
+test('refuses stale initData', () => {
+  const hourAgo = String(Math.floor(Date.now() / 1000) - 60 * 60);
+  const initData = sign({ auth_date: hourAgo, user: JSON.stringify(USER) });
+
+  assert.equal(verifyWebAppInitData(initData, BOT_TOKEN), null);
+  assert.ok(verifyWebAppInitData(initData, BOT_TOKEN, 2 * 60 * 60));
+});
+
+test('refuses initData without a hash, date or user', () => {
+  assert.equal(verifyWebAppInitData('', BOT_TOKEN), null);
+  assert.equal(verifyWebAppInitData(undefined, BOT_TOKEN), null);
+  assert.equal(verifyWebAppInitData(sign({ auth_date: now(), user: JSON.stringify(USER) }), ''), null);
+  assert.equal(verifyWebAppInitData(`auth_date=${now()}&user=${encodeURIComponent(JSON.stringify(USER))}`, BOT_TOKEN), null);
+  assert.equal(verifyWebAppInitData(sign({ user: JSON.stringify(USER) }), BOT_TOKEN), null);
+  assert.equal(verifyWebAppInitData(sign({ auth_date: now() }), BOT_TOKEN), null);
+  assert.equal(verifyWebAppInitData(sign({ auth_date: now(), user: '{not json' }), BOT_TOKEN), null);
+});
@@ -0,0 +1,307 @@
+/**
+ * Naira amounts in free text.
+ *
+ * Understands digits with commas and kobo ("₦1,500.50"), k/m suffixes
+ * ("5k", "2.5m", "one k"), number words in English and Pidgin ("ten
+ * thousand", "5 thousand", "two hundred and fifty"), currency markers
+ * (₦, N5000, NGN, naira), kobo ("1500 naira 50 kobo") and fractions of a
+ * magnitude ("half a million", "one and a half k"). Account and phone
+ * numbers (10+ digits), @usernames, ratios ("2:1") and ordinals ("1st")
+ * are never amounts, and neither are counts ("2 kids", "3 people").
+ * "and" only joins a smaller value onto a hundred or magnitude, so "5k and
+ * 2k" reads as 5000 rather than 7000.
+ */
+
+const UNITS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19
+};
+
+const TENS = { twenty: 20, thirty: 30, forty: 40, fourty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+
+const MAGNITUDES = { thousand: 1e3, k: 1e3, grand: 1e3, million: 1e6, m: 1e6, mil: 1e6, billion: 1e9, bn: 1e9 };
+
+const FRACTIONS = { half: 0.5, quarter: 0.25 };
+
+const CURRENCY_WORDS = new Set(['₦', 'naira', 'ngn']);
+
+// Words that may follow an amount without making it a count of something ("50 to mum")
+const AMOUNT_FOLLOWERS = new Set([
+  'to', 'for', 'into', 'in', 'from', 'on', 'at', 'only', 'now', 'please', 'pls', 'abeg', 'o', 'each', 'give', 'go'
+]);
+
+const NUMBER_TOKEN = /^(₦|ngn|n)?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(k|m|bn)?(naira)?$/i;
+
+// Leading/trailing punctuation that isn't part of an amount
+const EDGE_PUNCTUATION = /^[("'“‘[]+|[)"'”’\]!?.,;]+$/g;
+
+function tokenize(text) {
+  // "forty-five" reads as "forty five"; the replacement keeps offsets intact
+  const spaced = String(text).replace(/([a-z])-(?=[a-z])/gi, '$1 ');
+
+  return [...spaced.matchAll(/\S+/g)].map(match => {
+    const raw = match[0];
+    const value = raw.replace(EDGE_PUNCTUATION, '');
+    const start = match.index + raw.indexOf(value);
+    return { ...classify(value.toLowerCase()), word: value.toLowerCase(), start, end: start + value.length };
+  });
+}
+
+function classify(word) {
+  if (!word) return { type: 'other' };
+  if (word.startsWith('@') || word.startsWith('+') || /\d:\d/.test(word)) return { type: 'blocker' };
+
+  const number = word.match(NUMBER_TOKEN);
+  if (number) {
+    const digits = number[2].replace(/,/g, '');
+    if (digits.length >= 10) return { type: 'blocker' };
+
+    return {
+      type: 'number',
+      value: parseFloat(`${digits}.${number[3] || 0}`),
+      magnitude: number[4] ? MAGNITUDES[number[4]] : null,
+      currency: Boolean(number[1] || number[5])
+    };
+  }
+
+  // "1st", "10am", "2x" and friends
+  if (/^\d/.test(word)) return { type: 'blocker' };
+
+  if (word in UNITS) return { type: 'unit', value: UNITS[word] };
+  if (word in TENS) return { type: 'tens', value: TENS[word] };
+  if (word === 'a') return { type: 'a' };
+  if (word in FRACTIONS) return { type: 'fraction', value: FRACTIONS[word] };
+  if (word === 'of' || word === 'the') return { type: 'of' };
+  if (word === 'hundred') return { type: 'hundred' };
+  if (word in MAGNITUDES) return { type: 'magnitude', value: MAGNITUDES[word] };
+  if (CURRENCY_WORDS.has(word)) return { type: 'currency' };
+  if (word === 'kobo') return { type: 'kobo' };
+  if (word === 'and') return { type: 'and' };
+  return { type: 'other' };
+}
+
+// Index of the first token after "of", "a" and "the" ("half of a million")
+const skipFillers = (tokens, index) => {
+  while (['of', 'a'].includes(tokens[index]?.type)) index++;
+  return index;
+};
+
+/**
+ * Read one amount phrase starting at tokens[index]
+ * @returns {Object|null} { amount, currency, words, next, end }
+ */
+function readPhrase(tokens, index) {
+  let total = 0;
+  let current = 0;
+  let kobo = 0;
+  let started = false;
+  let scaled = false;
+  let words = false;
+  let currency = false;
+  let previous = null;
+  let end = tokens[index].end;
+  let i = index;
+  // Smallest magnitude read so far, and the phrase as it stood at the last "and"
+  let magnitude = Infinity;
+  let joined = null;
+
+  const isKobo = position => tokens[position + 1]?.type === 'kobo';
+
+  // "5k and 2k" is two amounts, not 7000: what follows "and" must be smaller than the scale before it
+  const rollBack = () => {
+    ({ total, current, end, i } = joined);
+  };
+
+  for (; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.type === 'number') {
+      if (isKobo(i)) {
+        kobo = token.value / 100;
+        started = true;
+        end = tokens[++i].end;
+        i++;
+        break;
+      }
+      // "5 thousand 500" continues a phrase; "500 700" does not
+      if (started && previous !== 'magnitude' && previous !== 'and') break;
+      if (joined && (token.magnitude ? token.magnitude >= joined.magnitude : token.value >= joined.scale)) {
+        rollBack();
+        break;
+      }
+      currency = currency || token.currency;
+      if (token.magnitude) {
+        magnitude = Math.min(magnitude, token.magnitude);
+        joined = null;
+        total += (current + token.value) * token.magnitude;
+        current = 0;
+        scaled = true;
+        previous = 'magnitude';
+      } else {
+        current += token.value;
+        previous = 'number';
+      }
+    } else if (token.type === 'unit' || token.type === 'tens') {
+      if (started && !['magnitude', 'hundred', 'and', 'tens'].includes(previous)) break;
+      if (previous === 'tens' && token.type !== 'unit') break;
+      if (isKobo(i)) {
+        kobo = token.value / 100;
+        started = true;
+        words = true;
+        end = tokens[++i].end;
+        i++;
+        break;
+      }
+      current += token.value;
+      words = true;
+      previous = token.type;
+    } else if (token.type === 'a') {
+      const next = tokens[i + 1];
+      // "a half million", "one and a half million"
+      if (next?.type === 'fraction' && (!started || previous === 'and')) continue;
+      if (started || !next || !['hundred', 'magnitude'].includes(next.type)) break;
+      current = 1;
+      words = true;
+      previous = 'unit';
+    } else if (token.type === 'fraction') {
+      // Only a fraction of a magnitude is read; "half of 5000" is left alone by findAmount
+      const scale = skipFillers(tokens, i + 1);
+      if (!['hundred', 'magnitude'].includes(tokens[scale]?.type)) break;
+      if (started && previous !== 'and') break;
+      current += token.value;
+      words = true;
+      previous = 'unit';
+      started = true;
+      end = token.end;
+      i = scale - 1;
+      continue;
+    } else if (token.type === 'hundred') {
+      if (!started) break;
+      if (joined && joined.scale <= 100) {
+        rollBack();
+        break;
+      }
+      current = (current || 1) * 100;
+      scaled = true;
+      previous = 'hundred';
+    } else if (token.type === 'magnitude') {
+      if (!started || previous === 'magnitude') break;
+      if (joined && token.value >= joined.magnitude) {
+        rollBack();
+        break;
+      }
+      magnitude = Math.min(magnitude, token.value);
+      joined = null;
+      total += (current || 1) * token.value;
+      current = 0;
+      scaled = true;
+      previous = 'magnitude';
+    } else if (token.type === 'and') {
+      const next = tokens[i + 1];
+      // "one and a half million", "1500 and 50 kobo"
+      const fraction = next?.type === 'fraction' || (next?.type === 'a' && tokens[i + 2]?.type === 'fraction');
+      const kobo = next?.type === 'number' && isKobo(i + 1);
+      // "two hundred and fifty", "5 thousand and 500"
+      const smaller = ['hundred', 'magnitude'].includes(previous) && next && ['unit', 'tens', 'number'].includes(next.type);
+      if (!started || !(fraction || kobo || smaller)) break;
+      if (smaller && !kobo) {
+        joined = { total, current, end, i, magnitude, scale: previous === 'hundred' ? 100 : magnitude };
+      }
+      previous = 'and';
+      continue;
+    } else if (token.type === 'currency') {
+      if (!started) break;
+      currency = true;
+      // "1500 naira 50 kobo"
+      if (tokens[i + 1]?.type === 'number' && isKobo(i + 1)) {
+        previous = 'and';
+      }
+      end = token.end;
+      continue;
+    } else {
+      break;
+    }
+
+    started = true;
+    end = token.end;
+  }
+
+  if (!started) return null;
+
+  const amount = Math.round((total + current + kobo) * 100) / 100;
+
+  // A bare "one" or "ten" is rarely money; "ten thousand", "ten naira" and "10" are
+  if (!(amount > 0) || (words && !scaled && !currency && !kobo)) {
+    return null;
+  }
+
+  return { amount, currency, words, next: i, end };
+}
+
+/**
+ * Find the amount in a message. An amount marked as money (₦, naira,
+ * NGN) wins; otherwise the first one that isn't a count, so "I get 2 kids,
+ * send 5000 to Ada" is 5000. A fraction of a plain number ("half of 5000")
+ * is not read at all, rather than read as the whole number.
+ * @param {string} text - Message text
+ * @returns {Object|null} { amount, start, end } with the character span of the phrase
+ */
+export function findAmount(text) {
+  const tokens = tokenize(text);
+  const found = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const markedBefore = token.type === 'currency' && i + 1 < tokens.length;
+    const phrase = readPhrase(tokens, markedBefore ? i + 1 : i);
+
+    if (!phrase) {
+      if (token.type === 'fraction') {
+        let after = skipFillers(tokens, i + 1);
+        if (tokens[after]?.type === 'currency') after++;
+        const skipped = after < tokens.length && readPhrase(tokens, after);
+        if (skipped) i = skipped.next - 1;
+      }
+      continue;
+    }
+
+    const following = tokens[phrase.next];
+    found.push({
+      amount: phrase.amount,
+      currency: phrase.currency || markedBefore,
+      // A small bare number followed by a noun counts something: "3 people 1000 each"
+      count: !phrase.currency && !markedBefore && !phrase.words && phrase.amount < 100 && Number.isInteger(phrase.amount) &&
+        following?.type === 'other' && !AMOUNT_FOLLOWERS.has(following.word),
+      start: token.start,
+      end: phrase.end
+    });
+    i = Math.max(phrase.next - 1, i);
+  }
+
+  const best = found.find(candidate => candidate.currency) || found.find(candidate => !candidate.count) || found[0];
+  return best ? { amount: best.amount, start: best.start, end: best.end } : null;
+}
+
+/**
+ * The amount in a message, in naira
+ * @param {string} text - Message text
+ * @returns {number|null}
+ */
+export function extractAmount(text) {
+  return findAmount(text)?.amount ?? null;
+}
+
+/**
+ * Normalise an amount that may be a number or text ("5k", "₦1,500.50")
+ * @param {number|string} value - Amount from a model or a form
+ * @returns {number|null} A positive amount in naira, or null
+ */
+export function parseAmount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? Math.round(value * 100) / 100 : null;
+  }
+
+  if (typeof value !== 'string' || !value.trim()) return null;
+  return extractAmount(value);
+}
@@ -3,13 +3,14 @@
  * 
  * This script provides utilities to:
  * 1. Check individual user balances
- * 2. Verify balance accuracy against transactions
+ * 2. Verify cached wallet balances against the ledger
  * 3. Reconcile balances with Paystack
- * 4. Generate balance reports
+ * 4. Generate balance reports and a ledger trial balance
  */
 
 import { createClient } from '@supabase/supabase-js';
-import PaystackService from '../services/PaystackService';
+import PaystackService from '../services/PaystackService.js';
+import LedgerService from '../services/LedgerService.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -19,6 +20,7 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 const paystackService = new PaystackService(process.env.PAYSTACK_SECRET_KEY);
+const ledgerService = new LedgerService(supabase);
 
 class BalanceChecker {
   /**
@@ -50,8 +52,7 @@ class BalanceChecker {
         .eq('status', 'completed')
         .order('created_at', { ascending: true });
 
-      // Calculate balance from transactions
-      let calculatedBalance = 0;
+      // Summarise transactions for context; the balance itself comes from the ledger
       const txnSummary = {
         credits: 0,
         debits: 0,
@@ -65,10 +66,8 @@ class BalanceChecker {
           const fee = parseFloat(txn.service_fee || 0);
 
           if (txn.type === 'credit') {
-            calculatedBalance += amount;
             txnSummary.credits += amount;
           } else if (txn.type === 'transfer' || txn.type === 'debit') {
-            calculatedBalance -= (amount + fee);
             txnSummary.debits += amount;
             txnSummary.fees += fee;
           }
@@ -80,14 +79,14 @@ class BalanceChecker {
       console.log(`   Total Credits: ₦${txnSummary.credits.toLocaleString()}`);
       console.log(`   Total Debits: ₦${txnSummary.debits.toLocaleString()}`);
       console.log(`   Total Fees: ₦${txnSummary.fees.toLocaleString()}`);
-      console.log(`   Calculated Balance: ₦${calculatedBalance.toLocaleString()}`);
 
+      const calculatedBalance = await ledgerService.getWalletBalance(userId);
       const currentBalance = parseFloat(user.wallet_balance);
       const difference = currentBalance - calculatedBalance;
 
       console.log('\n✅ Balance Verification:');
-      console.log(`   Database Balance: ₦${currentBalance.toLocaleString()}`);
-      console.log(`   Calculated Balance: ₦${calculatedBalance.toLocaleString()}`);
+      console.log(`   Cached Balance: ₦${currentBalance.toLocaleString()}`);
+      console.log(`   Ledger Balance: ₦${calculatedBalance.toLocaleString()}`);
       console.log(`   Difference: ₦${difference.toLocaleString()}`);
 
       if (Math.abs(difference) < 0.01) {
@@ -315,6 +314,38 @@ class BalanceChecker {
     }
   }
 
+  /**
+   * Verify the ledger itself: total debits must equal total credits
+   */
+  async checkTrialBalance() {
+    try {
+      console.log('\n📒 LEDGER TRIAL BALANCE\n');
+
+      const accounts = await ledgerService.getTrialBalance();
+      const totals = { asset: 0, liability: 0, revenue: 0, equity: 0 };
+
+      accounts.forEach(account => {
+        totals[account.type] += parseFloat(account.balance);
+        if (!account.user_id) {
+          console.log(`   ${account.code}: ₦${parseFloat(account.balance).toLocaleString()}`);
+        }
+      });
+
+      console.log(`   User wallets: ₦${totals.liability.toLocaleString()}`);
+
+      // Assets are debit-normal; liabilities, revenue and equity are credit-normal
+      const difference = totals.asset - (totals.liability + totals.revenue + totals.equity);
+      const isBalanced = Math.abs(difference) < 0.01;
+
+      console.log(`\n   Status: ${isBalanced ? '✅ BALANCED' : `⚠️ OUT BY ₦${difference.toLocaleString()}`}`);
+
+      return { totals, difference, isBalanced };
+    } catch (error) {
+      console.error('❌ Error checking trial balance:', error);
+      throw error;
+    }
+  }
+
   /**
    * Fix balance discrepancy for a user
    */
@@ -331,39 +362,23 @@ class BalanceChecker {
       }
 
       console.log(`\n⚠️ Balance mismatch detected: ₦${check.difference.toLocaleString()}`);
-      console.log('Do you want to adjust the wallet balance to match transactions? (yes/no)');
 
-      // In production, you'd want to confirm this action
-      // For now, we'll just log what would happen
-      console.log(`\n🔧 Would update wallet balance from ₦${check.currentBalance} to ₦${check.calculatedBalance}`);
-      console.log('💡 To actually perform this update, uncomment the code below:');
+      // wallet_balance is only a cache of the ledger, so it can be rewritten safely
+      const ledgerBalance = await ledgerService.syncWalletBalance(userId);
 
-      /*
-      const { error } = await supabase
-        .from('users')
-        .update({ 
-          wallet_balance: check.calculatedBalance,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', userId);
-
-      if (error) throw error;
-
-      // Log the adjustment
       await supabase
         .from('balance_audit_trail')
         .insert([{
           user_id: userId,
-          action: 'ADJUSTMENT',
+          action: 'LEDGER_SYNC',
           balance_before: check.currentBalance,
-          balance_after: check.calculatedBalance,
+          balance_after: ledgerBalance,
           amount: Math.abs(check.difference),
           description: reason,
           performed_by: 'ADMIN_SCRIPT'
         }]);
 
-      console.log('✅ Balance adjusted successfully!');
-      */
+      console.log(`✅ Cached balance resynced from ledger: ₦${check.currentBalance.toLocaleString()} → ₦${ledgerBalance.toLocaleString()}`);
 
       return check;
     } catch (error) {
@@ -404,6 +419,10 @@ switch (command) {
     checker.getPlatformSummary();
     break;
 
+  case 'trial-balance':
+    checker.checkTrialBalance();
+    break;
+
   case 'fix':
     if (userId) {
       checker.fixUserBalance(userId);
@@ -424,7 +443,8 @@ Commands:
   check-all           - Check balances for all users
   reconcile <userId>  - Reconcile user balance with Paystack
   summary             - Get platform-wide balance summary
-  fix <userId>        - Fix balance discrepancy for a user
+  trial-balance       - Verify ledger debits equal credits
+  fix <userId>        - Resync a user's cached balance from the ledger
 
 Examples:
   node balanceChecker.js check 123e4567-e89b-12d3-a456-426614174000
@@ -1,7 +1,19 @@
-const crypto = require('crypto');
+import crypto from 'crypto';
+import { FEE_RULES } from '../services/FeeService.js';
+import { DEFAULT_LANGUAGE, translate } from '../services/LanguageService.js';
 
 class Helpers {
-  static generateReference(prefix = 'TXN') {
+  /**
+   * Build a transaction reference. With a seed (e.g. an idempotency key)
+   * the reference is deterministic, so retries of the same operation reuse
+   * the same ledger and Paystack reference.
+   */
+  static generateReference(prefix = 'TXN', seed = null) {
+    if (seed) {
+      const digest = crypto.createHash('sha256').update(String(seed)).digest('hex').slice(0, 20).toUpperCase();
+      return `${prefix}_${digest}`;
+    }
+
     const timestamp = Date.now().toString();
     const random = crypto.randomBytes(4).toString('hex').toUpperCase();
     return `${prefix}_${timestamp}_${random}`;
@@ -18,6 +30,18 @@ class Helpers {
     return /^\d{10}$/.test(accountNumber);
   }
 
+  /**
+   * Phone number in the form stored in users.phone_normalized: digits only,
+   * with a local 0XXXXXXXXXX number rewritten to 234XXXXXXXXXX
+   */
+  static normalizePhoneNumber(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    if (digits.length === 11 && digits.startsWith('0')) {
+      return `234${digits.slice(1)}`;
+    }
+    return digits || null;
+  }
+
   static validateAmount(amount) {
     const num = parseFloat(amount);
     return !isNaN(num) && num > 0 && num <= 1000000; // Max 1M naira
@@ -37,8 +61,11 @@ class Helpers {
     return input.toString().trim().replace(/[<>]/g, '');
   }
 
+  /**
+   * Six-digit one-time code from a CSPRNG
+   */
   static generateOTP() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
+    return crypto.randomInt(100000, 1000000).toString();
   }
 
   static maskAccountNumber(accountNumber) {
@@ -48,9 +75,65 @@ class Helpers {
     return masked + visible;
   }
 
-  static calculateServiceFee(amount, feePercentage = 0.01, fixedFee = 10) {
-    const percentageFee = amount * feePercentage;
-    return Math.max(percentageFee, fixedFee);
+  /**
+   * Service fee as shown on receipts and transfer messages; fees are priced by FeeService
+   * @param {number|string} fee - Fee in naira
+   * @param {string} [rule] - transactions.fee_rule
+   * @param {string} [language] - Language code; receipts stay in English
+   * @returns {string}
+   */
+  static formatFee(fee, rule, language = DEFAULT_LANGUAGE) {
+    if (rule === FEE_RULES.WAIVER) return translate(language, 'fees.amount_waived');
+    if (rule === FEE_RULES.FREE_ALLOWANCE) return translate(language, 'fees.amount_free');
+    return `₦${parseFloat(fee || 0).toLocaleString()}`;
+  }
+
+  /**
+   * Split CSV text into rows of trimmed cells. Handles quoted cells
+   * (with "" escapes and embedded commas or newlines); blank lines are dropped.
+   * @param {string} text - CSV file contents
+   * @returns {Array<Array<string>>}
+   */
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const source = String(text || '').replace(/^﻿/, '');
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell.trim());
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        row.push(cell.trim());
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    row.push(cell.trim());
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value !== ''));
   }
 
   static isBusinessHours() {
@@ -101,4 +184,4 @@ class Helpers {
   }
 }
 
-module.exports = Helpers;
\ No newline at end of file
+export default Helpers;
\ No newline at end of file
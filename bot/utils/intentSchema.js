@@ -0,0 +1,186 @@
+/**
+ * What a language model may answer when it analyses a message.
+ *
+ * Each intent is a function the model calls with the slots it found, so
+ * providers can use their structured-output / function-calling mode.
+ * `validateIntent()` checks an answer against the same JSON Schema and
+ * explains every violation, and `needsClarification()` says when an
+ * intent is too unsure to act on.
+ */
+
+const nullable = (type, rules = {}) => ({ type: [type, 'null'], ...rules });
+
+// `patternHint` describes `pattern` in rejection reasons; providers don't see it
+const FIELDS = {
+  amount: nullable('number', { exclusiveMinimum: 0, description: 'Amount in naira as a number ("5k" is 5000, "ten thousand" is 10000)' }),
+  account_number: nullable('string', { pattern: '^\\d{10}$', patternHint: 'exactly 10 digits', description: '10-digit bank account number, digits only' }),
+  phone_number: nullable('string', { pattern: '^\\+?\\d{10,14}$', patternHint: 'a phone number of 10 to 14 digits', description: 'Phone number identifying a QuickWallet user, e.g. 08031234567' }),
+  telegram_username: nullable('string', { pattern: '^@?\\w{5,32}$', patternHint: 'a Telegram username of 5 to 32 letters, digits or _', description: 'Telegram @username identifying a QuickWallet user, without the @' }),
+  recipient_name: nullable('string', { maxLength: 100, description: 'Name of the person receiving the money' }),
+  bank_name: nullable('string', { maxLength: 60, description: 'Bank name as written, e.g. "GTBank" or "access bank"' }),
+  beneficiary_nickname: nullable('string', { maxLength: 50, description: 'Saved contact the money goes to, e.g. "mom" or "john"' }),
+  nickname: nullable('string', { maxLength: 50, description: 'What the user wants to call the new contact' }),
+  note: nullable('string', { maxLength: 100, description: 'What the money is for, e.g. "lunch"' }),
+  frequency: nullable('string', { enum: ['daily', 'weekly', 'monthly', null], description: 'How often to send' }),
+  day_of_week: nullable('integer', { minimum: 0, maximum: 6, description: 'For weekly: 0 (Sunday) to 6 (Saturday)' }),
+  day_of_month: nullable('integer', { minimum: 1, maximum: 31, description: 'For monthly: 1 to 31 ("every 1st" is 1)' }),
+  recipients: nullable('array', {
+    minItems: 2,
+    description: 'One entry per saved contact, in the order mentioned',
+    items: {
+      type: 'object',
+      properties: {
+        nickname: { type: 'string', maxLength: 50, description: 'The saved contact' },
+        amount: nullable('number', { exclusiveMinimum: 0, description: 'Exact amount for this person, if given' }),
+        share: nullable('number', { exclusiveMinimum: 0, description: 'This person\'s part of a ratio ("2:1" gives 2 and 1), if given' })
+      },
+      required: ['nickname'],
+      additionalProperties: false
+    }
+  }),
+  language: nullable('string', { enum: ['en', 'pcm', 'yo', 'ig', 'ha', null], description: 'Language of the message: English, Nigerian Pidgin, Yoruba, Igbo or Hausa' }),
+  confidence: { type: 'number', minimum: 0, maximum: 1, description: 'How sure you are of the intent and slots, 0.0 to 1.0; below 0.7 when the message is ambiguous' },
+  context_clues: nullable('string', { maxLength: 300, description: 'Brief explanation of why you chose this intent' })
+};
+
+const INTENTS = {
+  FUND_WALLET: ['User wants to add money to their wallet', ['amount']],
+  SEND_MONEY: ['User wants to transfer money to a bank account or another QuickWallet user (phone number or @username)',
+    ['amount', 'account_number', 'phone_number', 'telegram_username', 'recipient_name', 'bank_name']],
+  SEND_TO_BENEFICIARY: ['User wants to send money to a saved contact ("send John 5000")', ['amount', 'beneficiary_nickname']],
+  REQUEST_MONEY: ['User wants another QuickWallet user to pay them', ['amount', 'phone_number', 'telegram_username', 'account_number', 'note']],
+  SCHEDULE_TRANSFER: ['User wants a recurring transfer to a saved contact (every day/week/month)',
+    ['amount', 'beneficiary_nickname', 'frequency', 'day_of_week', 'day_of_month']],
+  SPLIT_TRANSFER: ['User wants one amount shared between several saved contacts', ['amount', 'recipients']],
+  ADD_BENEFICIARY: ['User wants to save a new contact/beneficiary', ['account_number', 'recipient_name', 'bank_name', 'nickname']],
+  LIST_BENEFICIARIES: ['User wants to see their saved contacts', []],
+  CHECK_BALANCE: ['User wants to see their wallet balance', []],
+  TRANSACTION_HISTORY: ['User wants to view past transactions', []],
+  HELP: ['User needs help or has questions about how things work', []],
+  GENERAL_CHAT: ['Casual conversation, greetings, or unclear intent', []]
+};
+
+/**
+ * JSON Schema of each intent's arguments
+ */
+export const INTENT_SCHEMAS = Object.fromEntries(Object.entries(INTENTS).map(([type, [, slots]]) => {
+  const names = [...slots, 'language', 'confidence', 'context_clues'];
+  return [type, {
+    type: 'object',
+    properties: Object.fromEntries(names.map(name => [name, FIELDS[name]])),
+    required: ['confidence'],
+    additionalProperties: false
+  }];
+}));
+
+/**
+ * One function per intent, for function calling: { name, description, parameters }
+ */
+export const INTENT_FUNCTIONS = Object.entries(INTENTS).map(([type, [description]]) => ({
+  name: type,
+  description,
+  parameters: INTENT_SCHEMAS[type]
+}));
+
+/**
+ * Below these confidences the bot asks before acting. Only intents that
+ * move money or save a contact are listed; a wrong guess at a balance
+ * check costs nothing.
+ */
+export const CLARIFY_THRESHOLDS = {
+  SEND_MONEY: 0.7,
+  SEND_TO_BENEFICIARY: 0.7,
+  REQUEST_MONEY: 0.7,
+  SCHEDULE_TRANSFER: 0.7,
+  SPLIT_TRANSFER: 0.7,
+  ADD_BENEFICIARY: 0.6
+};
+
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+function check(schema, value, path, errors) {
+  const types = [].concat(schema.type);
+  const actual = typeOf(value);
+
+  if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    errors.push(`${path} must be ${types.join(' or ')}, got ${actual === 'string' ? JSON.stringify(value) : actual}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.filter(option => option !== null).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}, got ${value}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}, got ${value}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${path} must be greater than ${schema.exclusiveMinimum}, got ${value}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} must be ${schema.patternHint || `in the format ${schema.pattern}`}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} entries, got ${value.length}`);
+    }
+    value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, errors));
+  }
+
+  if (actual === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push(`${path ? `${path}.` : ''}${name} is required`);
+    }
+    for (const [name, property] of Object.entries(value)) {
+      const field = schema.properties[name];
+      if (!field) {
+        if (schema.additionalProperties === false) errors.push(`${path ? `${path}.` : ''}${name} is not a field of this intent`);
+        continue;
+      }
+      // Leaving out an optional field is the same as null
+      if (property !== undefined) check(field, property, `${path ? `${path}.` : ''}${name}`, errors);
+    }
+  }
+}
+
+/**
+ * Check a model's answer against its intent's schema
+ * @param {string} type - Intent (the function the model called)
+ * @param {Object} args - Its arguments
+ * @returns {Object} { valid, errors } - errors are readable reasons, e.g.
+ *   'account_number must be exactly 10 digits, got "12345"'
+ */
+export function validateIntent(type, args) {
+  if (!INTENT_SCHEMAS[type]) {
+    return { valid: false, errors: [`unknown intent ${JSON.stringify(type)}`] };
+  }
+
+  if (typeOf(args) !== 'object') {
+    return { valid: false, errors: [`arguments must be an object, got ${typeOf(args)}`] };
+  }
+
+  const errors = [];
+  check(INTENT_SCHEMAS[type], args, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Whether an intent is too unsure to act on without asking
+ * @param {Object} intent - Analysed intent ({ type, confidence })
+ * @returns {boolean}
+ */
+export function needsClarification(intent) {
+  const threshold = CLARIFY_THRESHOLDS[intent.type];
+  return threshold !== undefined && typeof intent.confidence === 'number' && intent.confidence < threshold;
+}
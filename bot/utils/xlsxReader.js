@@ -0,0 +1,169 @@
+import zlib from 'zlib';
+
+/**
+ * Reads the first worksheet of an Excel .xlsx file into rows of trimmed
+ * cell strings, the same shape Helpers.parseCsv() returns.
+ *
+ * An .xlsx file is a zip of XML parts; only the workbook, its
+ * relationships, the shared strings and the first sheet are read. Legacy
+ * .xls (binary) files are not supported.
+ */
+
+// Generous for a 100-row sheet; stops a small zip from inflating into gigabytes
+const MAX_PART_SIZE = 10 * 1024 * 1024;
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function invalid(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_XLSX' });
+}
+
+/**
+ * Map of part name to its compressed data and method, from the zip's
+ * central directory
+ */
+function readZipEntries(buffer) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+
+  if (eocd < 0) {
+    throw invalid('not a zip archive');
+  }
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw invalid('corrupt zip directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function readPart(buffer, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) return null;
+
+  const { localOffset, compressedSize, method } = entry;
+  if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+    throw invalid(`corrupt zip entry ${name}`);
+  }
+
+  const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  const data = buffer.subarray(start, start + compressedSize);
+
+  if (method === 0) return data.toString('utf8');
+  if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_PART_SIZE }).toString('utf8');
+  throw invalid(`unsupported compression in ${name}`);
+}
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+    }
+    return XML_ENTITIES[name] ?? entity;
+  });
+}
+
+// Text of every <t> in a fragment; rich text splits one string into several runs
+function textOf(xml) {
+  return [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+    .map(match => decodeXml(match[1]))
+    .join('');
+}
+
+const attribute = (tag, name) => tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+
+// "B12" → 1
+function columnIndex(reference) {
+  const letters = reference.match(/^[A-Z]+/)?.[0] || '';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Part name of the workbook's first sheet
+ */
+function firstSheetPath(buffer, entries) {
+  const workbook = readPart(buffer, entries, 'xl/workbook.xml');
+  const relations = readPart(buffer, entries, 'xl/_rels/workbook.xml.rels');
+  const sheet = workbook?.match(/<sheet\b[^>]*>/)?.[0];
+  const id = sheet && attribute(sheet, 'r:id');
+  const relation = id && relations?.match(new RegExp(`<Relationship\\b[^>]*\\sId="${id}"[^>]*>`))?.[0];
+  const target = relation && attribute(relation, 'Target');
+
+  if (!target) return 'xl/worksheets/sheet1.xml';
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+}
+
+/**
+ * Rows of the first worksheet
+ * @param {Buffer} buffer - .xlsx file contents
+ * @returns {Array<Array<string>>} Rows of trimmed cells; blank rows are dropped
+ * @throws {Error} With code INVALID_XLSX if the file can't be read
+ */
+export function readXlsxRows(buffer) {
+  const entries = readZipEntries(buffer);
+  const sheet = readPart(buffer, entries, firstSheetPath(buffer, entries));
+
+  if (!sheet) {
+    throw invalid('the workbook has no worksheet');
+  }
+
+  const sharedXml = readPart(buffer, entries, 'xl/sharedStrings.xml') || '';
+  const shared = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textOf(match[1]));
+
+  const rows = [];
+  for (const [, rowXml] of sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+
+    for (const [, tag, body = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const type = attribute(tag, 't');
+      const value = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let text;
+
+      if (type === 's') {
+        text = shared[parseInt(value, 10)] ?? '';
+      } else if (type === 'inlineStr') {
+        text = textOf(body);
+      } else if (type === 'n' || type === undefined) {
+        // Floating point noise such as 1499.9999999999998 is not part of the amount
+        text = value === undefined ? '' : String(Number(parseFloat(value).toPrecision(15)));
+      } else {
+        text = value === undefined ? '' : decodeXml(value);
+      }
+
+      const reference = attribute(tag, 'r');
+      const index = reference ? columnIndex(reference) : row.length;
+      while (row.length < index) row.push('');
+      row[index] = text.trim();
+    }
+
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value !== ''));
+}
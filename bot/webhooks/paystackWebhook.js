@@ -2,15 +2,17 @@
  * PRODUCTION-READY PAYSTACK WEBHOOK HANDLER
  * 
  * Features:
- * - Automatic wallet crediting on charge.success
+ * - Automatic wallet crediting on charge.success (posted to the ledger)
  * - Signature verification for security
- * - Duplicate transaction prevention
+ * - Duplicate transaction prevention (idempotency keys shared with polling)
+ * - KYC results (customeridentification.*)
  * - Telegram notifications
  * - Comprehensive logging
  */
 
 import express from 'express';
 import crypto from 'crypto';
+import IdempotencyService from '../services/IdempotencyService.js';
 
 const router = express.Router();
 
@@ -125,7 +127,7 @@ router.post('/webhooks/paystack', async (req, res) => {
 /**
  * Process different webhook event types
  */
-async function processWebhookEvent(event, { supabase, bot }) {
+async function processWebhookEvent(event, { supabase, bot, ledgerService, transferService, idempotencyService, kycService }) {
   const eventType = event.event;
   const data = event.data;
 
@@ -133,17 +135,22 @@ async function processWebhookEvent(event, { supabase, bot }) {
 
   switch (eventType) {
     case 'charge.success':
-      await handleChargeSuccess(data, supabase, bot);
+      await handleChargeSuccess(data, supabase, bot, ledgerService, idempotencyService);
       break;
 
     case 'transfer.success':
       console.log('✅ [WEBHOOK] Transfer successful:', data.reference);
-      await updateTransactionStatus(data.reference, 'completed', supabase);
+      await transferService.completeTransfer(data.reference, data);
       break;
 
     case 'transfer.failed':
       console.log('❌ [WEBHOOK] Transfer failed:', data.reference);
-      await handleTransferFailure(data, supabase, bot);
+      await handleTransferFailure(data, transferService);
+      break;
+
+    case 'transfer.reversed':
+      console.log('↩️  [WEBHOOK] Transfer reversed:', data.reference);
+      await handleTransferReversal(data, transferService);
       break;
 
     case 'dedicatedaccount.assign.success':
@@ -154,6 +161,12 @@ async function processWebhookEvent(event, { supabase, bot }) {
       console.error('❌ [WEBHOOK] Virtual account assignment failed');
       break;
 
+    case 'customeridentification.success':
+    case 'customeridentification.failed':
+      console.log(`🪪 [WEBHOOK] Customer identification ${eventType.split('.')[1]}:`, data.customer_code);
+      await handleCustomerIdentification(eventType, data, kycService);
+      break;
+
     default:
       console.log(`ℹ️  [WEBHOOK] Unhandled event: ${eventType}`);
   }
@@ -163,7 +176,7 @@ async function processWebhookEvent(event, { supabase, bot }) {
  * Handle successful payment (charge.success)
  * This is the main event for wallet funding
  */
-async function handleChargeSuccess(data, supabase, bot) {
+async function handleChargeSuccess(data, supabase, bot, ledgerService, idempotencyService) {
   const startTime = Date.now();
   
   try {
@@ -221,59 +234,20 @@ async function handleChargeSuccess(data, supabase, bot) {
     }
 
     // ========================================
-    // UPDATE WALLET BALANCE ATOMICALLY
+    // POST FUNDING TO THE LEDGER (ONCE PER REFERENCE)
     // ========================================
-    const currentBalance = parseFloat(user.wallet_balance || 0);
-    const newBalance = currentBalance + amountInNaira;
-
-    const { error: updateError } = await supabase
-      .from('users')
-      .update({ 
-        wallet_balance: newBalance,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', user.id);
-
-    if (updateError) {
-      console.error('❌ [CHARGE] Balance update failed:', updateError);
-      throw updateError;
+    const { response, replayed, inProgress } = await idempotencyService.run(
+      IdempotencyService.fundingKey(reference),
+      { scope: 'funding', userId: user.id, request: { reference, amount: amountInNaira } },
+      () => creditFunding(data, user, supabase, ledgerService)
+    );
+
+    if (replayed || inProgress || response.duplicate) {
+      console.log(`⚠️  [CHARGE] Funding already handled: ${reference}`);
+      return;
     }
 
-    // ========================================
-    // CREATE TRANSACTION RECORD
-    // ========================================
-    const { error: txnError } = await supabase
-      .from('transactions')
-      .insert([{
-        user_id: user.id,
-        type: 'credit',
-        amount: amountInNaira,
-        service_fee: 0,
-        description: `Wallet funding via ${channel}`,
-        reference: reference,
-        status: 'completed',
-        metadata: {
-          channel: channel,
-          payment_method: data.authorization?.channel || channel,
-          sender_name: data.metadata?.sender_name || null,
-          sender_bank: data.metadata?.sender_bank || null
-        },
-        created_at: new Date().toISOString()
-      }]);
-
-    if (txnError) {
-      console.error('❌ [CHARGE] Transaction record failed:', txnError);
-      // Balance already updated, log for manual verification
-      await supabase.from('balance_reconciliation').insert([{
-        user_id: user.id,
-        amount: amountInNaira,
-        reference: reference,
-        user_balance: newBalance,
-        reconciled: false,
-        notes: 'Balance updated but transaction record failed',
-        created_at: new Date().toISOString()
-      }]);
-    }
+    const { newBalance } = response;
 
     console.log(`✅ [CHARGE] Wallet credited: ₦${amountInNaira.toLocaleString()} → ₦${newBalance.toLocaleString()}`);
 
@@ -351,84 +325,95 @@ async function handleChargeSuccess(data, supabase, bot) {
 }
 
 /**
- * Handle failed transfer (refund user)
+ * Credit the wallet and record the funding transaction
+ * @returns {Promise<Object>} { newBalance, duplicate }
  */
-async function handleTransferFailure(data, supabase, bot) {
-  try {
-    const reference = data.reference;
-    
-    // Find the original transaction
-    const { data: txn } = await supabase
-      .from('transactions')
-      .select('*, users!inner(telegram_chat_id, wallet_balance, id)')
-      .eq('reference', reference)
-      .single();
-
-    if (!txn) {
-      console.error(`❌ [TRANSFER] Transaction not found: ${reference}`);
-      return;
-    }
+async function creditFunding(data, user, supabase, ledgerService) {
+  const amountInNaira = data.amount / 100;
+  const reference = data.reference;
+  const channel = data.channel;
+
+  const { newBalance, duplicate } = await ledgerService.fundWallet(user.id, amountInNaira, reference, {
+    description: `Wallet funding via ${channel}`,
+    metadata: { channel, customer_code: data.customer?.customer_code }
+  });
 
-    // Calculate refund amount (amount + fee)
-    const refundAmount = parseFloat(txn.amount) + parseFloat(txn.service_fee || 0);
-    const currentBalance = parseFloat(txn.users.wallet_balance);
-    const newBalance = currentBalance + refundAmount;
+  if (duplicate) {
+    return { newBalance: null, duplicate: true };
+  }
 
-    // Refund to wallet
-    await supabase
-      .from('users')
-      .update({ wallet_balance: newBalance })
-      .eq('id', txn.users.id);
+  const { error: txnError } = await supabase
+    .from('transactions')
+    .insert([{
+      user_id: user.id,
+      type: 'credit',
+      amount: amountInNaira,
+      service_fee: 0,
+      description: `Wallet funding via ${channel}`,
+      reference: reference,
+      status: 'completed',
+      metadata: {
+        channel: channel,
+        payment_method: data.authorization?.channel || channel,
+        sender_name: data.metadata?.sender_name || null,
+        sender_bank: data.metadata?.sender_bank || null
+      },
+      created_at: new Date().toISOString()
+    }]);
 
-    // Update transaction status
-    await supabase
-      .from('transactions')
-      .update({
-        status: 'failed',
-        metadata: {
-          ...txn.metadata,
-          failure_reason: data.reason || 'Unknown',
-          refunded: true,
-          refund_amount: refundAmount
-        }
-      })
-      .eq('id', txn.id);
-
-    // Notify user
-    if (txn.users.telegram_chat_id && bot) {
-      await bot.sendMessage(
-        txn.users.telegram_chat_id,
-        `❌ *Transfer Failed*\n\n` +
-        `💰 Amount: ₦${parseFloat(txn.amount).toLocaleString()}\n` +
-        `❗ Reason: ${data.reason || 'Unknown error'}\n` +
-        `💵 Refunded: ₦${refundAmount.toLocaleString()}\n` +
-        `📊 New Balance: ₦${newBalance.toLocaleString()}\n\n` +
-        `Your funds have been returned to your wallet.`,
-        { parse_mode: 'Markdown' }
-      );
-    }
+  if (txnError) {
+    console.error('❌ [CHARGE] Transaction record failed:', txnError);
+    // Ledger already posted, log for manual verification
+    await supabase.from('balance_reconciliation').insert([{
+      user_id: user.id,
+      amount: amountInNaira,
+      reference: reference,
+      user_balance: newBalance,
+      reconciled: false,
+      notes: 'Ledger entry posted but transaction record failed',
+      created_at: new Date().toISOString()
+    }]);
+  }
 
-    console.log(`✅ [TRANSFER] Refunded ₦${refundAmount.toLocaleString()} for ${reference}`);
+  return { newBalance, duplicate: false };
+}
 
+/**
+ * Handle failed transfer (refund user)
+ */
+async function handleTransferFailure(data, transferService) {
+  try {
+    await transferService.failTransfer(data.reference, data.reason);
   } catch (error) {
     console.error('❌ [TRANSFER] Failure handler error:', error);
   }
 }
 
 /**
- * Update transaction status
+ * Handle reversed transfer (refund user, even after a reported success)
  */
-async function updateTransactionStatus(reference, status, supabase) {
+async function handleTransferReversal(data, transferService) {
   try {
-    await supabase
-      .from('transactions')
-      .update({ status: status })
-      .eq('reference', reference);
+    await transferService.reverseTransfer(data.reference, data.reason);
   } catch (error) {
-    console.error('❌ [STATUS] Update error:', error);
+    console.error('❌ [TRANSFER] Reversal handler error:', error);
   }
 }
 
+/**
+ * Handle a KYC result. Paystack reports BVN checks as type 'bank_account'.
+ */
+async function handleCustomerIdentification(eventType, data, kycService) {
+  const type = data.identification?.type === 'bank_account' ? 'bvn' : data.identification?.type;
+
+  await kycService.handleResult({
+    customerCode: data.customer_code,
+    type,
+    success: eventType === 'customeridentification.success',
+    reason: data.reason || null
+  });
+}
+
 /**
  * Webhook health check endpoint
  */
@@ -0,0 +1,80 @@
+/**
+ * TELEGRAM WEBHOOK HANDLER
+ *
+ * Used when TELEGRAM_MODE=webhook. Telegram POSTs each update here with the
+ * secret we registered in `setWebHook`; valid updates are handed to
+ * `bot.processUpdate()`, which emits them to the same CommandRouter used in
+ * polling mode; it routes messages and inline keyboard presses
+ * (`callback_query`) to the handler modules in `bot/commands/handlers`.
+ * Any instance behind the load balancer can serve this route.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+
+const router = express.Router();
+
+export const TELEGRAM_WEBHOOK_PATH = '/webhooks/telegram';
+
+/**
+ * Constant-time comparison of the secret token header
+ */
+function isValidSecret(received, expected) {
+  if (typeof received !== 'string' || !expected) return false;
+
+  const receivedBuffer = Buffer.from(received);
+  const expectedBuffer = Buffer.from(expected);
+
+  return receivedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+}
+
+/**
+ * Main Telegram Webhook Endpoint
+ * URL Format: https://your-domain.com/webhooks/telegram
+ */
+router.post(TELEGRAM_WEBHOOK_PATH, (req, res) => {
+  const secret = req.headers['x-telegram-bot-api-secret-token'];
+
+  if (!isValidSecret(secret, process.env.TELEGRAM_WEBHOOK_SECRET)) {
+    console.error('❌ [TELEGRAM] Invalid or missing secret token');
+    return res.status(401).send('Unauthorized');
+  }
+
+  const update = req.body;
+
+  if (!update || typeof update.update_id !== 'number') {
+    console.error('❌ [TELEGRAM] Malformed update');
+    return res.status(400).send('Malformed update');
+  }
+
+  // Acknowledge at once; Telegram retries slow or failed deliveries
+  res.sendStatus(200);
+
+  try {
+    req.app.locals.bot.processUpdate(update);
+  } catch (error) {
+    console.error(`❌ [TELEGRAM] Failed to process update ${update.update_id}:`, error);
+  }
+});
+
+/**
+ * Register the webhook with Telegram
+ * @param {Object} bot - TelegramBot instance
+ * @param {string} baseUrl - Public HTTPS base URL of this service
+ * @param {string} secret - Secret token Telegram echoes back in every request
+ * @returns {Promise<string>} Registered webhook URL
+ */
+export async function registerTelegramWebhook(bot, baseUrl, secret) {
+  const url = `${baseUrl.replace(/\/+$/, '')}${TELEGRAM_WEBHOOK_PATH}`;
+
+  await bot.setWebHook(url, {
+    secret_token: secret,
+    allowed_updates: JSON.stringify(['message', 'callback_query'])
+  });
+
+  console.log(`✅ [TELEGRAM] Webhook registered: ${url}`);
+  return url;
+}
+
+export default router;
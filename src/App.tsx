@@ -1,8 +1,14 @@
 import React from 'react';
 import AuthPage from './components/AuthPage';
+import PinPad from './components/PinPad';
 
 function App() {
+  // The bot opens the PIN pad Web App at ?view=pin
+  if (new URLSearchParams(window.location.search).get('view') === 'pin') {
+    return <PinPad />;
+  }
+
   return <AuthPage />;
 }
 
-export default App;
\ No newline at end of file
+export default App;
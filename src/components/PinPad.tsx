@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from 'react';
+import { Shield, Delete, CheckCircle, XCircle } from 'lucide-react';
+
+// Opened from the bot's "Enter PIN" button as a Telegram Web App
+const tg = window.Telegram?.WebApp;
+const PIN_LENGTH = 4;
+const KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '', '0', 'del'];
+
+type Status = 'idle' | 'submitting' | 'success' | 'error';
+
+interface PinResponse {
+  success: boolean;
+  message: string;
+}
+
+const PinPad: React.FC = () => {
+  const [pin, setPin] = useState('');
+  const [status, setStatus] = useState<Status>('idle');
+  const [message, setMessage] = useState('');
+
+  const confirmationId = new URLSearchParams(window.location.search).get('cid');
+
+  useEffect(() => {
+    tg?.ready();
+    tg?.expand();
+  }, []);
+
+  const submit = async (value: string) => {
+    setStatus('submitting');
+    try {
+      const response = await fetch(`${import.meta.env.VITE_BOT_API_URL}/webapp/pin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ initData: tg?.initData, confirmationId, pin: value })
+      });
+      const result: PinResponse = await response.json();
+
+      setStatus(result.success ? 'success' : 'error');
+      setMessage(result.message);
+      tg?.HapticFeedback?.notificationOccurred(result.success ? 'success' : 'error');
+    } catch (error) {
+      console.error('PIN submission error:', error);
+      setStatus('error');
+      setMessage('Could not reach QuickWallet. Please type your PIN in the chat instead.');
+    } finally {
+      setPin('');
+    }
+
+    // The outcome is also posted in the chat
+    setTimeout(() => tg?.close(), 2500);
+  };
+
+  const press = (key: string) => {
+    if (status !== 'idle' || !key) return;
+    tg?.HapticFeedback?.impactOccurred('light');
+
+    if (key === 'del') {
+      setPin(prev => prev.slice(0, -1));
+      return;
+    }
+
+    const next = pin + key;
+    setPin(next);
+    if (next.length === PIN_LENGTH) {
+      submit(next);
+    }
+  };
+
+  if (!tg?.initData || !confirmationId) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex items-center justify-center p-4">
+        <p className="text-gray-600 text-center">Open this page from the QuickWallet bot to enter your PIN.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-2xl p-8 w-full max-w-sm">
+        <div className="text-center mb-8">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-gradient-to-r from-blue-500 to-purple-600 rounded-full mb-4">
+            <Shield className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-2xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
+            Enter Transaction PIN
+          </h1>
+          <p className="text-gray-600 mt-2 text-sm">Your PIN is sent securely and never appears in the chat</p>
+        </div>
+
+        {status === 'success' || status === 'error' ? (
+          <div className="text-center py-8">
+            {status === 'success'
+              ? <CheckCircle className="w-16 h-16 text-green-500 mx-auto mb-4" />
+              : <XCircle className="w-16 h-16 text-red-500 mx-auto mb-4" />}
+            <p className="text-gray-700 whitespace-pre-line">{message}</p>
+          </div>
+        ) : (
+          <>
+            <div className="flex justify-center gap-4 mb-8">
+              {Array.from({ length: PIN_LENGTH }, (_, i) => (
+                <div
+                  key={i}
+                  className={`w-4 h-4 rounded-full transition-colors ${
+                    i < pin.length ? 'bg-gradient-to-r from-blue-500 to-purple-600' : 'bg-gray-200'
+                  }`}
+                />
+              ))}
+            </div>
+
+            <div className="grid grid-cols-3 gap-4">
+              {KEYS.map((key, i) => (
+                <button
+                  key={i}
+                  type="button"
+                  onClick={() => press(key)}
+                  disabled={!key || status === 'submitting'}
+                  className={`h-16 rounded-xl text-2xl font-semibold flex items-center justify-center transition-colors ${
+                    key ? 'bg-gray-50 hover:bg-gray-100 active:bg-gray-200 text-gray-800' : 'invisible'
+                  } disabled:opacity-50`}
+                >
+                  {key === 'del' ? <Delete className="w-6 h-6" /> : key}
+                </button>
+              ))}
+            </div>
+
+            {status === 'submitting' && (
+              <div className="flex justify-center mt-6">
+                <div className="animate-spin rounded-full h-6 w-6 border-2 border-blue-500 border-t-transparent"></div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PinPad;
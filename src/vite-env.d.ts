@@ -1 +1,25 @@
 /// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  readonly VITE_SUPABASE_URL: string;
+  readonly VITE_SUPABASE_ANON_KEY: string;
+  readonly VITE_BOT_API_URL: string;
+}
+
+// Subset of https://telegram.org/js/telegram-web-app.js used by the PIN pad
+interface TelegramWebApp {
+  initData: string;
+  ready(): void;
+  expand(): void;
+  close(): void;
+  HapticFeedback?: {
+    impactOccurred(style: 'light' | 'medium' | 'heavy' | 'rigid' | 'soft'): void;
+    notificationOccurred(type: 'error' | 'success' | 'warning'): void;
+  };
+}
+
+interface Window {
+  Telegram?: {
+    WebApp: TelegramWebApp;
+  };
+}
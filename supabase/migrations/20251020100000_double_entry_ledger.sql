@@ -0,0 +1,251 @@
+/*
+  # Double-entry ledger
+
+  Every movement of money is recorded as a journal entry with two or more
+  postings whose debits and credits balance. A user's wallet balance is
+  derived from the postings on their wallet account; `users.wallet_balance`
+  is kept only as a cache and is refreshed by `post_journal_entry` inside
+  the same database transaction that writes the postings.
+
+  1. New Tables
+    - `ledger_accounts`
+      - `id` (uuid, primary key)
+      - `code` (text, unique) - `paystack_settlement`, `fee_income`,
+        `opening_balance` or `wallet:<user id>`
+      - `name` (text)
+      - `type` (text: 'asset', 'liability', 'revenue', 'equity')
+      - `user_id` (uuid, nullable, set for wallet accounts)
+      - `created_at` (timestamp)
+
+    - `journal_entries`
+      - `id` (uuid, primary key)
+      - `reference` (text, unique) - reposting a reference is rejected
+      - `entry_type` (text)
+      - `description` (text)
+      - `metadata` (jsonb)
+      - `created_at` (timestamp)
+
+    - `ledger_postings`
+      - `id` (uuid, primary key)
+      - `entry_id` (uuid, foreign key to journal_entries)
+      - `account_id` (uuid, foreign key to ledger_accounts)
+      - `direction` (text: 'debit', 'credit')
+      - `amount` (decimal, always positive)
+      - `created_at` (timestamp)
+
+  2. Views
+    - `ledger_account_balances` - balance per account using the normal
+      side of its type (assets are debit-normal, everything else is
+      credit-normal)
+
+  3. Functions
+    - `ensure_wallet_account(user_id)` - returns the wallet account id,
+      creating it on first use
+    - `post_journal_entry(...)` - inserts an entry and its postings,
+      rejects unbalanced entries and refreshes cached wallet balances
+    - `sync_wallet_balance(user_id)` - rewrites the cached balance from
+      the ledger (used by reconciliation)
+
+  4. Backfill
+    - Existing wallet balances are brought into the ledger as opening
+      balance entries
+*/
+
+-- Create ledger_accounts table
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  code text UNIQUE NOT NULL,
+  name text NOT NULL,
+  type text NOT NULL CHECK (type IN ('asset', 'liability', 'revenue', 'equity')),
+  user_id uuid UNIQUE REFERENCES users(id) ON DELETE RESTRICT,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Create journal_entries table
+CREATE TABLE IF NOT EXISTS journal_entries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  reference text UNIQUE NOT NULL,
+  entry_type text NOT NULL,
+  description text,
+  metadata jsonb DEFAULT '{}'::jsonb,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Create ledger_postings table
+CREATE TABLE IF NOT EXISTS ledger_postings (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  entry_id uuid NOT NULL REFERENCES journal_entries(id) ON DELETE RESTRICT,
+  account_id uuid NOT NULL REFERENCES ledger_accounts(id) ON DELETE RESTRICT,
+  direction text NOT NULL CHECK (direction IN ('debit', 'credit')),
+  amount decimal(15,2) NOT NULL CHECK (amount > 0),
+  created_at timestamptz DEFAULT now()
+);
+
+-- Enable RLS (only the service role touches the ledger)
+ALTER TABLE ledger_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE journal_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ledger_postings ENABLE ROW LEVEL SECURITY;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_account ON ledger_postings(account_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_entry ON ledger_postings(entry_id);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_created ON journal_entries(created_at);
+
+-- System accounts
+INSERT INTO ledger_accounts (code, name, type) VALUES
+  ('paystack_settlement', 'Paystack settlement balance', 'asset'),
+  ('fee_income', 'Service fee income', 'revenue'),
+  ('opening_balance', 'Opening balances', 'equity')
+ON CONFLICT (code) DO NOTHING;
+
+-- Balance per account on its normal side
+CREATE OR REPLACE VIEW ledger_account_balances AS
+SELECT
+  a.id AS account_id,
+  a.code,
+  a.type,
+  a.user_id,
+  COALESCE(SUM(
+    CASE
+      WHEN (a.type = 'asset') = (p.direction = 'debit') THEN p.amount
+      ELSE -p.amount
+    END
+  ), 0)::decimal(15,2) AS balance
+FROM ledger_accounts a
+LEFT JOIN ledger_postings p ON p.account_id = a.id
+GROUP BY a.id, a.code, a.type, a.user_id;
+
+-- Wallet accounts are created lazily
+CREATE OR REPLACE FUNCTION ensure_wallet_account(p_user_id uuid)
+RETURNS uuid AS $$
+DECLARE
+  v_account_id uuid;
+BEGIN
+  INSERT INTO ledger_accounts (code, name, type, user_id)
+  VALUES ('wallet:' || p_user_id::text, 'User wallet', 'liability', p_user_id)
+  ON CONFLICT (code) DO NOTHING;
+
+  SELECT id INTO v_account_id FROM ledger_accounts WHERE user_id = p_user_id;
+  RETURN v_account_id;
+END;
+$$ language 'plpgsql';
+
+-- Post a balanced journal entry
+-- p_postings: [{ "account": "fee_income" | "user_wallet", "user_id": uuid,
+--                "direction": "debit" | "credit", "amount": number }]
+CREATE OR REPLACE FUNCTION post_journal_entry(
+  p_reference text,
+  p_entry_type text,
+  p_description text,
+  p_postings jsonb,
+  p_metadata jsonb DEFAULT '{}'::jsonb
+)
+RETURNS jsonb AS $$
+DECLARE
+  v_entry_id uuid;
+  v_posting jsonb;
+  v_account_id uuid;
+  v_amount decimal(15,2);
+  v_debits decimal(15,2) := 0;
+  v_credits decimal(15,2) := 0;
+  v_user_id uuid;
+  v_balance decimal(15,2);
+  v_wallet_balances jsonb := '{}'::jsonb;
+BEGIN
+  IF jsonb_array_length(p_postings) < 2 THEN
+    RAISE EXCEPTION 'LEDGER_UNBALANCED: an entry needs at least two postings';
+  END IF;
+
+  -- A repeated reference raises unique_violation (23505)
+  INSERT INTO journal_entries (reference, entry_type, description, metadata)
+  VALUES (p_reference, p_entry_type, p_description, COALESCE(p_metadata, '{}'::jsonb))
+  RETURNING id INTO v_entry_id;
+
+  FOR v_posting IN SELECT * FROM jsonb_array_elements(p_postings) LOOP
+    IF v_posting->>'account' = 'user_wallet' THEN
+      v_account_id := ensure_wallet_account((v_posting->>'user_id')::uuid);
+    ELSE
+      SELECT id INTO v_account_id FROM ledger_accounts WHERE code = v_posting->>'account';
+    END IF;
+
+    IF v_account_id IS NULL THEN
+      RAISE EXCEPTION 'LEDGER_UNKNOWN_ACCOUNT: %', v_posting->>'account';
+    END IF;
+
+    v_amount := (v_posting->>'amount')::decimal(15,2);
+
+    INSERT INTO ledger_postings (entry_id, account_id, direction, amount)
+    VALUES (v_entry_id, v_account_id, v_posting->>'direction', v_amount);
+
+    IF v_posting->>'direction' = 'debit' THEN
+      v_debits := v_debits + v_amount;
+    ELSE
+      v_credits := v_credits + v_amount;
+    END IF;
+  END LOOP;
+
+  IF v_debits <> v_credits THEN
+    RAISE EXCEPTION 'LEDGER_UNBALANCED: debits % <> credits %', v_debits, v_credits;
+  END IF;
+
+  -- Refresh the cached balance of every wallet this entry touched
+  FOR v_user_id IN
+    SELECT DISTINCT a.user_id
+    FROM ledger_postings p
+    JOIN ledger_accounts a ON a.id = p.account_id
+    WHERE p.entry_id = v_entry_id AND a.user_id IS NOT NULL
+  LOOP
+    SELECT balance INTO v_balance FROM ledger_account_balances WHERE user_id = v_user_id;
+
+    UPDATE users
+    SET wallet_balance = v_balance, updated_at = now()
+    WHERE id = v_user_id;
+
+    v_wallet_balances := v_wallet_balances || jsonb_build_object(v_user_id::text, v_balance);
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'entry_id', v_entry_id,
+    'reference', p_reference,
+    'wallet_balances', v_wallet_balances
+  );
+END;
+$$ language 'plpgsql';
+
+-- Rewrite the cached wallet balance from the ledger
+CREATE OR REPLACE FUNCTION sync_wallet_balance(p_user_id uuid)
+RETURNS decimal AS $$
+DECLARE
+  v_balance decimal(15,2);
+BEGIN
+  SELECT COALESCE(balance, 0) INTO v_balance
+  FROM ledger_account_balances
+  WHERE user_id = p_user_id;
+
+  UPDATE users
+  SET wallet_balance = COALESCE(v_balance, 0), updated_at = now()
+  WHERE id = p_user_id;
+
+  RETURN COALESCE(v_balance, 0);
+END;
+$$ language 'plpgsql';
+
+-- Bring existing balances into the ledger
+DO $$
+DECLARE
+  v_user record;
+BEGIN
+  FOR v_user IN SELECT id, wallet_balance FROM users WHERE wallet_balance > 0 LOOP
+    IF NOT EXISTS (SELECT 1 FROM journal_entries WHERE reference = 'OPENING_' || v_user.id::text) THEN
+      PERFORM post_journal_entry(
+        'OPENING_' || v_user.id::text,
+        'OPENING_BALANCE',
+        'Opening balance carried over from wallet_balance',
+        jsonb_build_array(
+          jsonb_build_object('account', 'opening_balance', 'direction', 'debit', 'amount', v_user.wallet_balance),
+          jsonb_build_object('account', 'user_wallet', 'user_id', v_user.id, 'direction', 'credit', 'amount', v_user.wallet_balance)
+        )
+      );
+    END IF;
+  END LOOP;
+END $$;
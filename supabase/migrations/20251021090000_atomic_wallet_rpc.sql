@@ -0,0 +1,136 @@
+/*
+  # Atomic wallet debit and credit
+
+  Reading `wallet_balance` in the bot, doing arithmetic in JavaScript and
+  writing the result back lets two concurrent transfers both pass the
+  balance check. These functions lock the user's row, check the ledger
+  balance and post the journal entry in a single database transaction, and
+  return the authoritative new balance.
+
+  1. Functions
+    - `debit_wallet(...)` - locks the user row, rejects the debit with
+      `INSUFFICIENT_FUNDS` if amount + fee exceeds the ledger balance and
+      posts wallet -> settlement / fee income
+    - `credit_wallet(...)` - locks the user row and posts
+      settlement (and optionally fee income) -> wallet
+
+  2. Constraints
+    - `users.wallet_balance` can never go negative
+*/
+
+-- Belt and braces: the cached balance refreshed by post_journal_entry may never be negative
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'users_wallet_balance_non_negative'
+  ) THEN
+    ALTER TABLE users
+      ADD CONSTRAINT users_wallet_balance_non_negative CHECK (wallet_balance >= 0) NOT VALID;
+  END IF;
+END $$;
+
+-- Debit a wallet for an outgoing payment
+CREATE OR REPLACE FUNCTION debit_wallet(
+  p_user_id uuid,
+  p_amount decimal,
+  p_fee decimal,
+  p_reference text,
+  p_entry_type text,
+  p_description text,
+  p_metadata jsonb DEFAULT '{}'::jsonb
+)
+RETURNS jsonb AS $$
+DECLARE
+  v_balance decimal(15,2);
+  v_total decimal(15,2) := p_amount + COALESCE(p_fee, 0);
+  v_result jsonb;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'INVALID_AMOUNT: %', p_amount;
+  END IF;
+
+  -- Serialise every debit and credit for this user
+  PERFORM 1 FROM users WHERE id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'WALLET_NOT_FOUND: %', p_user_id;
+  END IF;
+
+  SELECT COALESCE(balance, 0) INTO v_balance
+  FROM ledger_account_balances
+  WHERE user_id = p_user_id;
+
+  IF COALESCE(v_balance, 0) < v_total THEN
+    RAISE EXCEPTION 'INSUFFICIENT_FUNDS'
+      USING DETAIL = COALESCE(v_balance, 0)::text;
+  END IF;
+
+  v_result := post_journal_entry(
+    p_reference,
+    p_entry_type,
+    p_description,
+    jsonb_build_array(
+      jsonb_build_object('account', 'user_wallet', 'user_id', p_user_id, 'direction', 'debit', 'amount', v_total),
+      jsonb_build_object('account', 'paystack_settlement', 'direction', 'credit', 'amount', p_amount)
+    ) || CASE
+      WHEN COALESCE(p_fee, 0) > 0 THEN jsonb_build_array(
+        jsonb_build_object('account', 'fee_income', 'direction', 'credit', 'amount', p_fee)
+      )
+      ELSE '[]'::jsonb
+    END,
+    p_metadata
+  );
+
+  RETURN jsonb_build_object(
+    'entry_id', v_result->'entry_id',
+    'reference', p_reference,
+    'new_balance', v_result->'wallet_balances'->(p_user_id::text)
+  );
+END;
+$$ language 'plpgsql';
+
+-- Credit a wallet with incoming money (funding, refunds)
+CREATE OR REPLACE FUNCTION credit_wallet(
+  p_user_id uuid,
+  p_amount decimal,
+  p_reference text,
+  p_entry_type text,
+  p_description text,
+  p_metadata jsonb DEFAULT '{}'::jsonb,
+  p_fee_reversal decimal DEFAULT 0
+)
+RETURNS jsonb AS $$
+DECLARE
+  v_result jsonb;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'INVALID_AMOUNT: %', p_amount;
+  END IF;
+
+  PERFORM 1 FROM users WHERE id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'WALLET_NOT_FOUND: %', p_user_id;
+  END IF;
+
+  v_result := post_journal_entry(
+    p_reference,
+    p_entry_type,
+    p_description,
+    jsonb_build_array(
+      jsonb_build_object('account', 'paystack_settlement', 'direction', 'debit', 'amount', p_amount),
+      jsonb_build_object('account', 'user_wallet', 'user_id', p_user_id, 'direction', 'credit', 'amount', p_amount + COALESCE(p_fee_reversal, 0))
+    ) || CASE
+      WHEN COALESCE(p_fee_reversal, 0) > 0 THEN jsonb_build_array(
+        jsonb_build_object('account', 'fee_income', 'direction', 'debit', 'amount', p_fee_reversal)
+      )
+      ELSE '[]'::jsonb
+    END,
+    p_metadata
+  );
+
+  RETURN jsonb_build_object(
+    'entry_id', v_result->'entry_id',
+    'reference', p_reference,
+    'new_balance', v_result->'wallet_balances'->(p_user_id::text)
+  );
+END;
+$$ language 'plpgsql';
@@ -0,0 +1,25 @@
+/*
+  # Paystack transfer pipeline
+
+  Outgoing transfers are now recorded as `pending` and finalized by the
+  Paystack transfer webhooks instead of being marked `completed` up front.
+
+  1. Modified Tables
+    - `transactions`
+      - `paystack_transfer_code` (text, nullable) - Paystack TRF_ code
+      - `completed_at` (timestamp, nullable) - when the transfer settled
+      - `metadata` (jsonb) - recipient code, bank and Paystack status
+    - `beneficiaries`
+      - `paystack_recipient_code` (text, nullable) - cached RCP_ code so a
+        recipient is only created once per beneficiary
+*/
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS paystack_transfer_code text;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS completed_at timestamptz;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS metadata jsonb DEFAULT '{}'::jsonb;
+
+ALTER TABLE IF EXISTS beneficiaries ADD COLUMN IF NOT EXISTS paystack_recipient_code text;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_pending_transfers
+  ON transactions(created_at)
+  WHERE type = 'transfer' AND status = 'pending';
@@ -0,0 +1,28 @@
+/*
+  # Transfer state machine
+
+  Outgoing transfers move through
+  pending -> otp -> processing -> completed / failed / reversed.
+  `otp` means Paystack is waiting for the integration OTP (finalized via
+  the admin endpoint); `reversed` means the bank returned the money and
+  the wallet has been refunded.
+
+  1. Modified Tables
+    - `transactions`
+      - `status` now also allows 'otp', 'processing' and 'reversed'
+
+  2. Indexes
+    - In-flight transfer index covers every non-terminal state
+*/
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_status_check;
+
+ALTER TABLE transactions
+  ADD CONSTRAINT transactions_status_check
+  CHECK (status IN ('pending', 'otp', 'processing', 'completed', 'failed', 'reversed'));
+
+DROP INDEX IF EXISTS idx_transactions_pending_transfers;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_inflight_transfers
+  ON transactions(created_at)
+  WHERE type = 'transfer' AND status IN ('pending', 'otp', 'processing');
@@ -0,0 +1,44 @@
+/*
+  # Idempotency keys
+
+  Money-moving operations (PIN-confirmed transfers, wallet funding from the
+  webhook, polling and admin retry) claim a key here before they run and
+  store their response when they finish. A replay of the same key returns
+  the stored response instead of moving money again.
+
+  1. New Tables
+    - `idempotency_keys`
+      - `key` (text, primary key) - e.g. `transfer:<user>:<confirmation>`,
+        `funding:<paystack reference>`
+      - `scope` (text) - 'transfer', 'funding'
+      - `user_id` (uuid, nullable, foreign key to users)
+      - `request_hash` (text) - sha256 of the request; reusing a key for a
+        different request is rejected
+      - `status` (text: 'in_progress', 'completed', 'failed')
+      - `response` (jsonb, nullable) - stored response returned on replay
+      - `error_message` (text, nullable)
+      - `locked_until` (timestamp) - an in-progress key whose lock expired
+        can be reclaimed
+      - `expires_at` (timestamp) - purged by the bot after this
+      - `created_at`, `completed_at` (timestamp)
+*/
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  key text PRIMARY KEY,
+  scope text NOT NULL,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  request_hash text NOT NULL,
+  status text NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed', 'failed')),
+  response jsonb,
+  error_message text,
+  locked_until timestamptz NOT NULL,
+  expires_at timestamptz NOT NULL DEFAULT now() + interval '7 days',
+  created_at timestamptz DEFAULT now(),
+  completed_at timestamptz
+);
+
+-- Enable RLS (only the service role uses idempotency keys)
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_user ON idempotency_keys(user_id);
@@ -0,0 +1,32 @@
+/*
+  # Bot session store
+
+  Pending transfer confirmations, conversation context, rate-limit windows
+  and PIN lockout counters used to live in process memory, so a restart
+  lost in-flight confirmations and reset lockouts. They are now stored
+  here by SupabaseSessionStore.
+
+  1. New Tables
+    - `bot_sessions`
+      - `namespace` (text) - 'session', 'context', 'rate_limit',
+        'failed_attempts'
+      - `key` (text) - chat ID or user ID
+      - `value` (jsonb)
+      - `expires_at` (timestamp) - expired rows are ignored and purged
+      - `updated_at` (timestamp)
+      - primary key (`namespace`, `key`)
+*/
+
+CREATE TABLE IF NOT EXISTS bot_sessions (
+  namespace text NOT NULL,
+  key text NOT NULL,
+  value jsonb NOT NULL DEFAULT '{}'::jsonb,
+  expires_at timestamptz NOT NULL,
+  updated_at timestamptz DEFAULT now(),
+  PRIMARY KEY (namespace, key)
+);
+
+-- Enable RLS (only the service role reads sessions)
+ALTER TABLE bot_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_bot_sessions_expires ON bot_sessions(expires_at);
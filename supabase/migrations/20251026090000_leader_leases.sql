@@ -0,0 +1,66 @@
+/*
+  # Leader election leases
+
+  Several bot instances can run at once. The instance holding the
+  unexpired lease is the leader and alone runs the singleton work: cron
+  jobs, Paystack polling and Telegram long polling.
+
+  1. New Tables
+    - `bot_leases`
+      - `name` (text, primary key) - lease name, e.g. 'quickwallet-bot'
+      - `holder` (text) - instance ID of the current leader
+      - `acquired_at` (timestamp) - when the holder first took the lease
+      - `renewed_at` (timestamp)
+      - `expires_at` (timestamp) - any instance may take the lease after this
+
+  2. Functions
+    - `try_acquire_lease(name, holder, ttl_seconds)` - takes or renews the
+      lease if it is free, expired or already ours; returns true if held
+    - `release_lease(name, holder)` - gives the lease up on shutdown
+*/
+
+CREATE TABLE IF NOT EXISTS bot_leases (
+  name text PRIMARY KEY,
+  holder text NOT NULL,
+  acquired_at timestamptz DEFAULT now(),
+  renewed_at timestamptz DEFAULT now(),
+  expires_at timestamptz NOT NULL
+);
+
+-- Enable RLS (only the service role manages leases)
+ALTER TABLE bot_leases ENABLE ROW LEVEL SECURITY;
+
+-- Take or renew a lease atomically
+CREATE OR REPLACE FUNCTION try_acquire_lease(
+  p_name text,
+  p_holder text,
+  p_ttl_seconds integer
+)
+RETURNS boolean AS $$
+BEGIN
+  INSERT INTO bot_leases (name, holder, acquired_at, renewed_at, expires_at)
+  VALUES (p_name, p_holder, now(), now(), now() + make_interval(secs => p_ttl_seconds))
+  ON CONFLICT (name) DO UPDATE
+    SET holder = EXCLUDED.holder,
+        acquired_at = CASE
+          WHEN bot_leases.holder = EXCLUDED.holder THEN bot_leases.acquired_at
+          ELSE now()
+        END,
+        renewed_at = now(),
+        expires_at = EXCLUDED.expires_at
+    WHERE bot_leases.holder = EXCLUDED.holder
+       OR bot_leases.expires_at < now();
+
+  -- FOUND is false when the conflicting row belongs to a live leader
+  RETURN FOUND;
+END;
+$$ language 'plpgsql';
+
+-- Give a lease up
+CREATE OR REPLACE FUNCTION release_lease(p_name text, p_holder text)
+RETURNS boolean AS $$
+BEGIN
+  DELETE FROM bot_leases WHERE name = p_name AND holder = p_holder;
+  RETURN FOUND;
+END;
+$$ language 'plpgsql';
@@ -0,0 +1,42 @@
+/*
+  # Transaction PIN change and recovery
+
+  Users can change their PIN with /changepin and recover a forgotten one
+  with /forgotpin (date of birth + OTP sent by SMS/email). Transfers are
+  blocked for 24 hours after a recovery reset.
+
+  1. Modified Tables
+    - `users`
+      - `pin_changed_at` (timestamp) - last /changepin
+      - `pin_reset_at` (timestamp) - last recovery reset; starts the
+        transfer cool-down
+
+  2. New Tables
+    - `security_logs` (if not already present)
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, foreign key, nullable)
+      - `event_type` (text) - e.g. 'PIN_CHANGED', 'PIN_RESET'
+      - `details` (text) - JSON-encoded event details
+      - `ip_address` (text)
+      - `user_agent` (text)
+      - `created_at` (timestamp)
+*/
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pin_changed_at timestamptz;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pin_reset_at timestamptz;
+
+CREATE TABLE IF NOT EXISTS security_logs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  event_type text NOT NULL,
+  details text,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Enable RLS (only the service role writes security logs)
+ALTER TABLE security_logs ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_security_logs_user_event
+  ON security_logs(user_id, event_type, created_at DESC);
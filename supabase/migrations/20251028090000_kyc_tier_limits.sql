@@ -0,0 +1,53 @@
+/*
+  # KYC tiers and per-user transaction limits
+
+  Transfer limits used to be one global, hardcoded set. Each user now has
+  a KYC tier that sets their limits, and may lower (never raise) their own
+  per-transaction and daily limits from the bot with /limits.
+
+  1. New Tables
+    - `kyc_tiers`
+      - `tier` (integer, primary key)
+      - `name` (text)
+      - `single_transaction_limit` (decimal) - max per transfer
+      - `daily_limit` (decimal) - max transferred per day
+      - `min_transaction` (decimal)
+      - `requirements` (text) - what a user must verify to reach the tier
+
+  2. Modified Tables
+    - `users`
+      - `kyc_tier` (integer, default 1) - references `kyc_tiers`
+      - `single_transaction_limit_override` (decimal, nullable) - user-set
+        cap, only ever below the tier limit
+      - `daily_limit_override` (decimal, nullable) - same, per day
+*/
+
+CREATE TABLE IF NOT EXISTS kyc_tiers (
+  tier integer PRIMARY KEY,
+  name text NOT NULL,
+  single_transaction_limit decimal(15,2) NOT NULL CHECK (single_transaction_limit > 0),
+  daily_limit decimal(15,2) NOT NULL CHECK (daily_limit > 0),
+  min_transaction decimal(15,2) NOT NULL DEFAULT 100,
+  requirements text
+);
+
+-- Enable RLS (tiers are read by the bot's service role)
+ALTER TABLE kyc_tiers ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO kyc_tiers (tier, name, single_transaction_limit, daily_limit, min_transaction, requirements)
+VALUES
+  (1, 'Basic', 50000, 100000, 100, 'Phone number and date of birth'),
+  (2, 'Verified', 200000, 500000, 100, 'BVN verification'),
+  (3, 'Premium', 500000, 1000000, 100, 'BVN and government ID verification')
+ON CONFLICT (tier) DO NOTHING;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS kyc_tier integer NOT NULL DEFAULT 1 REFERENCES kyc_tiers(tier);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS single_transaction_limit_override decimal(15,2)
+  CHECK (single_transaction_limit_override > 0);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS daily_limit_override decimal(15,2)
+  CHECK (daily_limit_override > 0);
+
+-- Daily usage is summed from today's outgoing transfers
+CREATE INDEX IF NOT EXISTS idx_transactions_user_transfers_created
+  ON transactions(user_id, created_at)
+  WHERE type = 'transfer';
@@ -0,0 +1,71 @@
+/*
+  # KYC verification
+
+  New signups start at tier 0 and move up by verifying their NIN and/or
+  BVN through the bot (/verify). Verification runs against Paystack's
+  customer identification endpoint; the result arrives on the
+  `customeridentification.success` / `customeridentification.failed`
+  webhooks.
+
+  Tiers: 0 Unverified, 1 NIN, 2 BVN, 3 BVN + NIN. Existing users keep
+  their current tier.
+
+  1. New Tables
+    - `kyc_verifications`
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, foreign key)
+      - `id_type` (text) - 'bvn' or 'nin'
+      - `id_hash` (text) - keyed hash of the number; the number itself is
+        never stored
+      - `id_last4` (text) - for display
+      - `status` (text) - 'pending', 'verified' or 'failed'
+      - `provider` (text) - 'paystack' or 'mock'
+      - `failure_reason` (text)
+      - `created_at`, `completed_at` (timestamp)
+
+  2. Modified Tables
+    - `kyc_tiers` - adds tier 0; requirements describe the new path
+    - `users` - `kyc_tier` now defaults to 0
+
+  3. Security
+    - One verified BVN/NIN can belong to only one user
+*/
+
+INSERT INTO kyc_tiers (tier, name, single_transaction_limit, daily_limit, min_transaction, requirements)
+VALUES (0, 'Unverified', 10000, 20000, 100, 'None (new signup)')
+ON CONFLICT (tier) DO NOTHING;
+
+UPDATE kyc_tiers SET requirements = 'NIN verification' WHERE tier = 1;
+UPDATE kyc_tiers SET requirements = 'BVN verification' WHERE tier = 2;
+UPDATE kyc_tiers SET requirements = 'BVN and NIN verification' WHERE tier = 3;
+
+ALTER TABLE users ALTER COLUMN kyc_tier SET DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS kyc_verifications (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  id_type text NOT NULL CHECK (id_type IN ('bvn', 'nin')),
+  id_hash text NOT NULL,
+  id_last4 text NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'failed')),
+  provider text NOT NULL,
+  failure_reason text,
+  created_at timestamptz DEFAULT now(),
+  completed_at timestamptz
+);
+
+-- Enable RLS (only the service role reads KYC records)
+ALTER TABLE kyc_verifications ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_kyc_verifications_user
+  ON kyc_verifications(user_id, id_type, status);
+
+-- One identity per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_kyc_verifications_verified_identity
+  ON kyc_verifications(id_type, id_hash)
+  WHERE status = 'verified';
+
+-- At most one check in flight per user and ID type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_kyc_verifications_one_pending
+  ON kyc_verifications(user_id, id_type)
+  WHERE status = 'pending';
@@ -0,0 +1,79 @@
+/*
+  # Configurable transfer fees
+
+  The ₦10 transfer fee used to be hardcoded in the bot and in the
+  `service_fee` column default. Fees now come from a schedule in the
+  database, with per-user waivers and a monthly free-transfer allowance.
+
+  1. New Tables
+    - `fee_schedules`
+      - `id` (uuid, primary key)
+      - `name` (text)
+      - `fee_type` (text) - flat | percentage | tiered
+      - `flat_fee` (decimal) - for flat schedules
+      - `percentage` (decimal) - percent of the amount, for percentage schedules
+      - `min_fee` / `max_fee` (decimal, nullable) - clamp a percentage fee
+      - `bands` (jsonb) - for tiered schedules: [{ "up_to": 5000, "fee": 10 },
+        { "up_to": null, "fee": 50 }]; `up_to: null` is the open-ended top band
+      - `free_transfers_per_month` (integer) - transfers each user makes free
+        every calendar month
+      - `active` (boolean), `effective_from` (timestamptz) - the newest active
+        schedule already in effect is used
+    - `fee_waivers`
+      - `user_id` (uuid) - user who pays no transfer fees
+      - `reason` (text)
+      - `expires_at` (timestamptz, nullable) - open-ended when null
+
+  2. Modified Tables
+    - `transactions`
+      - `service_fee` default is now 0; transfers always set it explicitly
+      - `fee_rule` (text, nullable) - how the fee was priced: flat,
+        percentage, tiered, free_allowance or waiver
+*/
+
+CREATE TABLE IF NOT EXISTS fee_schedules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  fee_type text NOT NULL CHECK (fee_type IN ('flat', 'percentage', 'tiered')),
+  flat_fee decimal(15,2) NOT NULL DEFAULT 0 CHECK (flat_fee >= 0),
+  percentage decimal(5,2) CHECK (percentage >= 0),
+  min_fee decimal(15,2) CHECK (min_fee >= 0),
+  max_fee decimal(15,2) CHECK (max_fee >= 0),
+  bands jsonb NOT NULL DEFAULT '[]'::jsonb,
+  free_transfers_per_month integer NOT NULL DEFAULT 0 CHECK (free_transfers_per_month >= 0),
+  active boolean NOT NULL DEFAULT true,
+  effective_from timestamptz NOT NULL DEFAULT now(),
+  created_at timestamptz DEFAULT now(),
+  CHECK (fee_type <> 'percentage' OR percentage IS NOT NULL),
+  CHECK (fee_type <> 'tiered' OR jsonb_array_length(bands) > 0),
+  CHECK (min_fee IS NULL OR max_fee IS NULL OR min_fee <= max_fee)
+);
+
+CREATE TABLE IF NOT EXISTS fee_waivers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason text,
+  expires_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Enable RLS (read by the bot's service role)
+ALTER TABLE fee_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fee_waivers ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_fee_schedules_active ON fee_schedules(effective_from DESC) WHERE active;
+CREATE INDEX IF NOT EXISTS idx_fee_waivers_user ON fee_waivers(user_id);
+
+-- Keep today's pricing: ₦10 flat, no free transfers
+INSERT INTO fee_schedules (name, fee_type, flat_fee)
+SELECT 'Standard', 'flat', 10
+WHERE NOT EXISTS (SELECT 1 FROM fee_schedules);
+
+ALTER TABLE transactions ALTER COLUMN service_fee SET DEFAULT 0;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS fee_rule text
+  CHECK (fee_rule IN ('flat', 'percentage', 'tiered', 'free_allowance', 'waiver'));
+
+-- Free transfers are counted per user per month
+CREATE INDEX IF NOT EXISTS idx_transactions_free_transfers
+  ON transactions(user_id, created_at)
+  WHERE fee_rule = 'free_allowance';
@@ -0,0 +1,105 @@
+/*
+  # Wallet-to-wallet transfers
+
+  Money sent to another QuickWallet user never leaves our ledger: the
+  sender's wallet is debited and the recipient's credited in one journal
+  entry, with no fee and no Paystack transfer.
+
+  1. Functions
+    - `normalize_phone(text)` - digits only, Nigerian local numbers
+      (0XXXXXXXXXX) rewritten to 234XXXXXXXXXX
+    - `transfer_between_wallets(...)` - locks both users (in id order, so
+      two opposite transfers can't deadlock), rejects the transfer with
+      `INSUFFICIENT_FUNDS` if it exceeds the sender's ledger balance and
+      posts sender wallet -> recipient wallet
+
+  2. Modified Tables
+    - `users`
+      - `telegram_username` (text, nullable) - lower-cased @username, kept
+        current by the bot whenever the user writes to it
+      - `phone_normalized` (text, generated) - `normalize_phone(phone_number)`
+*/
+
+CREATE OR REPLACE FUNCTION normalize_phone(p_phone text)
+RETURNS text AS $$
+DECLARE
+  v_digits text := regexp_replace(COALESCE(p_phone, ''), '\D', '', 'g');
+BEGIN
+  IF length(v_digits) = 11 AND left(v_digits, 1) = '0' THEN
+    RETURN '234' || substr(v_digits, 2);
+  END IF;
+
+  RETURN NULLIF(v_digits, '');
+END;
+$$ language 'plpgsql' IMMUTABLE;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS telegram_username text;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_normalized text
+  GENERATED ALWAYS AS (normalize_phone(phone_number)) STORED;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_telegram_username ON users(telegram_username)
+  WHERE telegram_username IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_users_phone_normalized ON users(phone_normalized);
+
+CREATE OR REPLACE FUNCTION transfer_between_wallets(
+  p_sender_id uuid,
+  p_recipient_id uuid,
+  p_amount decimal,
+  p_reference text,
+  p_description text,
+  p_metadata jsonb DEFAULT '{}'::jsonb
+)
+RETURNS jsonb AS $$
+DECLARE
+  v_balance decimal(15,2);
+  v_locked integer;
+  v_result jsonb;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'INVALID_AMOUNT: %', p_amount;
+  END IF;
+
+  IF p_sender_id = p_recipient_id THEN
+    RAISE EXCEPTION 'SAME_WALLET: %', p_sender_id;
+  END IF;
+
+  -- Lock both wallets in a fixed order
+  SELECT count(*) INTO v_locked FROM (
+    SELECT id FROM users
+    WHERE id IN (p_sender_id, p_recipient_id)
+    ORDER BY id
+    FOR UPDATE
+  ) locked;
+
+  IF v_locked <> 2 THEN
+    RAISE EXCEPTION 'WALLET_NOT_FOUND: % or %', p_sender_id, p_recipient_id;
+  END IF;
+
+  SELECT COALESCE(balance, 0) INTO v_balance
+  FROM ledger_account_balances
+  WHERE user_id = p_sender_id;
+
+  IF COALESCE(v_balance, 0) < p_amount THEN
+    RAISE EXCEPTION 'INSUFFICIENT_FUNDS'
+      USING DETAIL = COALESCE(v_balance, 0)::text;
+  END IF;
+
+  v_result := post_journal_entry(
+    p_reference,
+    'WALLET_TRANSFER',
+    p_description,
+    jsonb_build_array(
+      jsonb_build_object('account', 'user_wallet', 'user_id', p_sender_id, 'direction', 'debit', 'amount', p_amount),
+      jsonb_build_object('account', 'user_wallet', 'user_id', p_recipient_id, 'direction', 'credit', 'amount', p_amount)
+    ),
+    p_metadata
+  );
+
+  RETURN jsonb_build_object(
+    'entry_id', v_result->'entry_id',
+    'reference', p_reference,
+    'new_balance', v_result->'wallet_balances'->(p_sender_id::text),
+    'recipient_balance', v_result->'wallet_balances'->(p_recipient_id::text)
+  );
+END;
+$$ language 'plpgsql';
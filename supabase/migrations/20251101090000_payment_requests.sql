@@ -0,0 +1,61 @@
+/*
+  # Payment requests
+
+  A user can ask another QuickWallet user to pay them. The payer gets a
+  Telegram message with Pay / Decline buttons; Pay runs the normal
+  PIN-protected wallet-to-wallet transfer. Unanswered requests are
+  reminded and then expire.
+
+  1. New Tables
+    - `payment_requests`
+      - `id` (uuid, primary key)
+      - `requester_id` (uuid) - user asking to be paid
+      - `payer_id` (uuid) - user asked to pay
+      - `amount` (decimal)
+      - `note` (text, nullable) - what the money is for
+      - `status` (text) - pending | processing | paid | declined | expired;
+        `processing` while the payer's transfer runs, so it is paid once
+      - `transfer_reference` (text, nullable) - the wallet transfer that paid it
+      - `payer_message_id` (bigint, nullable) - Telegram message with the buttons
+      - `reminder_count` (integer), `last_reminded_at` (timestamptz)
+      - `expires_at` (timestamptz)
+      - `responded_at` (timestamptz, nullable)
+*/
+
+CREATE TABLE IF NOT EXISTS payment_requests (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  requester_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  payer_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  amount decimal(15,2) NOT NULL CHECK (amount > 0),
+  note text,
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'paid', 'declined', 'expired')),
+  transfer_reference text,
+  payer_message_id bigint,
+  reminder_count integer NOT NULL DEFAULT 0,
+  last_reminded_at timestamptz,
+  expires_at timestamptz NOT NULL,
+  responded_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CHECK (requester_id <> payer_id)
+);
+
+-- Enable RLS (read and written by the bot's service role)
+ALTER TABLE payment_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_payment_requests_payer ON payment_requests(payer_id, status);
+CREATE INDEX IF NOT EXISTS idx_payment_requests_open ON payment_requests(expires_at)
+  WHERE status = 'pending';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_trigger WHERE tgname = 'update_payment_requests_updated_at'
+  ) THEN
+    CREATE TRIGGER update_payment_requests_updated_at
+      BEFORE UPDATE ON payment_requests
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column();
+  END IF;
+END $$;
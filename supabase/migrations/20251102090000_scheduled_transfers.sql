@@ -0,0 +1,67 @@
+/*
+  # Scheduled and recurring transfers
+
+  Users can schedule a recurring transfer to a saved beneficiary ("send
+  20000 to mom every 1st of the month"). The leader runs due schedules
+  through the normal limit checks and fee schedule, and messages the user
+  the day before each run.
+
+  1. New Tables
+    - `scheduled_transfers`
+      - `id` (uuid, primary key)
+      - `user_id` (uuid) - owner
+      - `beneficiary_id` (uuid) - saved beneficiary to pay (`beneficiaries`
+        isn't managed by these migrations, so no foreign key); the runner
+        cancels the schedule if the beneficiary is gone
+      - `amount` (decimal)
+      - `frequency` (text) - daily | weekly | monthly
+      - `day_of_week` (integer, nullable) - 0 (Sunday) to 6, for weekly
+      - `day_of_month` (integer, nullable) - 1 to 31, for monthly; months
+        without that day run on their last day
+      - `status` (text) - active | paused | cancelled
+      - `next_run_at` (timestamptz) - when the next transfer is due
+      - `notified_run_at` (timestamptz, nullable) - run the user was last
+        warned about, so the reminder is sent once
+      - `last_run_at` (timestamptz), `last_status` (text), `last_reference`
+        (text), `last_error` (text) - outcome of the latest run
+*/
+
+CREATE TABLE IF NOT EXISTS scheduled_transfers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  beneficiary_id uuid NOT NULL,
+  amount decimal(15,2) NOT NULL CHECK (amount > 0),
+  frequency text NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+  day_of_week integer CHECK (day_of_week BETWEEN 0 AND 6),
+  day_of_month integer CHECK (day_of_month BETWEEN 1 AND 31),
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled')),
+  next_run_at timestamptz NOT NULL,
+  notified_run_at timestamptz,
+  last_run_at timestamptz,
+  last_status text,
+  last_reference text,
+  last_error text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CHECK (frequency <> 'weekly' OR day_of_week IS NOT NULL),
+  CHECK (frequency <> 'monthly' OR day_of_month IS NOT NULL)
+);
+
+-- Enable RLS (read and written by the bot's service role)
+ALTER TABLE scheduled_transfers ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_transfers_user ON scheduled_transfers(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_transfers_due ON scheduled_transfers(next_run_at)
+  WHERE status = 'active';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_trigger WHERE tgname = 'update_scheduled_transfers_updated_at'
+  ) THEN
+    CREATE TRIGGER update_scheduled_transfers_updated_at
+      BEFORE UPDATE ON scheduled_transfers
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column();
+  END IF;
+END $$;
@@ -0,0 +1,60 @@
+/*
+  # Bulk payouts
+
+  Users can upload a CSV of payments (account_number, bank, amount,
+  narration), confirm them with one PIN and have them sent through
+  Paystack's bulk transfer API. Each row is an ordinary `transfer`
+  transaction tagged with its batch, so webhooks, refunds, limits and
+  fees work as for single transfers; the batch row tracks when the
+  combined report has been sent.
+
+  1. New Tables
+    - `bulk_transfers`
+      - `id` (uuid, primary key)
+      - `user_id` (uuid) - owner
+      - `file_name` (text) - uploaded file name
+      - `item_count` (integer) - rows submitted
+      - `total_amount` (decimal), `total_fee` (decimal) - as confirmed
+      - `status` (text) - processing | completed (report sent)
+      - `completed_at` (timestamptz)
+
+  2. Modified Tables
+    - `transactions`
+      - `batch_id` (uuid, nullable) - the bulk payout a transfer belongs to
+*/
+
+CREATE TABLE IF NOT EXISTS bulk_transfers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  file_name text,
+  item_count integer NOT NULL CHECK (item_count > 0),
+  total_amount decimal(15,2) NOT NULL,
+  total_fee decimal(15,2) NOT NULL DEFAULT 0,
+  status text NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+  completed_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Enable RLS (read and written by the bot's service role)
+ALTER TABLE bulk_transfers ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_bulk_transfers_user ON bulk_transfers(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_bulk_transfers_processing ON bulk_transfers(created_at)
+  WHERE status = 'processing';
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS batch_id uuid REFERENCES bulk_transfers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_batch ON transactions(batch_id) WHERE batch_id IS NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_trigger WHERE tgname = 'update_bulk_transfers_updated_at'
+  ) THEN
+    CREATE TRIGGER update_bulk_transfers_updated_at
+      BEFORE UPDATE ON bulk_transfers
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column();
+  END IF;
+END $$;
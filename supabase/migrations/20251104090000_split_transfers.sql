@@ -0,0 +1,91 @@
+/*
+  # Split transfers
+
+  "Send 30000 split between John, Ada and Tunde" pays several saved
+  beneficiaries at once. Each leg is its own bank transfer (own reference,
+  transaction row, webhook and refund), but the wallet is debited for all
+  legs in one database transaction: either every leg fits in the balance
+  and is debited, or none is.
+
+  1. Functions
+    - `debit_wallet_split(...)` - locks the user row, rejects the split
+      with `INSUFFICIENT_FUNDS` if the legs' amounts and fees together
+      exceed the ledger balance, and posts one wallet -> settlement / fee
+      income entry per leg (a repeated leg reference rolls back them all)
+*/
+
+-- p_legs: [{ "reference": text, "amount": number, "fee": number,
+--            "description": text, "metadata": object }]
+CREATE OR REPLACE FUNCTION debit_wallet_split(
+  p_user_id uuid,
+  p_legs jsonb,
+  p_entry_type text,
+  p_metadata jsonb DEFAULT '{}'::jsonb
+)
+RETURNS jsonb AS $$
+DECLARE
+  v_balance decimal(15,2);
+  v_total decimal(15,2);
+  v_leg jsonb;
+  v_amount decimal(15,2);
+  v_fee decimal(15,2);
+  v_result jsonb;
+BEGIN
+  IF p_legs IS NULL OR jsonb_array_length(p_legs) = 0 THEN
+    RAISE EXCEPTION 'INVALID_AMOUNT: a split needs at least one leg';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM jsonb_array_elements(p_legs) leg
+    WHERE COALESCE((leg->>'amount')::decimal, 0) <= 0
+  ) THEN
+    RAISE EXCEPTION 'INVALID_AMOUNT: %', p_legs;
+  END IF;
+
+  SELECT SUM((leg->>'amount')::decimal + COALESCE((leg->>'fee')::decimal, 0))
+  INTO v_total
+  FROM jsonb_array_elements(p_legs) leg;
+
+  -- Serialise every debit and credit for this user
+  PERFORM 1 FROM users WHERE id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'WALLET_NOT_FOUND: %', p_user_id;
+  END IF;
+
+  SELECT COALESCE(balance, 0) INTO v_balance
+  FROM ledger_account_balances
+  WHERE user_id = p_user_id;
+
+  IF COALESCE(v_balance, 0) < v_total THEN
+    RAISE EXCEPTION 'INSUFFICIENT_FUNDS'
+      USING DETAIL = COALESCE(v_balance, 0)::text;
+  END IF;
+
+  FOR v_leg IN SELECT * FROM jsonb_array_elements(p_legs) LOOP
+    v_amount := (v_leg->>'amount')::decimal;
+    v_fee := COALESCE((v_leg->>'fee')::decimal, 0);
+
+    v_result := post_journal_entry(
+      v_leg->>'reference',
+      p_entry_type,
+      v_leg->>'description',
+      jsonb_build_array(
+        jsonb_build_object('account', 'user_wallet', 'user_id', p_user_id, 'direction', 'debit', 'amount', v_amount + v_fee),
+        jsonb_build_object('account', 'paystack_settlement', 'direction', 'credit', 'amount', v_amount)
+      ) || CASE
+        WHEN v_fee > 0 THEN jsonb_build_array(
+          jsonb_build_object('account', 'fee_income', 'direction', 'credit', 'amount', v_fee)
+        )
+        ELSE '[]'::jsonb
+      END,
+      COALESCE(p_metadata, '{}'::jsonb) || COALESCE(v_leg->'metadata', '{}'::jsonb)
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'entry_id', v_result->'entry_id',
+    'reference', p_legs->0->>'reference',
+    'new_balance', v_result->'wallet_balances'->(p_user_id::text)
+  );
+END;
+$$ language 'plpgsql';
@@ -0,0 +1,17 @@
+/*
+  # Reply language
+
+  The bot replies in English, Nigerian Pidgin, Yoruba, Igbo or Hausa.
+
+  1. Modified Tables
+    - `users`
+      - `preferred_language` (text, nullable) - set with /language; null
+        means follow the language the user writes in
+      - `detected_language` (text, nullable) - language of the user's most
+        recent message the bot could place, kept current by the bot
+*/
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS preferred_language text
+  CHECK (preferred_language IN ('en', 'pcm', 'yo', 'ig', 'ha'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS detected_language text
+  CHECK (detected_language IN ('en', 'pcm', 'yo', 'ig', 'ha'));
@@ -0,0 +1,45 @@
+/*
+  # Atomic session counters
+
+  Rate-limit windows and PIN failure counts were read, incremented and
+  written back by the bot, so concurrent requests (e.g. parallel PIN pad
+  submissions) could overwrite each other's count and slip past the
+  rate limit or the lockout. They are now incremented in the database.
+
+  1. Functions
+    - `increment_bot_session(namespace, key, ttl_ms, extend)` - adds one
+      to `value.count` of a live entry, or starts a new entry at 1 with
+      the TTL; `extend` restarts the TTL on every increment. Returns
+      `{ count, expires_at }`
+*/
+
+CREATE OR REPLACE FUNCTION increment_bot_session(
+  p_namespace text,
+  p_key text,
+  p_ttl_ms bigint,
+  p_extend boolean DEFAULT false
+)
+RETURNS jsonb AS $$
+DECLARE
+  v_expires_at timestamptz := now() + make_interval(secs => p_ttl_ms / 1000.0);
+  v_result jsonb;
+BEGIN
+  -- The row lock taken by ON CONFLICT serialises concurrent increments
+  INSERT INTO bot_sessions AS s (namespace, key, value, expires_at, updated_at)
+  VALUES (p_namespace, p_key, jsonb_build_object('count', 1), v_expires_at, now())
+  ON CONFLICT (namespace, key) DO UPDATE
+    SET value = CASE
+          WHEN s.expires_at <= now() THEN jsonb_build_object('count', 1)
+          ELSE jsonb_set(s.value, '{count}', to_jsonb(COALESCE((s.value->>'count')::integer, 0) + 1))
+        END,
+        expires_at = CASE
+          WHEN s.expires_at <= now() OR p_extend THEN v_expires_at
+          ELSE s.expires_at
+        END,
+        updated_at = now()
+  RETURNING jsonb_build_object('count', (s.value->>'count')::integer, 'expires_at', s.expires_at)
+  INTO v_result;
+
+  RETURN v_result;
+END;
+$$ language 'plpgsql';